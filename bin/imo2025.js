@@ -0,0 +1,517 @@
+#!/usr/bin/env node
+// ============================================
+// 命令列介面：模擬、掃描與擬合
+// ============================================
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { PlayerStyle, ConstraintType, NumericPrecision, SearchMethod, TuningObjective, powerConstraint, customConstraint, customStrategy, checkStrategy, validateConstraintRule, resolveConstraint, MathEngine, FittingEngine, Experiments, ORACLE_DEFAULTS, ADVERSARIAL_DEFAULTS, TUNING_DEFAULTS, TOURNAMENT_DEFAULTS, tournamentRatings, runGame, runTask } from '../src/engine.js';
+import { Formats } from '../src/formats.js';
+
+const HELP = `用法：imo2025 <指令> [選項]
+
+指令：
+  simulate    單局模擬
+  batch       λ 批次掃描（含冪次擬合）
+  critical    臨界值附近高精度掃描（含冪次擬合）
+  compare     策略對比（所有策略組合）
+  estimate    以二分法估計經驗臨界值（不預設 λ*）
+  montecarlo  帶擾動策略的蒙地卡羅勝率估計
+  solve       離散化博弈樹求解：短回合內的必勝方（minimax + alpha-beta）
+  oracle      建立動態規劃策略表（動態規劃型策略所用的局面值與最佳移動）
+  adversarial 對抗搜尋：尋找使理論必勝方的策略落敗或拖到回合上限的對手移動序列
+  tournament  多 λ 錦標賽：所有策略組合沿 λ 網格與約束對局，並計算各策略（分 Alice／Bazza）的評分
+  optimize    以遺傳演算法調校最優型策略的參數（出擊回合、積極度、儲備門檻）
+
+共同選項：
+  --rounds <n>            最大回合數
+  --strict                嚴格規則（僅在無合法 xₙ 時判負）
+  --precision <id>        數值精度（${Object.values(NumericPrecision).map(p => p.id).join(', ')}；預設 double）
+  --format <fmt>          輸出格式：json（預設）、csv；batch、critical 另有 latex（表格與擬合公式）
+                          與 pgfplots（λ–回合數圖），compare 另有 latex（勝負矩陣）
+  --output <file>         寫入檔案（預設輸出至 stdout）
+  --details               掃描與對比輸出中保留逐回合細節
+
+simulate：
+  --lambda <λ>            參數 λ（預設 0.75）
+  --alice-style <id>      Alice 策略（${Object.values(PlayerStyle).map(s => s.id).join(', ')}）
+  --bazza-style <id>      Bazza 策略
+  --alice-code <file>     以檔案中的 function move(state) 作為 Alice 策略（取代 --alice-style）
+  --bazza-code <file>     同上，Bazza 策略
+  --alice-constraint <id> Alice 約束（${Object.values(ConstraintType).map(c => c.id).join(', ')}, custom）
+  --bazza-constraint <id> Bazza 約束
+  --alice-exponent <p> --alice-growth <a>   一般冪次約束 ∑xᵢ^p ≤ λn^a（預設 1、1）
+  --bazza-exponent <q> --bazza-growth <b>   一般冪次約束 ∑xᵢ^q ≤ n^b（預設 2、1）
+  --alice-weight <w(i)> --alice-limit <L(n, λ)>   自訂約束 ∑w(i)·xᵢ^e ≤ L，e 取 --alice-exponent
+  --bazza-weight <w(i)> --bazza-limit <L(n, λ)>   （例：--alice-weight "1 + 0.1*i" --alice-limit "λ*n^1.1"）
+  --alice-noise <σ>       Alice 策略輸出乘上 max(0, 1 + σZ)，Z ~ N(0, 1)（預設 0，不擾動）
+  --bazza-noise <σ>       同上，Bazza 策略
+  --seed <n>              擾動的亂數種子（預設 0）
+
+batch：
+  --start <λ> --end <λ> --step <Δ>   掃描區間（預設 0.55、0.85、0.01）
+  另可使用 simulate 的約束選項
+
+critical：
+  --range <±Δ> --step <Δ>            λ* 附近的範圍與步長（預設 0.02、0.001）；λ* 為約束組合的理論臨界值，沒有解析解時為 1/√2
+  另可使用 simulate 的約束選項
+  --bootstrap <n>         batch、critical 擬合的 bootstrap 重抽樣次數（預設 200，0 表示不計算信賴區間）
+
+compare：
+  --lambda <λ>            參數 λ（預設 0.75）
+  --alice-code <file>     加入矩陣的使用者策略（可與 --bazza-code 同時使用）
+
+estimate：
+  --lo <λ> --hi <λ>       初始區間（預設 0.3、1.5）；下端不是 Bazza 勝時減半、上端不是 Alice 勝時加倍
+  --expansions <k>        初始區間最多擴大的次數（預設 8）
+  --tolerance <Δ>         二分容差（預設 1e-6）
+  --rounds <n,n,...>      逐一嘗試的回合上限（預設 50,100,200,400,800）
+  另可使用 simulate 的策略與約束選項
+
+montecarlo：
+  --start <λ> --end <λ> --step <Δ>   λ 網格（預設 0.6、0.8、0.02）
+  --games <N>             每個 λ 的對局數（預設 200）
+  另可使用 simulate 的策略、約束、擾動與種子選項
+
+solve：
+  --start <λ> --end <λ> --step <Δ>   λ 網格（預設 0.5、1、0.05）
+  --horizon <n>           求解的回合數（預設 8）
+  --grid <k>              每步在合法區間 [0, max] 上取的等分點數（預設 5，含兩端）
+  --max-nodes <n>         每個 λ 的搜尋節點上限（預設 200000），超出時勝者記為未知
+  另可使用 simulate 的約束選項；雙方都只能走網格上的移動，結果不是原遊戲的證明
+
+oracle：
+  --lambda <λ>            參數 λ（預設 0.75）
+  --rounds <n>            策略表涵蓋的回合數（預設 ${ORACLE_DEFAULTS.rounds}）
+  --resolution <k>        每個約束累計值的網格點數（預設 ${ORACLE_DEFAULTS.resolution}）
+  --candidates <k>        每步在 [0, max] 上比較的等分點數（預設 ${ORACLE_DEFAULTS.candidates}）
+  另可使用 simulate 的約束選項；--format csv 每個回合與網格點輸出一列
+
+adversarial：
+  --start <λ> --end <λ> --step <Δ>   λ 網格（預設 0.6、0.8、0.05）
+  --method <id>           搜尋方法（${Object.values(SearchMethod).map(m => m.id).join(', ')}；預設 ${ADVERSARIAL_DEFAULTS.method}）
+  --iterations <n>        每個 λ 的對局評估次數（預設 ${ADVERSARIAL_DEFAULTS.iterations}）
+  --seed <n>              搜尋的亂數種子（預設 0）
+  另可使用 simulate 的策略與約束選項：λ > λ* 時測試 --alice-style，λ < λ* 時測試 --bazza-style，
+  另一方的策略只作為搜尋起點。JSON 輸出含每個 λ 的最佳對局，可再以匯入結果驗證與回放
+
+tournament：
+  --start <λ> --end <λ> --step <Δ>   λ 網格（預設 ${TOURNAMENT_DEFAULTS.start}、${TOURNAMENT_DEFAULTS.end}、${TOURNAMENT_DEFAULTS.step}）
+  --constraints <id,...>  雙方共用的約束，逐一對局（${Object.values(ConstraintType).filter(c => c.id !== 'power').map(c => c.id).join(', ')}；預設 standard）
+  --alice-code <file>     加入錦標賽的使用者策略（可與 --bazza-code 同時使用）
+  JSON 含每局的勝者與回合數及 Bradley–Terry／Elo 評分；--format csv 每局一列
+
+optimize：
+  --start <λ> --end <λ> --step <Δ>   λ 網格（預設 ${TUNING_DEFAULTS.start}、${TUNING_DEFAULTS.end}、${TUNING_DEFAULTS.step}），平衡帶內的 λ 略過
+  --objective <id>        調校目標（${Object.values(TuningObjective).map(o => o.id).join(', ')}；預設 ${TUNING_DEFAULTS.objective}）
+  --population <n>        族群大小（預設 ${TUNING_DEFAULTS.population}）
+  --generations <n>       世代數（預設 ${TUNING_DEFAULTS.generations}）
+  --runs <n>              獨立演化次數（預設 ${TUNING_DEFAULTS.runs}）
+  --opponents <id,...>    對手池（預設全部內建策略）
+  --seed <n>              演化的亂數種子（預設 0）
+  只使用標準約束；--format csv 輸出每次演化每代的收斂曲線
+`;
+
+const OPTIONS = {
+  lambda: { type: 'string' },
+  rounds: { type: 'string' },
+  strict: { type: 'boolean', default: false },
+  precision: { type: 'string', default: NumericPrecision.DOUBLE.id },
+  format: { type: 'string', default: 'json' },
+  output: { type: 'string' },
+  details: { type: 'boolean', default: false },
+  'alice-style': { type: 'string', default: PlayerStyle.OPTIMAL.id },
+  'bazza-style': { type: 'string', default: PlayerStyle.OPTIMAL.id },
+  'alice-code': { type: 'string' },
+  'bazza-code': { type: 'string' },
+  'alice-constraint': { type: 'string', default: ConstraintType.STANDARD.id },
+  'bazza-constraint': { type: 'string', default: ConstraintType.STANDARD.id },
+  'alice-exponent': { type: 'string' },
+  'alice-growth': { type: 'string' },
+  'bazza-exponent': { type: 'string' },
+  'bazza-growth': { type: 'string' },
+  'alice-weight': { type: 'string', default: '1' },
+  'alice-limit': { type: 'string', default: 'λ*n' },
+  'bazza-weight': { type: 'string', default: '1' },
+  'bazza-limit': { type: 'string', default: 'n' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  step: { type: 'string' },
+  range: { type: 'string' },
+  lo: { type: 'string' },
+  hi: { type: 'string' },
+  tolerance: { type: 'string' },
+  expansions: { type: 'string' },
+  games: { type: 'string' },
+  seed: { type: 'string' },
+  'alice-noise': { type: 'string' },
+  'bazza-noise': { type: 'string' },
+  bootstrap: { type: 'string' },
+  horizon: { type: 'string' },
+  grid: { type: 'string' },
+  'max-nodes': { type: 'string' },
+  resolution: { type: 'string' },
+  candidates: { type: 'string' },
+  method: { type: 'string', default: ADVERSARIAL_DEFAULTS.method },
+  iterations: { type: 'string' },
+  objective: { type: 'string', default: TUNING_DEFAULTS.objective },
+  population: { type: 'string' },
+  generations: { type: 'string' },
+  runs: { type: 'string' },
+  opponents: { type: 'string' },
+  constraints: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const fail = (message) => {
+  process.stderr.write(`錯誤：${message}\n\n${HELP}`);
+  process.exit(1);
+};
+
+const number = (values, key, fallback) => {
+  if (values[key] === undefined) return fallback;
+  const v = Number(values[key]);
+  if (!Number.isFinite(v)) fail(`--${key} 必須為數字`);
+  return v;
+};
+
+const checkId = (enumObj, id, key) => {
+  if (!Object.values(enumObj).some(v => v.id === id)) fail(`未知的 --${key}：${id}`);
+  return id;
+};
+
+// 約束 id；一般冪次約束附上指數與增長，自訂約束附上表達式
+const constraint = (values, player) => {
+  const positive = (key, fallback) => {
+    const v = number(values, key, fallback);
+    if (!(v > 0)) fail(`--${key} 必須為正數`);
+    return v;
+  };
+  if (values[`${player}-constraint`] === 'custom') {
+    const rule = { name: '自訂約束', weight: values[`${player}-weight`], exponent: positive(`${player}-exponent`, player === 'alice' ? 1 : 2), limit: values[`${player}-limit`] };
+    const error = validateConstraintRule(rule);
+    if (error) fail(`--${player}-constraint custom：${error}`);
+    return customConstraint(rule);
+  }
+  const id = checkId(ConstraintType, values[`${player}-constraint`], `${player}-constraint`);
+  if (id !== ConstraintType.POWER.id) return id;
+  return powerConstraint(positive(`${player}-exponent`, player === 'alice' ? 1 : 2), positive(`${player}-growth`, 1));
+};
+
+// 策略 id；指定 --<player>-code 時改為檔案中的使用者策略（先以短局試跑）
+const style = (values, player) => {
+  const file = values[`${player}-code`];
+  if (file === undefined) return checkId(PlayerStyle, values[`${player}-style`], `${player}-style`);
+  let source;
+  try {
+    source = readFileSync(file, 'utf8');
+  } catch (err) {
+    fail(`無法讀取 --${player}-code：${err.message}`);
+  }
+  const strategy = customStrategy({ name: basename(file, '.js'), source });
+  const { error } = checkStrategy(strategy);
+  if (error) fail(error);
+  return strategy;
+};
+
+// 擾動強度與種子
+const noise = (values) => {
+  const sigma = (key) => {
+    const v = number(values, key, 0);
+    if (v < 0) fail(`--${key} 不可為負數`);
+    return v;
+  };
+  const seed = number(values, 'seed', 0);
+  if (!Number.isInteger(seed) || seed < 0) fail('--seed 必須為非負整數');
+  return { noise: { alice: sigma('alice-noise'), bazza: sigma('bazza-noise') }, seed };
+};
+
+// 每側的公式、統計量，以及各參數的標準誤與 bootstrap 信賴區間
+const fitSummary = (fit) => fit ? [['Alice', fit.alice], ['Bazza', fit.bazza]].flatMap(([side, f]) => [
+  `${side}：${FittingEngine.formatFormula(f, side.toLowerCase())}${f ? `  (R² = ${f.r2.toFixed(6)}, RMSE = ${f.error.toFixed(4)}, n = ${f.n}${f.converged ? '' : '，未收斂'})` : ''}`,
+  ...(f ? ['a', 'b', 'd'].map(k => `  ${FittingEngine.formatParameter(f, k)}`) : [])
+]).join('\n') : '無法擬合（數據不足）';
+
+// 候選模型依 AIC 排名，並列出 BIC、交叉驗證誤差與自由中心 c 的檢定
+const modelSummary = (models) => [['Alice', models.alice], ['Bazza', models.bazza]].filter(([, list]) => list).flatMap(([side, list]) => {
+  const center = FittingEngine.centerTest(list, models.refPoint);
+  return [
+    `${side} 候選模型（依 AIC 排序，CV 為 ${models.folds} 折交叉驗證 RMSE）：`,
+    ...list.map(e => `  ${e.aicRank}. ${e.name}  ΔAIC = ${e.deltaAIC.toFixed(2).padStart(8)}  權重 ${e.weight.toFixed(3)}  BIC 第 ${e.bicRank}  CV = ${isFinite(e.cv) ? e.cv.toFixed(4) : '—'}（第 ${e.cvRank}）  ${FittingEngine.formatModelParams(e)}`),
+    ...(center ? [`  自由中心 c = ${center.c.toFixed(8)}，c − λ* = ${center.delta.toExponential(2)}${center.z === null ? '' : `（${center.z.toFixed(2)} 個標準誤，${center.consistent ? '與 λ* 一致' : '與 λ* 不一致'}）`}`] : [])
+  ];
+}).join('\n');
+
+const scan = (type, params, tasks, values) => {
+  const results = tasks.map(runGame);
+  const bootstrap = number(values, 'bootstrap', 200);
+  if (!Number.isInteger(bootstrap) || bootstrap < 0) fail('--bootstrap 必須為非負整數');
+  const fit = FittingEngine.fitScan(results, { bootstrap });
+  const tally = (w) => results.filter(r => r.winner === w).length;
+  const flagged = results.filter(r => r.precisionFlags.length > 0).length;
+  process.stderr.write(`${results.length} 個數據點：Alice 勝 ${tally('Alice')}，Bazza 勝 ${tally('Bazza')}，和局 ${tally('Draw')}，符合理論 ${results.filter(r => r.matchTheory).length}${flagged ? `，精度標記 ${flagged}` : ''}\n${fitSummary(fit)}\n${fit ? `${modelSummary(fit.models)}\n` : ''}`);
+  return {
+    json: Formats.scanJSON(type, params, results, fit, values.details),
+    csv: () => Formats.scanCSV(results),
+    latex: () => `${Formats.scanLaTeX(results)}${fit ? `\n${Formats.fitLaTeX(fit)}` : ''}`,
+    pgfplots: () => Formats.scanPgfplots(results, fit)
+  };
+};
+
+const COMMANDS = {
+  simulate(values) {
+    const params = {
+      lambdaVal: number(values, 'lambda', 0.75),
+      aliceStyle: style(values, 'alice'),
+      bazzaStyle: style(values, 'bazza'),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza'),
+      maxRounds: number(values, 'rounds', 100),
+      strictRules: values.strict,
+      precision: checkId(NumericPrecision, values.precision, 'precision'),
+      ...noise(values)
+    };
+    const result = runGame(params);
+    process.stderr.write(`勝者：${result.winner}（${result.winningReason}），回合數 ${result.totalRounds}\n`);
+    return { json: result, csv: () => Formats.gameCSV(result) };
+  },
+
+  batch(values) {
+    const params = { start: number(values, 'start', 0.55), end: number(values, 'end', 0.85), step: number(values, 'step', 0.01), maxRounds: number(values, 'rounds', 100), strictRules: values.strict, precision: checkId(NumericPrecision, values.precision, 'precision'), aliceConstraint: constraint(values, 'alice'), bazzaConstraint: constraint(values, 'bazza') };
+    if (params.step <= 0) fail('--step 必須為正數');
+    return scan('batch', params, Experiments.batchTasks(params), values);
+  },
+
+  critical(values) {
+    const params = { range: number(values, 'range', 0.02), step: number(values, 'step', 0.001), maxRounds: number(values, 'rounds', 150), strictRules: values.strict, precision: checkId(NumericPrecision, values.precision, 'precision'), aliceConstraint: constraint(values, 'alice'), bazzaConstraint: constraint(values, 'bazza') };
+    if (params.step <= 0) fail('--step 必須為正數');
+    params.center = Experiments.criticalCenter(params.aliceConstraint, params.bazzaConstraint);
+    return scan('critical', params, Experiments.criticalTasks(params), values);
+  },
+
+  compare(values) {
+    const extra = ['alice', 'bazza'].filter(p => values[`${p}-code`] !== undefined).map(p => style(values, p));
+    const params = { lambdaVal: number(values, 'lambda', 0.75), maxRounds: number(values, 'rounds', 100), strictRules: values.strict, styles: [...Object.values(PlayerStyle), ...extra] };
+    const results = Experiments.comparisonTasks(params).map(runGame);
+    return { json: Formats.comparisonJSON(params, results, values.details), csv: () => Formats.comparisonCSV(results), latex: () => Formats.comparisonLaTeX(results) };
+  },
+
+  estimate(values) {
+    const rounds = (values.rounds ?? '50,100,200,400,800').split(',').map(Number);
+    if (!rounds.every(n => Number.isInteger(n) && n > 0)) fail('--rounds 必須為以逗號分隔的正整數');
+    const params = {
+      lo: number(values, 'lo', 0.3),
+      hi: number(values, 'hi', 1.5),
+      tolerance: number(values, 'tolerance', 1e-6),
+      expansions: number(values, 'expansions', 8),
+      rounds,
+      aliceStyle: style(values, 'alice'),
+      bazzaStyle: style(values, 'bazza'),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza'),
+      strictRules: values.strict,
+      precision: checkId(NumericPrecision, values.precision, 'precision')
+    };
+    if (!(params.lo < params.hi)) fail('--lo 必須小於 --hi');
+    if (params.tolerance <= 0) fail('--tolerance 必須為正數');
+    if (!(Number.isInteger(params.expansions) && params.expansions >= 0)) fail('--expansions 必須為非負整數');
+    const results = Experiments.estimateTasks(params).map(runTask);
+    const theory = MathEngine.familyCritical(resolveConstraint(params.aliceConstraint), resolveConstraint(params.bazzaConstraint));
+    process.stderr.write(theory ? `理論臨界值 ${theory.formula} ≈ ${theory.value.toFixed(7)}\n` : '此約束組合沒有已知的理論臨界值\n');
+    for (const r of results) {
+      process.stderr.write(r.bracket
+        ? `n = ${r.maxRounds}：${r.expanded ? `初始區間擴大為 [${r.lo}, ${r.hi}]，` : ''}λ* ∈ [${r.bracket.lo.toFixed(7)}, ${r.bracket.hi.toFixed(7)}]，估計 ${r.estimate.toFixed(7)}${r.drawBand ? `，和局帶 [${r.drawBand.lo.toFixed(5)}, ${r.drawBand.hi.toFixed(5)}]` : ''}${r.monotone ? '' : '（勝者非單調）'}\n`
+        : `n = ${r.maxRounds}：${r.error}\n`);
+    }
+    const output = values.details ? results : results.map(({ steps, ...rest }) => ({ ...rest, games: steps.length }));
+    return { json: { type: 'estimate', params, results: output }, csv: () => Formats.estimateCSV(results) };
+  },
+
+  montecarlo(values) {
+    const params = {
+      start: number(values, 'start', 0.6),
+      end: number(values, 'end', 0.8),
+      step: number(values, 'step', 0.02),
+      games: number(values, 'games', 200),
+      aliceStyle: style(values, 'alice'),
+      bazzaStyle: style(values, 'bazza'),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza'),
+      maxRounds: number(values, 'rounds', 100),
+      strictRules: values.strict,
+      precision: checkId(NumericPrecision, values.precision, 'precision'),
+      ...noise(values)
+    };
+    if (params.step <= 0) fail('--step 必須為正數');
+    if (!Number.isInteger(params.games) || params.games <= 0) fail('--games 必須為正整數');
+    const results = Experiments.monteCarloTasks(params).map(runTask);
+    const pct = (r) => `${(100 * r.p).toFixed(1)}% [${(100 * r.lo).toFixed(1)}, ${(100 * r.hi).toFixed(1)}]`;
+    const q = (v) => Number(v.toFixed(1));
+    for (const r of results) {
+      process.stderr.write(`λ = ${r.lambdaVal}：Alice ${pct(r.rates.Alice)}，Bazza ${pct(r.rates.Bazza)}，和局 ${pct(r.rates.Draw)}，回合中位數 ${q(r.rounds.p50)}（P5–P95 ${q(r.rounds.p05)}–${q(r.rounds.p95)}）\n`);
+    }
+    return { json: { type: 'montecarlo', params, results }, csv: () => Formats.monteCarloCSV(results) };
+  },
+
+  solve(values) {
+    const params = {
+      start: number(values, 'start', 0.5),
+      end: number(values, 'end', 1),
+      step: number(values, 'step', 0.05),
+      horizon: number(values, 'horizon', 8),
+      grid: number(values, 'grid', 5),
+      maxNodes: number(values, 'max-nodes', 200000),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza')
+    };
+    if (params.step <= 0) fail('--step 必須為正數');
+    if (!Number.isInteger(params.horizon) || params.horizon <= 0) fail('--horizon 必須為正整數');
+    if (!Number.isInteger(params.grid) || params.grid < 2) fail('--grid 必須為不小於 2 的整數');
+    if (!Number.isInteger(params.maxNodes) || params.maxNodes <= 0) fail('--max-nodes 必須為正整數');
+    const results = Experiments.solverTasks(params).map(runTask);
+    for (const r of results) {
+      process.stderr.write(`λ = ${r.lambdaVal}：${r.exceeded ? `超出節點上限 ${r.maxNodes}，勝者未知` : r.winner === 'Draw' ? `${r.horizon} 回合內雙方皆無法逼勝` : `${r.winner} 必勝，最遲第 ${r.winRound} 回合`}（${r.nodes} 個節點）\n`);
+    }
+    return { json: { type: 'solve', params, results }, csv: () => Formats.solverCSV(results) };
+  },
+
+  oracle(values) {
+    const params = {
+      lambdaVal: number(values, 'lambda', 0.75),
+      rounds: number(values, 'rounds', ORACLE_DEFAULTS.rounds),
+      resolution: number(values, 'resolution', ORACLE_DEFAULTS.resolution),
+      candidates: number(values, 'candidates', ORACLE_DEFAULTS.candidates),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza')
+    };
+    if (!Number.isInteger(params.rounds) || params.rounds <= 0) fail('--rounds 必須為正整數');
+    if (!Number.isInteger(params.resolution) || params.resolution < 2) fail('--resolution 必須為不小於 2 的整數');
+    if (!Number.isInteger(params.candidates) || params.candidates < 2) fail('--candidates 必須為不小於 2 的整數');
+    const table = runTask({ kind: 'oracle', ...params });
+    const { value, winner, round } = table.start;
+    process.stderr.write(`開局局面值 ${value.toFixed(3)}：${winner === 'Draw' ? `${params.rounds} 回合內無法逼勝` : `${winner} 約於第 ${round} 回合獲勝`}（網格估計）\n`);
+    return { json: { type: 'oracle', params, table }, csv: () => Formats.oracleCSV(table) };
+  },
+
+  adversarial(values) {
+    const params = {
+      start: number(values, 'start', 0.6),
+      end: number(values, 'end', 0.8),
+      step: number(values, 'step', 0.05),
+      method: checkId(SearchMethod, values.method, 'method'),
+      iterations: number(values, 'iterations', ADVERSARIAL_DEFAULTS.iterations),
+      seed: number(values, 'seed', ADVERSARIAL_DEFAULTS.seed),
+      aliceStyle: style(values, 'alice'),
+      bazzaStyle: style(values, 'bazza'),
+      aliceConstraint: constraint(values, 'alice'),
+      bazzaConstraint: constraint(values, 'bazza'),
+      maxRounds: number(values, 'rounds', 100),
+      strictRules: values.strict,
+      precision: checkId(NumericPrecision, values.precision, 'precision')
+    };
+    if (params.step <= 0) fail('--step 必須為正數');
+    if (!Number.isInteger(params.iterations) || params.iterations <= 0) fail('--iterations 必須為正整數');
+    if (!Number.isInteger(params.seed) || params.seed < 0) fail('--seed 必須為非負整數');
+    const results = Experiments.adversarialTasks(params).map(runTask);
+    for (const r of results) {
+      process.stderr.write(r.error
+        ? `λ = ${r.lambdaVal}：${r.error}，略過\n`
+        : `λ = ${r.lambdaVal}：${r.target}（${r.targetStyle.name}）起點 ${r.baseline.winner}（${r.baseline.totalRounds}），搜尋後 ${r.winner}（${r.totalRounds}）${r.counterexample ? '，找到反例' : r.counterexample === null ? '，和局無法判定（沒有已知的證明回合）' : ''}（${r.evaluations} 局）\n`);
+    }
+    const found = results.filter(r => r.counterexample).length;
+    const inconclusive = results.filter(r => r.counterexample === null).length;
+    process.stderr.write(`${found ? `共 ${found} 個 λ 找到反例` : '未找到反例'}${inconclusive ? `，${inconclusive} 個 λ 無法判定` : ''}\n`);
+    return { json: { type: 'adversarial', params, results }, csv: () => Formats.adversarialCSV(results) };
+  },
+
+  tournament(values) {
+    const extra = ['alice', 'bazza'].filter(p => values[`${p}-code`] !== undefined).map(p => style(values, p));
+    const constraints = (values.constraints ?? TOURNAMENT_DEFAULTS.constraints.join(',')).split(',').map(id => id.trim());
+    for (const id of constraints) {
+      if (id === ConstraintType.POWER.id) fail('--constraints 不支援 power（需另外指定指數）');
+      checkId(ConstraintType, id, 'constraints');
+    }
+    const params = {
+      start: number(values, 'start', TOURNAMENT_DEFAULTS.start),
+      end: number(values, 'end', TOURNAMENT_DEFAULTS.end),
+      step: number(values, 'step', TOURNAMENT_DEFAULTS.step),
+      constraints,
+      styles: [...Object.values(PlayerStyle), ...extra],
+      maxRounds: number(values, 'rounds', TOURNAMENT_DEFAULTS.maxRounds),
+      strictRules: values.strict
+    };
+    if (params.step <= 0) fail('--step 必須為正數');
+    const results = Experiments.tournamentTasks(params).map(runTask);
+    const ratings = tournamentRatings(results);
+    for (const side of ['Alice', 'Bazza']) {
+      const top = ratings.filter(e => e.side === side).slice(0, 3).map(e => `${e.name} ${e.bt.toFixed(0)}`);
+      process.stderr.write(`${side} 評分前三：${top.join('、')}\n`);
+    }
+    return { json: { type: 'tournament', params: { ...params, styles: params.styles.map(s => s.source !== undefined ? s : s.id) }, ratings, results }, csv: () => Formats.tournamentCSV(results) };
+  },
+
+  optimize(values) {
+    const params = {
+      start: number(values, 'start', TUNING_DEFAULTS.start),
+      end: number(values, 'end', TUNING_DEFAULTS.end),
+      step: number(values, 'step', TUNING_DEFAULTS.step),
+      objective: checkId(TuningObjective, values.objective, 'objective'),
+      population: number(values, 'population', TUNING_DEFAULTS.population),
+      generations: number(values, 'generations', TUNING_DEFAULTS.generations),
+      runs: number(values, 'runs', TUNING_DEFAULTS.runs),
+      opponents: values.opponents === undefined ? Object.values(PlayerStyle).map(s => s.id) : values.opponents.split(',').map(id => checkId(PlayerStyle, id.trim(), 'opponents')),
+      seed: number(values, 'seed', TUNING_DEFAULTS.seed),
+      maxRounds: number(values, 'rounds', TUNING_DEFAULTS.maxRounds),
+      strictRules: values.strict
+    };
+    if (params.step <= 0) fail('--step 必須為正數');
+    if (!Number.isInteger(params.population) || params.population < 4) fail('--population 必須為不小於 4 的整數');
+    if (!Number.isInteger(params.generations) || params.generations <= 0) fail('--generations 必須為正整數');
+    if (!Number.isInteger(params.runs) || params.runs <= 0) fail('--runs 必須為正整數');
+    if (!Number.isInteger(params.seed) || params.seed < 0) fail('--seed 必須為非負整數');
+    const results = Experiments.tuningTasks(params).map(runTask);
+    const done = results.filter(r => !r.error);
+    if (done.length === 0) fail(results[0].error);
+    for (const r of done) {
+      process.stderr.write(`演化 ${r.run}：目標值 ${r.baseline.cost.toFixed(3)} → ${r.best.cost.toFixed(3)}，勝率 ${(100 * r.best.winRate).toFixed(1)}%（${r.evaluations} 組參數）\n`);
+    }
+    const best = done.reduce((a, r) => r.best.cost < a.best.cost ? r : a);
+    process.stderr.write(`最佳為演化 ${best.run}：${Object.entries(best.best.tuning).map(([k, v]) => `${k}=${Number(v.toFixed(4))}`).join(' ')}\n`);
+    return { json: { type: 'tuning', params, best: best.best, results }, csv: () => Formats.tuningCSV(results) };
+  }
+};
+
+const main = () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    fail(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(HELP);
+    return;
+  }
+  const command = Object.hasOwn(COMMANDS, positionals[0]) ? COMMANDS[positionals[0]] : null;
+  if (!command) fail(`未知的指令：${positionals[0]}`);
+  if (!['json', 'csv', 'latex', 'pgfplots'].includes(values.format)) fail(`不支援的格式：${values.format}`);
+
+  const out = command(values);
+  if (values.format !== 'json' && !out[values.format]) fail(`${positionals[0]} 不支援 --format ${values.format}`);
+  const text = values.format === 'json' ? JSON.stringify(out.json, null, 2) : out[values.format]();
+  if (values.output) {
+    writeFileSync(values.output, values.format === 'csv' ? '\ufeff' + text : text);
+    process.stderr.write(`已寫入 ${values.output}\n`);
+  } else {
+    process.stdout.write(text + '\n');
+  }
+};
+
+// 輸出經管線截斷（例如 | head）時安靜結束
+process.stdout.on('error', (err) => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+main();
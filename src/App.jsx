@@ -1,477 +1,202 @@
-import React, { useState, useCallback, useMemo } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, ReferenceLine, AreaChart, Area } from 'recharts';
+import React, { useState, useCallback, useMemo, useEffect, useRef, createContext, useContext } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter, ReferenceLine, AreaChart, Area, ComposedChart } from 'recharts';
+import { CRITICAL_VALUE, PlayerStyle, ConstraintType, NumericPrecision, SearchMethod, TuningObjective, TOURNAMENT_DEFAULTS, tournamentRatings, TUNING_PARAMS, TUNING_DEFAULTS, DEFAULT_TUNING, tunedStyle, powerConstraint, customConstraint, customStrategy, validateConstraintRule, DoubleArithmetic, EPS, LambdaConfig, ConstraintChecker, MathEngine, FittingEngine, GameEngine, Experiments, ORACLE_DEFAULTS, runTask } from './engine.js';
+import { WorkerPool } from './workerPool.js';
+import { Formats } from './formats.js';
+import { compileExpression } from './expression.js';
+import { encodeLink, decodeLink } from './share.js';
+import { parseImport, importIssues } from './importer.js';
+import { chartSVG, chartPNG, CHART_FONTS, EXPORT_DPI, PUBLICATION_SCALE, defaultChartOptions } from './chartExport.js';
+import { RunHistory, RunKind, runKindName, isScan, phaseTransition, parseTags, matchesQuery } from './history.js';
 
 // ============================================
-// 數學常數
+// 導出功能
 // ============================================
-const CRITICAL_VALUE = 1 / Math.sqrt(2);
-const EPS = 1e-10;
+const MIME = { csv: 'text/csv;charset=utf-8', json: 'application/json', tex: 'application/x-tex;charset=utf-8', svg: 'image/svg+xml;charset=utf-8' };
 
-// ============================================
-// 枚舉類型
-// ============================================
-const PlayerStyle = {
-  CONSERVATIVE: { id: 'conservative', name: '保守型' },
-  AGGRESSIVE: { id: 'aggressive', name: '激進型' },
-  BALANCED: { id: 'balanced', name: '平衡型' },
-  OPTIMAL: { id: 'optimal', name: '最優型' },
-  ADAPTIVE: { id: 'adaptive', name: '適應型' }
+// 依副檔名決定格式；CSV 加上 BOM 讓 Excel 以 UTF-8 開啟；已是 Blob（PNG）時直接下載
+const download = (filename, data) => {
+  const ext = filename.split('.').pop();
+  const blob = data instanceof Blob ? data : new Blob([ext === 'csv' ? '\ufeff' + data : data], { type: MIME[ext] });
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+  a.download = filename; a.click();
 };
 
-const ConstraintType = {
-  STANDARD: { id: 'standard', name: '標準約束' },
-  CUBIC: { id: 'cubic', name: '立方約束' },
-  QUARTIC: { id: 'quartic', name: '四次方約束' },
-  WEIGHTED: { id: 'weighted', name: '加權約束' }
+const exportCSV = (result) => {
+  if (!result) return;
+  download(`imo2025_lambda${result.lambdaVal.toFixed(4)}.csv`, Formats.gameCSV(result));
 };
 
-// ============================================
-// λ 配置類
-// ============================================
-class LambdaConfig {
-  constructor(lambdaVal) {
-    this.lambdaVal = lambdaVal;
-    this.compute();
-  }
-
-  compute() {
-    this.deltaFromCritical = this.lambdaVal - CRITICAL_VALUE;
-    this.isAboveCritical = this.deltaFromCritical > 0.005;
-    this.isBelowCritical = this.deltaFromCritical < -0.005;
-    this.isNearCritical = !this.isAboveCritical && !this.isBelowCritical;
-
-    if (this.isBelowCritical) {
-      this.strikeRound = -1;
-    } else if (this.isNearCritical) {
-      this.strikeRound = 50;
-    } else {
-      const delta = Math.abs(this.deltaFromCritical);
-      const k = delta > 1e-6 ? Math.ceil(1 / (2 * delta * delta)) : 50;
-      this.strikeRound = Math.max(10, Math.min(k, 50));
-    }
+const exportJSON = (result) => {
+  if (!result) return;
+  download(`imo2025_lambda${result.lambdaVal.toFixed(4)}.json`, JSON.stringify(result, null, 2));
+};
 
-    if (this.isAboveCritical) {
-      this.aliceAggression = Math.min(0.95, 0.5 + this.deltaFromCritical * 2);
-      this.bazzaAggression = Math.max(0.3, 0.8 - this.deltaFromCritical * 2);
-    } else if (this.isBelowCritical) {
-      this.aliceAggression = Math.max(0.2, 0.5 + this.deltaFromCritical * 2);
-      this.bazzaAggression = Math.min(0.99, 0.8 - this.deltaFromCritical * 2);
-    } else {
-      this.aliceAggression = 0.7;
-      this.bazzaAggression = 0.7;
-    }
+const formatCapacity = (v) => v === null ? '無合法 xₙ' : v.toFixed(6);
 
-    this.reserveThreshold = Math.max(0.1, 0.5 - Math.abs(this.deltaFromCritical));
-    this.linearMultiplier = this.lambdaVal;
-  }
+// 勝率與信賴區間，例如 62.5% [55.6, 68.9]
+const formatRate = (r) => `${(100 * r.p).toFixed(1)}% [${(100 * r.lo).toFixed(1)}, ${(100 * r.hi).toFixed(1)}]`;
 
-  getStatus() {
-    if (this.isNearCritical) return 'balance';
-    return this.isAboveCritical ? 'alice' : 'bazza';
-  }
-
-  getPredictedWinner() {
-    if (this.isAboveCritical) return 'Alice';
-    if (this.isBelowCritical) return 'Bazza';
-    return 'Balance';
-  }
-}
+// 圖表提示：區間帶的值為 [下界, 上界]
+const formatBand = (v) => Array.isArray(v) ? v.map(x => x.toFixed(3)).join(' – ') : v.toFixed(3);
 
 // ============================================
-// 約束檢查器
+// 圖表匯出
 // ============================================
-class ConstraintChecker {
-  constructor(aliceType, bazzaType, config) {
-    this.aliceType = aliceType;
-    this.bazzaType = bazzaType;
-    this.config = config;
-  }
+// 匯出設定（PNG 解析度、出版樣式、字型）由所有圖表共用，值為 [options, setOptions]
+const ChartOptions = createContext(null);
 
-  getAliceConstraintValue(moves) {
-    if (moves.length === 0) return 0;
-    switch (this.aliceType.id) {
-      case 'cubic': return moves.reduce((a, b) => a + Math.pow(b, 3), 0);
-      case 'weighted': return moves.reduce((a, b, i) => a + (1 + 0.1 * i) * b, 0);
-      default: return moves.reduce((a, b) => a + b, 0);
+// 圖表外框：標題列附 SVG／PNG 匯出
+function ChartBox({ title, file, style, children }) {
+  const [options, setOptions] = useContext(ChartOptions);
+  const ref = useRef(null);
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState(null);
+  const save = (format) => {
+    setError(null);
+    try {
+      const svg = chartSVG(ref.current, { title, ...options });
+      if (format === 'svg') download(`imo2025_${file}.svg`, svg.text);
+      else chartPNG(svg, options.dpi).then(blob => download(`imo2025_${file}_${options.dpi}dpi.png`, blob)).catch(err => setError(err.message));
+    } catch (err) {
+      setError(err.message);
     }
-  }
+  };
+  return (
+    <div className="cb" style={style}>
+      <div className="ch"><h3>{title}</h3><span className="ce"><button onClick={() => save('svg')}>SVG</button><button onClick={() => save('png')}>PNG</button><button className={open ? 'on' : ''} onClick={() => setOpen(!open)} title="匯出設定">⋯</button></span></div>
+      {open && <div className="co"><label>PNG <select value={options.dpi} onChange={(e) => setOptions({ ...options, dpi: parseInt(e.target.value) })}>{EXPORT_DPI.map(d => <option key={d} value={d}>{d} DPI</option>)}</select></label><label className="ck"><input type="checkbox" checked={options.publication} onChange={(e) => setOptions({ ...options, publication: e.target.checked })} />出版樣式</label><select value={options.font} disabled={!options.publication} onChange={(e) => setOptions({ ...options, font: e.target.value })}>{Object.entries(CHART_FONTS).map(([id, f]) => <option key={id} value={id}>{f.name}</option>)}</select><span className="rn">{options.publication ? `字級 ×${PUBLICATION_SCALE}，不含標題與滑鼠提示線` : '與畫面相同（含標題）'}</span></div>}
+      {error && <p className="hint no">{error}</p>}
+      <div ref={ref}>{children}</div>
+    </div>
+  );
+}
 
-  getAliceConstraintLimit(n) {
-    const base = this.config.linearMultiplier * n;
-    return this.aliceType.id === 'weighted' ? base * 1.5 : base;
-  }
+// ============================================
+// 自訂約束預設（存於 localStorage）
+// ============================================
+const PRESETS_KEY = 'imo2025.constraintPresets';
 
-  getBazzaConstraintValue(moves) {
-    if (moves.length === 0) return 0;
-    switch (this.bazzaType.id) {
-      case 'quartic': return moves.reduce((a, b) => a + Math.pow(b, 4), 0);
-      case 'weighted': return moves.reduce((a, b, i) => a + (1 + 0.05 * i) * b * b, 0);
-      default: return moves.reduce((a, b) => a + b * b, 0);
-    }
+const loadPresets = () => {
+  try {
+    const presets = JSON.parse(localStorage.getItem(PRESETS_KEY));
+    return Array.isArray(presets) ? presets.filter(p => p && typeof p.name === 'string' && !validateConstraintRule(p)) : [];
+  } catch {
+    return [];
   }
+};
 
-  getBazzaConstraintLimit(n) {
-    switch (this.bazzaType.id) {
-      case 'quartic': return n * n;
-      case 'weighted': return n * 1.2;
-      default: return n;
-    }
-  }
+// ============================================
+// 使用者策略（存於 localStorage，只在 worker 中執行）：程式碼 { name, source } 或調校預設 { name, tuning }
+// ============================================
+const STRATEGIES_KEY = 'imo2025.userStrategies';
+// 含使用者策略的任務，單一任務的時間上限（毫秒）
+const STRATEGY_TIMEOUT = 30000;
 
-  getAliceCapacity(moves, n) {
-    return Math.max(0, this.getAliceConstraintLimit(n) - this.getAliceConstraintValue(moves));
+const STRATEGY_TEMPLATE = `// state：{ n, player, moves, lambda, aliceCapacity, bazzaCapacity, maxMove }
+// maxMove 為當前玩家的合法上界；回傳 xₙ，或 { move, reason }
+function move(state) {
+  if (state.player === 'Alice') {
+    return state.n < 21 ? { move: 0, reason: '儲備' } : { move: state.maxMove, reason: '出擊' };
   }
+  return { move: state.maxMove, reason: '補滿上限' };
+}`;
 
-  getBazzaCapacity(moves, n) {
-    const remaining = Math.max(0, this.getBazzaConstraintLimit(n) - this.getBazzaConstraintValue(moves));
-    return this.bazzaType.id === 'quartic' ? (remaining > 0 ? Math.pow(remaining, 0.25) : 0) : Math.sqrt(remaining);
-  }
+// 儲存、連結中的描述轉回策略；不合法時回傳 null
+const userStrategy = (s) => {
+  if (typeof s?.name !== 'string') return null;
+  if (typeof s.source === 'string') return customStrategy(s);
+  if (s.tuning && typeof s.tuning === 'object' && TUNING_PARAMS.every(p => Number.isFinite(s.tuning[p.key]))) return tunedStyle(Object.fromEntries(TUNING_PARAMS.map(p => [p.key, s.tuning[p.key]])), s.name);
+  return null;
+};
+const strategyData = ({ name, source, tuning }) => source !== undefined ? { name, source } : { name, tuning };
+const isUserStrategy = (s) => s.source !== undefined || s.tuning !== undefined;
+const sameStrategy = (a, b) => a.source !== undefined ? a.source === b.source : b.tuning !== undefined && TUNING_PARAMS.every(p => a.tuning[p.key] === b.tuning[p.key]);
 
-  checkAlice(moves, n) {
-    const value = this.getAliceConstraintValue(moves);
-    const limit = this.getAliceConstraintLimit(n);
-    return { valid: value <= limit + EPS, margin: limit - value };
+const loadStrategies = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(STRATEGIES_KEY));
+    return Array.isArray(list) ? list.map(userStrategy).filter(Boolean) : [];
+  } catch {
+    return [];
   }
+};
 
-  checkBazza(moves, n) {
-    const value = this.getBazzaConstraintValue(moves);
-    const limit = this.getBazzaConstraintLimit(n);
-    return { valid: value <= limit + EPS, margin: limit - value };
-  }
-}
+// 任務中的策略：內建策略以 id 傳遞，使用者策略連同程式碼或調校參數傳遞
+const styleSpec = (s) => isUserStrategy(s) ? s : s.id;
+const usesUserStrategy = (task) => [task.aliceStyle, task.bazzaStyle, task.strategy, ...(task.opponents ?? []), ...(task.styles ?? [])].some(s => s && typeof s === 'object');
 
-// ============================================
-// 數學引擎
-// ============================================
-const MathEngine = {
-  cauchySchwarz(x) {
-    const n = x.length;
-    if (n === 0) return { sumX: 0, sumX2: 0, lhs: 0, rhs: 0, ratio: 0, satisfied: true };
-    const sumX = x.reduce((a, b) => a + b, 0);
-    const sumX2 = x.reduce((a, b) => a + b * b, 0);
-    const lhs = sumX * sumX;
-    const rhs = n * sumX2;
-    return { sumX, sumX2, lhs, rhs, ratio: lhs / (rhs + EPS), satisfied: lhs <= rhs + EPS };
-  }
-};
+// 下拉選單的值：內建約束為 id，自訂約束為 custom:名稱
+const constraintKey = (c) => c.id === 'custom' ? `custom:${c.name}` : c.id;
 
-// ============================================
-// 擬合工具
-// ============================================
-const FittingEngine = {
-  // 冪次函數擬合: y = a * |x - c|^b + d
-  // 使用多層網格搜索 + 精細化迭代
-  fitPowerLaw(data, refPoint = CRITICAL_VALUE) {
-    if (data.length < 3) return null;
-    
-    // 分離 Alice 勝和 Bazza 勝的數據
-    const aliceData = data.filter(d => d.winner === 'Alice' && d.lambdaVal > refPoint);
-    const bazzaData = data.filter(d => d.winner === 'Bazza' && d.lambdaVal < refPoint);
-    
-    const fitSide = (pts, sign) => {
-      if (pts.length < 2) return null;
-      
-      // 轉換: x = |λ - λ*|, y = rounds
-      const transformed = pts.map(p => ({
-        x: Math.abs(p.lambdaVal - refPoint),
-        y: p.totalRounds
-      })).filter(p => p.x > 1e-8);
-      
-      if (transformed.length < 2) return null;
-      
-      const minY = Math.min(...transformed.map(p => p.y));
-      const maxY = Math.max(...transformed.map(p => p.y));
-      const minX = Math.min(...transformed.map(p => p.x));
-      const maxX = Math.max(...transformed.map(p => p.x));
-      
-      // 計算誤差函數
-      const calcError = (a, b, d) => {
-        let err = 0;
-        for (const p of transformed) {
-          const pred = a * Math.pow(p.x, b) + d;
-          err += Math.pow(p.y - pred, 2);
-        }
-        return Math.sqrt(err / transformed.length);
-      };
-      
-      let bestFit = { error: Infinity };
-      
-      // 第一層：粗略網格搜索
-      const dValues = [0, minY * 0.2, minY * 0.5, minY * 0.8];
-      for (const d of dValues) {
-        for (let b = -3; b <= 0.5; b += 0.2) {
-          // 用數據估算 a
-          let sumNum = 0, sumDen = 0;
-          for (const p of transformed) {
-            const xb = Math.pow(p.x, b);
-            if (isFinite(xb)) {
-              sumNum += (p.y - d) * xb;
-              sumDen += xb * xb;
-            }
-          }
-          const a = sumDen > 0 ? sumNum / sumDen : 1;
-          if (a <= 0) continue;
-          
-          const error = calcError(a, b, d);
-          if (error < bestFit.error) {
-            bestFit = { a, b, d, error, sign };
-          }
-        }
-      }
-      
-      if (bestFit.error === Infinity) return null;
-      
-      // 第二層：精細化搜索
-      const refineParam = (param, range, steps) => {
-        const base = bestFit[param];
-        let bestVal = base;
-        let bestErr = bestFit.error;
-        
-        for (let i = 0; i <= steps; i++) {
-          const delta = -range + (2 * range * i / steps);
-          const testVal = base + delta;
-          const testParams = { ...bestFit, [param]: testVal };
-          
-          // 重新優化 a
-          if (param !== 'a') {
-            let sumNum = 0, sumDen = 0;
-            for (const p of transformed) {
-              const xb = Math.pow(p.x, testParams.b);
-              if (isFinite(xb)) {
-                sumNum += (p.y - testParams.d) * xb;
-                sumDen += xb * xb;
-              }
-            }
-            testParams.a = sumDen > 0 ? Math.max(0.001, sumNum / sumDen) : testParams.a;
-          }
-          
-          const err = calcError(testParams.a, testParams.b, testParams.d);
-          if (err < bestErr) {
-            bestErr = err;
-            bestVal = testVal;
-            if (param !== 'a') bestFit.a = testParams.a;
-          }
-        }
-        bestFit[param] = bestVal;
-        bestFit.error = bestErr;
-      };
-      
-      // 多輪精細化
-      for (let round = 0; round < 5; round++) {
-        const scale = Math.pow(0.5, round);
-        refineParam('b', 0.5 * scale, 30);
-        refineParam('d', (maxY - minY) * 0.3 * scale, 30);
-        refineParam('a', bestFit.a * 0.3 * scale, 30);
-      }
-      
-      // 最終超精細搜索
-      for (let round = 0; round < 3; round++) {
-        refineParam('b', 0.02, 50);
-        refineParam('d', Math.max(0.5, minY * 0.05), 50);
-        refineParam('a', bestFit.a * 0.02, 50);
-      }
-      
-      // 計算 R²
-      const yMean = transformed.reduce((a, p) => a + p.y, 0) / transformed.length;
-      let ssTot = 0, ssRes = 0;
-      for (const p of transformed) {
-        ssTot += Math.pow(p.y - yMean, 2);
-        const pred = bestFit.a * Math.pow(p.x, bestFit.b) + bestFit.d;
-        ssRes += Math.pow(p.y - pred, 2);
-      }
-      bestFit.r2 = Math.max(0, 1 - ssRes / (ssTot + EPS));
-      bestFit.n = transformed.length;
-      
-      return bestFit;
-    };
-    
-    const aliceFit = fitSide(aliceData, 1);
-    const bazzaFit = fitSide(bazzaData, -1);
-    
-    return { alice: aliceFit, bazza: bazzaFit, refPoint };
-  },
-  
-  // 生成擬合曲線數據
-  generateFitCurve(fit, start, end, steps = 80) {
-    if (!fit) return [];
-    const points = [];
-    const step = (end - start) / steps;
-    for (let x = start; x <= end; x += step) {
-      const delta = Math.abs(x - CRITICAL_VALUE);
-      if (delta > 1e-8) {
-        const y = fit.a * Math.pow(delta, fit.b) + fit.d;
-        if (isFinite(y) && y > 0) {
-          points.push({ lambdaVal: x, fitted: y });
-        }
-      }
-    }
-    return points;
-  },
-  
-  // 格式化擬合結果為公式字符串
-  formatFormula(fit, side) {
-    if (!fit) return '無法擬合';
-    const bStr = fit.b.toFixed(6);
-    const aStr = fit.a.toFixed(6);
-    const dStr = fit.d.toFixed(4);
-    return `n ≈ ${aStr} × |λ − λ*|^(${bStr}) + ${dStr}`;
+// 預覽用：逐點求值，失敗時回傳 null
+const previewExpression = (src, variables, rows) => {
+  try {
+    const expr = compileExpression(src, variables);
+    return rows.map(vars => expr.evaluate(DoubleArithmetic, vars));
+  } catch {
+    return null;
   }
 };
 
 // ============================================
-// 遊戲引擎
+// 分享連結
 // ============================================
-class GameEngine {
-  constructor(config, options = {}) {
-    this.config = config;
-    this.aliceStyle = options.aliceStyle || PlayerStyle.OPTIMAL;
-    this.bazzaStyle = options.bazzaStyle || PlayerStyle.OPTIMAL;
-    this.aliceConstraint = options.aliceConstraint || ConstraintType.STANDARD;
-    this.bazzaConstraint = options.bazzaConstraint || ConstraintType.STANDARD;
-    this.maxRounds = options.maxRounds || 100;
-    this.checker = new ConstraintChecker(this.aliceConstraint, this.bazzaConstraint, config);
-  }
+// 引擎原始碼的雜湊於建置時計算（見 vite.config.js）
+const ENGINE_HASH = __ENGINE_HASH__;
 
-  aliceMove(moves, n) {
-    const capacity = this.checker.getAliceCapacity(moves, n);
-    if (capacity <= EPS) return { move: 0, reason: '容量耗盡' };
-
-    switch (this.aliceStyle.id) {
-      case 'conservative': return { move: 0, reason: '保守策略：選擇 0' };
-      case 'aggressive': return { move: Math.min(capacity * 0.95, Math.sqrt(2) * 0.9), reason: '激進策略' };
-      case 'balanced': return { move: Math.min(capacity * 0.3, 0.7), reason: '平衡策略' };
-      case 'adaptive': {
-        if (n < 10) return { move: 0, reason: '適應策略：早期觀察' };
-        const bazzaMoves = moves.filter((_, i) => i % 2 === 1);
-        const bazzaAvg = bazzaMoves.length > 0 ? bazzaMoves.reduce((a, b) => a + b, 0) / bazzaMoves.length : 0;
-        return { move: Math.min(capacity * 0.6, bazzaAvg + 0.1), reason: '適應策略' };
-      }
-      default:
-        if (this.config.isAboveCritical) {
-          const bazzaMoves = moves.filter((_, i) => i % 2 === 1);
-          const bazzaSumSq = bazzaMoves.reduce((a, b) => a + b * b, 0);
-          if (n < 2 * this.config.strikeRound + 1) {
-            return { move: 0, reason: `儲備階段 (等待第 ${2 * this.config.strikeRound + 1} 回合)` };
-          }
-          const remainingForBazza = (n + 1) - bazzaSumSq;
-          if (remainingForBazza > 0) {
-            const targetX = Math.sqrt(remainingForBazza + 0.5);
-            const strikeValue = Math.min(targetX * this.config.aliceAggression, capacity * this.config.aliceAggression);
-            if (strikeValue > this.config.reserveThreshold) return { move: strikeValue, reason: '致命一擊' };
-          }
-          return { move: 0, reason: '繼續等待' };
-        } else if (this.config.isBelowCritical) {
-          return { move: 0, reason: 'λ < λ*，保守策略' };
-        }
-        return { move: Math.min(capacity * this.config.aliceAggression, CRITICAL_VALUE), reason: '平衡策略' };
-    }
-  }
+const initialLink = typeof window === 'undefined' ? null : decodeLink(window.location.search, ENGINE_HASH);
 
-  bazzaMove(moves, n) {
-    const capacity = this.checker.getBazzaCapacity(moves, n);
-    if (capacity <= EPS) return { move: 0, reason: '容量耗盡' };
-
-    const lastAlice = moves.length > 0 && moves.length % 2 === 1 ? moves[moves.length - 1] : 0;
-    const theoreticalMax = Math.sqrt(Math.max(0, 2 - lastAlice * lastAlice));
-
-    switch (this.bazzaStyle.id) {
-      case 'conservative': return { move: Math.min(capacity * 0.3, 0.5), reason: '保守策略' };
-      case 'aggressive': return { move: Math.min(capacity * 0.9, theoreticalMax * 0.9), reason: '激進策略' };
-      case 'balanced': return { move: Math.min(capacity * 0.7, capacity * 0.7), reason: '平衡策略' };
-      case 'adaptive': {
-        const aliceMoves = moves.filter((_, i) => i % 2 === 0);
-        const aliceNonZero = aliceMoves.filter(m => m > 0.1);
-        if (aliceNonZero.length > 0) return { move: Math.min(capacity * 0.9, theoreticalMax * 0.9), reason: '適應策略：加速' };
-        return { move: Math.min(capacity * 0.6, theoreticalMax * 0.6), reason: '適應策略' };
-      }
-      default:
-        return { move: Math.min(capacity * this.config.bazzaAggression, theoreticalMax * this.config.bazzaAggression), reason: '最大化策略' };
-    }
-  }
+const TABS = [{ id: 'simulation', label: '模擬分析' }, { id: 'play', label: '對局練習' }, { id: 'batch', label: '批次掃描' }, { id: 'critical', label: '臨界值分析' }, { id: 'comparison', label: '策略對比' }, { id: 'solver', label: '博弈樹求解' }, { id: 'optimizer', label: '參數調校' }, { id: 'constraints', label: '約束編輯' }, { id: 'strategies', label: '策略編輯' }, { id: 'history', label: '實驗紀錄' }, { id: 'theory', label: '理論說明' }];
 
-  play() {
-    const moves = [];
-    const moveDetails = [];
-    let n = 0;
-    let criticalRound = 0;
-
-    while (n < this.maxRounds) {
-      n++;
-      const isAliceTurn = n % 2 === 1;
-
-      if (isAliceTurn) {
-        const { move, reason } = this.aliceMove(moves, n);
-        const tempMoves = [...moves, move];
-        const { valid, margin } = this.checker.checkAlice(tempMoves, n);
-        if (!valid) {
-          moveDetails.push(this.createDetail(n, 'Alice', move, tempMoves, reason, true));
-          return this.createResult('Bazza', n, tempMoves, moveDetails, `Alice 於第 ${n} 回合違反約束`, criticalRound);
-        }
-        moves.push(move);
-        if (move > 0.5 && criticalRound === 0) criticalRound = n;
-        moveDetails.push(this.createDetail(n, 'Alice', move, moves, reason, move > 0.5));
-      } else {
-        const { move, reason } = this.bazzaMove(moves, n);
-        const tempMoves = [...moves, move];
-        const { valid } = this.checker.checkBazza(tempMoves, n);
-        if (!valid) {
-          moveDetails.push(this.createDetail(n, 'Bazza', move, tempMoves, reason, true));
-          return this.createResult('Alice', n, tempMoves, moveDetails, `Bazza 於第 ${n} 回合違反約束`, criticalRound);
-        }
-        moves.push(move);
-        moveDetails.push(this.createDetail(n, 'Bazza', move, moves, reason, false));
-      }
-    }
-    return this.createResult('Draw', n, moves, moveDetails, '達到最大回合數', criticalRound);
-  }
+// 錦標賽中雙方共用的約束（一般冪次約束需另外指定指數，不列入）
+const TOURNAMENT_CONSTRAINTS = Object.values(ConstraintType).filter(c => c.id !== 'power');
 
-  createDetail(n, player, move, moves, reason, isCritical) {
-    return {
-      round: n, player, move,
-      sumLinear: moves.reduce((a, b) => a + b, 0),
-      sumSquare: moves.reduce((a, b) => a + b * b, 0),
-      sumCube: moves.reduce((a, b) => a + b * b * b, 0),
-      sumQuartic: moves.reduce((a, b) => a + b * b * b * b, 0),
-      aliceCapacity: this.checker.getAliceCapacity(moves, n),
-      bazzaCapacity: this.checker.getBazzaCapacity(moves, n),
-      linearLimit: this.config.linearMultiplier * n,
-      quadLimit: n, reason, isCritical
-    };
-  }
+// 回合數熱圖：色相依勝者（Alice 紅、Bazza 藍，和局灰），越早分出勝負顏色越深
+const roundsColor = (g, maxRounds) => g.winner === 'Draw' ? '#f0f0f0' : `hsl(${g.winner === 'Alice' ? 0 : 230}, 70%, ${Math.round(55 + 40 * Math.min(1, g.totalRounds / maxRounds))}%)`;
 
-  createResult(winner, rounds, moves, details, reason, criticalRound) {
-    const prediction = this.config.getPredictedWinner();
-    return {
-      winner, totalRounds: rounds, moves, moveDetails: details, winningReason: reason,
-      theoreticalPrediction: prediction,
-      matchTheory: winner === prediction || (prediction === 'Balance' && winner === 'Draw'),
-      criticalRound, lambdaVal: this.config.lambdaVal,
-      aliceStyle: this.aliceStyle, bazzaStyle: this.bazzaStyle,
-      aliceConstraint: this.aliceConstraint, bazzaConstraint: this.bazzaConstraint
-    };
+// 連結帶入的策略或約束與本機同名但內容不同時，改名為「名稱（連結）」而不覆寫本機版本
+const linkedName = (list, name, sameContent) => {
+  let candidate = name;
+  for (;;) {
+    const existing = list.find(x => x.name === candidate);
+    if (!existing || sameContent(existing)) return candidate;
+    candidate = `${candidate}（連結）`;
   }
-}
+};
 
 // ============================================
-// 導出功能
+// 實驗紀錄
 // ============================================
-const exportCSV = (result) => {
-  if (!result) return;
-  const headers = ['回合', '玩家', 'xₙ', 'Σxᵢ', 'Σxᵢ²', 'Alice容量', 'Bazza容量', '策略'];
-  const rows = result.moveDetails.map(d => [d.round, d.player, d.move.toFixed(6), d.sumLinear.toFixed(6), d.sumSquare.toFixed(6), d.aliceCapacity.toFixed(6), d.bazzaCapacity.toFixed(6), d.reason]);
-  const csv = [headers, ...rows].map(r => r.join(',')).join('\n');
-  const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
-  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
-  a.download = `imo2025_lambda${result.lambdaVal.toFixed(4)}.csv`; a.click();
+// 列表中的一行摘要
+const runSummary = (run) => {
+  const s = run.summary;
+  const text = isScan(run) ? `${s.points} 點 · Alice ${s.Alice} / Bazza ${s.Bazza} / 和局 ${s.Draw}` : {
+    simulation: () => `${s.winner} · ${s.totalRounds} 回合`,
+    montecarlo: () => `${s.points} 個 λ · 共 ${s.games} 局`,
+    estimate: () => s.estimate === null ? '無估計值' : `λ̂ = ${s.estimate.toFixed(6)}（上限 ${s.maxRounds}）`,
+    solver: () => `${s.points} 個 λ · ${s.horizon} 回合內 Alice ${s.Alice} / Bazza ${s.Bazza} / 無法逼勝 ${s.Draw}${s.exceeded ? ` / 超出預算 ${s.exceeded}` : ''}`,
+    tournament: () => `${s.points} 個 λ × ${s.constraints.join('、')} · ${s.games} 局 · 最佳 Alice ${s.leaders.Alice ?? '—'}／Bazza ${s.leaders.Bazza ?? '—'}`,
+    adversarial: () => `${s.points} 個 λ · 反例 ${s.counterexamples}${s.inconclusive ? ` / 無法判定 ${s.inconclusive}` : ''}${s.skipped ? ` / 略過 ${s.skipped}` : ''}`,
+    tuning: () => s.bestCost === null ? `${s.runs} 次演化` : `${s.runs} 次演化 · 目標值 ${s.baselineCost.toFixed(2)} → ${s.bestCost.toFixed(2)}`
+  }[run.kind]?.() ?? `${s.points} 筆`;
+  return run.cancelled ? `${text}（已取消）` : text;
 };
 
-const exportJSON = (result) => {
-  if (!result) return;
-  const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
-  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
-  a.download = `imo2025_lambda${result.lambdaVal.toFixed(4)}.json`; a.click();
+// 掃描紀錄的回合上限與約束（疊加比較時標示設定差異）
+const runRoundLimit = (run) => run.kind === RunKind.CRITICAL.id ? run.config.critical?.rounds : run.config.batch?.rounds;
+const configConstraint = (c) => c?.id === 'custom' ? c.name : Object.values(ConstraintType).find(t => t.id === c)?.name ?? '—';
+
+// 求解結果與同一 λ 的批次掃描（最優型對局）比較：必勝方須與對局勝者相同；
+// 求解為無法逼勝時，對局在 horizon 回合內未分勝負才算一致。沒有對應的掃描點回傳 null
+const solverAgreement = (r, game) => {
+  if (!game || r.exceeded) return null;
+  if (r.winner !== 'Draw') return game.winner === r.winner;
+  return game.winner === 'Draw' || game.totalRounds > r.horizon;
 };
 
+const OVERLAY_COLORS = ['#8B0000', '#00008B', '#228B22', '#B8860B', '#6A1B9A', '#00838F', '#E67E22', '#555'];
+
 // ============================================
 // 主應用
 // ============================================
@@ -482,6 +207,8 @@ export default function App() {
   const [bazzaStyle, setBazzaStyle] = useState(PlayerStyle.OPTIMAL);
   const [aliceConstraint, setAliceConstraint] = useState(ConstraintType.STANDARD);
   const [bazzaConstraint, setBazzaConstraint] = useState(ConstraintType.STANDARD);
+  const [alicePower, setAlicePower] = useState({ exponent: 1, growth: 1 });
+  const [bazzaPower, setBazzaPower] = useState({ exponent: 2, growth: 1 });
   const [result, setResult] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
   const [activeTab, setActiveTab] = useState('simulation');
@@ -491,6 +218,12 @@ export default function App() {
   const [batchRounds, setBatchRounds] = useState(100);
   const [scanRounds, setScanRounds] = useState(150);
   const [compRounds, setCompRounds] = useState(100);
+  const [comparisonMode, setComparisonMode] = useState('matrix');
+  const [adversary, setAdversary] = useState({ start: 0.6, end: 0.8, step: 0.05, method: SearchMethod.HILL.id, iterations: 300 });
+  const [adversarialResults, setAdversarialResults] = useState([]);
+  const [tournament, setTournament] = useState({ start: TOURNAMENT_DEFAULTS.start, end: TOURNAMENT_DEFAULTS.end, step: TOURNAMENT_DEFAULTS.step, constraints: TOURNAMENT_DEFAULTS.constraints });
+  const [tournamentResults, setTournamentResults] = useState([]);
+  const [tournamentView, setTournamentView] = useState({ constraint: 'all', metric: 'winner' });
   const [batchStart, setBatchStart] = useState(0.55);
   const [batchEnd, setBatchEnd] = useState(0.85);
   const [batchStep, setBatchStep] = useState(0.01);
@@ -498,66 +231,715 @@ export default function App() {
   const [scanStep, setScanStep] = useState(0.001);
   const [fitResult, setFitResult] = useState(null);
   const [scanFitResult, setScanFitResult] = useState(null);
+  const [criticalMode, setCriticalMode] = useState('scan');
+  const [batchMode, setBatchMode] = useState('scan');
+  const [noise, setNoise] = useState({ alice: 0, bazza: 0 });
+  const [seed, setSeed] = useState(0);
+  const [mcGames, setMcGames] = useState(200);
+  const [mcResults, setMcResults] = useState([]);
+  const [replayRound, setReplayRound] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(300);
+  const [branchDraft, setBranchDraft] = useState({ aliceStyle: PlayerStyle.OPTIMAL.id, bazzaStyle: PlayerStyle.OPTIMAL.id, manual: '' });
+  const [branch, setBranch] = useState(null);
+  const [link, setLink] = useState(initialLink);
+  const [copied, setCopied] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+  const chartOptions = useState(defaultChartOptions);
+  const importRef = useRef(null);
+  const historyRef = useRef(null);
+  const [runs, setRuns] = useState([]);
+  const [historyError, setHistoryError] = useState(null);
+  const [historyQuery, setHistoryQuery] = useState('');
+  const [runDraft, setRunDraft] = useState(null);
+  const [overlay, setOverlay] = useState([]);
+  const [estLo, setEstLo] = useState(0.3);
+  const [estHi, setEstHi] = useState(1.5);
+  const [estTolerance, setEstTolerance] = useState(1e-6);
+  const [estRounds, setEstRounds] = useState('50, 100, 200, 400, 800');
+  const [estResults, setEstResults] = useState([]);
+  const [solver, setSolver] = useState({ start: 0.5, end: 1, step: 0.05, horizon: 8, grid: 5, maxNodes: 200000 });
+  const [solverResults, setSolverResults] = useState([]);
+  const [tuning, setTuning] = useState({ start: TUNING_DEFAULTS.start, end: TUNING_DEFAULTS.end, step: TUNING_DEFAULTS.step, objective: TUNING_DEFAULTS.objective, population: TUNING_DEFAULTS.population, generations: TUNING_DEFAULTS.generations, runs: TUNING_DEFAULTS.runs, rounds: TUNING_DEFAULTS.maxRounds, opponents: Object.values(PlayerStyle).map(s => s.id) });
+  const [tuningResults, setTuningResults] = useState([]);
+  const [tuningName, setTuningName] = useState('');
+  const [strictRules, setStrictRules] = useState(false);
+  const [precision, setPrecision] = useState(NumericPrecision.DOUBLE);
+  const [progress, setProgress] = useState(null);
+  const [jobError, setJobError] = useState(null);
+  const poolRef = useRef(null);
+  const jobRef = useRef(null);
+  const [playSeat, setPlaySeat] = useState('alice');
+  const [playOpponent, setPlayOpponent] = useState(PlayerStyle.OPTIMAL);
+  const [playGame, setPlayGame] = useState(null);
+  const [playState, setPlayState] = useState(null);
+  const [playInput, setPlayInput] = useState('0');
+  const [presets, setPresets] = useState(loadPresets);
+  const [userStrategies, setUserStrategies] = useState(loadStrategies);
+  const [strategyDraft, setStrategyDraft] = useState({ name: '', source: STRATEGY_TEMPLATE });
+  const [strategyCheck, setStrategyCheck] = useState(null);
+  const [draft, setDraft] = useState({ name: '', weight: '1 + 0.1*(i - 1)', exponent: 1, limit: 'λ*n*1.5' });
 
   const config = useMemo(() => new LambdaConfig(lambda), [lambda]);
+  // 一般冪次約束帶上使用者設定的指數與增長
+  const aliceRule = useMemo(() => aliceConstraint.id === 'power' ? powerConstraint(alicePower.exponent, alicePower.growth) : aliceConstraint, [aliceConstraint, alicePower]);
+  const bazzaRule = useMemo(() => bazzaConstraint.id === 'power' ? powerConstraint(bazzaPower.exponent, bazzaPower.growth) : bazzaConstraint, [bazzaConstraint, bazzaPower]);
+  const theory = useMemo(() => MathEngine.familyCritical(aliceRule, bazzaRule), [aliceRule, bazzaRule]);
+  const criticalCenter = theory?.value ?? CRITICAL_VALUE;
+  const predicted = useMemo(() => new GameEngine(config, { aliceConstraint: aliceRule, bazzaConstraint: bazzaRule }).predictWinner(), [config, aliceRule, bazzaRule]);
+  const scanDigits = Math.max(3, Math.ceil(-Math.log10(scanRange)) + 1);
+  // 圖表的 λ* 參考線以結果記錄的理論臨界值為準（重開或匯入的結果可能與目前的約束不同）
+  const batchCenter = useMemo(() => batchResults.length ? FittingEngine.scanCenter(batchResults) : criticalCenter, [batchResults, criticalCenter]);
+  const scanCenter = useMemo(() => scanResults.length ? FittingEngine.scanCenter(scanResults) : criticalCenter, [scanResults, criticalCenter]);
+  const draftError = useMemo(() => validateConstraintRule(draft), [draft]);
+  const allStyles = useMemo(() => [...Object.values(PlayerStyle), ...userStrategies], [userStrategies]);
+
+  // 目前的完整設定（寫入網址）；只附上用到的使用者策略，策略對比則附上全部，參數調校附上對手池中的
+  const linkConfig = useMemo(() => {
+    const side = (style, constraint, power) => ({ style: style.id, constraint: constraint.id === 'custom' ? constraint : constraint.id, power });
+    const used = activeTab === 'comparison' ? userStrategies : activeTab === 'optimizer' ? userStrategies.filter(s => tuning.opponents.includes(s.id)) : [aliceStyle, bazzaStyle].filter(isUserStrategy);
+    return {
+      tab: activeTab, lambda, maxRounds, strictRules, precision: precision.id, noise, seed,
+      alice: side(aliceStyle, aliceConstraint, alicePower), bazza: side(bazzaStyle, bazzaConstraint, bazzaPower),
+      batch: { mode: batchMode, start: batchStart, end: batchEnd, step: batchStep, rounds: batchRounds, games: mcGames },
+      critical: { mode: criticalMode, range: scanRange, step: scanStep, rounds: scanRounds, lo: estLo, hi: estHi, tolerance: estTolerance, estimateRounds: estRounds },
+      comparison: { mode: comparisonMode, rounds: compRounds },
+      solver, adversary, tournament, tuning,
+      play: { seat: playSeat, opponent: playOpponent.id },
+      strategies: [...new Map(used.map(s => [s.id, strategyData(s)])).values()]
+    };
+  }, [activeTab, lambda, maxRounds, strictRules, precision, noise, seed, aliceStyle, bazzaStyle, aliceConstraint, bazzaConstraint, alicePower, bazzaPower, batchMode, batchStart, batchEnd, batchStep, batchRounds, mcGames, criticalMode, scanRange, scanStep, scanRounds, estLo, estHi, estTolerance, estRounds, compRounds, comparisonMode, solver, adversary, tournament, tuning, playSeat, playOpponent, userStrategies]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    } catch {
+      // 隱私模式等無法寫入時僅保留於本次工作階段
+    }
+  }, [presets]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(STRATEGIES_KEY, JSON.stringify(userStrategies.map(strategyData)));
+    } catch {
+      // 同上
+    }
+  }, [userStrategies]);
+
+  useEffect(() => {
+    poolRef.current = new WorkerPool();
+    return () => poolRef.current.terminate();
+  }, []);
+
+  useEffect(() => {
+    let closed = false;
+    RunHistory.open().then(history => {
+      // 開啟前元件已卸載（StrictMode 重複掛載）時直接關閉
+      if (closed) return history.close();
+      historyRef.current = history;
+      return history.list().then(setRuns);
+    }).catch(err => setHistoryError(err.message));
+    return () => {
+      closed = true;
+      historyRef.current?.close();
+      historyRef.current = null;
+    };
+  }, []);
+
+  // 在 worker 池中執行任務，串流部分結果並可隨時取消
+  const runJob = useCallback((tasks, onPartial, onDone) => {
+    setIsRunning(true);
+    setJobError(null);
+    setProgress({ done: 0, total: tasks.length });
+    const job = poolRef.current.run(tasks, (done, total, partial) => {
+      setProgress({ done, total });
+      onPartial(partial);
+    }, { timeout: tasks.some(usesUserStrategy) ? STRATEGY_TIMEOUT : undefined });
+    jobRef.current = job;
+    job.promise
+      .then(({ results, cancelled }) => onDone(results, cancelled))
+      .catch(err => setJobError(err.message))
+      .finally(() => {
+        // onDone 可能接著開始下一個任務（例如擬合），此時保留其狀態
+        if (jobRef.current !== job) return;
+        jobRef.current = null;
+        setProgress(null);
+        setIsRunning(false);
+      });
+  }, []);
+
+  const cancelJob = useCallback(() => jobRef.current?.cancel(), []);
+
+  // 掃描結果的擬合也在 worker 中執行，完成（或取消）後呼叫 then
+  const runFit = useCallback((results, setFit, then) => {
+    setFit(null);
+    runJob(Experiments.fitTasks(results), () => {}, ([fit], cancelled) => {
+      if (!cancelled) setFit(fit ?? null);
+      then?.();
+    });
+  }, [runJob]);
+
+  // 自動存入實驗紀錄；config 為開始執行時的設定
+  const saveRun = useCallback((kind, config, results, cancelled = false) => {
+    if (!historyRef.current || results.length === 0) return;
+    historyRef.current.record({ kind, config, results, engine: ENGINE_HASH, cancelled })
+      .then(run => setRuns(list => [run, ...list]))
+      .catch(err => setHistoryError(err.message));
+  }, []);
 
   const runSimulation = useCallback(() => {
+    // 使用者策略只在 worker 中執行
+    if (aliceStyle.source !== undefined || bazzaStyle.source !== undefined) {
+      runJob([{ lambdaVal: lambda, aliceStyle: styleSpec(aliceStyle), bazzaStyle: styleSpec(bazzaStyle), aliceConstraint: aliceRule, bazzaConstraint: bazzaRule, maxRounds, strictRules, precision: precision.id, noise, seed }], () => {}, (results) => {
+        if (!results[0]) return;
+        setResult(results[0]);
+        saveRun(RunKind.SIMULATION.id, linkConfig, results);
+      });
+      return;
+    }
     setIsRunning(true);
     setTimeout(() => {
-      const engine = new GameEngine(new LambdaConfig(lambda), { aliceStyle, bazzaStyle, aliceConstraint, bazzaConstraint, maxRounds });
-      setResult(engine.play());
+      const engine = new GameEngine(new LambdaConfig(lambda), { aliceStyle, bazzaStyle, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule, maxRounds, strictRules, precision, noise, seed });
+      const r = engine.play();
+      setResult(r);
+      saveRun(RunKind.SIMULATION.id, linkConfig, [r]);
       setIsRunning(false);
     }, 50);
-  }, [lambda, maxRounds, aliceStyle, bazzaStyle, aliceConstraint, bazzaConstraint]);
+  }, [runJob, saveRun, linkConfig, lambda, maxRounds, aliceStyle, bazzaStyle, aliceRule, bazzaRule, strictRules, precision, noise, seed]);
+
+  const powerFields = (player, value, setValue) => <div className="field"><label>{player} 指數 {player === 'Alice' ? 'p' : 'q'}／增長 {player === 'Alice' ? 'a' : 'b'}</label><div className="row"><input type="number" step="0.5" min="0.1" value={value.exponent} onChange={(e) => setValue({ ...value, exponent: Math.max(0.1, parseFloat(e.target.value) || 1) })} /><input type="number" step="0.5" min="0.1" value={value.growth} onChange={(e) => setValue({ ...value, growth: Math.max(0.1, parseFloat(e.target.value) || 1) })} /></div><span className="hint">{player === 'Alice' ? `∑xᵢ^${value.exponent} ≤ λ·n^${value.growth}` : `∑xᵢ^${value.exponent} ≤ n^${value.growth}`}</span></div>;
+
+  // 擾動強度與亂數種子（模擬與蒙地卡羅共用）
+  const noiseFields = () => (<>
+    <div className="field"><label>擾動 σ（Alice／Bazza）</label><div className="row"><input type="number" step="0.05" min="0" max="2" value={noise.alice} onChange={(e) => setNoise({ ...noise, alice: Math.max(0, parseFloat(e.target.value) || 0) })} /><input type="number" step="0.05" min="0" max="2" value={noise.bazza} onChange={(e) => setNoise({ ...noise, bazza: Math.max(0, parseFloat(e.target.value) || 0) })} /></div></div>
+    <div className="field"><label>亂數種子</label><input type="number" step="1" min="0" value={seed} onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value) || 0))} /></div>
+  </>);
+
+  // 掃描結果的匯出：CSV、JSON（可再匯入）、LaTeX 表格、pgfplots 圖與擬合。設定以結果本身為準，
+  // 匯入的 CSV 缺少時才用目前的值
+  const scanExports = (type, results, fit, range, rounds) => {
+    const [r] = results;
+    const params = { ...range, maxRounds: r.maxRounds ?? rounds, strictRules: r.strictRules ?? strictRules, precision: r.precision.id, aliceConstraint: r.aliceConstraint ?? aliceRule, bazzaConstraint: r.bazzaConstraint ?? bazzaRule };
+    const base = `imo2025_${type}`;
+    return <div className="exp"><button onClick={() => download(`${base}.csv`, Formats.scanCSV(results))}>CSV</button><button onClick={() => download(`${base}.json`, JSON.stringify(Formats.scanJSON(type, params, results, fit), null, 2))}>JSON</button><button onClick={() => download(`${base}_table.tex`, Formats.scanLaTeX(results))}>LaTeX 表格</button><button onClick={() => download(`${base}_plot.tex`, Formats.scanPgfplots(results, fit))}>pgfplots</button>{fit && (<><button onClick={() => download(`${base}_fit.csv`, Formats.fitCSV(fit))}>擬合 CSV</button><button onClick={() => download(`${base}_fit.json`, JSON.stringify(fit, null, 2))}>擬合 JSON</button><button onClick={() => download(`${base}_fit.tex`, Formats.fitLaTeX(fit))}>擬合 LaTeX</button><button onClick={() => download(`${base}_residuals.csv`, Formats.residualCSV(fit))}>殘差 CSV</button>{fit.models && <button onClick={() => download(`${base}_models.csv`, Formats.modelCSV(fit))}>模型比較 CSV</button>}</>)}</div>;
+  };
+
+  // 每側 AIC 最佳與次佳模型的曲線
+  const modelLines = (fit, aliceRange, bazzaRange) => fit?.models ? [['Alice', 1, '#8B0000', aliceRange], ['Bazza', -1, '#00008B', bazzaRange]].flatMap(([side, sign, color, [start, end]]) => (fit.models[side.toLowerCase()] ?? []).slice(0, 2).map((m, i) => <Line key={`${side}-${m.model}`} data={FittingEngine.generateModelCurve(m, sign, start, end, fit.refPoint)} type="monotone" dataKey="fitted" stroke={color} strokeWidth={i === 0 ? 2 : 1.5} strokeOpacity={i === 0 ? 1 : 0.55} strokeDasharray={i === 0 ? '5 5' : '2 3'} dot={false} name={`${side}：${m.name}（${i === 0 ? 'AIC 最佳' : '次佳'}）`} />)) : [];
+
+  // 候選模型比較表與自由中心 c 的檢定
+  const modelTable = (side, list, refPoint) => {
+    const center = FittingEngine.centerTest(list, refPoint);
+    return (
+      <div key={side} className="fit-card">
+        <div className="fit-title">{side}</div>
+        <table className="fit-table"><thead><tr><th>AIC</th><th>模型</th><th>參數</th><th>ΔAIC</th><th>權重</th><th>BIC</th><th>CV RMSE</th></tr></thead><tbody>{list.map((e, i) => <tr key={e.model} className={i === 0 ? 'cr' : ''} title={e.formula}><td>{e.aicRank}</td><td>{e.name}{e.converged ? '' : '（未收斂）'}</td><td>{FittingEngine.formatModelParams(e)}</td><td>{e.deltaAIC.toFixed(2)}</td><td>{e.weight.toFixed(3)}</td><td>{e.bic.toFixed(2)}（{e.bicRank}）</td><td>{isFinite(e.cv) ? e.cv.toFixed(4) : '—'}（{e.cvRank}）</td></tr>)}</tbody></table>
+        {center && <div className={`fit-check ${center.consistent === null ? '' : center.consistent ? 'ok' : 'no'}`}>自由中心 <i>c</i> = {center.c.toFixed(8)}{center.se !== null && ` ± ${center.se.toPrecision(2)}`}，<i>c</i> − <i>λ</i>* = {center.delta.toExponential(2)}{center.z !== null && `（${center.z.toFixed(2)} 個標準誤）`}{center.consistent !== null && (center.consistent ? <> ✓ 與 <i>λ</i>* 一致</> : <> ✗ 與 <i>λ</i>* 不一致</>)}</div>}
+      </div>
+    );
+  };
+
+  // 擬合結果：兩側的參數（標準誤與 bootstrap 95% 信賴區間）與擬合曲線下方的殘差圖
+  const fitPanel = (fit, heading, file, domain) => {
+    const card = (f, title) => (
+      <div className="fit-card">
+        <div className="fit-title">{title}</div>
+        {f ? (<>
+          <div className="fit-formula">{FittingEngine.formatFormula(f)}</div>
+          <table className="fit-table"><thead><tr><th></th><th>估計值</th><th>標準誤</th><th>95% 信賴區間</th></tr></thead><tbody>{['a', 'b', 'd'].map(k => <tr key={k}><td><i>{k}</i></td><td>{f[k].toFixed(6)}</td><td>{f.se ? f.se[k].toPrecision(3) : '—'}</td><td>{f.ci ? `[${f.ci[k].map(v => v.toPrecision(5)).join(', ')}]` : '—'}</td></tr>)}</tbody></table>
+          {f.ci && <div className={`fit-check ${f.ci.b[0] <= -2 && -2 <= f.ci.b[1] ? 'ok' : 'no'}`}>{f.ci.b[0] <= -2 && -2 <= f.ci.b[1] ? '✓ b = −2 落在 95% 信賴區間內' : '✗ b = −2 不在 95% 信賴區間內'}</div>}
+          <div className="fit-stats">
+            <span>R² = {f.r2.toFixed(6)}</span>
+            <span>RMSE = {f.error.toFixed(4)}</span>
+            <span>n = {f.n}</span>
+            <span>{f.converged ? `${f.iterations} 次迭代收斂` : `${f.iterations} 次迭代未收斂`}</span>
+          </div>
+        </>) : <div className="fit-na">數據不足（至少需要 3 個不同的 λ）</div>}
+      </div>
+    );
+    return (
+      <div className="fit-box">
+        <h3>{heading}</h3>
+        <p className="fit-desc">擬合形式：<i>n</i> = <i>a</i> × |<i>λ</i> − <i>λ</i>*|<sup><i>b</i></sup> + <i>d</i>（<i>λ</i>* = {fit.refPoint.toFixed(6)}），以 Levenberg–Marquardt 求非線性最小平方解</p>
+        <div className="fit-grid">{card(fit.alice, <>Alice 勝利區域 (<i>λ</i> {'>'} <i>λ</i>*)</>)}{card(fit.bazza, <>Bazza 勝利區域 (<i>λ</i> {'<'} <i>λ</i>*)</>)}</div>
+        {(fit.alice || fit.bazza) && <ChartBox title="殘差（觀測 − 擬合）" file={`${file}_residuals`} style={{ marginTop: 14 }}><ResponsiveContainer width="100%" height={200}><ScatterChart margin={{ top: 10, right: 20, bottom: 25, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={domain} stroke="#333" tick={{ fontSize: 10 }} tickFormatter={(v) => v.toFixed(4)} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="residual" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '殘差', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine y={0} stroke="#333" /><ReferenceLine x={fit.refPoint} stroke="#228B22" strokeDasharray="5 5" /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} />{fit.alice && <Scatter data={fit.alice.residuals} fill="#8B0000" name="Alice" />}{fit.bazza && <Scatter data={fit.bazza.residuals} fill="#00008B" name="Bazza" />}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>}
+        {fit.models && (fit.models.alice || fit.models.bazza) && (<>
+          <h3 style={{ marginTop: 18 }}>候選模型比較</h3>
+          <p className="fit-desc">依 AIC 排序（最佳者標示底色，並與次佳者一同繪於上方圖表）；括號內為 BIC 與 {fit.models.folds} 折交叉驗證預測誤差的名次。自由中心模型以 <i>c</i> 取代 <i>λ</i>*，檢驗相變是否確實位於 <i>λ</i>*</p>
+          <div className="fit-models">{[['Alice', fit.models.alice], ['Bazza', fit.models.bazza]].filter(([, list]) => list).map(([side, list]) => modelTable(side, list, fit.refPoint))}</div>
+        </>)}
+        <p className="fit-note">註：標準誤取自 s²(JᵀJ)⁻¹；信賴區間以 {fit.alice?.ci?.samples ?? fit.bazza?.ci?.samples ?? 0} 次成對重抽樣 bootstrap 的 2.5%、97.5% 分位數估計。殘差呈系統性彎曲時，冪次形式本身可能不適用</p>
+      </div>
+    );
+  };
+
+  // 約束選單：內建約束之後列出已儲存的自訂約束
+  const constraintFields = (player) => {
+    const [value, setValue, power, setPower] = player === 'Alice' ? [aliceConstraint, setAliceConstraint, alicePower, setAlicePower] : [bazzaConstraint, setBazzaConstraint, bazzaPower, setBazzaPower];
+    const pick = (key) => {
+      const preset = key.startsWith('custom:') && presets.find(p => `custom:${p.name}` === key);
+      setValue(preset ? customConstraint(preset) : Object.values(ConstraintType).find(s => s.id === key));
+    };
+    return (<>
+      <div className="field"><label>{player} 約束</label><select value={constraintKey(value)} onChange={(e) => pick(e.target.value)}>{Object.values(ConstraintType).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}{value.id === 'custom' && !presets.some(p => p.name === value.name) && <option value={constraintKey(value)}>{value.name}（已刪除）</option>}{presets.length > 0 && <optgroup label="自訂約束">{presets.map(p => <option key={p.name} value={`custom:${p.name}`}>{p.name}</option>)}</optgroup>}</select>{value.id === 'custom' && <span className="hint">∑({value.weight})·xᵢ^{value.exponent} ≤ {value.limit}</span>}</div>
+      {value.id === 'power' && powerFields(player, power, setPower)}
+    </>);
+  };
+
+  // 策略選單：內建策略之後列出使用者策略
+  const styleField = (player) => {
+    const [value, setValue] = player === 'Alice' ? [aliceStyle, setAliceStyle] : [bazzaStyle, setBazzaStyle];
+    return <div className="field"><label>{player} 策略</label><select value={value.id} onChange={(e) => setValue(allStyles.find(s => s.id === e.target.value))}>{Object.values(PlayerStyle).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}{isUserStrategy(value) && !userStrategies.some(s => s.id === value.id) && <option value={value.id}>{value.name}（已刪除）</option>}{userStrategies.length > 0 && <optgroup label="使用者策略">{userStrategies.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</optgroup>}</select></div>;
+  };
+
+  const comparisonModeField = <div className="field"><label>模式</label><select value={comparisonMode} onChange={(e) => setComparisonMode(e.target.value)}><option value="matrix">策略矩陣</option><option value="adversarial">對抗搜尋</option><option value="tournament">多 λ 錦標賽</option></select></div>;
+
+  // 先在 worker 中試跑，通過後才儲存
+  const storeStrategy = (strategy) => {
+    setStrategyCheck(null);
+    runJob([{ kind: 'checkStrategy', strategy }], () => {}, ([r]) => {
+      if (!r) return;
+      setStrategyCheck(r);
+      if (r.error) return;
+      setUserStrategies(list => [...list.filter(s => s.name !== strategy.name), strategy]);
+      if (isUserStrategy(aliceStyle) && aliceStyle.name === strategy.name) setAliceStyle(strategy);
+      if (isUserStrategy(bazzaStyle) && bazzaStyle.name === strategy.name) setBazzaStyle(strategy);
+    });
+  };
+
+  const saveStrategy = () => storeStrategy(customStrategy({ name: strategyDraft.name.trim(), source: strategyDraft.source }));
+
+  const savePreset = () => {
+    if (draftError || !draft.name.trim()) return;
+    const preset = { ...draft, name: draft.name.trim(), exponent: Number(draft.exponent) };
+    setPresets(ps => [...ps.filter(p => p.name !== preset.name), preset]);
+    // 正在使用同名預設時一併更新
+    if (aliceConstraint.id === 'custom' && aliceConstraint.name === preset.name) setAliceConstraint(customConstraint(preset));
+    if (bazzaConstraint.id === 'custom' && bazzaConstraint.name === preset.name) setBazzaConstraint(customConstraint(preset));
+  };
+
+  const draftPreview = useMemo(() => {
+    const rows = [1, 2, 3, 5, 10, 50, 100];
+    const weights = previewExpression(draft.weight, ['i'], rows.map(i => ({ i })));
+    const limits = previewExpression(draft.limit, ['n', 'λ'], rows.map(n => ({ n, λ: lambda })));
+    return rows.map((k, j) => ({ k, weight: weights?.[j], limit: limits?.[j] }));
+  }, [draft, lambda]);
 
   const runBatchAnalysis = useCallback(() => {
-    setIsRunning(true);
-    setTimeout(() => {
-      const results = [];
-      for (let l = batchStart; l <= batchEnd + 0.0001; l += batchStep) {
-        results.push(new GameEngine(new LambdaConfig(parseFloat(l.toFixed(4))), { maxRounds: batchRounds }).play());
-      }
+    setFitResult(null);
+    runJob(Experiments.batchTasks({ start: batchStart, end: batchEnd, step: batchStep, maxRounds: batchRounds, strictRules, precision: precision.id, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule }), setBatchResults, (results, cancelled) => {
       setBatchResults(results);
-      // 自動擬合
-      const fit = FittingEngine.fitPowerLaw(results);
-      setFitResult(fit);
-      setIsRunning(false);
-    }, 50);
-  }, [batchStart, batchEnd, batchStep, batchRounds]);
+      saveRun(RunKind.BATCH.id, linkConfig, results, cancelled);
+      runFit(results, setFitResult);
+    });
+  }, [runJob, runFit, saveRun, linkConfig, batchStart, batchEnd, batchStep, batchRounds, strictRules, precision, aliceRule, bazzaRule]);
+
+  const runMonteCarlo = useCallback(() => {
+    runJob(Experiments.monteCarloTasks({ start: batchStart, end: batchEnd, step: batchStep, maxRounds: batchRounds, strictRules, precision: precision.id, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule, games: mcGames, seed, noise, aliceStyle: styleSpec(aliceStyle), bazzaStyle: styleSpec(bazzaStyle) }), setMcResults, (results, cancelled) => {
+      setMcResults(results);
+      saveRun(RunKind.MONTE_CARLO.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, batchStart, batchEnd, batchStep, batchRounds, strictRules, precision, aliceRule, bazzaRule, mcGames, seed, noise, aliceStyle, bazzaStyle]);
+
+  const mcChartData = useMemo(() => mcResults.map(r => ({
+    lambdaVal: r.lambdaVal,
+    alice: r.rates.Alice.p, aliceBand: [r.rates.Alice.lo, r.rates.Alice.hi],
+    bazza: r.rates.Bazza.p, bazzaBand: [r.rates.Bazza.lo, r.rates.Bazza.hi],
+    draw: r.rates.Draw.p, drawBand: [r.rates.Draw.lo, r.rates.Draw.hi],
+    median: r.rounds.p50, mean: r.rounds.mean, inner: [r.rounds.p25, r.rounds.p75], outer: [r.rounds.p05, r.rounds.p95]
+  })), [mcResults]);
 
   const runCriticalScan = useCallback(() => {
-    setIsRunning(true);
-    setTimeout(() => {
-      const results = [];
-      for (let l = CRITICAL_VALUE - scanRange; l <= CRITICAL_VALUE + scanRange + 0.0001; l += scanStep) {
-        results.push(new GameEngine(new LambdaConfig(parseFloat(l.toFixed(6))), { maxRounds: scanRounds }).play());
-      }
+    setScanFitResult(null);
+    runJob(Experiments.criticalTasks({ range: scanRange, step: scanStep, maxRounds: scanRounds, strictRules, precision: precision.id, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule }), setScanResults, (results, cancelled) => {
       setScanResults(results);
-      // 自動擬合
-      const fit = FittingEngine.fitPowerLaw(results);
-      setScanFitResult(fit);
-      setIsRunning(false);
-    }, 50);
-  }, [scanRange, scanStep, scanRounds]);
+      saveRun(RunKind.CRITICAL.id, linkConfig, results, cancelled);
+      runFit(results, setScanFitResult);
+    });
+  }, [runJob, runFit, saveRun, linkConfig, scanRange, scanStep, scanRounds, strictRules, precision, aliceRule, bazzaRule]);
+
+  const runEstimate = useCallback(() => {
+    const rounds = estRounds.split(/[,\s]+/).map(Number).filter(n => Number.isInteger(n) && n > 0);
+    const tasks = Experiments.estimateTasks({ rounds, lo: estLo, hi: estHi, tolerance: estTolerance, aliceStyle: styleSpec(aliceStyle), bazzaStyle: styleSpec(bazzaStyle), aliceConstraint: aliceRule, bazzaConstraint: bazzaRule, strictRules, precision: precision.id });
+    runJob(tasks, setEstResults, (results, cancelled) => {
+      setEstResults(results);
+      saveRun(RunKind.ESTIMATE.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, estRounds, estLo, estHi, estTolerance, aliceStyle, bazzaStyle, aliceRule, bazzaRule, strictRules, precision]);
+
+  const runSolver = useCallback(() => {
+    runJob(Experiments.solverTasks({ ...solver, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule }), setSolverResults, (results, cancelled) => {
+      setSolverResults(results);
+      saveRun(RunKind.SOLVER.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, solver, aliceRule, bazzaRule]);
+
+  // 求解結果對照批次掃描中相同 λ 的對局
+  const solverRows = useMemo(() => {
+    const games = new Map(batchResults.map(r => [r.lambdaVal.toFixed(4), r]));
+    return solverResults.map(r => {
+      const game = games.get(r.lambdaVal.toFixed(4));
+      return { ...r, game, agree: solverAgreement(r, game) };
+    });
+  }, [solverResults, batchResults]);
+
+  // 策略對比中動態規劃型所用的策略表（標準約束、目前的 λ 與回合數），在 worker 中建立後下載
+  const exportOracle = (format) => {
+    runJob([{ kind: 'oracle', lambdaVal: lambda, aliceConstraint: 'standard', bazzaConstraint: 'standard', rounds: Math.min(compRounds, ORACLE_DEFAULTS.rounds) }], () => {}, ([table]) => {
+      if (!table) return;
+      const base = `imo2025_oracle_lambda${lambda.toFixed(4)}`;
+      if (format === 'csv') download(`${base}.csv`, Formats.oracleCSV(table));
+      else download(`${base}.json`, JSON.stringify(table));
+    });
+  };
 
   const runStrategyComparison = useCallback(() => {
-    setIsRunning(true);
-    setTimeout(() => {
-      const results = [];
-      const styles = Object.values(PlayerStyle);
-      for (const aStyle of styles) {
-        for (const bStyle of styles) {
-          const r = new GameEngine(new LambdaConfig(lambda), { aliceStyle: aStyle, bazzaStyle: bStyle, maxRounds: compRounds }).play();
-          results.push({ aliceStyle: aStyle.name, bazzaStyle: bStyle.name, ...r });
-        }
+    runJob(Experiments.comparisonTasks({ lambdaVal: lambda, maxRounds: compRounds, strictRules, styles: allStyles }), setComparisonResults, setComparisonResults);
+  }, [runJob, lambda, compRounds, strictRules, allStyles]);
+
+  const runAdversarial = useCallback(() => {
+    const tasks = Experiments.adversarialTasks({ ...adversary, seed, maxRounds: compRounds, strictRules, precision: precision.id, aliceStyle: styleSpec(aliceStyle), bazzaStyle: styleSpec(bazzaStyle), aliceConstraint: aliceRule, bazzaConstraint: bazzaRule });
+    runJob(tasks, setAdversarialResults, (results, cancelled) => {
+      setAdversarialResults(results);
+      saveRun(RunKind.ADVERSARIAL.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, adversary, seed, compRounds, strictRules, precision, aliceStyle, bazzaStyle, aliceRule, bazzaRule]);
+
+  // 對手池以 id 記錄，執行時換成策略描述（使用者策略附上程式碼）
+  const runTuning = useCallback(() => {
+    const opponents = allStyles.filter(s => tuning.opponents.includes(s.id)).map(styleSpec);
+    const tasks = Experiments.tuningTasks({ ...tuning, opponents, seed, maxRounds: tuning.rounds, strictRules });
+    runJob(tasks, setTuningResults, (results, cancelled) => {
+      setTuningResults(results);
+      saveRun(RunKind.TUNING.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, tuning, allStyles, seed, strictRules]);
+
+  // 各次演化中目標值最低的一組參數
+  const tuningBest = useMemo(() => tuningResults.filter(r => r.best).reduce((a, r) => !a || r.best.cost < a.best.cost ? r : a, null), [tuningResults]);
+
+  // 每代的最佳目標值，一次演化一條線
+  const tuningCurves = useMemo(() => {
+    const runs = tuningResults.filter(r => r.history);
+    const length = Math.max(0, ...runs.map(r => r.history.length));
+    return Array.from({ length }, (_, g) => Object.fromEntries([['generation', g + 1], ...runs.map(r => [`run${r.run}`, r.history[g]?.best]), ...runs.map(r => [`mean${r.run}`, r.history[g]?.mean])]));
+  }, [tuningResults]);
+
+  // 把最佳參數轉成使用者策略，經試跑後加入策略選單
+  const promoteTuning = () => {
+    if (!tuningBest || !tuningName.trim()) return;
+    storeStrategy(tunedStyle(tuningBest.best.tuning, tuningName.trim()));
+  };
+
+  // 錦標賽沿用策略對比的回合數，所有策略（含使用者策略）兩兩對局
+  const runTournament = useCallback(() => {
+    runJob(Experiments.tournamentTasks({ ...tournament, styles: allStyles.map(styleSpec), maxRounds: compRounds, strictRules }), setTournamentResults, (results, cancelled) => {
+      setTournamentResults(results);
+      saveRun(RunKind.TOURNAMENT.id, linkConfig, results, cancelled);
+    });
+  }, [runJob, saveRun, linkConfig, tournament, allStyles, compRounds, strictRules]);
+
+  // 依所選約束篩選的錦標賽：熱圖每個策略組合（與約束）一列、每個 λ 一欄；評分與各 λ 的最佳策略
+  const tournamentTable = useMemo(() => {
+    const shown = tournamentResults.filter(r => tournamentView.constraint === 'all' || r.constraint === tournamentView.constraint);
+    const lambdas = [...new Set(shown.map(r => r.lambdaVal))].sort((a, b) => a - b);
+    const rows = new Map();
+    for (const r of shown) {
+      const names = new Map(r.styles.map(s => [s.id, s.name]));
+      for (const g of r.games) {
+        const key = `${r.constraint}|${g.alice}|${g.bazza}`;
+        if (!rows.has(key)) rows.set(key, { key, constraint: r.constraintName, alice: names.get(g.alice), bazza: names.get(g.bazza), cells: new Map() });
+        rows.get(key).cells.set(r.lambdaVal, { ...g, maxRounds: r.maxRounds });
       }
-      setComparisonResults(results);
-      setIsRunning(false);
-    }, 50);
-  }, [lambda, compRounds]);
+    }
+    const leaders = lambdas.map(lambdaVal => {
+      const at = shown.filter(r => r.lambdaVal === lambdaVal);
+      const ratings = tournamentRatings(at);
+      return { lambdaVal, prediction: [...new Set(at.map(r => r.prediction))].join('／'), alice: ratings.find(e => e.side === 'Alice'), bazza: ratings.find(e => e.side === 'Bazza') };
+    });
+    const count = (w) => shown.reduce((a, r) => a + r.games.filter(g => g.winner === w).length, 0);
+    return { shown, lambdas, rows: [...rows.values()], ratings: tournamentRatings(shown), leaders, wins: { Alice: count('Alice'), Bazza: count('Bazza'), Draw: count('Draw') } };
+  }, [tournamentResults, tournamentView.constraint]);
+
+  // 在模擬分析分頁回放搜尋到的對局（可再從任一回合分支）
+  const replayGame = (game) => {
+    setLambda(game.lambdaVal);
+    setMaxRounds(game.maxRounds);
+    setResult(game);
+    setActiveTab('simulation');
+  };
+
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}${encodeLink(linkConfig, ENGINE_HASH)}${window.location.hash}`);
+  }, [linkConfig]);
+
+  // 還原分享連結或實驗紀錄中的設定；缺少或不合法的欄位保留目前的值，其中的使用者策略與自訂約束併入本機清單
+  const applyConfig = (c) => {
+    const num = (v, fallback) => typeof v === 'number' && Number.isFinite(v) ? v : fallback;
+    const positive = (v, fallback) => num(v, 0) > 0 ? v : fallback;
+    const pick = (list, id, fallback) => list.find(x => x.id === id) ?? fallback;
+
+    let strategies = userStrategies;
+    const renamed = {};
+    for (const s of Array.isArray(c.strategies) ? c.strategies : []) {
+      const linked = userStrategy(s);
+      if (!linked) continue;
+      const name = linkedName(strategies, linked.name, x => sameStrategy(x, linked));
+      const strategy = userStrategy({ ...strategyData(linked), name });
+      if (!strategies.some(x => x.name === name)) strategies = [...strategies, strategy];
+      renamed[linked.id] = strategy.id;
+    }
+    let presetList = presets;
+    const constraint = (value, fallback) => {
+      if (value?.id !== 'custom') return pick(Object.values(ConstraintType), value, fallback);
+      const rule = { weight: value.weight, exponent: Number(value.exponent), limit: value.limit };
+      if (typeof value.name !== 'string' || typeof rule.weight !== 'string' || typeof rule.limit !== 'string' || validateConstraintRule(rule)) return fallback;
+      const name = linkedName(presetList, value.name, p => p.weight === rule.weight && p.exponent === rule.exponent && p.limit === rule.limit);
+      if (!presetList.some(p => p.name === name)) presetList = [...presetList, { name, ...rule }];
+      return customConstraint({ name, ...rule });
+    };
+    const style = (id, fallback) => pick([...Object.values(PlayerStyle), ...strategies], renamed[id] ?? id, fallback);
+    const power = (p, fallback) => ({ exponent: Math.max(0.1, num(p?.exponent, fallback.exponent)), growth: Math.max(0.1, num(p?.growth, fallback.growth)) });
+    const section = (v) => v && typeof v === 'object' ? v : {};
+    const [alice, bazza, batch, critical, comparison, solve, adv, tour, tune, play] = [c.alice, c.bazza, c.batch, c.critical, c.comparison, c.solver, c.adversary, c.tournament, c.tuning, c.play].map(section);
+    const integer = (v, min, fallback) => Number.isInteger(v) && v >= min ? v : fallback;
+
+    setUserStrategies(strategies);
+    setPresets(presetList);
+    setActiveTab(pick(TABS, c.tab, { id: activeTab }).id);
+    setLambda(positive(c.lambda, lambda));
+    setMaxRounds(positive(c.maxRounds, maxRounds));
+    setStrictRules(typeof c.strictRules === 'boolean' ? c.strictRules : strictRules);
+    setPrecision(pick(Object.values(NumericPrecision), c.precision, precision));
+    setNoise({ alice: Math.max(0, num(c.noise?.alice, 0)), bazza: Math.max(0, num(c.noise?.bazza, 0)) });
+    setSeed(Math.max(0, Math.floor(num(c.seed, seed))));
+    setAliceStyle(style(alice.style, aliceStyle));
+    setBazzaStyle(style(bazza.style, bazzaStyle));
+    setAliceConstraint(constraint(alice.constraint, aliceConstraint));
+    setBazzaConstraint(constraint(bazza.constraint, bazzaConstraint));
+    setAlicePower(power(alice.power, alicePower));
+    setBazzaPower(power(bazza.power, bazzaPower));
+    setBatchMode(batch.mode === 'montecarlo' ? 'montecarlo' : 'scan');
+    setBatchStart(num(batch.start, batchStart));
+    setBatchEnd(num(batch.end, batchEnd));
+    setBatchStep(positive(batch.step, batchStep));
+    setBatchRounds(positive(batch.rounds, batchRounds));
+    setMcGames(Math.max(1, Math.floor(num(batch.games, mcGames))));
+    setCriticalMode(critical.mode === 'estimate' ? 'estimate' : 'scan');
+    setScanRange(positive(critical.range, scanRange));
+    setScanStep(positive(critical.step, scanStep));
+    setScanRounds(positive(critical.rounds, scanRounds));
+    setEstLo(num(critical.lo, estLo));
+    setEstHi(num(critical.hi, estHi));
+    setEstTolerance(positive(critical.tolerance, estTolerance));
+    if (typeof critical.estimateRounds === 'string') setEstRounds(critical.estimateRounds);
+    setCompRounds(positive(comparison.rounds, compRounds));
+    setComparisonMode(['adversarial', 'tournament'].includes(comparison.mode) ? comparison.mode : 'matrix');
+    setAdversary({ start: num(adv.start, adversary.start), end: num(adv.end, adversary.end), step: positive(adv.step, adversary.step), method: pick(Object.values(SearchMethod), adv.method, { id: adversary.method }).id, iterations: integer(adv.iterations, 1, adversary.iterations) });
+    const constraints = Array.isArray(tour.constraints) ? tour.constraints.filter(id => TOURNAMENT_CONSTRAINTS.some(t => t.id === id)) : [];
+    setTournament({ start: num(tour.start, tournament.start), end: num(tour.end, tournament.end), step: positive(tour.step, tournament.step), constraints: constraints.length > 0 ? constraints : tournament.constraints });
+    const opponents = Array.isArray(tune.opponents) ? tune.opponents.map(id => style(id, null)?.id).filter(Boolean) : [];
+    setTuning({ start: num(tune.start, tuning.start), end: num(tune.end, tuning.end), step: positive(tune.step, tuning.step), objective: pick(Object.values(TuningObjective), tune.objective, { id: tuning.objective }).id, population: integer(tune.population, 4, tuning.population), generations: integer(tune.generations, 1, tuning.generations), runs: integer(tune.runs, 1, tuning.runs), rounds: integer(tune.rounds, 1, tuning.rounds), opponents: opponents.length > 0 ? opponents : tuning.opponents });
+    setSolver({ start: num(solve.start, solver.start), end: num(solve.end, solver.end), step: positive(solve.step, solver.step), horizon: integer(solve.horizon, 1, solver.horizon), grid: integer(solve.grid, 2, solver.grid), maxNodes: integer(solve.maxNodes, 1, solver.maxNodes) });
+    if (['alice', 'bazza', 'both'].includes(play.seat)) setPlaySeat(play.seat);
+    setPlayOpponent(pick(Object.values(PlayerStyle), play.opponent, playOpponent));
+  };
+
+  // 開啟分享連結時還原設定（只在載入時執行一次）
+  useEffect(() => {
+    if (initialLink?.config) applyConfig(initialLink.config);
+  }, []);
+
+  // 連結橫幅的「重現結果」：執行目前分頁的實驗
+  const reproduce = { simulation: runSimulation, batch: batchMode === 'scan' ? runBatchAnalysis : runMonteCarlo, critical: criticalMode === 'scan' ? runCriticalScan : runEstimate, comparison: { matrix: runStrategyComparison, adversarial: runAdversarial, tournament: runTournament }[comparisonMode], solver: runSolver, optimizer: runTuning }[activeTab];
+
+  const copyLink = () => {
+    const url = window.location.href;
+    (navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject(new Error('clipboard'))).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }, () => window.prompt('複製以下連結', url));
+  };
+
+  // 匯入先前匯出的結果：還原設定並顯示於對應分頁，再於 worker 中逐步重播或重新對局驗證
+  const importFile = (file) => {
+    file.text().then(text => {
+      const imported = parseImport(file.name, text, { lambdaVal: lambda, maxRounds, strictRules, precision: precision.id, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule });
+      applyConfig(imported.config);
+      if (imported.kind === 'game') setResult(null);
+      if (imported.kind === 'batch') setBatchResults(imported.results);
+      if (imported.kind === 'critical') setScanResults(imported.results);
+      const report = { name: file.name, kind: imported.kind, notes: imported.notes, issues: null };
+      setImportReport(report);
+      const verify = () => runJob(imported.tasks, () => {}, (outputs, cancelled) => {
+        if (imported.kind === 'game' && outputs[0]?.result) setResult({ ...outputs[0].result, ...imported.meta });
+        const snapped = outputs.reduce((a, out) => a + (out?.snapped ?? 0), 0);
+        setImportReport({ ...report, issues: importIssues(imported, outputs), checked: imported.kind === 'game' ? outputs[0]?.checked ?? 0 : outputs.filter(Boolean).length, snapped, cancelled });
+      });
+      // 掃描先擬合再驗證，讓圖表與擬合結果先顯示
+      if (imported.kind === 'game') verify();
+      else runFit(imported.results, imported.kind === 'batch' ? setFitResult : setScanFitResult, verify);
+    }).catch(err => setImportReport({ name: file.name, error: err.message }));
+  };
+
+  // 重新開啟紀錄：還原當時的設定並載入完整結果，切換到對應分頁
+  const openRun = (run) => {
+    historyRef.current?.results(run.id).then(results => {
+      applyConfig(run.config);
+      setJobError(null);
+      switch (run.kind) {
+        case RunKind.SIMULATION.id: setResult(results[0] ?? null); break;
+        case RunKind.BATCH.id: setBatchResults(results); runFit(results, setFitResult); break;
+        case RunKind.MONTE_CARLO.id: setMcResults(results); break;
+        case RunKind.CRITICAL.id: setScanResults(results); runFit(results, setScanFitResult); break;
+        case RunKind.ESTIMATE.id: setEstResults(results); break;
+        case RunKind.SOLVER.id: setSolverResults(results); break;
+        case RunKind.ADVERSARIAL.id: setAdversarialResults(results); break;
+        case RunKind.TOURNAMENT.id: setTournamentResults(results); break;
+        case RunKind.TUNING.id: setTuningResults(results); break;
+      }
+    }).catch(err => setHistoryError(err.message));
+  };
+
+  const deleteRun = (run) => {
+    if (!window.confirm(`刪除紀錄「${run.name}」？`)) return;
+    historyRef.current?.remove(run.id).then(() => {
+      setRuns(list => list.filter(r => r.id !== run.id));
+      setOverlay(list => list.filter(o => o.run.id !== run.id));
+      if (runDraft?.id === run.id) setRunDraft(null);
+    }).catch(err => setHistoryError(err.message));
+  };
+
+  const saveRunDraft = () => {
+    const run = runs.find(r => r.id === runDraft.id);
+    if (!run) return;
+    const updated = { ...run, name: runDraft.name.trim() || run.name, notes: runDraft.notes, tags: parseTags(runDraft.tags) };
+    historyRef.current?.update(updated).then(() => {
+      setRuns(list => list.map(r => r.id === updated.id ? updated : r));
+      setOverlay(list => list.map(o => o.run.id === updated.id ? { ...o, run: updated } : o));
+      setRunDraft(null);
+    }).catch(err => setHistoryError(err.message));
+  };
+
+  // 勾選的掃描疊加在同一張圖上
+  const toggleOverlay = (run) => {
+    if (overlay.some(o => o.run.id === run.id)) return setOverlay(list => list.filter(o => o.run.id !== run.id));
+    historyRef.current?.results(run.id).then(results => setOverlay(list => [...list, { run, results: [...results].sort((a, b) => a.lambdaVal - b.lambdaVal), transition: phaseTransition(results) }]))
+      .catch(err => setHistoryError(err.message));
+  };
+
+  const visibleRuns = useMemo(() => runs.filter(r => matchesQuery(r, historyQuery)), [runs, historyQuery]);
+  const allTags = useMemo(() => [...new Set(runs.flatMap(r => r.tags))].sort(), [runs]);
+
+  const startPlay = useCallback(() => {
+    const engine = new GameEngine(new LambdaConfig(lambda), { aliceStyle: playOpponent, bazzaStyle: playOpponent, aliceConstraint: aliceRule, bazzaConstraint: bazzaRule, maxRounds, strictRules });
+    setPlayGame({ engine, seat: playSeat });
+    setPlayState(engine.createState());
+    setPlayInput('0');
+  }, [lambda, playOpponent, aliceRule, bazzaRule, maxRounds, strictRules, playSeat]);
+
+  const playTurn = playState ? playState.moves.length + 1 : 0;
+  const playPlayer = playTurn % 2 === 1 ? 'Alice' : 'Bazza';
+  const isHumanTurn = !!playGame && (playGame.seat === 'both' || playGame.seat === playPlayer.toLowerCase());
+  const playValue = parseFloat(playInput);
+
+  const playPreview = useMemo(() => {
+    if (!playGame || !playState || playState.result) return null;
+    return playGame.engine.previewMove(playState.moves, playTurn, Number.isFinite(playValue) ? playValue : -1);
+  }, [playGame, playState, playTurn, playValue]);
+
+  // 無合法 xₙ 時立即判負；輪到引擎時延遲落子，方便觀察
+  useEffect(() => {
+    if (!playGame || !playState || playState.result) return;
+    const { engine } = playGame;
+    if (engine.checker.getLegalInterval(playPlayer, playState.moves, playTurn).empty) {
+      setPlayState(engine.concede(playState));
+      return;
+    }
+    if (isHumanTurn) return;
+    const timer = setTimeout(() => {
+      const { move, reason } = engine.chooseMove(playState.moves, playTurn);
+      setPlayState(engine.advance(playState, move, reason));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [playGame, playState, playPlayer, playTurn, isHumanTurn]);
+
+  const commitPlayMove = useCallback(() => {
+    if (!playPreview?.valid) return;
+    setPlayState(playGame.engine.advance(playState, Math.min(playValue, playPreview.interval.max), '手動輸入'));
+    setPlayInput('0');
+  }, [playGame, playState, playPreview, playValue]);
+
+  // 新結果：回放停在最後一回合，分支設定沿用原局策略
+  useEffect(() => {
+    setReplayRound(result ? result.moveDetails.length : 0);
+    setReplayPlaying(false);
+    setBranch(null);
+    if (result) setBranchDraft({ aliceStyle: result.aliceStyle.id, bazzaStyle: result.bazzaStyle.id, manual: '' });
+  }, [result]);
+
+  useEffect(() => {
+    if (!replayPlaying || !result) return;
+    if (replayRound >= result.moveDetails.length) {
+      setReplayPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setReplayRound(r => r + 1), replaySpeed);
+    return () => clearTimeout(timer);
+  }, [replayPlaying, replayRound, replaySpeed, result]);
+
+  const seekReplay = (round) => {
+    setReplayPlaying(false);
+    setReplayRound(Math.max(0, Math.min(result.moveDetails.length, round)));
+  };
+
+  const toggleReplay = () => {
+    if (!replayPlaying && replayRound >= result.moveDetails.length) setReplayRound(0);
+    setReplayPlaying(p => !p);
+  };
+
+  // 分支點（保留前 replayRound 步）下一步的合法區間
+  const branchInterval = useMemo(() => {
+    if (!result || replayRound >= result.moveDetails.length) return null;
+    const n = replayRound + 1;
+    return new ConstraintChecker(result.aliceConstraint, result.bazzaConstraint, new LambdaConfig(result.lambdaVal)).getLegalInterval(n % 2 === 1 ? 'Alice' : 'Bazza', result.moves.slice(0, replayRound), n);
+  }, [result, replayRound]);
+  const branchManual = branchDraft.manual.trim() === '' ? null : parseFloat(branchDraft.manual);
+  const branchManualValid = branchManual === null || (!!branchInterval && !branchInterval.empty && branchManual >= 0 && branchManual <= branchInterval.max + EPS);
+
+  // 從回放所在回合分支：保留前綴，下一步可手動指定，其後由所選策略接手
+  const runBranch = useCallback(() => {
+    const fromRound = replayRound;
+    const manualMove = branchManual === null ? null : Math.min(branchManual, branchInterval.max);
+    const pick = (id) => allStyles.find(s => s.id === id) ?? PlayerStyle.OPTIMAL;
+    const spec = {
+      kind: 'branch', lambdaVal: result.lambdaVal, aliceStyle: styleSpec(pick(branchDraft.aliceStyle)), bazzaStyle: styleSpec(pick(branchDraft.bazzaStyle)),
+      aliceConstraint: result.aliceConstraint, bazzaConstraint: result.bazzaConstraint, maxRounds: result.maxRounds, strictRules: result.strictRules,
+      precision: result.precision.id, noise: result.noise, seed: result.seed,
+      prefix: result.moves.slice(0, fromRound), reasons: result.moveDetails.slice(0, fromRound).map(d => d.reason), manualMove
+    };
+    const done = (r) => r && setBranch({ fromRound, manualMove, result: r });
+    // 使用者策略只在 worker 中執行
+    if (usesUserStrategy(spec)) runJob([spec], () => {}, ([r]) => done(r));
+    else done(runTask(spec));
+  }, [runJob, result, replayRound, branchDraft, branchManual, branchInterval, allStyles]);
+
+  const branchData = useMemo(() => {
+    if (!result || !branch) return [];
+    const a = result.moveDetails, b = branch.result.moveDetails;
+    return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => ({
+      round: i + 1, original: a[i]?.move, branch: b[i]?.move,
+      originalAlice: a[i]?.aliceCapacity, originalBazza: a[i]?.bazzaCapacity, branchAlice: b[i]?.aliceCapacity, branchBazza: b[i]?.bazzaCapacity
+    }));
+  }, [result, branch]);
 
   const chartData = useMemo(() => result ? result.moveDetails.map(d => ({ round: d.round, move: d.move, player: d.player, sumLinear: d.sumLinear, sumSquare: d.sumSquare, linearLimit: d.linearLimit, quadLimit: d.quadLimit, aliceCapacity: d.aliceCapacity, bazzaCapacity: d.bazzaCapacity })) : [], [result]);
 
+  // 回放：各圖只顯示到目前回合，橫軸固定為整局
+  const replayData = useMemo(() => chartData.slice(0, replayRound), [chartData, replayRound]);
+  const replayAxis = [1, Math.max(1, chartData.length)];
+  const replayDetail = result && replayRound > 0 ? result.moveDetails[replayRound - 1] : null;
+
   const stats = useMemo(() => {
     if (!result || result.moves.length === 0) return null;
     const moves = result.moves;
@@ -578,24 +960,53 @@ export default function App() {
       </header>
 
       <nav className="nav">
-        {[{ id: 'simulation', label: '模擬分析' }, { id: 'batch', label: '批次掃描' }, { id: 'critical', label: '臨界值分析' }, { id: 'comparison', label: '策略對比' }, { id: 'theory', label: '理論說明' }].map(tab => (
+        {TABS.map(tab => (
           <button key={tab.id} className={activeTab === tab.id ? 'active' : ''} onClick={() => setActiveTab(tab.id)}>{tab.label}</button>
         ))}
+        <button className="share" onClick={() => importRef.current.click()} disabled={isRunning} title="匯入先前匯出的單局或掃描結果（JSON／CSV）">匯入結果</button>
+        <input ref={importRef} type="file" accept=".json,.csv,application/json,text/csv" hidden onChange={(e) => { if (e.target.files[0]) importFile(e.target.files[0]); e.target.value = ''; }} />
+        <button className="share" onClick={copyLink} title={`引擎版本 ${ENGINE_HASH}`}>{copied ? '已複製 ✓' : '複製連結'}</button>
       </nav>
 
-      <main className="main">
+      {link && (
+        <div className={`lk ${link.error || link.engineChanged ? 'warn' : ''}`}>
+          {link.error ? <span>分享連結無法載入：{link.error}</span> : (<>
+            <span>已從分享連結載入設定{link.config.strategies?.length > 0 && '（含使用者策略，只在 worker 中執行）'}。</span>
+            {link.engineChanged && <span>⚠ 連結建立時的引擎版本為 <span className="m">{link.engine ?? '未知'}</span>，目前為 <span className="m">{ENGINE_HASH}</span>，結果可能與分享者看到的不同。</span>}
+            {reproduce && <button onClick={reproduce} disabled={isRunning}>重現結果</button>}
+          </>)}
+          <button onClick={() => setLink(null)} title="關閉">✕</button>
+        </div>
+      )}
+
+      {importReport && (
+        <div className={`lk ${importReport.error || importReport.issues?.length ? 'warn' : ''}`}>
+          {importReport.error ? <span>無法匯入 {importReport.name}：{importReport.error}</span> : importReport.issues === null ? <span>已匯入 {importReport.name}，驗證中…</span> : (<>
+            <span>已匯入 {importReport.name}：{importReport.kind === 'game' ? `重播 ${importReport.checked} 步` : `驗證 ${importReport.checked} 個 λ`}{importReport.cancelled && '（已取消，未全部驗證）'}，{importReport.issues.length === 0 ? '全部與 ConstraintChecker 一致 ✓' : `發現 ${importReport.issues.length} 處不一致`}{importReport.snapped > 0 && `（${importReport.snapped} 步在 CSV 捨入誤差內截至上界）`}。</span>
+            {importReport.notes.map(note => <span key={note} className="nt">{note}</span>)}
+            {importReport.issues.length > 0 && <ul className="iss">{importReport.issues.slice(0, 20).map((issue, i) => <li key={i}>{importReport.kind !== 'game' && `λ = ${issue.lambdaVal}：`}{issue.round !== null && `第 ${issue.round} 回合：`}{issue.message}</li>)}{importReport.issues.length > 20 && <li>…另有 {importReport.issues.length - 20} 處</li>}</ul>}
+          </>)}
+          <button onClick={() => setImportReport(null)} title="關閉">✕</button>
+        </div>
+      )}
+
+      <ChartOptions.Provider value={chartOptions}><main className="main">
         {activeTab === 'simulation' && (
           <div className="sim-layout">
             <section className="panel ctrl">
               <h2>參數設定</h2>
               <div className="field"><label>參數 <i>λ</i></label><div className="row"><input type="number" step="0.001" min="0.5" max="0.9" value={lambda} onChange={(e) => setLambda(parseFloat(e.target.value) || 0.7)} /><input type="range" min="0.5" max="0.9" step="0.001" value={lambda} onChange={(e) => setLambda(parseFloat(e.target.value))} /></div><div className="btns"><button onClick={() => setLambda(0.6)}>0.6</button><button onClick={() => setLambda(CRITICAL_VALUE)}>λ*</button><button onClick={() => setLambda(0.8)}>0.8</button></div></div>
               <div className="field"><label>最大回合數</label><input type="number" min="20" max="500" value={maxRounds} onChange={(e) => setMaxRounds(parseInt(e.target.value) || 100)} /></div>
-              <div className="field"><label>Alice 策略</label><select value={aliceStyle.id} onChange={(e) => setAliceStyle(Object.values(PlayerStyle).find(s => s.id === e.target.value))}>{Object.values(PlayerStyle).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
-              <div className="field"><label>Bazza 策略</label><select value={bazzaStyle.id} onChange={(e) => setBazzaStyle(Object.values(PlayerStyle).find(s => s.id === e.target.value))}>{Object.values(PlayerStyle).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
-              <div className="field"><label>Alice 約束</label><select value={aliceConstraint.id} onChange={(e) => setAliceConstraint(Object.values(ConstraintType).find(s => s.id === e.target.value))}>{Object.values(ConstraintType).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
-              <div className="field"><label>Bazza 約束</label><select value={bazzaConstraint.id} onChange={(e) => setBazzaConstraint(Object.values(ConstraintType).find(s => s.id === e.target.value))}>{Object.values(ConstraintType).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
-              <div className="info"><div className="r"><span>臨界值 <i>λ</i>*</span><span className="m">{CRITICAL_VALUE.toFixed(6)}</span></div><div className="r"><span>當前 <i>λ</i></span><span className="m">{lambda.toFixed(6)}</span></div><div className="r"><span>差距 Δ</span><span className="m">{config.deltaFromCritical >= 0 ? '+' : ''}{config.deltaFromCritical.toFixed(6)}</span></div><div className="r"><span>預測勝者</span><span className={`w-${config.getPredictedWinner().toLowerCase()}`}>{config.getPredictedWinner() === 'Balance' ? '平衡' : config.getPredictedWinner()}</span></div><div className="r"><span>攻擊回合</span><span className="m">{config.strikeRound > 0 ? config.strikeRound : 'N/A'}</span></div></div>
+              {styleField('Alice')}
+              {styleField('Bazza')}
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+              <div className="field"><label>數值精度</label><select value={precision.id} onChange={(e) => setPrecision(Object.values(NumericPrecision).find(s => s.id === e.target.value))}>{Object.values(NumericPrecision).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+              {noiseFields()}
+              <div className="info"><div className="r"><span>臨界值 <i>λ</i>*</span><span className="m">{theory ? theory.value.toFixed(6) : '無解析解'}</span></div>{theory && theory.formula !== '1/√2' && <div className="r"><span>理論公式</span><span className="m">{theory.formula}</span></div>}<div className="r"><span>當前 <i>λ</i></span><span className="m">{lambda.toFixed(6)}</span></div><div className="r"><span>差距 Δ</span><span className="m">{(() => { const d = lambda - (theory?.value ?? CRITICAL_VALUE); return `${d >= 0 ? '+' : ''}${d.toFixed(6)}`; })()}</span></div><div className="r"><span>預測勝者</span><span className={`w-${predicted.toLowerCase()}`}>{predicted === 'Balance' ? '平衡' : predicted}</span></div><div className="r"><span>攻擊回合</span><span className="m">{config.strikeRound > 0 ? config.strikeRound : 'N/A'}</span></div>{aliceRule.id !== 'power' && bazzaRule.id !== 'power' && <div className="r"><span>證明決勝回合</span><span className="m">{isFinite(config.proofRound) ? config.proofRound : 'N/A'}</span></div>}</div>
               <button className="run" onClick={runSimulation} disabled={isRunning}>{isRunning ? '計算中...' : '開始模擬'}</button>
+              {jobError && <p className="hint no">計算失敗：{jobError}</p>}
               {result && <div className="exp"><button onClick={() => exportCSV(result)}>CSV</button><button onClick={() => exportJSON(result)}>JSON</button></div>}
             </section>
 
@@ -603,18 +1014,86 @@ export default function App() {
               <h2>模擬結果</h2>
               {!result ? <p className="ph">請設定參數後點擊「開始模擬」</p> : (
                 <>
-                  <div className="sum"><div className="hd"><div className="wn"><span className="lb">勝者</span><span className={`w w-${result.winner.toLowerCase()}`}>{result.winner === 'Draw' ? '和局' : result.winner}</span></div><div className={`tm ${result.matchTheory ? 'ok' : 'no'}`}>{result.matchTheory ? '✓ 符合理論' : '✗ 偏離理論'}</div></div><div className="rs">{result.winningReason}</div><div className="mt"><span>回合數：<b>{result.totalRounds}</b></span><span>理論預測：<b>{result.theoreticalPrediction}</b></span><span>關鍵回合：<b>{result.criticalRound || 'N/A'}</b></span></div></div>
+                  <div className="sum"><div className="hd"><div className="wn"><span className="lb">勝者</span><span className={`w w-${result.winner.toLowerCase()}`}>{result.winner === 'Draw' ? '和局' : result.winner}</span></div><div className={`tm ${result.matchTheory ? 'ok' : 'no'}`}>{result.matchTheory ? '✓ 符合理論' : '✗ 偏離理論'}</div></div><div className="rs">{result.winningReason}</div><div className="mt"><span>回合數：<b>{result.totalRounds}</b></span><span>理論預測：<b>{result.theoreticalPrediction}</b></span><span>關鍵回合：<b>{result.criticalRound || 'N/A'}</b></span><span>非法提議：<b className={result.illegalProposals.length > 0 ? 'no' : ''}>{result.illegalProposals.length}</b></span>{result.precision.id !== 'double' && <span>精度標記：<b className={result.precisionFlags.length > 0 ? 'no' : ''}>{result.precisionFlags.length}</b></span>}</div>{result.precisionFlags.length > 0 && <div className="rs">{result.precision.name}：{result.precisionFlags.map(f => `第 ${f.round} 回合${f.kind === 'ambiguous' ? '無法判定' : `雙精度判為${f.double ? '合法' : '違規'}`}`).join('、')}</div>}</div>
+
+                  <div className="rp">
+                    <div className="btns"><button onClick={() => seekReplay(0)} title="回到開始">⏮</button><button onClick={() => seekReplay(replayRound - 1)} title="上一回合">◀</button><button onClick={toggleReplay} title={replayPlaying ? '暫停' : '播放'}>{replayPlaying ? '⏸' : '▶'}</button><button onClick={() => seekReplay(replayRound + 1)} title="下一回合">▶▶</button><button onClick={() => seekReplay(result.moveDetails.length)} title="跳到結束">⏭</button></div>
+                    <input type="range" min="0" max={result.moveDetails.length} value={replayRound} onChange={(e) => seekReplay(parseInt(e.target.value))} />
+                    <span className="m">{replayRound}/{result.moveDetails.length}</span>
+                    <select value={replaySpeed} onChange={(e) => setReplaySpeed(parseInt(e.target.value))}><option value={800}>慢速</option><option value={300}>中速</option><option value={80}>快速</option></select>
+                  </div>
+                  <p className="rs">{replayDetail ? <>第 {replayDetail.round} 回合 · <span className={`p-${replayDetail.player.toLowerCase()}`}>{replayDetail.player}</span> 選擇 <i>x</i> = <span className="m">{replayDetail.move.toFixed(6)}</span>（{replayDetail.reason}）· Alice 容量 <span className="m">{replayDetail.aliceCapacity.toFixed(4)}</span> · Bazza 容量 <span className="m">{replayDetail.bazzaCapacity.toFixed(4)}</span></> : '尚未開始：拖動時間軸或按 ▶ 逐回合回放'}</p>
 
                   <div className="cg">
-                    <div className="cb"><h3>移動軌跡</h3><ResponsiveContainer width="100%" height={180}><ScatterChart margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'n', position: 'bottom', fontSize: 11, fontStyle: 'italic' }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><ReferenceLine y={CRITICAL_VALUE} stroke="#228B22" strokeDasharray="5 5" /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Scatter data={chartData.filter(d => d.player === 'Alice')} dataKey="move" fill="#8B0000" name="Alice" /><Scatter data={chartData.filter(d => d.player === 'Bazza')} dataKey="move" fill="#00008B" name="Bazza" /><Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></div>
-                    <div className="cb"><h3>線性約束</h3><ResponsiveContainer width="100%" height={180}><AreaChart data={chartData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Area type="monotone" dataKey="linearLimit" stroke="#8B0000" fill="#8B0000" fillOpacity={0.1} name="λn" /><Line type="monotone" dataKey="sumLinear" stroke="#00008B" strokeWidth={1.5} dot={false} name="Σxᵢ" /><Legend wrapperStyle={{ fontSize: 10 }} /></AreaChart></ResponsiveContainer></div>
-                    <div className="cb"><h3>二次約束</h3><ResponsiveContainer width="100%" height={180}><AreaChart data={chartData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Area type="monotone" dataKey="quadLimit" stroke="#8B0000" fill="#8B0000" fillOpacity={0.1} name="n" /><Line type="monotone" dataKey="sumSquare" stroke="#228B22" strokeWidth={1.5} dot={false} name="Σxᵢ²" /><Legend wrapperStyle={{ fontSize: 10 }} /></AreaChart></ResponsiveContainer></div>
-                    <div className="cb"><h3>剩餘容量</h3><ResponsiveContainer width="100%" height={180}><LineChart data={chartData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Line type="monotone" dataKey="aliceCapacity" stroke="#8B0000" strokeWidth={1.5} dot={false} name="Alice" /><Line type="monotone" dataKey="bazzaCapacity" stroke="#00008B" strokeWidth={1.5} dot={false} name="Bazza" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></div>
+                    <ChartBox title="移動軌跡" file={`moves_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><ScatterChart margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" type="number" domain={replayAxis} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'n', position: 'bottom', fontSize: 11, fontStyle: 'italic' }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><ReferenceLine y={CRITICAL_VALUE} stroke="#228B22" strokeDasharray="5 5" /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Scatter data={replayData.filter(d => d.player === 'Alice')} dataKey="move" fill="#8B0000" name="Alice" /><Scatter data={replayData.filter(d => d.player === 'Bazza')} dataKey="move" fill="#00008B" name="Bazza" /><Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
+                    <ChartBox title="線性約束" file={`linear_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><AreaChart data={replayData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" type="number" domain={replayAxis} stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Area type="monotone" dataKey="linearLimit" stroke="#8B0000" fill="#8B0000" fillOpacity={0.1} name="λn" /><Line type="monotone" dataKey="sumLinear" stroke="#00008B" strokeWidth={1.5} dot={false} name="Σxᵢ" /><Legend wrapperStyle={{ fontSize: 10 }} /></AreaChart></ResponsiveContainer></ChartBox>
+                    <ChartBox title="二次約束" file={`quadratic_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><AreaChart data={replayData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" type="number" domain={replayAxis} stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Area type="monotone" dataKey="quadLimit" stroke="#8B0000" fill="#8B0000" fillOpacity={0.1} name="n" /><Line type="monotone" dataKey="sumSquare" stroke="#228B22" strokeWidth={1.5} dot={false} name="Σxᵢ²" /><Legend wrapperStyle={{ fontSize: 10 }} /></AreaChart></ResponsiveContainer></ChartBox>
+                    <ChartBox title="剩餘容量" file={`capacity_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><LineChart data={replayData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" type="number" domain={replayAxis} stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Line type="monotone" dataKey="aliceCapacity" stroke="#8B0000" strokeWidth={1.5} dot={false} name="Alice" /><Line type="monotone" dataKey="bazzaCapacity" stroke="#00008B" strokeWidth={1.5} dot={false} name="Bazza" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>
+                  </div>
+
+                  <div className="pf"><h3>分支（What-if）</h3>
+                    <p className="hint">保留原局前 {replayRound} 步，從第 {replayRound + 1} 回合起改用下列設定繼續；以時間軸選擇分支點。</p>
+                    <div className="params-grid">
+                      {['Alice', 'Bazza'].map(p => { const key = p === 'Alice' ? 'aliceStyle' : 'bazzaStyle'; return <div key={p} className="field"><label>{p} 策略</label><select value={branchDraft[key]} onChange={(e) => setBranchDraft({ ...branchDraft, [key]: e.target.value })}>{allStyles.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>; })}
+                      <div className="field"><label>第 {replayRound + 1} 回合手動 <i>x</i>（留空由策略決定）</label><input type="number" step="0.01" min="0" value={branchDraft.manual} onChange={(e) => setBranchDraft({ ...branchDraft, manual: e.target.value })} /></div>
+                    </div>
+                    <p className={`hint ${branchManualValid ? '' : 'no'}`}>{!branchInterval ? '已在最後一回合，請先把時間軸移到較早的回合' : branchInterval.empty ? `第 ${replayRound + 1} 回合無合法 xₙ` : `第 ${replayRound + 1} 回合（${replayRound % 2 === 0 ? 'Alice' : 'Bazza'}）的合法區間 [0, ${branchInterval.max.toFixed(6)}]`}</p>
+                    <button className="run" onClick={runBranch} disabled={isRunning || !branchInterval || !branchManualValid} style={{ maxWidth: 220 }}>從第 {replayRound + 1} 回合分支</button>
+                    {branch && (<>
+                      <div className="cg" style={{ marginTop: 14 }}>{[['原局', result, ''], [`分支（第 ${branch.fromRound + 1} 回合起）`, branch.result, branch.manualMove !== null ? ` · 第 ${branch.fromRound + 1} 回合手動 x = ${branch.manualMove.toFixed(4)}` : '']].map(([label, r, note]) => <div key={label} className="sum"><div className="hd"><div className="wn"><span className="lb">{label}</span><span className={`w w-${r.winner.toLowerCase()}`}>{r.winner === 'Draw' ? '和局' : r.winner}</span></div><span className="m">{r.totalRounds} 回合</span></div><div className="rs">{r.winningReason}</div><div className="rs">Alice：{r.aliceStyle.name} · Bazza：{r.bazzaStyle.name}{note}</div></div>)}</div>
+                      <div className="cg">
+                        <ChartBox title="移動比較" file={`branch_moves_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><LineChart data={branchData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><ReferenceLine x={branch.fromRound + 1} stroke="#E67E22" strokeDasharray="4 3" label={{ value: '分支', position: 'top', fontSize: 10 }} /><Line type="monotone" dataKey="original" stroke="#999" strokeWidth={1.5} dot={false} name="原局" /><Line type="monotone" dataKey="branch" stroke="#E67E22" strokeWidth={1.5} dot={false} name="分支" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>
+                        <ChartBox title="剩餘容量比較" file={`branch_capacity_lambda${result.lambdaVal.toFixed(4)}`}><ResponsiveContainer width="100%" height={180}><LineChart data={branchData} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><ReferenceLine x={branch.fromRound + 1} stroke="#E67E22" strokeDasharray="4 3" /><Line type="monotone" dataKey="originalAlice" stroke="#8B0000" strokeOpacity={0.4} strokeWidth={1.5} dot={false} name="Alice（原局）" /><Line type="monotone" dataKey="originalBazza" stroke="#00008B" strokeOpacity={0.4} strokeWidth={1.5} dot={false} name="Bazza（原局）" /><Line type="monotone" dataKey="branchAlice" stroke="#8B0000" strokeDasharray="4 3" strokeWidth={1.5} dot={false} name="Alice（分支）" /><Line type="monotone" dataKey="branchBazza" stroke="#00008B" strokeDasharray="4 3" strokeWidth={1.5} dot={false} name="Bazza（分支）" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>
+                      </div>
+                    </>)}
                   </div>
 
+                  {result.certificate && <div className="pf"><h3>證明憑證（{result.certificate.side} 必勝）</h3><div className="hd"><span className="rs">{result.certificate.conclusion}</span><div className={`tm ${result.certificate.valid ? 'ok' : 'no'}`}>{result.certificate.valid ? '✓ 勝負由證明推出' : '✗ 證明未成立'}</div></div><div className="ts"><table><thead><tr><th>n</th><th>不等式</th><th>值</th><th></th><th>界</th><th>成立</th></tr></thead><tbody>{result.certificate.rounds.flatMap(r => r.checks.map((c, j) => <tr key={`${r.round}-${j}`} className={c.holds ? '' : 'cr'}><td>{j === 0 ? r.round : ''}</td><td>{c.label}</td><td className="m">{c.value.toFixed(6)}</td><td>{c.relation}</td><td className="m">{c.bound.toFixed(6)}</td><td className={c.holds ? 'ok' : 'no'}>{c.holds ? '✓' : '✗'}</td></tr>))}</tbody></table></div></div>}
+                  {!result.certificate && (result.aliceStyle.id === 'proof' || result.bazzaStyle.id === 'proof') && <p className="hint">證明憑證僅適用於標準約束，且需證明型策略位於其必勝的一方（Alice：λ {'>'} λ*；Bazza：λ {'<'} λ*）</p>}
+
                   {stats && <div className="st"><h3>統計數據</h3><div className="sg"><table><tbody><tr><td>n</td><td className="m">{stats.n}</td></tr><tr><td>Σxᵢ</td><td className="m">{stats.sumX.toFixed(6)}</td></tr><tr><td>Σxᵢ²</td><td className="m">{stats.sumX2.toFixed(6)}</td></tr></tbody></table><table><tbody><tr><td>平均</td><td className="m">{stats.avg.toFixed(6)}</td></tr><tr><td>標準差</td><td className="m">{stats.std.toFixed(6)}</td></tr><tr><td>C-S比</td><td className="m">{stats.cs.ratio.toFixed(6)}</td></tr></tbody></table><table><tbody><tr><td colSpan="2" className="sh">Alice</td></tr><tr><td>次數</td><td className="m">{stats.aliceMoves.length}</td></tr><tr><td>總和</td><td className="m">{stats.aliceMoves.reduce((a, b) => a + b, 0).toFixed(4)}</td></tr></tbody></table><table><tbody><tr><td colSpan="2" className="sh">Bazza</td></tr><tr><td>次數</td><td className="m">{stats.bazzaMoves.length}</td></tr><tr><td>總和</td><td className="m">{stats.bazzaMoves.reduce((a, b) => a + b, 0).toFixed(4)}</td></tr></tbody></table></div></div>}
 
-                  <div className="mv"><h3>移動記錄</h3><div className="ts"><table><thead><tr><th>n</th><th>玩家</th><th>xₙ</th><th>Σxᵢ</th><th>Σxᵢ²</th><th>A容量</th><th>B容量</th><th>策略</th></tr></thead><tbody>{result.moveDetails.map((d, i) => <tr key={i} className={d.isCritical ? 'cr' : ''}><td>{d.round}</td><td className={`p-${d.player.toLowerCase()}`}>{d.player}</td><td className="m">{d.move.toFixed(4)}</td><td className="m">{d.sumLinear.toFixed(4)}</td><td className="m">{d.sumSquare.toFixed(4)}</td><td className="m">{d.aliceCapacity.toFixed(4)}</td><td className="m">{d.bazzaCapacity.toFixed(4)}</td><td className="rn">{d.reason}</td></tr>)}</tbody></table></div></div>
+                  <div className="mv"><h3>移動記錄</h3><div className="ts"><table><thead><tr><th>n</th><th>玩家</th><th>xₙ</th><th>Σxᵢ</th><th>Σxᵢ²</th><th>A容量</th><th>B容量</th><th>策略</th></tr></thead><tbody>{result.moveDetails.map((d, i) => <tr key={i} className={[d.isCritical && 'cr', i === replayRound - 1 && 'cur', i >= replayRound && 'fut'].filter(Boolean).join(' ')} onClick={() => seekReplay(i + 1)}><td>{d.round}</td><td className={`p-${d.player.toLowerCase()}`}>{d.player}</td><td className="m">{d.move.toFixed(4)}</td><td className="m">{d.sumLinear.toFixed(4)}</td><td className="m">{d.sumSquare.toFixed(4)}</td><td className="m">{d.aliceCapacity.toFixed(4)}</td><td className="m">{d.bazzaCapacity.toFixed(4)}</td><td className="rn">{d.reason}</td></tr>)}</tbody></table></div></div>
+                </>
+              )}
+            </section>
+          </div>
+        )}
+
+        {activeTab === 'play' && (
+          <div className="sim-layout">
+            <section className="panel ctrl">
+              <h2>對局設定</h2>
+              <div className="field"><label>我的座位</label><select value={playSeat} onChange={(e) => setPlaySeat(e.target.value)}><option value="alice">Alice（先手）</option><option value="bazza">Bazza（後手）</option><option value="both">雙人對戰</option></select></div>
+              <div className="field"><label>引擎策略</label><select value={playOpponent.id} disabled={playSeat === 'both'} onChange={(e) => setPlayOpponent(Object.values(PlayerStyle).find(s => s.id === e.target.value))}>{Object.values(PlayerStyle).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+              <div className="field"><label>參數 <i>λ</i></label><div className="row"><input type="number" step="0.001" min="0.5" max="0.9" value={lambda} onChange={(e) => setLambda(parseFloat(e.target.value) || 0.7)} /><input type="range" min="0.5" max="0.9" step="0.001" value={lambda} onChange={(e) => setLambda(parseFloat(e.target.value))} /></div></div>
+              <div className="field"><label>最大回合數</label><input type="number" min="20" max="500" value={maxRounds} onChange={(e) => setMaxRounds(parseInt(e.target.value) || 100)} /></div>
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+              <div className="info"><div className="r"><span>預測勝者</span><span className={`w-${predicted.toLowerCase()}`}>{predicted === 'Balance' ? '平衡' : predicted}</span></div><div className="r"><span>攻擊回合</span><span className="m">{config.strikeRound > 0 ? config.strikeRound : 'N/A'}</span></div></div>
+              <button className="run" onClick={startPlay}>{playState && !playState.result ? '重新開始' : '開始對局'}</button>
+            </section>
+
+            <section className="panel res">
+              <h2>對局</h2>
+              {!playState ? <p className="ph">選擇座位後點擊「開始對局」；引擎將以所選策略扮演另一方</p> : (
+                <>
+                  {playState.result ? (
+                    <div className="sum"><div className="hd"><div className="wn"><span className="lb">勝者</span><span className={`w w-${playState.result.winner.toLowerCase()}`}>{playState.result.winner === 'Draw' ? '和局' : playState.result.winner}</span></div><div className={`tm ${playState.result.matchTheory ? 'ok' : 'no'}`}>{playState.result.matchTheory ? '✓ 符合理論' : '✗ 偏離理論'}</div></div><div className="rs">{playState.result.winningReason}</div><div className="mt"><span>回合數：<b>{playState.result.totalRounds}</b></span><span>理論預測：<b>{playState.result.theoreticalPrediction}</b></span></div></div>
+                  ) : (
+                    <div className="pl">
+                      <div className="hd"><div className="wn"><span className="lb">第 {playTurn} 回合</span><span className={`w w-${playPlayer.toLowerCase()}`}>{playPlayer}</span></div><div className="tm">{isHumanTurn ? '輪到你' : '引擎思考中…'}</div></div>
+                      {isHumanTurn && playPreview && (<>
+                        <div className="pi"><label><i>x</i><sub>{playTurn}</sub> =</label><input type="number" step="0.01" min="0" max={playPreview.interval.max} value={playInput} onChange={(e) => setPlayInput(e.target.value)} onKeyDown={(e) => e.key === 'Enter' && commitPlayMove()} /><div className="btns"><button onClick={() => setPlayInput('0')}>0</button><button onClick={() => setPlayInput(String(playPreview.interval.max))}>上限</button></div><button className="run" onClick={commitPlayMove} disabled={!playPreview.valid}>確認落子</button></div>
+                        <div className="info"><div className="r"><span>合法區間</span><span className="m">[0, {playPreview.interval.max.toFixed(6)}]</span></div><div className="r"><span>我的剩餘容量</span><span className="m">{formatCapacity(playPreview.selfBefore)} → {playPreview.valid ? formatCapacity(playPreview.selfAfter) : '—'}</span></div><div className="r"><span>對手第 {playTurn + 1} 回合容量</span><span className="m">{formatCapacity(playPreview.opponentBefore)} → {playPreview.valid ? formatCapacity(playPreview.opponentAfter) : '—'}</span></div>{!playPreview.valid && <div className="r no">xₙ 不在合法區間內</div>}</div>
+                      </>)}
+                    </div>
+                  )}
+
+                  {playState.moveDetails.length > 0 && <ChartBox title="剩餘容量" file="play_capacity" style={{ marginTop: 16 }}><ResponsiveContainer width="100%" height={180}><LineChart data={playState.moveDetails} margin={{ top: 10, right: 15, bottom: 20, left: 40 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="round" stroke="#333" tick={{ fontSize: 10 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(4)} contentStyle={{ fontSize: 10 }} /><Line type="monotone" dataKey="aliceCapacity" stroke="#8B0000" strokeWidth={1.5} dot={false} name="Alice" /><Line type="monotone" dataKey="bazzaCapacity" stroke="#00008B" strokeWidth={1.5} dot={false} name="Bazza" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>}
+
+                  <div className="mv"><h3>移動記錄</h3><div className="ts"><table><thead><tr><th>n</th><th>玩家</th><th>xₙ</th><th>Σxᵢ</th><th>Σxᵢ²</th><th>A容量</th><th>B容量</th><th>策略</th></tr></thead><tbody>{playState.moveDetails.map((d, i) => <tr key={i} className={d.isCritical ? 'cr' : ''}><td>{d.round}</td><td className={`p-${d.player.toLowerCase()}`}>{d.player}</td><td className="m">{d.move.toFixed(4)}</td><td className="m">{d.sumLinear.toFixed(4)}</td><td className="m">{d.sumSquare.toFixed(4)}</td><td className="m">{d.aliceCapacity.toFixed(4)}</td><td className="m">{d.bazzaCapacity.toFixed(4)}</td><td className="rn">{d.reason}</td></tr>)}</tbody></table></div></div>
                 </>
               )}
             </section>
@@ -624,63 +1103,58 @@ export default function App() {
         {activeTab === 'batch' && (
           <section className="panel">
             <h2>批次參數掃描</h2>
+            {batchMode === 'scan' ? (<>
             <p>對 <i>λ</i> 進行系統性掃描，驗證臨界值定理。</p>
             
             <div className="params-grid">
+              <div className="field"><label>模式</label><select value={batchMode} onChange={(e) => setBatchMode(e.target.value)}><option value="scan">確定性掃描</option><option value="montecarlo">蒙地卡羅</option></select></div>
               <div className="field"><label>起始 <i>λ</i></label><input type="number" step="0.01" min="0.1" max="1.5" value={batchStart} onChange={(e) => setBatchStart(parseFloat(e.target.value) || 0.55)} /></div>
               <div className="field"><label>結束 <i>λ</i></label><input type="number" step="0.01" min="0.1" max="1.5" value={batchEnd} onChange={(e) => setBatchEnd(parseFloat(e.target.value) || 0.85)} /></div>
               <div className="field"><label>步長</label><input type="number" step="0.001" min="0.001" max="0.1" value={batchStep} onChange={(e) => setBatchStep(parseFloat(e.target.value) || 0.01)} /></div>
               <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={batchRounds} onChange={(e) => setBatchRounds(parseInt(e.target.value) || 100)} /></div>
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+              <div className="field"><label>數值精度</label><select value={precision.id} onChange={(e) => setPrecision(Object.values(NumericPrecision).find(s => s.id === e.target.value))}>{Object.values(NumericPrecision).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
             </div>
             <p className="hint">共 {Math.floor((batchEnd - batchStart) / batchStep) + 1} 個數據點</p>
             
             <button className="run" onClick={runBatchAnalysis} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始掃描'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
             {batchResults.length > 0 && (<>
-              <div className="bs"><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{batchResults.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{batchResults.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{batchResults.filter(r => r.winner === 'Draw').length}</span></div><div className="sc"><span className="lb">符合理論</span><span className="vl ok">{batchResults.filter(r => r.matchTheory).length}/{batchResults.length}</span></div></div>
-              <div className="cb" style={{ marginTop: 20 }}><h3>λ vs 回合數</h3><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} domain={[batchStart - 0.02, batchEnd + 0.02]} /><YAxis dataKey="totalRounds" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine x={CRITICAL_VALUE} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} /><Scatter data={batchResults.filter(r => r.winner === 'Alice')} fill="#8B0000" name="Alice" /><Scatter data={batchResults.filter(r => r.winner === 'Bazza')} fill="#00008B" name="Bazza" /><Scatter data={batchResults.filter(r => r.winner === 'Draw')} fill="#555" name="和局" />{fitResult?.alice && <Line data={FittingEngine.generateFitCurve(fitResult.alice, CRITICAL_VALUE + 0.001, batchEnd)} type="monotone" dataKey="fitted" stroke="#8B0000" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Alice 擬合" />}{fitResult?.bazza && <Line data={FittingEngine.generateFitCurve(fitResult.bazza, batchStart, CRITICAL_VALUE - 0.001)} type="monotone" dataKey="fitted" stroke="#00008B" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Bazza 擬合" />}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></div>
+              {scanExports('batch', batchResults, fitResult, { start: batchStart, end: batchEnd, step: batchStep }, batchRounds)}
+              <div className="bs"><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{batchResults.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{batchResults.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{batchResults.filter(r => r.winner === 'Draw').length}</span></div><div className="sc"><span className="lb">符合理論</span><span className="vl ok">{batchResults.filter(r => r.matchTheory).length}/{batchResults.length}</span></div><div className="sc"><span className="lb">含非法提議</span><span className="vl no">{batchResults.filter(r => r.illegalProposals.length > 0).length}</span></div><div className="sc"><span className="lb">精度標記</span><span className="vl no">{batchResults.filter(r => r.precisionFlags.length > 0).length}</span></div></div>
+              <ChartBox title="λ vs 回合數" file="batch" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} domain={[batchStart - 0.02, batchEnd + 0.02]} /><YAxis dataKey="totalRounds" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine x={batchCenter} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} /><Scatter data={batchResults.filter(r => r.winner === 'Alice')} fill="#8B0000" name="Alice" /><Scatter data={batchResults.filter(r => r.winner === 'Bazza')} fill="#00008B" name="Bazza" /><Scatter data={batchResults.filter(r => r.winner === 'Draw')} fill="#555" name="和局" /><Scatter data={batchResults.filter(r => r.precisionFlags.length > 0)} fill="none" stroke="#E67E22" strokeWidth={2} name="精度標記" />{modelLines(fitResult, [batchCenter + 0.001, batchEnd], [batchStart, batchCenter - 0.001])}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
               
-              {fitResult && (
-                <div className="fit-box">
-                  <h3>擬合結果（冪次函數）</h3>
-                  <p className="fit-desc">擬合形式：<i>n</i> = <i>a</i> × |<i>λ</i> − <i>λ</i>*|<sup><i>b</i></sup> + <i>d</i></p>
-                  <div className="fit-grid">
-                    <div className="fit-card">
-                      <div className="fit-title">Alice 勝利區域 (<i>λ</i> {'>'} <i>λ</i>*)</div>
-                      {fitResult.alice ? (<>
-                        <div className="fit-formula">{FittingEngine.formatFormula(fitResult.alice, 'alice')}</div>
-                        <div className="fit-params">
-                          <span><i>a</i> = {fitResult.alice.a.toFixed(6)}</span>
-                          <span><i>b</i> = {fitResult.alice.b.toFixed(6)}</span>
-                          <span><i>d</i> = {fitResult.alice.d.toFixed(4)}</span>
-                        </div>
-                        <div className="fit-stats">
-                          <span>R² = {fitResult.alice.r2.toFixed(6)}</span>
-                          <span>RMSE = {fitResult.alice.error.toFixed(4)}</span>
-                          <span>n = {fitResult.alice.n}</span>
-                        </div>
-                      </>) : <div className="fit-na">數據不足</div>}
-                    </div>
-                    <div className="fit-card">
-                      <div className="fit-title">Bazza 勝利區域 (<i>λ</i> {'<'} <i>λ</i>*)</div>
-                      {fitResult.bazza ? (<>
-                        <div className="fit-formula">{FittingEngine.formatFormula(fitResult.bazza, 'bazza')}</div>
-                        <div className="fit-params">
-                          <span><i>a</i> = {fitResult.bazza.a.toFixed(6)}</span>
-                          <span><i>b</i> = {fitResult.bazza.b.toFixed(6)}</span>
-                          <span><i>d</i> = {fitResult.bazza.d.toFixed(4)}</span>
-                        </div>
-                        <div className="fit-stats">
-                          <span>R² = {fitResult.bazza.r2.toFixed(6)}</span>
-                          <span>RMSE = {fitResult.bazza.error.toFixed(4)}</span>
-                          <span>n = {fitResult.bazza.n}</span>
-                        </div>
-                      </>) : <div className="fit-na">數據不足</div>}
-                    </div>
-                  </div>
-                  <p className="fit-note">註：冪次 <i>b</i> 為負表示隨距離增加回合數減少；R² 越接近 1 表示擬合越好</p>
-                </div>
-              )}
-              <div className="bt"><h3>詳細結果</h3><div className="ts"><table><thead><tr><th>λ</th><th>勝者</th><th>回合</th><th>預測</th><th>符合</th><th>原因</th></tr></thead><tbody>{batchResults.map((r, i) => <tr key={i}><td className="m">{r.lambdaVal.toFixed(2)}</td><td className={`p-${r.winner.toLowerCase()}`}>{r.winner}</td><td className="m">{r.totalRounds}</td><td>{r.theoreticalPrediction}</td><td className={r.matchTheory ? 'ok' : 'no'}>{r.matchTheory ? '✓' : '✗'}</td><td className="rn">{r.winningReason}</td></tr>)}</tbody></table></div></div>
+              {fitResult && fitPanel(fitResult, '擬合結果（冪次函數）', 'batch', [batchStart, batchEnd])}
+              <div className="bt"><h3>詳細結果</h3><div className="ts"><table><thead><tr><th>λ</th><th>勝者</th><th>回合</th><th>預測</th><th>符合</th><th>非法提議</th><th>精度標記</th><th>原因</th></tr></thead><tbody>{batchResults.map((r, i) => <tr key={i}><td className="m">{r.lambdaVal.toFixed(2)}</td><td className={`p-${r.winner.toLowerCase()}`}>{r.winner}</td><td className="m">{r.totalRounds}</td><td>{r.theoreticalPrediction}</td><td className={r.matchTheory ? 'ok' : 'no'}>{r.matchTheory ? '✓' : '✗'}</td><td className="m">{r.illegalProposals.length}</td><td className={`m ${r.precisionFlags.length > 0 ? 'no' : ''}`}>{r.precisionFlags.length}</td><td className="rn">{r.winningReason}</td></tr>)}</tbody></table></div></div>
+            </>)}
+            </>) : (<>
+            <p>以帶擾動的策略在每個 <i>λ</i> 重複 <i>N</i> 局，估計勝率（95% Wilson 信賴區間）與回合數分布，觀察雙方的勝利對不完美下法的穩健性。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>模式</label><select value={batchMode} onChange={(e) => setBatchMode(e.target.value)}><option value="scan">確定性掃描</option><option value="montecarlo">蒙地卡羅</option></select></div>
+              <div className="field"><label>起始 <i>λ</i>／結束 <i>λ</i></label><div className="row"><input type="number" step="0.01" min="0.1" max="1.5" value={batchStart} onChange={(e) => setBatchStart(parseFloat(e.target.value) || 0.6)} /><input type="number" step="0.01" min="0.1" max="1.5" value={batchEnd} onChange={(e) => setBatchEnd(parseFloat(e.target.value) || 0.8)} /></div></div>
+              <div className="field"><label>步長</label><input type="number" step="0.005" min="0.001" max="0.1" value={batchStep} onChange={(e) => setBatchStep(parseFloat(e.target.value) || 0.01)} /></div>
+              <div className="field"><label>每個 <i>λ</i> 的局數 <i>N</i></label><input type="number" step="50" min="10" max="10000" value={mcGames} onChange={(e) => setMcGames(Math.max(1, parseInt(e.target.value) || 200))} /></div>
+              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={batchRounds} onChange={(e) => setBatchRounds(parseInt(e.target.value) || 100)} /></div>
+              {noiseFields()}
+              {styleField('Alice')}
+              {styleField('Bazza')}
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+            </div>
+            <p className="hint">共 {Math.floor((batchEnd - batchStart) / batchStep) + 1} 個 <i>λ</i> × {mcGames} 局；每步輸出乘上 max(0, 1 + σZ)，Z ~ N(0, 1)，並截在合法區間內。第 g 局的亂數只由種子與 g 決定，各 <i>λ</i> 共用同一組亂數。</p>
+
+            <button className="run" onClick={runMonteCarlo} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始模擬'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {mcResults.length > 0 && (<>
+              <div className="bs"><div className="sc"><span className="lb">總局數</span><span className="vl">{mcResults.reduce((a, r) => a + r.games, 0)}</span></div><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{mcResults.reduce((a, r) => a + r.wins.Alice, 0)}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{mcResults.reduce((a, r) => a + r.wins.Bazza, 0)}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{mcResults.reduce((a, r) => a + r.wins.Draw, 0)}</span></div><div className="sc"><span className="lb">σ（Alice／Bazza）</span><span className="vl m">{mcResults[0].noise.alice}／{mcResults[0].noise.bazza}</span></div><div className="sc"><span className="lb">種子</span><span className="vl m">{mcResults[0].seed}</span></div></div>
+              <ChartBox title="勝率 vs λ（95% 信賴帶）" file="montecarlo_winrate" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={300}><ComposedChart data={mcChartData} margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={['dataMin', 'dataMax']} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis domain={[0, 1]} stroke="#333" tick={{ fontSize: 10 }} tickFormatter={(v) => `${Math.round(v * 100)}%`} /><Tooltip contentStyle={{ fontSize: 10 }} formatter={formatBand} />{theory && <ReferenceLine x={theory.value} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} />}<Area dataKey="aliceBand" stroke="none" fill="#8B0000" fillOpacity={0.15} name="Alice 信賴帶" /><Area dataKey="bazzaBand" stroke="none" fill="#00008B" fillOpacity={0.15} name="Bazza 信賴帶" /><Area dataKey="drawBand" stroke="none" fill="#555" fillOpacity={0.12} name="和局信賴帶" /><Line dataKey="alice" stroke="#8B0000" strokeWidth={2} dot={{ r: 2 }} name="Alice 勝率" /><Line dataKey="bazza" stroke="#00008B" strokeWidth={2} dot={{ r: 2 }} name="Bazza 勝率" /><Line dataKey="draw" stroke="#555" strokeWidth={1.5} strokeDasharray="4 3" dot={false} name="和局率" /><Legend wrapperStyle={{ fontSize: 10 }} /></ComposedChart></ResponsiveContainer></ChartBox>
+              <ChartBox title="回合數分布 vs λ" file="montecarlo_rounds" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={300}><ComposedChart data={mcChartData} margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={['dataMin', 'dataMax']} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} formatter={formatBand} />{theory && <ReferenceLine x={theory.value} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} />}<Area dataKey="outer" stroke="none" fill="#B8860B" fillOpacity={0.15} name="P5–P95" /><Area dataKey="inner" stroke="none" fill="#B8860B" fillOpacity={0.3} name="P25–P75" /><Line dataKey="median" stroke="#8B4513" strokeWidth={2} dot={{ r: 2 }} name="中位數" /><Line dataKey="mean" stroke="#333" strokeWidth={1.5} strokeDasharray="4 3" dot={false} name="平均" /><Legend wrapperStyle={{ fontSize: 10 }} /></ComposedChart></ResponsiveContainer></ChartBox>
+              <div className="bt"><h3>各 λ 的估計</h3><div className="ts"><table><thead><tr><th>λ</th><th>局數</th><th>Alice 勝率</th><th>Bazza 勝率</th><th>和局率</th><th>平均回合 ± 95%</th><th>中位數</th><th>P5–P95</th><th>預測</th></tr></thead><tbody>{mcResults.map(r => <tr key={r.lambdaVal}><td className="m">{r.lambdaVal.toFixed(4)}</td><td className="m">{r.games}</td>{['Alice', 'Bazza', 'Draw'].map(w => <td key={w} className="m">{formatRate(r.rates[w])}</td>)}<td className="m">{r.rounds.mean.toFixed(1)} ± {(r.rounds.meanHi - r.rounds.mean).toFixed(1)}</td><td className="m">{r.rounds.p50.toFixed(1)}</td><td className="m">{r.rounds.p05.toFixed(1)} – {r.rounds.p95.toFixed(1)}</td><td className={`w-${r.theoreticalPrediction.toLowerCase()}`}>{r.theoreticalPrediction === 'Balance' ? '平衡' : r.theoreticalPrediction}</td></tr>)}</tbody></table></div></div>
+            </>)}
             </>)}
           </section>
         )}
@@ -688,82 +1162,272 @@ export default function App() {
         {activeTab === 'critical' && (
           <section className="panel">
             <h2>臨界值高精度分析</h2>
-            <p>在臨界值 <i>λ</i>* = 1/√2 ≈ {CRITICAL_VALUE.toFixed(6)} 附近進行高精度掃描。</p>
+            {criticalMode === 'scan' ? (<>
+            <p>在臨界值 <i>λ</i>* = {theory ? `${theory.formula} ≈ ${theory.value.toFixed(6)}` : `1/√2 ≈ ${CRITICAL_VALUE.toFixed(6)}（此約束組合沒有解析解）`} 附近進行高精度掃描。</p>
             
             <div className="params-grid">
-              <div className="field"><label>掃描範圍 ±</label><input type="number" step="0.005" min="0.005" max="0.1" value={scanRange} onChange={(e) => setScanRange(parseFloat(e.target.value) || 0.02)} /></div>
-              <div className="field"><label>步長</label><input type="number" step="0.0001" min="0.0001" max="0.01" value={scanStep} onChange={(e) => setScanStep(parseFloat(e.target.value) || 0.001)} /></div>
-              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={scanRounds} onChange={(e) => setScanRounds(parseInt(e.target.value) || 150)} /></div>
+              <div className="field"><label>模式</label><select value={criticalMode} onChange={(e) => setCriticalMode(e.target.value)}><option value="scan">λ* 附近掃描</option><option value="estimate">估計 λ*</option></select></div>
+              <div className="field"><label>掃描範圍 ±</label><input type="number" step="0.005" min="0.000001" max="0.1" value={scanRange} onChange={(e) => setScanRange(parseFloat(e.target.value) || 0.02)} /></div>
+              <div className="field"><label>步長</label><input type="number" step="0.0001" min="0.0000001" max="0.01" value={scanStep} onChange={(e) => setScanStep(parseFloat(e.target.value) || 0.001)} /></div>
+              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="5000" value={scanRounds} onChange={(e) => setScanRounds(parseInt(e.target.value) || 150)} /></div>
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+              <div className="field"><label>數值精度</label><select value={precision.id} onChange={(e) => setPrecision(Object.values(NumericPrecision).find(s => s.id === e.target.value))}>{Object.values(NumericPrecision).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
             </div>
-            <p className="hint">掃描區間 [{(CRITICAL_VALUE - scanRange).toFixed(4)}, {(CRITICAL_VALUE + scanRange).toFixed(4)}]，共 {Math.floor(2 * scanRange / scanStep) + 1} 個數據點</p>
+            <p className="hint">掃描區間 [{(criticalCenter - scanRange).toFixed(6)}, {(criticalCenter + scanRange).toFixed(6)}]，共 {Math.floor(2 * scanRange / scanStep) + 1} 個數據點{precision.id !== 'double' && `；勝負由${precision.name}判定，與雙精度不一致或無法判定的點以橙色圈出，無法判定的點不參與擬合`}</p>
             
             <button className="run" onClick={runCriticalScan} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始掃描'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
             {scanResults.length > 0 && (<>
-              <div className="bs"><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{scanResults.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{scanResults.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{scanResults.filter(r => r.winner === 'Draw').length}</span></div></div>
-              <div className="cb" style={{ marginTop: 20 }}><h3>臨界值附近相變圖</h3><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" stroke="#333" tick={{ fontSize: 10 }} tickFormatter={(v) => v.toFixed(3)} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="totalRounds" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine x={CRITICAL_VALUE} stroke="#228B22" strokeWidth={2} strokeDasharray="5 5" label={{ value: 'λ*', position: 'top', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} formatter={(v, name) => [name === 'totalRounds' ? v : v.toFixed(6), name === 'totalRounds' ? '回合' : 'λ']} /><Scatter data={scanResults.filter(r => r.winner === 'Alice')} fill="#8B0000" name="Alice" /><Scatter data={scanResults.filter(r => r.winner === 'Bazza')} fill="#00008B" name="Bazza" /><Scatter data={scanResults.filter(r => r.winner === 'Draw')} fill="#555" name="和局" />{scanFitResult?.alice && <Line data={FittingEngine.generateFitCurve(scanFitResult.alice, CRITICAL_VALUE + 0.0005, CRITICAL_VALUE + scanRange)} type="monotone" dataKey="fitted" stroke="#8B0000" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Alice 擬合" />}{scanFitResult?.bazza && <Line data={FittingEngine.generateFitCurve(scanFitResult.bazza, CRITICAL_VALUE - scanRange, CRITICAL_VALUE - 0.0005)} type="monotone" dataKey="fitted" stroke="#00008B" strokeWidth={2} strokeDasharray="5 5" dot={false} name="Bazza 擬合" />}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></div>
+              {scanExports('critical', scanResults, scanFitResult, { range: scanRange, step: scanStep }, scanRounds)}
+              <div className="bs"><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{scanResults.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{scanResults.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{scanResults.filter(r => r.winner === 'Draw').length}</span></div><div className="sc"><span className="lb">含非法提議</span><span className="vl no">{scanResults.filter(r => r.illegalProposals.length > 0).length}</span></div><div className="sc"><span className="lb">精度標記</span><span className="vl no">{scanResults.filter(r => r.precisionFlags.length > 0).length}</span></div></div>
+              <ChartBox title="臨界值附近相變圖" file="critical" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" stroke="#333" tick={{ fontSize: 10 }} tickFormatter={(v) => v.toFixed(scanDigits)} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="totalRounds" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine x={scanCenter} stroke="#228B22" strokeWidth={2} strokeDasharray="5 5" label={{ value: 'λ*', position: 'top', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} formatter={(v, name) => [name === 'totalRounds' ? v : v.toFixed(scanDigits + 3), name === 'totalRounds' ? '回合' : 'λ']} /><Scatter data={scanResults.filter(r => r.winner === 'Alice')} fill="#8B0000" name="Alice" /><Scatter data={scanResults.filter(r => r.winner === 'Bazza')} fill="#00008B" name="Bazza" /><Scatter data={scanResults.filter(r => r.winner === 'Draw')} fill="#555" name="和局" /><Scatter data={scanResults.filter(r => r.precisionFlags.length > 0)} fill="none" stroke="#E67E22" strokeWidth={2} name="精度標記" />{modelLines(scanFitResult, [scanCenter + Math.min(0.0005, scanStep), scanCenter + scanRange], [scanCenter - scanRange, scanCenter - Math.min(0.0005, scanStep)])}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
               
-              {scanFitResult && (
-                <div className="fit-box">
-                  <h3>高精度擬合結果（冪次函數）</h3>
-                  <p className="fit-desc">擬合形式：<i>n</i> = <i>a</i> × |<i>λ</i> − <i>λ</i>*|<sup><i>b</i></sup> + <i>d</i></p>
-                  <div className="fit-grid">
-                    <div className="fit-card">
-                      <div className="fit-title">Alice 勝利區域 (<i>λ</i> {'>'} <i>λ</i>*)</div>
-                      {scanFitResult.alice ? (<>
-                        <div className="fit-formula">{FittingEngine.formatFormula(scanFitResult.alice, 'alice')}</div>
-                        <div className="fit-params">
-                          <span><i>a</i> = {scanFitResult.alice.a.toFixed(6)}</span>
-                          <span><i>b</i> = {scanFitResult.alice.b.toFixed(6)}</span>
-                          <span><i>d</i> = {scanFitResult.alice.d.toFixed(4)}</span>
-                        </div>
-                        <div className="fit-stats">
-                          <span>R² = {scanFitResult.alice.r2.toFixed(6)}</span>
-                          <span>RMSE = {scanFitResult.alice.error.toFixed(4)}</span>
-                          <span>n = {scanFitResult.alice.n}</span>
-                        </div>
-                      </>) : <div className="fit-na">數據不足</div>}
-                    </div>
-                    <div className="fit-card">
-                      <div className="fit-title">Bazza 勝利區域 (<i>λ</i> {'<'} <i>λ</i>*)</div>
-                      {scanFitResult.bazza ? (<>
-                        <div className="fit-formula">{FittingEngine.formatFormula(scanFitResult.bazza, 'bazza')}</div>
-                        <div className="fit-params">
-                          <span><i>a</i> = {scanFitResult.bazza.a.toFixed(6)}</span>
-                          <span><i>b</i> = {scanFitResult.bazza.b.toFixed(6)}</span>
-                          <span><i>d</i> = {scanFitResult.bazza.d.toFixed(4)}</span>
-                        </div>
-                        <div className="fit-stats">
-                          <span>R² = {scanFitResult.bazza.r2.toFixed(6)}</span>
-                          <span>RMSE = {scanFitResult.bazza.error.toFixed(4)}</span>
-                          <span>n = {scanFitResult.bazza.n}</span>
-                        </div>
-                      </>) : <div className="fit-na">數據不足</div>}
-                    </div>
-                  </div>
-                  <p className="fit-note">註：高精度掃描可獲得更準確的冪次估計</p>
-                </div>
-              )}
+              {scanFitResult && fitPanel(scanFitResult, '高精度擬合結果（冪次函數）', 'critical', [scanCenter - scanRange, scanCenter + scanRange])}
               
               <div className="ob"><h3>觀察結果</h3><ul><li>在 λ = λ* 附近存在明顯的相變現象</li><li>λ {'>'} λ* 時，Alice 穩定獲勝；λ {'<'} λ* 時，Bazza 穩定獲勝</li><li>回合數與 |λ − λ*| 呈冪次關係</li></ul></div>
             </>)}
+            </>) : (<>
+            <p>不預設臨界值，以二分法尋找 Alice 勝與 Bazza 勝的分界，並觀察分界區間隨回合上限的收斂。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>模式</label><select value={criticalMode} onChange={(e) => setCriticalMode(e.target.value)}><option value="scan">λ* 附近掃描</option><option value="estimate">估計 λ*</option></select></div>
+              <div className="field"><label>初始區間</label><div className="row"><input type="number" step="0.05" value={estLo} onChange={(e) => setEstLo(parseFloat(e.target.value) || 0.3)} /><input type="number" step="0.05" value={estHi} onChange={(e) => setEstHi(parseFloat(e.target.value) || 1.5)} /></div></div>
+              <div className="field"><label>容差</label><input type="number" step="0.000001" min="0.000000001" value={estTolerance} onChange={(e) => setEstTolerance(parseFloat(e.target.value) || 1e-6)} /></div>
+              <div className="field"><label>回合上限（逗號分隔）</label><input type="text" value={estRounds} onChange={(e) => setEstRounds(e.target.value)} /></div>
+              {styleField('Alice')}
+              {styleField('Bazza')}
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+              <div className="field"><label>數值精度</label><select value={precision.id} onChange={(e) => setPrecision(Object.values(NumericPrecision).find(s => s.id === e.target.value))}>{Object.values(NumericPrecision).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}</select></div>
+            </div>
+            <p className="hint">區間兩端需分別為 Bazza 勝與 Alice 勝，否則下端減半、上端加倍，最多 8 次；回合上限內未分勝負的 λ 形成和局帶，分別二分其上下緣。最優型等策略的參數仍依 1/√2 調整，非標準約束下的估計反映的是所選策略之間的分界；一般冪次約束下證明型策略改用冪次族的論證。</p>
+
+            <button className="run" onClick={runEstimate} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始估計'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {estResults.length > 0 && (() => {
+              const ok = estResults.filter(r => r.bracket);
+              const last = ok[ok.length - 1];
+              return (<>
+                {last && <div className="bs"><div className="sc"><span className="lb">估計 λ̂（n = {last.maxRounds}）</span><span className="vl m">{last.estimate.toFixed(7)}</span></div><div className="sc"><span className="lb">區間寬度</span><span className="vl m">{(last.bracket.hi - last.bracket.lo).toExponential(2)}</span></div><div className="sc"><span className="lb">λ̂ − 理論 λ*</span><span className="vl m">{theory ? (last.estimate - theory.value).toExponential(2) : '無解析解'}</span></div><div className="sc"><span className="lb">對局數</span><span className="vl">{estResults.reduce((a, r) => a + r.steps.length, 0)}</span></div></div>}
+                {ok.length > 0 && <ChartBox title="分界區間 vs 回合上限" file="estimate" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={300}><LineChart data={ok.map(r => ({ maxRounds: r.maxRounds, lo: r.bracket.lo, hi: r.bracket.hi }))} margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="maxRounds" scale="log" domain={['auto', 'auto']} type="number" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合上限', position: 'bottom', fontSize: 11 }} /><YAxis domain={['auto', 'auto']} stroke="#333" tick={{ fontSize: 10 }} tickFormatter={(v) => v.toFixed(4)} /><Tooltip contentStyle={{ fontSize: 10 }} formatter={(v) => v.toFixed(7)} />{theory && <ReferenceLine y={theory.value} stroke="#228B22" strokeDasharray="5 5" label={{ value: theory.formula, position: 'right', fontSize: 10 }} />}<Line dataKey="hi" stroke="#8B0000" strokeWidth={2} name="最小 Alice 勝 λ" /><Line dataKey="lo" stroke="#00008B" strokeWidth={2} name="最大 Bazza 勝 λ" /><Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>}
+                <div className="bt"><h3>各回合上限的分界區間</h3><div className="ts"><table><thead><tr><th>回合上限</th><th>Bazza 勝 ≤</th><th>Alice 勝 ≥</th><th>寬度</th><th>和局帶</th><th>估計 λ̂</th><th>對局數</th><th>備註</th></tr></thead><tbody>{estResults.map(r => <tr key={r.maxRounds}><td className="m">{r.maxRounds}</td>{r.bracket ? (<><td className="m">{r.bracket.lo.toFixed(7)}</td><td className="m">{r.bracket.hi.toFixed(7)}</td><td className="m">{(r.bracket.hi - r.bracket.lo).toExponential(2)}</td><td className="m">{r.drawBand ? `${r.drawBand.lo.toFixed(5)} – ${r.drawBand.hi.toFixed(5)}` : '—'}</td><td className="m">{r.estimate.toFixed(7)}</td></>) : <td colSpan={5}>—</td>}<td className="m">{r.steps.length}</td><td className={`rn ${r.error || !r.monotone ? 'no' : ''}`}>{r.error || [!r.monotone && '勝者非單調', !r.converged && '未達容差'].filter(Boolean).join('；') || '—'}</td></tr>)}</tbody></table></div></div>
+              </>);
+            })()}
+            </>)}
           </section>
         )}
 
         {activeTab === 'comparison' && (
           <section className="panel">
             <h2>策略對比分析</h2>
-            <p>測試所有策略組合（5×5 = 25 種）的勝負情況。</p>
+            {comparisonMode === 'matrix' && (<>
+            <p>測試所有策略組合（{allStyles.length}×{allStyles.length} = {allStyles.length ** 2} 種）的勝負情況{userStrategies.length > 0 && `，含 ${userStrategies.length} 個使用者策略`}。</p>
             
             <div className="params-grid">
+              {comparisonModeField}
               <div className="field"><label>設定 <i>λ</i></label><input type="number" step="0.01" min="0.5" max="0.9" value={lambda} onChange={(e) => setLambda(parseFloat(e.target.value) || 0.7)} /></div>
               <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={compRounds} onChange={(e) => setCompRounds(parseInt(e.target.value) || 100)} /></div>
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
             </div>
+            <p className="hint">動態規劃型以價值迭代在 (<i>n</i>, ∑<i>x<sub>i</sub></i>, ∑<i>x<sub>i</sub></i>²) 的網格上預先計算前 {Math.min(compRounds, ORACLE_DEFAULTS.rounds)} 回合的策略表（{ORACLE_DEFAULTS.resolution}×{ORACLE_DEFAULTS.resolution} 網格、每步 {ORACLE_DEFAULTS.candidates} 個候選移動），之後改用證明型；可作為接近最優的對手，衡量其他策略。</p>
             
             <button className="run" onClick={runStrategyComparison} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始對比'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
             {comparisonResults.length > 0 && (<>
-              <div className="cm"><h3>策略勝負矩陣</h3><table className="mx"><thead><tr><th></th>{Object.values(PlayerStyle).map(s => <th key={s.id}>{s.name}</th>)}</tr></thead><tbody>{Object.values(PlayerStyle).map(aStyle => <tr key={aStyle.id}><td className="rh">{aStyle.name}</td>{Object.values(PlayerStyle).map(bStyle => { const r = comparisonResults.find(x => x.aliceStyle === aStyle.name && x.bazzaStyle === bStyle.name); return <td key={bStyle.id} className={`c-${r?.winner.toLowerCase()}`}>{r?.winner === 'Draw' ? '—' : r?.winner === 'Alice' ? 'A' : 'B'}<span className="rd">({r?.totalRounds})</span></td>; })}</tr>)}</tbody></table><div className="lg"><span><b>A</b> = Alice勝</span><span><b>B</b> = Bazza勝</span><span><b>—</b> = 和局</span></div></div>
+              <div className="exp"><button onClick={() => download('imo2025_comparison.csv', Formats.comparisonCSV(comparisonResults))}>CSV</button><button onClick={() => download('imo2025_comparison.json', JSON.stringify(Formats.comparisonJSON({ lambdaVal: comparisonResults[0].lambdaVal, maxRounds: comparisonResults[0].maxRounds, strictRules: comparisonResults[0].strictRules }, comparisonResults), null, 2))}>JSON</button><button onClick={() => download('imo2025_comparison.tex', Formats.comparisonLaTeX(comparisonResults))}>LaTeX 矩陣</button><button onClick={() => exportOracle('json')} disabled={isRunning}>策略表 JSON</button><button onClick={() => exportOracle('csv')} disabled={isRunning}>策略表 CSV</button></div>
+              <div className="cm"><h3>策略勝負矩陣</h3><table className="mx"><thead><tr><th></th>{allStyles.map(s => <th key={s.id}>{s.name}</th>)}</tr></thead><tbody>{allStyles.map(aStyle => <tr key={aStyle.id}><td className="rh">{aStyle.name}</td>{allStyles.map(bStyle => { const r = comparisonResults.find(x => x.aliceStyle.id === aStyle.id && x.bazzaStyle.id === bStyle.id); if (!r) return <td key={bStyle.id}>…</td>; return <td key={bStyle.id} className={`c-${r.winner.toLowerCase()}`}>{r.winner === 'Draw' ? '—' : r.winner === 'Alice' ? 'A' : 'B'}<span className="rd">({r.totalRounds}){r.illegalProposals.length > 0 ? ' *' : ''}</span></td>; })}</tr>)}</tbody></table><div className="lg"><span><b>A</b> = Alice勝</span><span><b>B</b> = Bazza勝</span><span><b>—</b> = 和局</span><span><b>*</b> = 策略曾提出非法移動</span></div></div>
               <div className="bs"><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{comparisonResults.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{comparisonResults.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{comparisonResults.filter(r => r.winner === 'Draw').length}</span></div></div>
             </>)}
+            </>)}
+            {comparisonMode === 'adversarial' && (<>
+            <p>固定理論必勝方（<i>λ</i> {'>'} <i>λ</i>* 時為 Alice，<i>λ</i> {'<'} <i>λ</i>* 時為 Bazza）的策略，搜尋對手的移動序列，使其落敗或拖到回合上限。對手第 <i>k</i> 次行動走合法上界的 <i>g<sub>k</sub></i> 倍（<i>g<sub>k</sub></i> ∈ [0, 1]），因此不會因違規而輸；搜尋從對手照所選策略下完的一局出發。</p>
+
+            <div className="params-grid">
+              {comparisonModeField}
+              <div className="field"><label>起始 <i>λ</i>／結束 <i>λ</i></label><div className="row"><input type="number" step="0.01" min="0.1" max="1.5" value={adversary.start} onChange={(e) => setAdversary(v => ({ ...v, start: parseFloat(e.target.value) || 0.6 }))} /><input type="number" step="0.01" min="0.1" max="1.5" value={adversary.end} onChange={(e) => setAdversary(v => ({ ...v, end: parseFloat(e.target.value) || 0.8 }))} /></div></div>
+              <div className="field"><label>步長</label><input type="number" step="0.005" min="0.001" max="0.1" value={adversary.step} onChange={(e) => setAdversary(v => ({ ...v, step: parseFloat(e.target.value) || 0.05 }))} /></div>
+              <div className="field"><label>搜尋方法</label><select value={adversary.method} onChange={(e) => setAdversary(v => ({ ...v, method: e.target.value }))}>{Object.values(SearchMethod).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}</select></div>
+              <div className="field"><label>每個 <i>λ</i> 的評估次數</label><input type="number" step="100" min="1" max="100000" value={adversary.iterations} onChange={(e) => setAdversary(v => ({ ...v, iterations: Math.max(1, parseInt(e.target.value) || 300) }))} /></div>
+              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={compRounds} onChange={(e) => setCompRounds(parseInt(e.target.value) || 100)} /></div>
+              <div className="field"><label>亂數種子</label><input type="number" step="1" min="0" value={seed} onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value) || 0))} /></div>
+              {styleField('Alice')}
+              {styleField('Bazza')}
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+            </div>
+            <p className="hint">共 {Math.floor((adversary.end - adversary.start) / adversary.step) + 1} 個 <i>λ</i> × {adversary.iterations} 局。受測方使用上方所選的策略，另一方的策略只作為搜尋起點；<i>λ</i> 落在臨界值 ±0.005 內時略過。分數依序為：對手獲勝（越早越好）、拖到回合上限、受測方獲勝（越晚越好）；對手獲勝即停止搜尋。</p>
+
+            <button className="run" onClick={runAdversarial} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始搜尋'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {adversarialResults.length > 0 && (<>
+              <div className="exp"><button onClick={() => download('imo2025_adversarial.csv', Formats.adversarialCSV(adversarialResults))}>CSV</button><button onClick={() => download('imo2025_adversarial.json', JSON.stringify({ type: 'adversarial', params: { ...adversary, seed: adversarialResults[0].seed, maxRounds: adversarialResults[0].maxRounds }, results: adversarialResults }, null, 2))}>JSON</button></div>
+              <div className="bs"><div className="sc"><span className="lb">找到反例</span><span className="vl no">{adversarialResults.filter(r => r.counterexample).length}</span></div><div className="sc"><span className="lb">對手獲勝</span><span className="vl no">{adversarialResults.filter(r => r.counterexample && r.winner !== 'Draw').length}</span></div><div className="sc"><span className="lb">拖到回合上限</span><span className="vl">{adversarialResults.filter(r => r.counterexample && r.winner === 'Draw').length}</span></div><div className="sc"><span className="lb">受測方守住</span><span className="vl ok">{adversarialResults.filter(r => r.counterexample === false).length}</span></div><div className="sc"><span className="lb">無法判定</span><span className="vl">{adversarialResults.filter(r => r.counterexample === null).length}</span></div><div className="sc"><span className="lb">略過</span><span className="vl">{adversarialResults.filter(r => r.error).length}</span></div></div>
+              <ChartBox title="搜尋前後的結束回合 vs λ" file="adversarial" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={['dataMin', 'dataMax']} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="rounds" allowDecimals={false} stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} />{theory && <ReferenceLine x={theory.value} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} />}<Tooltip contentStyle={{ fontSize: 10 }} /><Scatter data={adversarialResults.filter(r => r.target).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.baseline.totalRounds }))} fill="none" stroke="#555" strokeWidth={1.5} name="起點對局" /><Scatter data={adversarialResults.filter(r => r.counterexample === false).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.totalRounds }))} fill="#228B22" name="受測方守住" /><Scatter data={adversarialResults.filter(r => r.counterexample).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.totalRounds }))} fill="#C0392B" shape="cross" name="反例" /><Scatter data={adversarialResults.filter(r => Number.isFinite(r.proofRound)).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.proofRound }))} fill="#E67E22" shape="triangle" name="證明回合" /><Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
+              <div className="bt"><h3>各 λ 的搜尋結果</h3><div className="ts"><table><thead><tr><th>λ</th><th>受測方</th><th>證明回合</th><th>起點</th><th>搜尋後</th><th>評估</th><th>反例</th><th>對局</th></tr></thead><tbody>{adversarialResults.map(r => <tr key={r.lambdaVal}><td className="m">{r.lambdaVal.toFixed(4)}</td>{r.error ? <td colSpan={7} className="rn">{r.error}，略過</td> : (<><td className={`p-${r.target.toLowerCase()}`}>{r.target}（{r.targetStyle.name}）</td><td className="m">{Number.isFinite(r.proofRound) ? r.proofRound : '—'}</td><td>{r.baseline.winner}（{r.baseline.totalRounds}）</td><td className={`p-${r.winner.toLowerCase()}`}>{r.winner}（{r.totalRounds}）</td><td className="m">{r.evaluations}</td><td className={r.counterexample ? 'no' : r.counterexample === false ? 'ok' : ''}>{r.counterexample ? '✗' : r.counterexample === false ? '✓' : '?'}</td><td><button onClick={() => replayGame(r.game)}>回放</button><button onClick={() => exportJSON(r.game)}>JSON</button></td></>)}</tr>)}</tbody></table></div></div>
+              <p className="hint">證明回合為標準約束下證明中的決勝回合（Alice 於該回合出擊，Bazza 於下一回合才無合法移動）；受測方獲勝的回合（Bazza 為證明回合，Alice 為證明回合 + 1）超過回合上限時，拖成和局是理論允許的結果，不算反例。「回放」在模擬分析分頁開啟該局，可逐步播放或從任一回合分支；對局 JSON 可由「匯入結果」重新驗證每一步。整次搜尋（含各 <i>λ</i> 的最佳對局）會存入實驗紀錄。</p>
+            </>)}
+            </>)}
+            {comparisonMode === 'tournament' && (<>
+            <p>所有策略（{allStyles.length} 種{userStrategies.length > 0 && `，含 ${userStrategies.length} 個使用者策略`}）兩兩對局，沿 <i>λ</i> 網格並在每種所選約束下各下一局（雙方使用同一種約束），以熱圖顯示每個組合的勝者與回合數隨 <i>λ</i> 的變化，並為每個策略分 Alice／Bazza 兩側計算評分。</p>
+
+            <div className="params-grid">
+              {comparisonModeField}
+              <div className="field"><label>起始 <i>λ</i>／結束 <i>λ</i></label><div className="row"><input type="number" step="0.01" min="0.1" max="1.5" value={tournament.start} onChange={(e) => setTournament(v => ({ ...v, start: parseFloat(e.target.value) || 0.6 }))} /><input type="number" step="0.01" min="0.1" max="1.5" value={tournament.end} onChange={(e) => setTournament(v => ({ ...v, end: parseFloat(e.target.value) || 0.8 }))} /></div></div>
+              <div className="field"><label>步長</label><input type="number" step="0.005" min="0.001" max="0.1" value={tournament.step} onChange={(e) => setTournament(v => ({ ...v, step: parseFloat(e.target.value) || 0.02 }))} /></div>
+              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={compRounds} onChange={(e) => setCompRounds(parseInt(e.target.value) || 100)} /></div>
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+            </div>
+            <div className="field"><label>約束</label><div className="btns">{TOURNAMENT_CONSTRAINTS.map(c => <label key={c.id} className="ck"><input type="checkbox" checked={tournament.constraints.includes(c.id)} onChange={(e) => setTournament(v => ({ ...v, constraints: e.target.checked ? [...v.constraints, c.id] : v.constraints.filter(id => id !== c.id) }))} /> {c.name}</label>)}</div></div>
+            <p className="hint">共 {Math.floor((tournament.end - tournament.start) / tournament.step) + 1} 個 <i>λ</i> × {tournament.constraints.length} 種約束 × {allStyles.length ** 2} 個組合。Bradley–Terry 評分以所有對局的勝負（和局各得半場）求最大後驗強度，換算為 Elo 尺度；Elo 依約束、<i>λ</i> 由小到大的順序逐局更新（K = 16），與對局順序有關，僅供參考。</p>
+
+            <button className="run" onClick={runTournament} disabled={isRunning || tournament.constraints.length === 0} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始錦標賽'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {tournamentResults.length > 0 && (<>
+              <div className="exp"><button onClick={() => download('imo2025_tournament.csv', Formats.tournamentCSV(tournamentResults))}>CSV</button><button onClick={() => download('imo2025_tournament_ratings.csv', Formats.ratingsCSV(tournamentTable.ratings))}>評分 CSV</button><button onClick={() => download('imo2025_tournament.json', JSON.stringify({ type: 'tournament', params: { ...tournament, maxRounds: tournamentResults[0].maxRounds }, ratings: tournamentRatings(tournamentResults), results: tournamentResults }, null, 2))}>JSON</button></div>
+              <div className="params-grid">
+                <div className="field"><label>顯示約束</label><select value={tournamentView.constraint} onChange={(e) => setTournamentView(v => ({ ...v, constraint: e.target.value }))}><option value="all">全部約束</option>{[...new Map(tournamentResults.map(r => [r.constraint, r.constraintName]))].map(([id, name]) => <option key={id} value={id}>{name}</option>)}</select></div>
+                <div className="field"><label>熱圖</label><select value={tournamentView.metric} onChange={(e) => setTournamentView(v => ({ ...v, metric: e.target.value }))}><option value="winner">勝者</option><option value="rounds">回合數</option></select></div>
+              </div>
+              <div className="bs"><div className="sc"><span className="lb">對局數</span><span className="vl">{tournamentTable.wins.Alice + tournamentTable.wins.Bazza + tournamentTable.wins.Draw}</span></div><div className="sc"><span className="lb">Alice 勝</span><span className="vl w-alice">{tournamentTable.wins.Alice}</span></div><div className="sc"><span className="lb">Bazza 勝</span><span className="vl w-bazza">{tournamentTable.wins.Bazza}</span></div><div className="sc"><span className="lb">和局</span><span className="vl">{tournamentTable.wins.Draw}</span></div></div>
+              <div className="bt"><h3>各 λ 的最佳策略（Bradley–Terry）</h3><div className="ts"><table><thead><tr><th>λ</th><th>理論預測</th><th>最佳 Alice</th><th>最佳 Bazza</th></tr></thead><tbody>{tournamentTable.leaders.map(r => <tr key={r.lambdaVal}><td className="m">{r.lambdaVal.toFixed(4)}</td><td>{r.prediction}</td><td className="p-alice">{r.alice ? `${r.alice.name}（${r.alice.bt.toFixed(0)}）` : '—'}</td><td className="p-bazza">{r.bazza ? `${r.bazza.name}（${r.bazza.bt.toFixed(0)}）` : '—'}</td></tr>)}</tbody></table></div></div>
+              <div className="bt"><h3>評分（分 Alice／Bazza 兩側）</h3><div className="ts"><table><thead><tr><th>名次</th><th>側</th><th>策略</th><th>BT 評分</th><th>Elo</th><th>局數</th><th>勝／和／負</th><th>得分率</th></tr></thead><tbody>{tournamentTable.ratings.map((e, i) => <tr key={e.key}><td className="m">{i + 1}</td><td className={`p-${e.side.toLowerCase()}`}>{e.side}</td><td>{e.name}</td><td className="m">{e.bt.toFixed(1)}</td><td className="m">{e.elo.toFixed(1)}</td><td className="m">{e.games}</td><td className="m">{e.wins}／{e.draws}／{e.losses}</td><td className="m">{(100 * e.score).toFixed(1)}%</td></tr>)}</tbody></table></div></div>
+              <div className="cm"><h3>{tournamentView.metric === 'winner' ? '勝者' : '回合數'}熱圖（策略組合 × λ）</h3><div className="ts" style={{ maxHeight: 480 }}><table className="mx hm"><thead><tr><th>Alice 策略</th><th>Bazza 策略</th>{tournamentTable.lambdas.map(l => <th key={l}>{l.toFixed(3)}</th>)}</tr></thead><tbody>{tournamentTable.rows.map(row => <tr key={row.key}><td className="rh">{tournamentView.constraint === 'all' && `${row.constraint} · `}{row.alice}</td><td className="rh">{row.bazza}</td>{tournamentTable.lambdas.map(l => { const g = row.cells.get(l); if (!g) return <td key={l}>…</td>; return tournamentView.metric === 'winner' ? <td key={l} className={`c-${g.winner.toLowerCase()}`} title={`${g.winner}（${g.totalRounds}）`}>{g.winner === 'Draw' ? '—' : g.winner === 'Alice' ? 'A' : 'B'}</td> : <td key={l} style={{ background: roundsColor(g, g.maxRounds) }} title={g.winner}>{g.totalRounds}</td>; })}</tr>)}</tbody></table></div><div className="lg">{tournamentView.metric === 'winner' ? (<><span><b>A</b> = Alice勝</span><span><b>B</b> = Bazza勝</span><span><b>—</b> = 和局</span></>) : (<><span>紅 = Alice勝、藍 = Bazza勝、灰 = 和局</span><span>顏色越深越早分出勝負</span></>)}</div></div>
+              <p className="hint">評分只反映與本次錦標賽中其他策略的相對強弱：同一側的策略之間不直接對局，而是透過共同的對手比較。整次錦標賽會存入實驗紀錄。</p>
+            </>)}
+            </>)}
+          </section>
+        )}
+
+        {activeTab === 'solver' && (
+          <section className="panel">
+            <h2>博弈樹求解</h2>
+            <p>在前 <i>H</i> 回合內以 minimax（alpha-beta 剪枝與置換表）窮舉雙方的移動，判斷哪一方能逼勝。局面以 (<i>n</i>, ∑<i>x<sub>i</sub></i>, ∑<i>x<sub>i</sub></i>²) 記憶；其他約束則以雙方的約束累計值記憶。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>起始 <i>λ</i>／結束 <i>λ</i></label><div className="row"><input type="number" step="0.01" min="0.1" max="1.5" value={solver.start} onChange={(e) => setSolver(v => ({ ...v, start: parseFloat(e.target.value) || 0.5 }))} /><input type="number" step="0.01" min="0.1" max="1.5" value={solver.end} onChange={(e) => setSolver(v => ({ ...v, end: parseFloat(e.target.value) || 1 }))} /></div></div>
+              <div className="field"><label>步長</label><input type="number" step="0.005" min="0.001" max="0.1" value={solver.step} onChange={(e) => setSolver(v => ({ ...v, step: parseFloat(e.target.value) || 0.05 }))} /></div>
+              <div className="field"><label>求解回合 <i>H</i></label><input type="number" step="1" min="1" max="30" value={solver.horizon} onChange={(e) => setSolver(v => ({ ...v, horizon: Math.max(1, parseInt(e.target.value) || 8) }))} /></div>
+              <div className="field"><label>網格點數</label><input type="number" step="1" min="2" max="21" value={solver.grid} onChange={(e) => setSolver(v => ({ ...v, grid: Math.max(2, parseInt(e.target.value) || 5) }))} /></div>
+              <div className="field"><label>節點上限</label><input type="number" step="100000" min="1000" value={solver.maxNodes} onChange={(e) => setSolver(v => ({ ...v, maxNodes: Math.max(1, parseInt(e.target.value) || 200000) }))} /></div>
+              {constraintFields('Alice')}
+              {constraintFields('Bazza')}
+            </div>
+            <p className="hint">共 {Math.floor((solver.end - solver.start) / solver.step) + 1} 個 <i>λ</i>。每步只考慮合法區間 [0, max] 上的 {solver.grid} 個等分點（含 0 與 max），雙方都受此限制，因此結果描述的是離散化後的遊戲，並非原遊戲的證明。搜尋量約隨 {solver.grid}<sup><i>H</i></sup> 增長，超出節點上限的 <i>λ</i> 記為未知。</p>
+
+            <button className="run" onClick={runSolver} disabled={isRunning} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始求解'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {solverRows.length > 0 && (<>
+              <div className="exp"><button onClick={() => download('imo2025_solve.csv', Formats.solverCSV(solverResults))}>CSV</button><button onClick={() => download('imo2025_solve.json', JSON.stringify({ type: 'solve', params: { horizon: solverResults[0].horizon, grid: solverResults[0].grid, maxNodes: solverResults[0].maxNodes }, results: solverResults }, null, 2))}>JSON</button></div>
+              <div className="bs"><div className="sc"><span className="lb">Alice 必勝</span><span className="vl w-alice">{solverRows.filter(r => r.winner === 'Alice').length}</span></div><div className="sc"><span className="lb">Bazza 必勝</span><span className="vl w-bazza">{solverRows.filter(r => r.winner === 'Bazza').length}</span></div><div className="sc"><span className="lb">{solverRows[0].horizon} 回合內無法逼勝</span><span className="vl">{solverRows.filter(r => r.winner === 'Draw').length}</span></div><div className="sc"><span className="lb">超出節點上限</span><span className="vl no">{solverRows.filter(r => r.exceeded).length}</span></div><div className="sc"><span className="lb">與批次掃描一致</span><span className="vl ok">{solverRows.filter(r => r.agree === true).length}/{solverRows.filter(r => r.agree !== null).length}</span></div></div>
+              <ChartBox title="逼勝回合 vs λ" file="solver" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={320}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={['dataMin', 'dataMax']} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="rounds" domain={[0, solverRows[0].horizon + 1]} allowDecimals={false} stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} />{theory && <ReferenceLine x={theory.value} stroke="#228B22" strokeWidth={2} label={{ value: 'λ*', position: 'top', fontSize: 11 }} />}<ReferenceLine y={solverRows[0].horizon} stroke="#999" strokeDasharray="4 3" /><Tooltip contentStyle={{ fontSize: 10 }} /><Scatter data={solverRows.filter(r => r.winner === 'Alice').map(r => ({ lambdaVal: r.lambdaVal, rounds: r.winRound }))} fill="#8B0000" name="Alice 必勝" /><Scatter data={solverRows.filter(r => r.winner === 'Bazza').map(r => ({ lambdaVal: r.lambdaVal, rounds: r.winRound }))} fill="#00008B" name="Bazza 必勝" /><Scatter data={solverRows.filter(r => r.winner === 'Draw' || r.exceeded).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.horizon + 1 }))} fill="#555" shape="cross" name="無法逼勝／未知" /><Scatter data={solverRows.filter(r => r.game && r.game.totalRounds <= r.horizon).map(r => ({ lambdaVal: r.lambdaVal, rounds: r.game.totalRounds }))} fill="none" stroke="#E67E22" strokeWidth={2} name="批次掃描對局" /><Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
+              <div className="bt"><h3>各 λ 的求解結果</h3><div className="ts"><table><thead><tr><th>λ</th><th>必勝方</th><th>逼勝回合</th><th>節點數</th><th>批次掃描</th><th>一致</th><th>主要變例 x<sub>1</sub>, x<sub>2</sub>, …</th></tr></thead><tbody>{solverRows.map(r => <tr key={r.lambdaVal}><td className="m">{r.lambdaVal.toFixed(4)}</td><td className={r.exceeded ? 'no' : `p-${r.winner.toLowerCase()}`}>{r.exceeded ? '未知' : r.winner === 'Draw' ? '無法逼勝' : r.winner}</td><td className="m">{r.winRound ?? '—'}</td><td className="m">{r.nodes}</td><td>{r.game ? `${r.game.winner}（${r.game.totalRounds}）` : '—'}</td><td className={r.agree === null ? '' : r.agree ? 'ok' : 'no'}>{r.agree === null ? '—' : r.agree ? '✓' : '✗'}</td><td className="rn m">{r.line.map(m => m.move.toFixed(3)).join(', ')}</td></tr>)}</tbody></table></div></div>
+              <p className="hint">批次掃描欄取自「批次掃描」分頁中相同 <i>λ</i> 的最優型對局。無法逼勝時，對局在 {solverRows[0].horizon} 回合內未分勝負才算一致。</p>
+            </>)}
+          </section>
+        )}
+
+        {activeTab === 'optimizer' && (
+          <section className="panel">
+            <h2>最優型參數調校</h2>
+            <p>最優型策略的出擊回合、雙方積極度與儲備門檻原本是 δ = <i>λ</i> − <i>λ</i>* 的固定公式。這裡把公式中的 {TUNING_PARAMS.length} 個常數當成自由參數，以遺傳演算法搜尋：<i>λ</i> 網格中平衡帶外的每個 <i>λ</i>，由理論必勝方使用候選參數，與對手池中的每個策略各下一局（標準約束）。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>起始 <i>λ</i>／結束 <i>λ</i></label><div className="row"><input type="number" step="0.01" min="0.1" max="1.5" value={tuning.start} onChange={(e) => setTuning(v => ({ ...v, start: parseFloat(e.target.value) || 0.6 }))} /><input type="number" step="0.01" min="0.1" max="1.5" value={tuning.end} onChange={(e) => setTuning(v => ({ ...v, end: parseFloat(e.target.value) || 0.85 }))} /></div></div>
+              <div className="field"><label>步長</label><input type="number" step="0.005" min="0.001" max="0.1" value={tuning.step} onChange={(e) => setTuning(v => ({ ...v, step: parseFloat(e.target.value) || 0.05 }))} /></div>
+              <div className="field"><label>目標</label><select value={tuning.objective} onChange={(e) => setTuning(v => ({ ...v, objective: e.target.value }))}>{Object.values(TuningObjective).map(o => <option key={o.id} value={o.id}>{o.name}</option>)}</select></div>
+              <div className="field"><label>族群大小</label><input type="number" step="2" min="4" max="200" value={tuning.population} onChange={(e) => setTuning(v => ({ ...v, population: Math.max(4, parseInt(e.target.value) || 16) }))} /></div>
+              <div className="field"><label>世代數</label><input type="number" step="5" min="1" max="500" value={tuning.generations} onChange={(e) => setTuning(v => ({ ...v, generations: Math.max(1, parseInt(e.target.value) || 20) }))} /></div>
+              <div className="field"><label>獨立演化次數</label><input type="number" step="1" min="1" max="32" value={tuning.runs} onChange={(e) => setTuning(v => ({ ...v, runs: Math.max(1, parseInt(e.target.value) || 4) }))} /></div>
+              <div className="field"><label>回合數</label><input type="number" step="10" min="20" max="500" value={tuning.rounds} onChange={(e) => setTuning(v => ({ ...v, rounds: Math.max(1, parseInt(e.target.value) || 100) }))} /></div>
+              <div className="field"><label>亂數種子</label><input type="number" step="1" min="0" value={seed} onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value) || 0))} /></div>
+              <div className="field"><label className="ck"><input type="checkbox" checked={strictRules} onChange={(e) => setStrictRules(e.target.checked)} /> 嚴格規則</label></div>
+            </div>
+            <div className="field"><label>對手池</label><div className="btns">{allStyles.map(s => <label key={s.id} className="ck"><input type="checkbox" checked={tuning.opponents.includes(s.id)} onChange={(e) => setTuning(v => ({ ...v, opponents: e.target.checked ? [...v.opponents, s.id] : v.opponents.filter(id => id !== s.id) }))} /> {s.name}</label>)}</div></div>
+            <p className="hint">每組參數約 {Math.floor((tuning.end - tuning.start) / tuning.step) + 1} 個 <i>λ</i> × {tuning.opponents.length} 個對手局，共 {tuning.runs} 次獨立演化 × {tuning.population} 個體 × {tuning.generations} 代（重複的參數不重算）。最少獲勝回合：未獲勝的對局計為回合數的兩倍；最高勝率：勝率相同時以平均回合區分。第一代包含預設參數，每代保留最佳的兩個個體，因此結果不會比預設參數差。對手池含使用者策略時，每次演化須在 {STRATEGY_TIMEOUT / 1000} 秒內完成。</p>
+
+            <button className="run" onClick={runTuning} disabled={isRunning || tuning.opponents.length === 0} style={{ maxWidth: 200 }}>{isRunning ? '計算中...' : '開始調校'}</button>
+            {progress && <div className="pg"><div className="pg-bar"><div style={{ width: `${progress.total ? 100 * progress.done / progress.total : 0}%` }} /></div><span className="m">{progress.done}/{progress.total}</span><button onClick={cancelJob}>取消</button></div>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+            {tuningResults.some(r => r.error) && <p className="hint no">{tuningResults.find(r => r.error).error}</p>}
+            {tuningBest && (<>
+              <div className="exp"><button onClick={() => download('imo2025_tuning.csv', Formats.tuningCSV(tuningResults))}>CSV</button><button onClick={() => download('imo2025_tuning.json', JSON.stringify({ type: 'tuning', params: { ...tuning, seed }, results: tuningResults }, null, 2))}>JSON</button></div>
+              <div className="bs"><div className="sc"><span className="lb">預設參數目標值</span><span className="vl">{tuningBest.baseline.cost.toFixed(3)}</span></div><div className="sc"><span className="lb">最佳目標值</span><span className="vl ok">{tuningBest.best.cost.toFixed(3)}</span></div><div className="sc"><span className="lb">勝率</span><span className="vl">{(100 * tuningBest.baseline.winRate).toFixed(1)}% → {(100 * tuningBest.best.winRate).toFixed(1)}%</span></div><div className="sc"><span className="lb">平均獲勝回合</span><span className="vl">{tuningBest.baseline.meanRounds?.toFixed(1) ?? '—'} → {tuningBest.best.meanRounds?.toFixed(1) ?? '—'}</span></div></div>
+              <ChartBox title="收斂曲線" file="tuning" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={320}><LineChart data={tuningCurves} margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="generation" type="number" domain={[1, 'dataMax']} allowDecimals={false} stroke="#333" tick={{ fontSize: 10 }} label={{ value: '世代', position: 'bottom', fontSize: 11 }} /><YAxis stroke="#333" tick={{ fontSize: 10 }} label={{ value: '目標值', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine y={tuningBest.baseline.cost} stroke="#999" strokeDasharray="4 3" label={{ value: '預設參數', position: 'insideTopRight', fontSize: 10 }} /><Tooltip formatter={(v) => v.toFixed(3)} contentStyle={{ fontSize: 10 }} />{tuningResults.filter(r => r.history).map((r, i) => <Line key={`run${r.run}`} type="monotone" dataKey={`run${r.run}`} stroke={OVERLAY_COLORS[i % OVERLAY_COLORS.length]} strokeWidth={1.5} dot={false} name={`演化 ${r.run} 最佳`} />)}{tuningResults.filter(r => r.history).map((r, i) => <Line key={`mean${r.run}`} type="monotone" dataKey={`mean${r.run}`} stroke={OVERLAY_COLORS[i % OVERLAY_COLORS.length]} strokeOpacity={0.4} strokeDasharray="4 3" strokeWidth={1} dot={false} legendType="none" name={`演化 ${r.run} 平均`} />)}<Legend wrapperStyle={{ fontSize: 10 }} /></LineChart></ResponsiveContainer></ChartBox>
+              <div className="bt"><h3>最佳參數（演化 {tuningBest.run}）</h3><div className="ts"><table><thead><tr><th>參數</th><th>範圍</th><th>預設</th><th>最佳</th></tr></thead><tbody>{TUNING_PARAMS.map(p => <tr key={p.key}><td>{p.name}</td><td className="m">[{p.min}, {p.max}]</td><td className="m">{DEFAULT_TUNING[p.key]}</td><td className={`m ${tuningBest.best.tuning[p.key] !== DEFAULT_TUNING[p.key] ? 'ok' : ''}`}>{p.integer ? tuningBest.best.tuning[p.key] : tuningBest.best.tuning[p.key].toFixed(4)}</td></tr>)}</tbody></table></div></div>
+              <div className="bt"><h3>各次演化</h3><div className="ts"><table><thead><tr><th>演化</th><th>種子</th><th>評估</th><th>最佳目標值</th><th>勝率</th><th>平均獲勝回合</th></tr></thead><tbody>{tuningResults.filter(r => r.best).map(r => <tr key={r.run}><td className="m" style={{ color: OVERLAY_COLORS[tuningResults.filter(x => x.history).indexOf(r) % OVERLAY_COLORS.length] }}>{r.run}</td><td className="m">{r.seed}</td><td className="m">{r.evaluations}</td><td className="m">{r.best.cost.toFixed(3)}</td><td className="m">{(100 * r.best.winRate).toFixed(1)}%</td><td className="m">{r.best.meanRounds?.toFixed(1) ?? '—'}</td></tr>)}</tbody></table></div></div>
+              <div className="params-grid"><div className="field"><label>策略名稱</label><input type="text" value={tuningName} placeholder="例：調校最優型" onChange={(e) => setTuningName(e.target.value)} /></div></div>
+              <div className="btns"><button onClick={promoteTuning} disabled={isRunning || !tuningName.trim()}>{userStrategies.some(s => s.name === tuningName.trim()) ? '試跑並覆寫策略' : '試跑並存為策略'}</button></div>
+              {strategyCheck && <p className={`hint ${strategyCheck.error ? 'no' : 'ok'}`}>{strategyCheck.error ?? '試跑通過，已儲存'}</p>}
+              <p className="hint">最佳參數會存成具名的策略預設（最優型換上調校後的 λ 配置），存入後出現在策略選單、策略對比矩陣、錦標賽與分享連結中，也列在「策略編輯」分頁。整次調校會存入實驗紀錄。</p>
+            </>)}
+          </section>
+        )}
+
+        {activeTab === 'constraints' && (
+          <section className="panel">
+            <h2>自訂約束</h2>
+            <p>約束形式為 ∑ w(i)·xᵢ^e ≤ L(n, λ)，其中 i 為移動編號（從 1 起算）、n 為當前回合。表達式只接受數字、變數、+ − × ÷ ^、括號與 sqrt、exp、log、abs、min、max，不會執行任何程式碼。儲存後可在模擬、批次與臨界值分頁的約束選單中選用，Alice 與 Bazza 皆可。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>名稱</label><input type="text" value={draft.name} placeholder="例：遞增權重" onChange={(e) => setDraft({ ...draft, name: e.target.value })} /></div>
+              <div className="field"><label>權重 w(i)</label><input type="text" value={draft.weight} onChange={(e) => setDraft({ ...draft, weight: e.target.value })} /></div>
+              <div className="field"><label>指數 e</label><input type="number" step="0.5" min="0.1" value={draft.exponent} onChange={(e) => setDraft({ ...draft, exponent: e.target.value })} /></div>
+              <div className="field"><label>上限 L(n, λ)</label><input type="text" value={draft.limit} onChange={(e) => setDraft({ ...draft, limit: e.target.value })} /></div>
+            </div>
+            <p className={`hint ${draftError ? 'no' : ''}`}>{draftError ?? `∑(${draft.weight})·xᵢ^${draft.exponent} ≤ ${draft.limit}`}</p>
+            <div className="btns"><button onClick={savePreset} disabled={!!draftError || !draft.name.trim()}>{presets.some(p => p.name === draft.name.trim()) ? '覆寫預設' : '儲存預設'}</button></div>
+
+            <div className="bt"><h3>預覽（λ = {lambda.toFixed(4)}）</h3><div className="ts"><table><thead><tr><th>i 或 n</th><th>w(i)</th><th>L(n, λ)</th></tr></thead><tbody>{draftPreview.map(r => <tr key={r.k}><td className="m">{r.k}</td><td className={`m ${Number.isFinite(r.weight) && r.weight > 0 ? '' : 'no'}`}>{r.weight === undefined ? '—' : r.weight.toFixed(6)}</td><td className={`m ${Number.isFinite(r.limit) ? '' : 'no'}`}>{r.limit === undefined ? '—' : r.limit.toFixed(6)}</td></tr>)}</tbody></table></div></div>
+
+            <div className="bt"><h3>已儲存的預設</h3>{presets.length === 0 ? <p className="hint">尚無自訂約束。</p> : <div className="ts"><table><thead><tr><th>名稱</th><th>約束</th><th></th></tr></thead><tbody>{presets.map(p => <tr key={p.name}><td>{p.name}</td><td className="m">∑({p.weight})·xᵢ^{p.exponent} ≤ {p.limit}</td><td><div className="btns"><button onClick={() => setDraft(p)}>編輯</button><button onClick={() => setAliceConstraint(customConstraint(p))}>套用至 Alice</button><button onClick={() => setBazzaConstraint(customConstraint(p))}>套用至 Bazza</button><button onClick={() => setPresets(ps => ps.filter(q => q.name !== p.name))}>刪除</button></div></td></tr>)}</tbody></table></div>}</div>
+          </section>
+        )}
+
+        {activeTab === 'strategies' && (
+          <section className="panel">
+            <h2>使用者策略</h2>
+            <p>以 JavaScript 定義 <code>function move(state)</code>，雙方共用同一函式（以 <code>state.player</code> 區分），回傳 <i>xₙ</i> 或 {'{ move, reason }'}。程式碼只在背景 worker 中執行：無法存取頁面、網路與儲存空間，單一對局超過 {STRATEGY_TIMEOUT / 1000} 秒即終止。儲存前會以短局試跑，儲存後出現在模擬分析的策略選單與策略對比矩陣中。</p>
+
+            <div className="params-grid">
+              <div className="field"><label>名稱</label><input type="text" value={strategyDraft.name} placeholder="例：延遲出擊" onChange={(e) => setStrategyDraft({ ...strategyDraft, name: e.target.value })} /></div>
+            </div>
+            <textarea className="code" spellCheck={false} rows={14} value={strategyDraft.source} onChange={(e) => setStrategyDraft({ ...strategyDraft, source: e.target.value })} />
+            <div className="btns"><button onClick={saveStrategy} disabled={isRunning || !strategyDraft.name.trim()}>{userStrategies.some(s => s.name === strategyDraft.name.trim()) ? '試跑並覆寫' : '試跑並儲存'}</button><button onClick={() => setStrategyDraft({ ...strategyDraft, source: STRATEGY_TEMPLATE })}>還原範本</button></div>
+            {strategyCheck && <p className={`hint ${strategyCheck.error ? 'no' : 'ok'}`}>{strategyCheck.error ?? '試跑通過，已儲存'}</p>}{jobError && <p className="hint no">計算失敗：{jobError}</p>}
+
+            <div className="bt"><h3>已儲存的策略</h3>{userStrategies.length === 0 ? <p className="hint">尚無使用者策略。</p> : <div className="ts"><table><thead><tr><th>名稱</th><th>程式碼</th><th></th></tr></thead><tbody>{userStrategies.map(s => <tr key={s.id}><td>{s.name}</td><td className="m rn">{s.source !== undefined ? `${s.source.split('\n').length} 行` : '調校參數'}</td><td><div className="btns">{s.source !== undefined && <button onClick={() => setStrategyDraft({ name: s.name, source: s.source })}>編輯</button>}<button onClick={() => setAliceStyle(s)}>設為 Alice</button><button onClick={() => setBazzaStyle(s)}>設為 Bazza</button><button onClick={() => setUserStrategies(list => list.filter(x => x.id !== s.id))}>刪除</button></div></td></tr>)}</tbody></table></div>}</div>
+          </section>
+        )}
+
+        {activeTab === 'history' && (
+          <section className="panel">
+            <h2>實驗紀錄</h2>
+            <p>每次模擬、掃描與估計完成後（含取消時已完成的部分）自動存入本機瀏覽器，附上當時的完整設定與引擎版本。開啟紀錄會還原設定並載入結果；勾選兩筆以上的批次或臨界值掃描可疊加比較相變位置。</p>
+            {historyError && <p className="hint no">實驗紀錄無法使用：{historyError}</p>}
+
+            <div className="params-grid">
+              <div className="field"><label>搜尋（名稱、備註、標籤）</label><input type="text" value={historyQuery} onChange={(e) => setHistoryQuery(e.target.value)} /></div>
+            </div>
+            {allTags.length > 0 && <div className="tags">{allTags.map(t => <span key={t} className={`tag ${historyQuery === t ? 'on' : ''}`} onClick={() => setHistoryQuery(historyQuery === t ? '' : t)}>{t}</span>)}</div>}
+
+            {runDraft && (<div className="info">
+              <div className="params-grid">
+                <div className="field"><label>名稱</label><input type="text" value={runDraft.name} onChange={(e) => setRunDraft({ ...runDraft, name: e.target.value })} /></div>
+                <div className="field"><label>標籤（以逗號或空白分隔）</label><input type="text" value={runDraft.tags} onChange={(e) => setRunDraft({ ...runDraft, tags: e.target.value })} /></div>
+              </div>
+              <textarea className="code" rows={3} placeholder="備註" value={runDraft.notes} onChange={(e) => setRunDraft({ ...runDraft, notes: e.target.value })} />
+              <div className="btns"><button onClick={saveRunDraft}>儲存</button><button onClick={() => setRunDraft(null)}>取消</button></div>
+            </div>)}
+
+            <div className="bt"><h3>紀錄（{visibleRuns.length}／{runs.length}）</h3>{visibleRuns.length === 0 ? <p className="hint">{runs.length === 0 ? '尚無紀錄。' : '沒有符合的紀錄。'}</p> : <div className="ts"><table><thead><tr><th>疊加</th><th>名稱</th><th>類型</th><th>時間</th><th>摘要</th><th>引擎</th><th></th></tr></thead><tbody>{visibleRuns.map(r => <tr key={r.id}><td>{isScan(r) && <input type="checkbox" checked={overlay.some(o => o.run.id === r.id)} onChange={() => toggleOverlay(r)} />}</td><td>{r.name}{r.tags.map(t => <span key={t} className="tag">{t}</span>)}{r.notes && <div className="rn">{r.notes}</div>}</td><td>{runKindName(r.kind)}</td><td className="m">{new Date(r.createdAt).toLocaleString('zh-TW')}</td><td className="rn">{runSummary(r)}</td><td className={`m ${r.engine === ENGINE_HASH ? 'ok' : 'no'}`} title={r.engine}>{r.engine === ENGINE_HASH ? '目前' : '⚠ 不同'}</td><td><div className="btns"><button onClick={() => openRun(r)}>開啟</button><button onClick={() => setRunDraft({ id: r.id, name: r.name, notes: r.notes, tags: r.tags.join(', ') })}>編輯</button><button onClick={() => deleteRun(r)}>刪除</button></div></td></tr>)}</tbody></table></div>}</div>
+
+            {overlay.length > 0 && (<>
+              <ChartBox title="λ vs 回合數（疊加）" file="overlay" style={{ marginTop: 20 }}><ResponsiveContainer width="100%" height={340}><ScatterChart margin={{ top: 20, right: 20, bottom: 35, left: 50 }}><CartesianGrid strokeDasharray="3 3" stroke="#ccc" /><XAxis dataKey="lambdaVal" type="number" domain={['auto', 'auto']} stroke="#333" tick={{ fontSize: 10 }} label={{ value: 'λ', position: 'bottom', fontSize: 12, fontStyle: 'italic' }} /><YAxis dataKey="totalRounds" stroke="#333" tick={{ fontSize: 10 }} label={{ value: '回合數', angle: -90, position: 'insideLeft', fontSize: 11 }} /><ReferenceLine x={CRITICAL_VALUE} stroke="#228B22" strokeWidth={2} strokeDasharray="5 5" label={{ value: 'λ*', position: 'top', fontSize: 11 }} /><Tooltip contentStyle={{ fontSize: 10 }} />{overlay.map((o, i) => <Scatter key={o.run.id} data={o.results} name={o.run.name} fill={OVERLAY_COLORS[i % OVERLAY_COLORS.length]} line={{ strokeWidth: 1 }} />)}<Legend wrapperStyle={{ fontSize: 10 }} /></ScatterChart></ResponsiveContainer></ChartBox>
+              <div className="bt"><h3>相變位置</h3><div className="ts"><table><thead><tr><th>紀錄</th><th>回合上限</th><th>約束（Alice／Bazza）</th><th>最大 Bazza 勝 λ</th><th>最小 Alice 勝 λ</th><th>和局範圍</th><th>單調</th></tr></thead><tbody>{overlay.map((o, i) => <tr key={o.run.id}><td style={{ color: OVERLAY_COLORS[i % OVERLAY_COLORS.length] }}>{o.run.name}{o.run.engine !== ENGINE_HASH && <span className="no"> ⚠ 引擎不同</span>}</td><td className="m">{runRoundLimit(o.run) ?? '—'}</td><td>{configConstraint(o.run.config.alice?.constraint)}／{configConstraint(o.run.config.bazza?.constraint)}</td><td className="m">{o.transition.bazzaMax?.toFixed(6) ?? '—'}</td><td className="m">{o.transition.aliceMin?.toFixed(6) ?? '—'}</td><td className="m">{o.transition.drawBand ? `${o.transition.drawBand.lo.toFixed(6)} – ${o.transition.drawBand.hi.toFixed(6)}` : '—'}</td><td className={o.transition.monotone ? 'ok' : 'no'}>{o.transition.monotone ? '✓' : '✗'}</td></tr>)}</tbody></table></div><p className="hint">最大 Bazza 勝 λ 與最小 Alice 勝 λ 之間即為該次掃描定出的相變區間；回合上限不同的掃描，和局範圍會隨上限增加而收窄。</p></div>
+            </>)}
           </section>
         )}
 
@@ -774,13 +1438,14 @@ export default function App() {
             <article><h3>2. 臨界值定理</h3><div className="tm"><p><strong>定理</strong>　臨界值為 <i>λ</i>* = 1/√2 ≈ 0.707107</p><ul><li>若 <i>λ</i> {'>'} <i>λ</i>*，則 Alice 有必勝策略</li><li>若 <i>λ</i> {'<'} <i>λ</i>*，則 Bazza 有必勝策略</li></ul></div></article>
             <article><h3>3. 輔助引理</h3><div className="tm"><p><strong>引理</strong>　對於 <i>t</i> ∈ [0, √2]：<i>t</i> + √(2 − <i>t</i>²) ≤ 2</p><p>等號成立當且僅當 <i>t</i> = 1。</p></div><p><strong>證明</strong>　令 f(t) = t + √(2 − t²)，求導得 f'(t) = 1 − t/√(2 − t²)。令 f'(t) = 0，得 t = 1，此時 f(1) = 2。∎</p></article>
             <article><h3>4. Cauchy-Schwarz 不等式</h3><div className="tm"><p><strong>定理</strong>　(∑<i>x<sub>i</sub></i>)² ≤ <i>n</i> · ∑<i>x<sub>i</sub></i>²</p></div><p>結合約束可得 ∑<i>x<sub>i</sub></i> ≤ <i>n</i>，當 <i>λ</i> {'<'} 1 時線性約束更嚴格。</p></article>
-            <article><h3>5. 策略分析</h3><p><b>Alice（λ {'>'} λ*）</b>：「延遲攻擊」策略 — 前期選 0 積累容量，在第 2k+1 回合發動致命一擊。</p><p><b>Bazza（λ {'<'} λ*）</b>：「壓縮」策略 — 每回合選接近上限的值，消耗 Alice 線性容量。</p></article>
-            <article><h3>6. 參考文獻</h3><ol><li>International Mathematical Olympiad 2025, Problem 5.</li><li>Hardy, Littlewood, Pólya (1952). <em>Inequalities</em>. CUP.</li></ol></article>
+            <article><h3>5. 策略分析</h3><p><b>Alice（λ {'>'} λ*）</b>：「延遲攻擊」策略 — 前期選 0 積累容量，在第 2k+1 回合發動致命一擊。</p><p><b>Bazza（λ {'<'} λ*）</b>：「壓縮」策略 — 每回合選接近上限的值，消耗 Alice 線性容量。</p><p><b>證明型策略</b>：嚴格依照證明行動，不使用任何調校參數。Alice 在第 2<i>k</i>+1 回合前皆選 0，<i>k</i> 為使 <i>λ</i>(2<i>k</i>+1) {'>'} √2(<i>k</i>+1) 的最小整數，屆時選取全部線性餘量；由 Cauchy-Schwarz，Bazza 的總和 <i>S</i> 滿足 ∑<i>x<sub>i</sub></i>² ≥ <i>S</i>²/<i>k</i> + (<i>λ</i>(2<i>k</i>+1) − <i>S</i>)² {'>'} 2<i>k</i>+2，故 Bazza 無合法移動。Bazza 每回合回應 √(2 − <i>t</i>²)（<i>t</i> 為 Alice 上一步），由引理每兩回合總和至少 √2，Alice 的線性餘量終將為負。模擬結果附有逐回合證明憑證。</p></article>
+            <article><h3>6. 一般冪次族</h3><p>將約束推廣為 Alice：∑<i>x<sub>i</sub></i><sup><i>p</i></sup> ≤ <i>λn</i><sup><i>a</i></sup>，Bazza：∑<i>x<sub>i</sub></i><sup><i>q</i></sup> ≤ <i>n</i><sup><i>b</i></sup>（原題為 <i>p</i> = 1、<i>q</i> = 2、<i>a</i> = <i>b</i> = 1）。</p><div className="tm"><p><strong>命題</strong>　若 <i>a</i> = <i>b</i> = 1 且 0 {'<'} <i>p</i> ≤ <i>q</i>，則臨界值為 <i>λ</i>* = 2<sup><i>p</i>/<i>q</i></sup>/2（<i>p</i> = <i>q</i> 時為 1）。</p></div><p><b>Bazza（λ {'<'} λ*）</b>：每回合回應 (2 − <i>t</i><sup><i>q</i></sup>)<sup>1/<i>q</i></sup>，使每兩回合的 <i>q</i> 次方和恰為 2。由於 <i>p</i>/<i>q</i> ≤ 1，<i>u</i><sup><i>p</i>/<i>q</i></sup> + <i>v</i><sup><i>p</i>/<i>q</i></sup> ≥ (<i>u</i> + <i>v</i>)<sup><i>p</i>/<i>q</i></sup>，故 Alice 的 <i>p</i> 次方和每兩回合至少增加 2<sup><i>p</i>/<i>q</i></sup>，終將超過 <i>λn</i>。</p><p><b>Alice（λ {'>'} λ*）</b>：前期選 0。由冪平均不等式，Bazza 的 <i>k</i> 步滿足 ∑<i>x<sup>p</sup></i> ≤ <i>k</i>·2<sup><i>p</i>/<i>q</i></sup>，Alice 的餘量至少 <i>k</i>(2<i>λ</i> − 2<sup><i>p</i>/<i>q</i></sup>) + <i>λ</i>，線性增長；出擊時 <i>x</i><sup><i>q</i></sup> = (餘量)<sup><i>q</i>/<i>p</i></sup> 以超線性速度超越 Bazza 的上限 2<i>k</i> + 2（<i>p</i> = <i>q</i> 時兩者皆為線性，<i>λ</i> {'>'} 1 仍足以超越）。</p><p><i>p</i> {'>'} <i>q</i> 或增長不為線性時沒有已知的解析解，可於臨界值分析的「估計 λ*」模式中以二分法取得經驗值。</p></article>
+            <article><h3>7. 參考文獻</h3><ol><li>International Mathematical Olympiad 2025, Problem 5.</li><li>Hardy, Littlewood, Pólya (1952). <em>Inequalities</em>. CUP.</li></ol></article>
           </section>
         )}
-      </main>
+      </main></ChartOptions.Provider>
 
-      <footer className="footer"><p>IMO 2025 Problem 5 Analysis System v2.0</p></footer>
+      <footer className="footer"><p>IMO 2025 Problem 5 Analysis System v2.0 · 引擎 <span className="m">{ENGINE_HASH}</span></p></footer>
 
       <style>{`
 *{margin:0;padding:0;box-sizing:border-box}
@@ -792,6 +1457,12 @@ export default function App() {
 .nav button{font-family:inherit;font-size:12px;padding:10px 24px;background:none;border:none;border-bottom:2px solid transparent;cursor:pointer}
 .nav button:hover{background:#f9f9f9}
 .nav button.active{border-bottom-color:#1a1a1a}
+.nav .share{margin-left:12px;color:#555;font-size:11px}
+.lk{display:flex;gap:12px;align-items:center;justify-content:center;flex-wrap:wrap;padding:8px 20px;font-size:11px;background:#f3f8f3;border-bottom:1px solid #cdc}
+.lk.warn{background:#fff6e5;border-bottom-color:#E67E22}
+.lk .nt{color:#666;font-size:10px}
+.iss{width:100%;max-height:140px;overflow-y:auto;margin:0;padding-left:20px;font-size:10px;text-align:left}
+.lk button{font-family:inherit;font-size:10px;padding:3px 10px;background:#f0f0f0;border:1px solid #aaa;cursor:pointer}
 .main{max-width:1150px;margin:0 auto;padding:20px 14px}
 .sim-layout{display:grid;grid-template-columns:260px 1fr;gap:18px}
 .panel{background:#fff;border:1px solid #ccc;padding:18px}
@@ -808,6 +1479,8 @@ i{font-family:"Times New Roman",serif}
 .btns{display:flex;gap:4px;margin-top:5px}
 .btns button{font-family:inherit;font-size:10px;padding:3px 9px;background:#f0f0f0;border:1px solid #aaa;cursor:pointer}
 .btns button:hover{background:#e5e5e5}
+.btns button:disabled{opacity:.5;cursor:default}
+.code{width:100%;box-sizing:border-box;font-family:"Courier New",Consolas,monospace;font-size:11px;line-height:1.5;padding:8px;border:1px solid #aaa;background:#fafafa;margin-bottom:8px;resize:vertical}
 .info{background:#f8f8f8;border:1px solid #ccc;padding:10px;font-size:11px;margin-top:12px}
 .r{display:flex;justify-content:space-between;padding:2px 0}
 .run{font-family:inherit;font-size:12px;width:100%;padding:9px;background:#1a1a1a;color:#fff;border:none;cursor:pointer;margin-top:12px}
@@ -833,7 +1506,13 @@ i{font-family:"Times New Roman",serif}
 .no{color:#8B0000}
 .cg{display:grid;grid-template-columns:1fr 1fr;gap:14px;margin-bottom:16px}
 .cb{border:1px solid #ccc;padding:10px;background:#fff}
-.cb h3{font-size:11px;margin:0 0 6px;font-weight:400}
+.cb h3{font-size:11px;margin:0;font-weight:400}
+.ch{display:flex;justify-content:space-between;align-items:center;margin-bottom:6px}
+.ce button{font-family:inherit;font-size:9px;padding:1px 6px;margin-left:4px;background:#f0f0f0;border:1px solid #aaa;cursor:pointer}
+.ce button.on{background:#1a1a1a;color:#fff;border-color:#1a1a1a}
+.co{display:flex;gap:10px;align-items:center;flex-wrap:wrap;font-size:10px;margin-bottom:6px;padding:5px 8px;background:#f8f8f8;border:1px solid #ddd}
+.co select{font-family:inherit;font-size:10px;padding:1px 4px;border:1px solid #aaa}
+.co .rn{max-width:none}
 .st{margin-bottom:16px}
 .sg{display:grid;grid-template-columns:repeat(4,1fr);gap:10px}
 .sg table{width:100%;border-collapse:collapse;font-size:10px}
@@ -845,6 +1524,12 @@ i{font-family:"Times New Roman",serif}
 .mv th,.mv td,.bt th,.bt td{border:1px solid #ddd;padding:5px 7px;text-align:left}
 .mv th,.bt th{background:#f0f0f0;font-weight:400;position:sticky;top:0}
 .cr{background:#fffde7}
+.cur{outline:2px solid #E67E22;outline-offset:-2px}
+.fut{opacity:.35}
+.rp{display:flex;gap:10px;align-items:center;margin-bottom:6px}
+.rp .btns{margin-top:0}
+.rp input[type="range"]{flex:1}
+.rp select{font-family:inherit;font-size:10px;padding:2px 4px;border:1px solid #aaa}
 .rn{font-size:9px;color:#666;max-width:130px}
 .bs{display:flex;gap:14px;margin:18px 0}
 .sc{flex:1;text-align:center;padding:14px;border:1px solid #ccc;background:#fafafa}
@@ -856,6 +1541,10 @@ i{font-family:"Times New Roman",serif}
 .ob li{margin:5px 0}
 .params-grid{display:grid;grid-template-columns:repeat(4,1fr);gap:12px;margin:14px 0}
 .hint{font-size:11px;color:#666;margin:6px 0 12px}
+.tags{margin-bottom:8px}
+.tag{display:inline-block;font-size:9px;padding:1px 7px;margin:0 0 2px 4px;border:1px solid #aaa;border-radius:8px;background:#f4f4f4}
+.tags .tag{cursor:pointer;font-size:10px}
+.tag.on{background:#1a1a1a;color:#fff;border-color:#1a1a1a}
 .fit-box{background:#f8f8f8;border:1px solid #ccc;padding:16px;margin-top:20px}
 .fit-box h3{margin:0 0 10px;font-size:13px}
 .fit-desc{font-size:12px;color:#555;margin-bottom:14px}
@@ -863,16 +1552,37 @@ i{font-family:"Times New Roman",serif}
 .fit-card{background:#fff;border:1px solid #ddd;padding:14px}
 .fit-title{font-size:12px;font-weight:700;margin-bottom:10px;padding-bottom:8px;border-bottom:1px solid #eee}
 .fit-formula{font-family:"Courier New",monospace;font-size:12px;background:#f0f0f0;padding:8px 12px;margin-bottom:10px;border-left:3px solid #1a1a1a}
-.fit-params{display:flex;gap:16px;font-size:11px;margin-bottom:8px;flex-wrap:wrap}
-.fit-params span{font-family:"Courier New",monospace}
-.fit-stats{display:flex;gap:16px;font-size:10px;color:#666}
+.fit-table{width:100%;border-collapse:collapse;font-size:10px;margin-bottom:8px}
+.fit-table th,.fit-table td{border:1px solid #ddd;padding:3px 6px;text-align:left}
+.fit-table th{background:#f0f0f0;font-weight:400}
+.fit-table td{font-family:"Courier New",monospace}
+.fit-check{font-size:11px;margin-bottom:8px}
+.fit-models .fit-card{margin-bottom:12px}
+.fit-stats{display:flex;gap:16px;font-size:10px;color:#666;flex-wrap:wrap}
 .fit-stats span{font-family:"Courier New",monospace}
 .fit-na{color:#888;font-size:12px;font-style:italic}
 .fit-note{font-size:10px;color:#888;margin-top:12px;font-style:italic}
+.pf{border:1px solid #ccc;padding:12px;margin-bottom:16px;background:#fafafa}
+.pf h3{margin-top:0}
+.pf table{width:100%;border-collapse:collapse;font-size:10px}
+.pf th,.pf td{border:1px solid #ddd;padding:4px 6px;text-align:left}
+.pf th{background:#f0f0f0;font-weight:400;position:sticky;top:0}
+.pg{display:flex;gap:10px;align-items:center;margin:10px 0;max-width:480px}
+.pg-bar{flex:1;height:8px;border:1px solid #aaa;background:#fff}
+.pg-bar div{height:100%;background:#1a1a1a;transition:width .15s}
+.pg button{font-family:inherit;font-size:10px;padding:3px 10px;background:#f0f0f0;border:1px solid #aaa;cursor:pointer}
+.ck{display:flex!important;gap:6px;align-items:center;cursor:pointer}
+.pl{border:1px solid #ccc;padding:14px;background:#fafafa}
+.pi{display:flex;gap:8px;align-items:center;margin:10px 0}
+.pi label{font-size:13px}
+.pi input{font-family:"Courier New",monospace;font-size:12px;padding:5px 7px;border:1px solid #aaa;width:120px}
+.pi .btns{margin-top:0}
+.pi .run{width:auto;margin-top:0;padding:6px 16px}
 .cm{margin-top:18px}
 .mx{width:100%;border-collapse:collapse;font-size:11px;text-align:center}
 .mx th,.mx td{border:1px solid #ccc;padding:8px}
 .mx th{background:#f0f0f0;font-weight:400}
+.hm th,.hm td{padding:3px 5px;font-size:9px;white-space:nowrap}
 .rh{background:#f0f0f0;text-align:left}
 .c-alice{background:#ffe0e0}
 .c-bazza{background:#e0e0ff}
@@ -0,0 +1,172 @@
+// ============================================
+// 圖表匯出（SVG／PNG）
+// ============================================
+// Recharts 的圖例與提示框是 HTML，匯出時圖例改以 SVG 元素重畫，提示框一律不匯出
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 瀏覽器的 CSS 像素以 96 DPI 計
+export const CSS_DPI = 96;
+export const EXPORT_DPI = [150, 300, 600];
+
+export const CHART_FONTS = {
+  serif: { name: 'Times', family: '"Times New Roman",Times,"SimSun",serif' },
+  modern: { name: 'Computer Modern', family: '"Latin Modern Roman","CMU Serif","Times New Roman","SimSun",serif' },
+  sans: { name: 'Helvetica', family: 'Helvetica,Arial,"PingFang TC","Microsoft JhengHei",sans-serif' }
+};
+
+// 出版樣式：字級放大倍率，並移除滑鼠游標留下的提示線與高亮點、標題（標題交給圖說）
+export const PUBLICATION_SCALE = 1.4;
+const HOVER_TRACES = '.recharts-tooltip-cursor, .recharts-active-dot';
+
+export const defaultChartOptions = { dpi: 300, publication: false, font: 'serif' };
+
+// 圖例項目水平置中排成一列，回傳每項的起點 x
+export const legendLayout = (widths, { width, gap }) => {
+  const total = widths.reduce((a, w) => a + w, 0) + gap * Math.max(0, widths.length - 1);
+  const xs = [];
+  let x = (width - total) / 2;
+  for (const w of widths) { xs.push(x); x += w + gap; }
+  return xs;
+};
+
+export const pngPixelSize = (width, height, dpi) => ({ width: Math.round(width * dpi / CSS_DPI), height: Math.round(height * dpi / CSS_DPI) });
+
+// ============================================
+// PNG 解析度標記（pHYs 區塊）
+// ============================================
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const chunkType = (bytes, at) => String.fromCharCode(...bytes.subarray(at + 4, at + 8));
+
+export const pngChunk = (type, data) => {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+};
+
+// canvas 輸出的 PNG 不含解析度；在 IHDR 之後寫入（或取代）pHYs，讓排版軟體以指定 DPI 放置
+export const setPngDpi = (bytes, dpi) => {
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('不是 PNG 檔案');
+  const ppm = Math.round(dpi / 0.0254);
+  const data = new Uint8Array(9);
+  new DataView(data.buffer).setUint32(0, ppm);
+  new DataView(data.buffer).setUint32(4, ppm);
+  data[8] = 1; // 單位：公尺
+  const parts = [bytes.subarray(0, 8)];
+  for (let at = 8; at < bytes.length;) {
+    const end = at + 12 + new DataView(bytes.buffer, bytes.byteOffset + at, 4).getUint32(0);
+    const type = chunkType(bytes, at);
+    if (type !== 'pHYs') parts.push(bytes.subarray(at, end));
+    if (type === 'IHDR') parts.push(pngChunk('pHYs', data));
+    at = end;
+  }
+  const out = new Uint8Array(parts.reduce((a, p) => a + p.length, 0));
+  parts.reduce((at, p) => { out.set(p, at); return at + p.length; }, 0);
+  return out;
+};
+
+// ============================================
+// 由畫面上的圖表產生獨立 SVG（僅限瀏覽器）
+// ============================================
+const measureText = (() => {
+  let ctx = null;
+  return (text, font) => {
+    ctx ??= document.createElement('canvas').getContext('2d');
+    ctx.font = font;
+    return ctx.measureText(text).width;
+  };
+})();
+
+const svgElement = (name, attrs) => {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+};
+
+// container 為包住 ResponsiveContainer 的元素；回傳 { text, width, height }
+export const chartSVG = (container, { title, publication, font }) => {
+  const source = container.querySelector('.recharts-wrapper > svg');
+  if (!source) throw new Error('圖表尚未繪製');
+  const scale = publication ? PUBLICATION_SCALE : 1;
+  const family = publication ? CHART_FONTS[font].family : getComputedStyle(container).fontFamily;
+  const box = source.getBoundingClientRect();
+  const pad = Math.round(12 * scale);
+  const titleSize = 12;
+  const top = pad + (title && !publication ? titleSize + 8 : 0);
+
+  // 文字的字級多半繼承自頁面 CSS，逐一寫成屬性後再放大
+  const plot = source.cloneNode(true);
+  const sourceTexts = source.querySelectorAll('text');
+  plot.querySelectorAll('text').forEach((t, i) => t.setAttribute('font-size', (parseFloat(getComputedStyle(sourceTexts[i]).fontSize) * scale).toFixed(1)));
+  if (publication) plot.querySelectorAll(HOVER_TRACES).forEach(el => el.remove());
+  for (const [k, v] of Object.entries({ x: pad, y: top, width: box.width, height: box.height, overflow: 'visible' })) plot.setAttribute(k, v);
+  plot.removeAttribute('style');
+  plot.removeAttribute('class');
+
+  const width = Math.ceil(box.width + 2 * pad);
+  const height = Math.ceil(top + box.height + pad);
+  const root = svgElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, 'font-family': family });
+  root.appendChild(svgElement('rect', { width, height, fill: '#fff' }));
+  if (title && !publication) {
+    const text = svgElement('text', { x: pad, y: pad + titleSize, 'font-size': titleSize, fill: '#1a1a1a' });
+    text.textContent = title;
+    root.appendChild(text);
+  }
+  root.appendChild(plot);
+
+  // 圖例：保留原本的垂直位置，依放大後的字寬重新置中排列
+  const wrapper = container.querySelector('.recharts-legend-wrapper');
+  const items = [...container.querySelectorAll('.recharts-legend-item')];
+  if (wrapper && items.length) {
+    const labels = items.map(item => item.querySelector('.recharts-legend-item-text'));
+    const size = parseFloat(getComputedStyle(labels[0]).fontSize) * scale;
+    const icon = Math.round(10 * scale);
+    const widths = labels.map(l => icon + 4 + measureText(l.textContent, `${size}px ${family}`));
+    const xs = legendLayout(widths, { width: box.width, gap: Math.round(10 * scale) });
+    const y = top + wrapper.getBoundingClientRect().top - box.top + Math.max(icon, size) / 2 + 4;
+    items.forEach((item, i) => {
+      const g = svgElement('g', { transform: `translate(${(pad + xs[i]).toFixed(1)},${y.toFixed(1)})` });
+      const mark = item.querySelector('svg').cloneNode(true);
+      for (const [k, v] of Object.entries({ x: 0, y: -icon / 2, width: icon, height: icon })) mark.setAttribute(k, v);
+      mark.removeAttribute('style');
+      mark.removeAttribute('class');
+      const text = svgElement('text', { x: icon + 4, y: 0, 'dominant-baseline': 'central', 'font-size': size.toFixed(1), fill: getComputedStyle(labels[i]).color });
+      text.textContent = labels[i].textContent;
+      g.append(mark, text);
+      root.appendChild(g);
+    });
+  }
+  return { text: `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(root)}`, width, height };
+};
+
+// 以 canvas 依 DPI 放大點陣化，並在 PNG 中記錄解析度
+export const chartPNG = (svg, dpi) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const size = pngPixelSize(svg.width, svg.height, dpi);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width; canvas.height = size.height;
+    canvas.getContext('2d').drawImage(img, 0, 0, size.width, size.height);
+    canvas.toBlob(blob => {
+      if (!blob) { reject(new Error(`PNG 轉換失敗（${size.width}×${size.height} 像素可能超過瀏覽器上限）`)); return; }
+      blob.arrayBuffer().then(buf => resolve(new Blob([setPngDpi(new Uint8Array(buf), dpi)], { type: 'image/png' })), reject);
+    }, 'image/png');
+  };
+  img.onerror = () => reject(new Error('SVG 無法轉為圖片'));
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.text)}`;
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, pngChunk, setPngDpi, legendLayout, pngPixelSize } from './chartExport.js';
+
+const ascii = (s) => Uint8Array.from(s, c => c.charCodeAt(0));
+const signature = Uint8Array.of(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a);
+const concat = (...parts) => Uint8Array.from(parts.flatMap(p => [...p]));
+
+// 只含檔頭的最小 PNG（1×1），足以檢查區塊的插入與取代
+const png = (...extra) => concat(signature, pngChunk('IHDR', Uint8Array.of(0, 0, 0, 1, 0, 0, 0, 1, 8, 6, 0, 0, 0)), ...extra, pngChunk('IEND', new Uint8Array(0)));
+
+const chunks = (bytes) => {
+  const list = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset);
+  for (let at = 8; at < bytes.length;) {
+    const length = view.getUint32(at);
+    list.push({ type: String.fromCharCode(...bytes.subarray(at + 4, at + 8)), data: bytes.subarray(at + 8, at + 8 + length), crc: view.getUint32(at + 8 + length) });
+    at += 12 + length;
+  }
+  return list;
+};
+
+describe('PNG 解析度', () => {
+  it('CRC-32 與 PNG 規格一致', () => {
+    expect(crc32(ascii('IEND'))).toBe(0xae426082);
+    expect(crc32(ascii('123456789'))).toBe(0xcbf43926);
+  });
+
+  it('在 IHDR 之後寫入 pHYs（每公尺像素數）', () => {
+    const list = chunks(setPngDpi(png(), 300));
+    expect(list.map(c => c.type)).toEqual(['IHDR', 'pHYs', 'IEND']);
+    const view = new DataView(list[1].data.buffer, list[1].data.byteOffset);
+    expect([view.getUint32(0), view.getUint32(4), list[1].data[8]]).toEqual([11811, 11811, 1]);
+    expect(list[1].crc).toBe(crc32(concat(ascii('pHYs'), list[1].data)));
+  });
+
+  it('取代既有的 pHYs，其餘區塊不變', () => {
+    const text = pngChunk('tEXt', ascii('Title\0chart'));
+    const list = chunks(setPngDpi(setPngDpi(png(text), 150), 600));
+    expect(list.map(c => c.type)).toEqual(['IHDR', 'pHYs', 'tEXt', 'IEND']);
+    expect(new DataView(list[1].data.buffer, list[1].data.byteOffset).getUint32(0)).toBe(23622);
+  });
+
+  it('拒絕非 PNG 資料', () => {
+    expect(() => setPngDpi(ascii('<svg/>'), 300)).toThrow('不是 PNG 檔案');
+  });
+
+  it('像素尺寸依 96 DPI 換算', () => {
+    expect(pngPixelSize(600, 320, 300)).toEqual({ width: 1875, height: 1000 });
+    expect(pngPixelSize(600, 320, 96)).toEqual({ width: 600, height: 320 });
+  });
+});
+
+describe('legendLayout', () => {
+  it('圖例項目置中並以固定間距排列', () => {
+    expect(legendLayout([40, 60], { width: 200, gap: 10 })).toEqual([45, 95]);
+    expect(legendLayout([], { width: 200, gap: 10 })).toEqual([]);
+  });
+});
@@ -0,0 +1,2100 @@
+import { DecimalArithmetic, IntervalArithmetic } from './precision.js';
+import { compileExpression } from './expression.js';
+import { compileStrategy } from './sandbox.js';
+import { createRng, deriveSeed, gaussian } from './random.js';
+
+// ============================================
+// 數學常數
+// ============================================
+export const CRITICAL_VALUE = 1 / Math.sqrt(2);
+export const EPS = 1e-10;
+
+// ============================================
+// 枚舉類型
+// ============================================
+export const PlayerStyle = {
+  CONSERVATIVE: { id: 'conservative', name: '保守型' },
+  AGGRESSIVE: { id: 'aggressive', name: '激進型' },
+  BALANCED: { id: 'balanced', name: '平衡型' },
+  OPTIMAL: { id: 'optimal', name: '最優型' },
+  ADAPTIVE: { id: 'adaptive', name: '適應型' },
+  PROOF: { id: 'proof', name: '證明型' },
+  ORACLE: { id: 'oracle', name: '動態規劃型' }
+};
+
+export const ConstraintType = {
+  STANDARD: { id: 'standard', name: '標準約束' },
+  CUBIC: { id: 'cubic', name: '立方約束' },
+  QUARTIC: { id: 'quartic', name: '四次方約束' },
+  WEIGHTED: { id: 'weighted', name: '加權約束' },
+  POWER: { id: 'power', name: '一般冪次' }
+};
+
+// 一般冪次約束：Alice 為 Σxᵢ^p ≤ λ·n^a，Bazza 為 Σxᵢ^q ≤ n^b（exponent 為 p 或 q，growth 為 a 或 b）
+export const powerConstraint = (exponent, growth = 1) => ({ ...ConstraintType.POWER, exponent, growth });
+
+// 自訂約束：Σ w(i)·xᵢ^e ≤ L(n, λ)，weight 與 limit 為表達式字串（i 為移動編號，從 1 起算）
+export const customConstraint = ({ name, weight, exponent, limit }) => ({ id: 'custom', name, weight, exponent, limit });
+
+// 內建加權約束即為固定係數的自訂約束
+const WEIGHTED_RULES = {
+  Alice: { weight: '1 + 0.1*(i - 1)', exponent: 1, limit: 'λ*n*1.5' },
+  Bazza: { weight: '1 + 0.05*(i - 1)', exponent: 2, limit: 'n*1.2' }
+};
+
+// 加權與自訂約束的規則；冪次族回傳 null
+export const constraintRule = (type, player) => type.id === 'weighted' ? WEIGHTED_RULES[player] : type.id === 'custom' ? type : null;
+
+// 各約束對應的 (指數, 增長)；加權與自訂約束不屬於冪次族，回傳 null
+export const constraintPower = (type, player) => {
+  const alice = player === 'Alice';
+  switch (type.id) {
+    case 'power': return { exponent: type.exponent ?? (alice ? 1 : 2), growth: type.growth ?? 1 };
+    case 'weighted':
+    case 'custom': return null;
+    case 'cubic': return alice ? { exponent: 3, growth: 1 } : { exponent: 2, growth: 1 };
+    case 'quartic': return alice ? { exponent: 1, growth: 1 } : { exponent: 4, growth: 2 };
+    default: return alice ? { exponent: 1, growth: 1 } : { exponent: 2, growth: 1 };
+  }
+};
+
+export const NumericPrecision = {
+  DOUBLE: { id: 'double', name: '雙精度' },
+  DECIMAL: { id: 'decimal', name: '十進位（80 位）' },
+  INTERVAL: { id: 'interval', name: '區間算術' }
+};
+
+export const SearchMethod = {
+  RANDOM: { id: 'random', name: '隨機搜尋' },
+  HILL: { id: 'hill', name: '爬山法' },
+  CMAES: { id: 'cmaes', name: 'CMA-ES' }
+};
+
+export const TuningObjective = {
+  ROUNDS: { id: 'rounds', name: '最少獲勝回合' },
+  WIN_RATE: { id: 'winrate', name: '最高勝率' }
+};
+
+// ============================================
+// λ 配置類
+// ============================================
+// OPTIMAL 策略的可調參數（δ = λ − λ*）：出擊回合 clamp(⌈strikeScale/δ²⌉, strikeMin, strikeMax)，
+// 雙方積極度為 base ± slope·δ 並截在 [min, max]，儲備門檻為 max(reserveMin, reserveBase − |δ|)。
+// 預設值即原本寫死的公式
+export const TUNING_PARAMS = [
+  { key: 'strikeScale', name: '出擊回合係數', min: 0.05, max: 2 },
+  { key: 'strikeMin', name: '出擊回合下限', min: 1, max: 50, integer: true },
+  { key: 'strikeMax', name: '出擊回合上限', min: 10, max: 200, integer: true },
+  { key: 'aliceBase', name: 'Alice 積極度基準', min: 0.05, max: 1 },
+  { key: 'aliceSlope', name: 'Alice 積極度斜率', min: 0, max: 10 },
+  { key: 'aliceMin', name: 'Alice 積極度下限', min: 0, max: 1 },
+  { key: 'aliceMax', name: 'Alice 積極度上限', min: 0.05, max: 1 },
+  { key: 'bazzaBase', name: 'Bazza 積極度基準', min: 0.05, max: 1 },
+  { key: 'bazzaSlope', name: 'Bazza 積極度斜率', min: 0, max: 10 },
+  { key: 'bazzaMin', name: 'Bazza 積極度下限', min: 0, max: 1 },
+  { key: 'bazzaMax', name: 'Bazza 積極度上限', min: 0.05, max: 1 },
+  { key: 'reserveBase', name: '儲備門檻基準', min: 0, max: 2 },
+  { key: 'reserveMin', name: '儲備門檻下限', min: 0, max: 1 }
+];
+
+export const DEFAULT_TUNING = {
+  strikeScale: 0.5, strikeMin: 10, strikeMax: 50,
+  aliceBase: 0.5, aliceSlope: 2, aliceMin: 0.2, aliceMax: 0.95,
+  bazzaBase: 0.8, bazzaSlope: 2, bazzaMin: 0.3, bazzaMax: 0.99,
+  reserveBase: 0.5, reserveMin: 0.1
+};
+
+export class LambdaConfig {
+  constructor(lambdaVal, tuning = DEFAULT_TUNING) {
+    this.lambdaVal = lambdaVal;
+    this.tuning = { ...DEFAULT_TUNING, ...tuning };
+    this.compute();
+  }
+
+  compute() {
+    const t = this.tuning;
+    this.deltaFromCritical = this.lambdaVal - CRITICAL_VALUE;
+    this.isAboveCritical = this.deltaFromCritical > 0.005;
+    this.isBelowCritical = this.deltaFromCritical < -0.005;
+    this.isNearCritical = !this.isAboveCritical && !this.isBelowCritical;
+
+    if (this.isBelowCritical) {
+      this.strikeRound = -1;
+    } else if (this.isNearCritical) {
+      this.strikeRound = t.strikeMax;
+    } else {
+      const delta = Math.abs(this.deltaFromCritical);
+      const k = delta > 1e-6 ? Math.ceil(t.strikeScale / (delta * delta)) : t.strikeMax;
+      this.strikeRound = Math.max(t.strikeMin, Math.min(k, t.strikeMax));
+    }
+
+    if (this.isAboveCritical) {
+      this.aliceAggression = Math.min(t.aliceMax, t.aliceBase + this.deltaFromCritical * t.aliceSlope);
+      this.bazzaAggression = Math.max(t.bazzaMin, t.bazzaBase - this.deltaFromCritical * t.bazzaSlope);
+    } else if (this.isBelowCritical) {
+      this.aliceAggression = Math.max(t.aliceMin, t.aliceBase + this.deltaFromCritical * t.aliceSlope);
+      this.bazzaAggression = Math.min(t.bazzaMax, t.bazzaBase - this.deltaFromCritical * t.bazzaSlope);
+    } else {
+      this.aliceAggression = 0.7;
+      this.bazzaAggression = 0.7;
+    }
+
+    this.reserveThreshold = Math.max(t.reserveMin, t.reserveBase - Math.abs(this.deltaFromCritical));
+    this.linearMultiplier = this.lambdaVal;
+    this.proofRound = this.computeProofRound();
+  }
+
+  // 證明中的決勝回合（標準約束）：
+  // λ > λ* 時 Alice 於第 2k+1 回合出擊，k 為使 λ(2k+1) > √2·(k+1) 的最小整數；
+  // λ < λ* 時 Alice 於第 2i+1 回合無合法移動，i 為使 √2·i > λ(2i+1) 的最小整數
+  computeProofRound() {
+    const l = this.lambdaVal;
+    let holds, root;
+    if (l > CRITICAL_VALUE) {
+      holds = (k) => l * (2 * k + 1) > Math.SQRT2 * (k + 1);
+      root = (Math.SQRT2 - l) / (2 * l - Math.SQRT2);
+    } else if (l < CRITICAL_VALUE) {
+      holds = (i) => Math.SQRT2 * i > l * (2 * i + 1);
+      root = l / (Math.SQRT2 - 2 * l);
+    } else {
+      return Infinity;
+    }
+    if (!isFinite(root) || root > 1e12) return Infinity;
+    // 從解析解附近開始，逐步修正浮點誤差
+    let k = Math.max(0, Math.floor(root) - 1);
+    while (k > 0 && holds(k - 1)) k--;
+    while (!holds(k)) k++;
+    return 2 * k + 1;
+  }
+
+  getStatus() {
+    if (this.isNearCritical) return 'balance';
+    return this.isAboveCritical ? 'alice' : 'bazza';
+  }
+
+  getPredictedWinner() {
+    if (this.isAboveCritical) return 'Alice';
+    if (this.isBelowCritical) return 'Bazza';
+    return 'Balance';
+  }
+}
+
+// ============================================
+// 約束檢查器
+// ============================================
+// 預設以雙精度計算，比較時容許 EPS 的誤差；高精度後端見 precision.js
+export const DoubleArithmetic = {
+  from: (x) => x,
+  constant: (s) => parseFloat(s),
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+  pow: (a, k) => Math.pow(a, k),
+  // 函式名稱已由表達式解析器限制在白名單內
+  apply: (name, ...args) => Math[name](...args),
+  leq: (a, b) => a <= b + EPS,
+  toNumber: (a) => a
+};
+
+const ARITHMETIC = { double: DoubleArithmetic, decimal: DecimalArithmetic, interval: IntervalArithmetic };
+
+// x^e；e 為 1、2 時直接計算，與乘法結果逐位一致
+const power = (A, x, e) => e === 1 ? x : e === 2 ? A.mul(x, x) : A.pow(x, e);
+
+// r^(1/e)，常見指數使用精確的開方函式
+const root = (r, e) => e === 1 ? r : e === 2 ? Math.sqrt(r) : e === 3 ? Math.cbrt(r) : Math.pow(r, 1 / e);
+
+// 編譯後的規則依表達式快取，同一約束的每局對局共用
+const compiledRules = new Map();
+const compileRule = (rule) => {
+  const key = `${rule.weight}|${rule.exponent}|${rule.limit}`;
+  if (!compiledRules.has(key)) {
+    compiledRules.set(key, { weight: compileExpression(rule.weight, ['i']), exponent: Number(rule.exponent), limit: compileExpression(rule.limit, ['n', 'λ']) });
+  }
+  return compiledRules.get(key);
+};
+
+// 檢查自訂約束：表達式可解析、指數為正、權重在前 200 步為正的有限值、上限為有限值。
+// 合法時回傳 null，否則回傳錯誤訊息
+export const validateConstraintRule = ({ weight, exponent, limit }) => {
+  let rule;
+  try {
+    rule = { weight: compileExpression(weight, ['i']) };
+  } catch (err) {
+    return `權重：${err.message}`;
+  }
+  try {
+    rule.limit = compileExpression(limit, ['n', 'λ']);
+  } catch (err) {
+    return `上限：${err.message}`;
+  }
+  const e = Number(exponent);
+  if (!(Number.isFinite(e) && e > 0)) return '指數必須為正數';
+  for (let i = 1; i <= 200; i++) {
+    const w = rule.weight.evaluate(DoubleArithmetic, { i });
+    if (!(Number.isFinite(w) && w > 0)) return `權重在 i = ${i} 時為 ${w}，必須為正的有限值`;
+    const L = rule.limit.evaluate(DoubleArithmetic, { n: i, λ: CRITICAL_VALUE });
+    if (!Number.isFinite(L)) return `上限在 n = ${i} 時為 ${L}，必須為有限值`;
+  }
+  return null;
+};
+
+// w·x^e；整數指數以逐次相乘計算（e = 2 時即 (w·x)·x）
+const weightedTerm = (A, w, x, e) => {
+  if (!Number.isInteger(e)) return A.mul(w, A.pow(x, e));
+  let t = A.mul(w, x);
+  for (let k = 1; k < e; k++) t = A.mul(t, x);
+  return t;
+};
+
+export class ConstraintChecker {
+  constructor(aliceType, bazzaType, config, arithmetic = DoubleArithmetic) {
+    this.aliceType = aliceType;
+    this.bazzaType = bazzaType;
+    this.config = config;
+    this.arith = arithmetic;
+    this.alicePower = constraintPower(aliceType, 'Alice');
+    this.bazzaPower = constraintPower(bazzaType, 'Bazza');
+    const aliceRule = constraintRule(aliceType, 'Alice'), bazzaRule = constraintRule(bazzaType, 'Bazza');
+    this.aliceRule = aliceRule && compileRule(aliceRule);
+    this.bazzaRule = bazzaRule && compileRule(bazzaRule);
+    this.prefixCache = {};
+  }
+
+  // Σ term(xᵢ, i) 的前綴和；相鄰呼叫通常只多一步，快取共同前綴以免高精度後端重算整段
+  prefixSum(key, moves, term) {
+    const A = this.arith;
+    const cache = this.prefixCache[key] || (this.prefixCache[key] = { moves: [], sums: [A.from(0)] });
+    let k = 0;
+    while (k < moves.length && k < cache.moves.length && cache.moves[k] === moves[k]) k++;
+    cache.moves.length = k;
+    cache.sums.length = k + 1;
+    for (let i = k; i < moves.length; i++) {
+      cache.moves.push(moves[i]);
+      cache.sums.push(A.add(cache.sums[i], term(moves[i], i)));
+    }
+    return cache.sums[moves.length];
+  }
+
+  // 規則約束的 Σ w(i)·xᵢ^e（moves 的索引從 0 起，i 從 1 起）
+  ruleSum(key, rule, moves) {
+    const A = this.arith;
+    return this.prefixSum(key, moves, (b, i) => weightedTerm(A, rule.weight.evaluate(A, { i: A.from(i + 1) }), A.from(b), rule.exponent));
+  }
+
+  ruleLimit(rule, n) {
+    const A = this.arith;
+    return rule.limit.evaluate(A, { n: A.from(n), λ: A.from(this.config.linearMultiplier) });
+  }
+
+  getAliceConstraintValue(moves) {
+    const A = this.arith;
+    if (moves.length === 0) return A.from(0);
+    if (this.aliceRule) return this.ruleSum('alice', this.aliceRule, moves);
+    const { exponent } = this.alicePower;
+    return this.prefixSum('alice', moves, (b) => power(A, A.from(b), exponent));
+  }
+
+  getAliceConstraintLimit(n) {
+    const A = this.arith;
+    if (this.aliceRule) return this.ruleLimit(this.aliceRule, n);
+    return A.mul(A.from(this.config.linearMultiplier), power(A, A.from(n), this.alicePower.growth));
+  }
+
+  getBazzaConstraintValue(moves) {
+    const A = this.arith;
+    if (moves.length === 0) return A.from(0);
+    if (this.bazzaRule) return this.ruleSum('bazza', this.bazzaRule, moves);
+    const { exponent } = this.bazzaPower;
+    return this.prefixSum('bazza', moves, (b) => power(A, A.from(b), exponent));
+  }
+
+  getBazzaConstraintLimit(n) {
+    const A = this.arith;
+    if (this.bazzaRule) return this.ruleLimit(this.bazzaRule, n);
+    return power(A, A.from(n), this.bazzaPower.growth);
+  }
+
+  // 剩餘量（limit − value）以雙精度數回傳
+  getAliceRemaining(moves, n) {
+    return this.arith.toNumber(this.arith.sub(this.getAliceConstraintLimit(n), this.getAliceConstraintValue(moves)));
+  }
+
+  getBazzaRemaining(moves, n) {
+    return this.arith.toNumber(this.arith.sub(this.getBazzaConstraintLimit(n), this.getBazzaConstraintValue(moves)));
+  }
+
+  getAliceCapacity(moves, n) {
+    return Math.max(0, this.getAliceRemaining(moves, n));
+  }
+
+  getBazzaCapacity(moves, n) {
+    const remaining = Math.max(0, this.getBazzaRemaining(moves, n));
+    return root(remaining, (this.bazzaRule || this.bazzaPower).exponent);
+  }
+
+  // 規則約束下一步的上界：w(n)·xⁿ^e ≤ r
+  ruleMaxMove(rule, r, len) {
+    return root(r / rule.weight.evaluate(DoubleArithmetic, { i: len + 1 }), rule.exponent);
+  }
+
+  // 第 n 回合可選 xₙ 的上界（以 xₙ 本身計）；之前的移動已超出限制時回傳 null
+  getAliceMaxMove(moves, n) {
+    const remaining = this.getAliceRemaining(moves, n);
+    if (remaining < -EPS) return null;
+    const r = Math.max(0, remaining);
+    return this.aliceRule ? this.ruleMaxMove(this.aliceRule, r, moves.length) : root(r, this.alicePower.exponent);
+  }
+
+  getBazzaMaxMove(moves, n) {
+    const remaining = this.getBazzaRemaining(moves, n);
+    if (remaining < -EPS) return null;
+    const r = Math.max(0, remaining);
+    return this.bazzaRule ? this.ruleMaxMove(this.bazzaRule, r, moves.length) : root(r, this.bazzaPower.exponent);
+  }
+
+  // 以累計值為狀態的搜尋（動態規劃策略表）使用的單步運算，一律以雙精度計算：
+  // 第 i 步（從 1 起）移動 x 對 player 約束累計值的增量
+  getTerm(player, x, i) {
+    const rule = player === 'Alice' ? this.aliceRule : this.bazzaRule;
+    if (rule) return weightedTerm(DoubleArithmetic, this.getWeight(player, i), x, rule.exponent);
+    return power(DoubleArithmetic, x, (player === 'Alice' ? this.alicePower : this.bazzaPower).exponent);
+  }
+
+  // 規則約束的權重 w(i)，同一步會被大量查詢，依 i 快取
+  getWeight(player, i) {
+    const weights = this.weights ?? (this.weights = { Alice: [], Bazza: [] });
+    return weights[player][i] ?? (weights[player][i] = (player === 'Alice' ? this.aliceRule : this.bazzaRule).weight.evaluate(DoubleArithmetic, { i }));
+  }
+
+  getLimit(player, n) {
+    return this.arith.toNumber(player === 'Alice' ? this.getAliceConstraintLimit(n) : this.getBazzaConstraintLimit(n));
+  }
+
+  // 剩餘量為 remaining 時第 i 步的上界
+  getMaxMoveFrom(player, remaining, i) {
+    const rule = player === 'Alice' ? this.aliceRule : this.bazzaRule;
+    const r = Math.max(0, remaining);
+    return rule ? root(r / this.getWeight(player, i), rule.exponent) : root(r, (player === 'Alice' ? this.alicePower : this.bazzaPower).exponent);
+  }
+
+  // 合法區間 [0, max]；empty 表示不存在合法的 xₙ ≥ 0
+  getLegalInterval(player, moves, n) {
+    const max = player === 'Alice' ? this.getAliceMaxMove(moves, n) : this.getBazzaMaxMove(moves, n);
+    return max === null ? { min: 0, max: 0, empty: true } : { min: 0, max, empty: false };
+  }
+
+  // valid 為 null 表示區間算術無法判定
+  checkAlice(moves, n) {
+    const value = this.getAliceConstraintValue(moves);
+    const limit = this.getAliceConstraintLimit(n);
+    return { valid: this.arith.leq(value, limit), margin: this.arith.toNumber(this.arith.sub(limit, value)) };
+  }
+
+  checkBazza(moves, n) {
+    const value = this.getBazzaConstraintValue(moves);
+    const limit = this.getBazzaConstraintLimit(n);
+    return { valid: this.arith.leq(value, limit), margin: this.arith.toNumber(this.arith.sub(limit, value)) };
+  }
+}
+
+// ============================================
+// 數學引擎
+// ============================================
+export const MathEngine = {
+  cauchySchwarz(x) {
+    const n = x.length;
+    if (n === 0) return { sumX: 0, sumX2: 0, lhs: 0, rhs: 0, ratio: 0, satisfied: true };
+    const sumX = x.reduce((a, b) => a + b, 0);
+    const sumX2 = x.reduce((a, b) => a + b * b, 0);
+    const lhs = sumX * sumX;
+    const rhs = n * sumX2;
+    return { sumX, sumX2, lhs, rhs, ratio: lhs / (rhs + EPS), satisfied: lhs <= rhs + EPS };
+  },
+
+  // 冪次族 Σxᵢ^p ≤ λn、Σxᵢ^q ≤ n 的理論臨界值（僅限兩側線性增長）：
+  // p ≤ q 時 λ* = 2^(p/q) / 2 —— Bazza 以 xᵢ^q 成對補滿 2 時，由冪平均不等式 Alice 每兩回合至少消耗 2^(p/q)；
+  // 反之 Bazza 每兩回合至多消耗 2^(p/q)，Alice 的剩餘量線性增長，出擊時 (剩餘量)^(q/p) 超越 Bazza 的上限
+  // （p = q 時兩者同為線性，λ > 1 仍足以出擊）。其餘情形沒有已知的解析解，回傳 null
+  familyCritical(aliceType, bazzaType) {
+    const a = constraintPower(aliceType, 'Alice'), b = constraintPower(bazzaType, 'Bazza');
+    if (!a || !b || a.growth !== 1 || b.growth !== 1 || a.exponent > b.exponent) return null;
+    if (a.exponent === 1 && b.exponent === 2) return { value: CRITICAL_VALUE, formula: '1/√2' };
+    return { value: Math.pow(2, a.exponent / b.exponent) / 2, formula: `2^(${a.exponent}/${b.exponent}) / 2` };
+  }
+};
+
+// ============================================
+// 證明憑證
+// ============================================
+const RELATIONS = {
+  '≤': (v, b) => v <= b + EPS * Math.max(1, Math.abs(b)),
+  '≥': (v, b) => v >= b - EPS * Math.max(1, Math.abs(b)),
+  '<': (v, b) => v < b,
+  '>': (v, b) => v > b,
+  '=': (v, b) => Math.abs(v - b) <= EPS * Math.max(1, Math.abs(b))
+};
+
+export const ProofEngine = {
+  check(label, value, relation, bound) {
+    return { label, value, relation, bound, holds: RELATIONS[relation](value, bound) };
+  },
+
+  // 逐回合記錄證明所用的不等式；side 為證明中必勝的一方。
+  // 對手提前失去合法移動時，於該回合記錄對應的不等式並結束
+  certify(side, moves, config, winner) {
+    const lam = config.lambdaVal;
+    const rounds = [];
+    const bazzaMoves = [];
+    let sum = 0, sumSq = 0, endRound = null;
+
+    for (let n = 1; endRound === null && n <= Math.min(moves.length + 1, config.proofRound + 1); n++) {
+      const checks = [];
+      const x = moves[n - 1];
+      if (side === 'Alice') {
+        if (n % 2 === 0 && sumSq > n) {
+          checks.push(this.check('Σxᵢ² > n（Bazza 無合法移動）', sumSq, '>', n));
+          endRound = n;
+        } else if (x === undefined) {
+          break;
+        } else if (n % 2 === 0) {
+          bazzaMoves.push(x);
+          const i = n / 2;
+          const cs = MathEngine.cauchySchwarz(bazzaMoves);
+          checks.push(this.check('(Σ Bazza xᵢ)² ≤ i·Σ Bazza xᵢ²（Cauchy–Schwarz）', cs.lhs, '≤', cs.rhs));
+          checks.push(this.check('Σ Bazza xᵢ ≤ √2·i', cs.sumX, '≤', Math.SQRT2 * i));
+        } else if (n < config.proofRound) {
+          checks.push(this.check('λn − Σxᵢ ≥ 0（Alice 可選 0）', lam * n - sum, '≥', 0));
+          checks.push(this.check('xₙ = 0（儲備）', x, '=', 0));
+        } else {
+          const k = (n - 1) / 2;
+          const cs = MathEngine.cauchySchwarz(bazzaMoves);
+          checks.push(this.check('λn > √2·(k + 1)（出擊回合的選取）', lam * n, '>', Math.SQRT2 * (k + 1)));
+          checks.push(this.check('xₙ = λn − Σxᵢ（出擊值）', x, '=', lam * n - sum));
+          checks.push(this.check('S²/k + (λn − S)² > n + 1（S = Σ Bazza xᵢ）', (k > 0 ? cs.sumX * cs.sumX / k : 0) + Math.pow(lam * n - cs.sumX, 2), '>', n + 1));
+        }
+      } else {
+        const i = (n - 1) / 2;
+        if (n % 2 === 1 && lam * n - sum < 0) {
+          checks.push(this.check('Σxᵢ ≥ √2·i（前 2i 回合）', sum, '≥', Math.SQRT2 * i));
+          checks.push(this.check('λn − Σxᵢ < 0（Alice 無合法移動）', lam * n - sum, '<', 0));
+          endRound = n;
+        } else if (x === undefined) {
+          break;
+        } else if (n % 2 === 0) {
+          const t = moves[n - 2];
+          const pair = t + Math.sqrt(Math.max(0, 2 - t * t));
+          checks.push(this.check('t = xₙ₋₁ ≤ √2（引理定義域）', t, '≤', Math.SQRT2));
+          checks.push(this.check('t + √(2 − t²) ≥ √2（引理下界）', pair, '≥', Math.SQRT2));
+          checks.push(this.check('t + √(2 − t²) ≤ 2（引理上界）', pair, '≤', 2));
+          checks.push(this.check('Σxᵢ² = n（Bazza 用滿二次約束）', sumSq + x * x, '=', n));
+        } else {
+          checks.push(this.check('Σxᵢ ≥ √2·i（前 2i 回合）', sum, '≥', Math.SQRT2 * i));
+          checks.push(this.check('λn − Σxᵢ ≥ 0（Alice 仍可移動）', lam * n - sum, '≥', 0));
+        }
+      }
+      if (x !== undefined && endRound === null) {
+        sum += x;
+        sumSq += x * x;
+      }
+      rounds.push({ round: n, checks });
+    }
+
+    const complete = endRound !== null;
+    const allHold = rounds.every(r => r.checks.every(c => c.holds));
+    const loser = side === 'Alice' ? 'Bazza' : 'Alice';
+    return {
+      side, decisiveRound: config.proofRound, endRound, rounds, complete, allHold,
+      valid: complete && allHold && winner === side,
+      conclusion: !complete ? '遊戲在證明完成前結束'
+        : !allHold ? '部分不等式不成立，勝負並非由證明推出'
+        : `${loser} 於第 ${endRound} 回合無合法移動`
+    };
+  }
+};
+
+// ============================================
+// 候選模型
+// ============================================
+// 各點為 { lambdaVal, x, side, y }：x = |λ − λ*| > 0，side 為 +1（λ > λ*）或 −1，y 為回合數
+export const FitModel = {
+  POWER: { id: 'power', name: '冪次律', formula: 'a·|λ − λ*|^b + d', params: ['a', 'b', 'd'] },
+  LOG: { id: 'log', name: '對數', formula: 'a·ln|λ − λ*| + d', params: ['a', 'd'] },
+  EXPONENTIAL: { id: 'exponential', name: '指數', formula: 'a·exp(k·|λ − λ*|) + d', params: ['a', 'k', 'd'] },
+  POWER_CENTER: { id: 'powerCenter', name: '冪次律（自由中心 c）', formula: 'a·|λ − c|^b + d', params: ['a', 'b', 'c', 'd'] },
+  POWER_LOG: { id: 'powerLog', name: '冪次律 × 對數修正', formula: 'a·|λ − λ*|^b·(−ln|λ − λ*|)^g + d', params: ['a', 'b', 'g', 'd'] }
+};
+
+// 自由中心的距離 λ − c（取勝的一側為正）；c 越過任一數據點時為 NaN，使該步被拒絕
+const centerDistance = (c, p) => {
+  const u = p.side * (p.lambdaVal - c);
+  return u > 0 ? u : NaN;
+};
+
+// value(params, p) 與對參數的偏導數 gradient(params, p)（Jacobian 的一列）
+const MODEL_FUNCTIONS = {
+  power: {
+    value: ([a, b, d], p) => a * Math.pow(p.x, b) + d,
+    gradient: ([a, b], p) => {
+      const xb = Math.pow(p.x, b);
+      return [xb, a * xb * Math.log(p.x), 1];
+    }
+  },
+  log: {
+    value: ([a, d], p) => a * Math.log(p.x) + d,
+    gradient: (_, p) => [Math.log(p.x), 1]
+  },
+  exponential: {
+    value: ([a, k, d], p) => a * Math.exp(k * p.x) + d,
+    gradient: ([a, k], p) => {
+      const e = Math.exp(k * p.x);
+      return [e, a * p.x * e, 1];
+    }
+  },
+  powerCenter: {
+    value: ([a, b, c, d], p) => a * Math.pow(centerDistance(c, p), b) + d,
+    gradient: ([a, b, c], p) => {
+      const u = centerDistance(c, p), ub = Math.pow(u, b);
+      return [ub, a * ub * Math.log(u), -p.side * a * b * ub / u, 1];
+    }
+  },
+  powerLog: {
+    value: ([a, b, g, d], p) => a * Math.pow(p.x, b) * Math.pow(-Math.log(p.x), g) + d,
+    gradient: ([a, b, g], p) => {
+      const L = -Math.log(p.x), core = Math.pow(p.x, b) * Math.pow(L, g);
+      return [core, -a * core * L, a * core * Math.log(L), 1];
+    }
+  }
+};
+
+const sumSquares = (f, params, pts) => pts.reduce((s, p) => s + (p.y - f.value(params, p)) ** 2, 0);
+
+// 高斯消去法（部分選主元）解 A·v = rhs；奇異時回傳 null
+const solveLinear = (A, rhs) => {
+  const n = rhs.length;
+  const m = A.map((row, i) => [...row, rhs[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (!(Math.abs(m[pivot][col]) > 1e-300)) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  const v = new Array(n);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = m[r][n];
+    for (let c = r + 1; c < n; c++) s -= m[r][c] * v[c];
+    v[r] = s / m[r][r];
+  }
+  return v;
+};
+
+// JᵀJ 與 Jᵀr
+const normalEquations = (f, params, pts) => {
+  const k = params.length;
+  const A = Array.from({ length: k }, () => new Array(k).fill(0)), g = new Array(k).fill(0);
+  for (const p of pts) {
+    const J = f.gradient(params, p);
+    const r = p.y - f.value(params, p);
+    for (let i = 0; i < k; i++) {
+      g[i] += J[i] * r;
+      for (let j = 0; j < k; j++) A[i][j] += J[i] * J[j];
+    }
+  }
+  return { A, g };
+};
+
+// y ≈ a·u + d 的線性最小平方解；u 無變異時回傳 null
+const linearFit = (pts, u) => {
+  const uMean = u.reduce((s, v) => s + v, 0) / u.length;
+  const yMean = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+  let cov = 0, varU = 0;
+  u.forEach((v, i) => { cov += (v - uMean) * (pts[i].y - yMean); varU += (v - uMean) ** 2; });
+  if (!(varU > 0) || !isFinite(varU)) return null;
+  const a = cov / varU;
+  return [a, yMean - a * uMean];
+};
+
+// 輪廓法：非線性參數 t 固定時 a、d 為線性解，在 t 的網格上取殘差平方和最小者（不受 a、d 的局部極小影響）
+const profileStart = (f, pts, grid, basis, params) => {
+  let best = null;
+  for (const t of grid) {
+    const ad = linearFit(pts, pts.map(p => basis(t, p)));
+    if (!ad) continue;
+    const candidate = params(ad, t);
+    const ss = sumSquares(f, candidate, pts);
+    if (isFinite(ss) && (!best || ss < best.ss)) best = { params: candidate, ss };
+  }
+  return best?.params ?? null;
+};
+
+const PROFILE_B = Array.from({ length: 121 }, (_, i) => -5 + i * 0.05);
+
+// 各模型的起始值；延伸模型以冪次律的解為起點（c = λ*、g = 0 時兩者相同）
+const modelStart = (id, pts, power) => {
+  const f = MODEL_FUNCTIONS[id];
+  switch (id) {
+    case 'power': return profileStart(f, pts, PROFILE_B, (b, p) => Math.pow(p.x, b), ([a, d], b) => [a, b, d]);
+    case 'log': return linearFit(pts, pts.map(p => Math.log(p.x)));
+    case 'exponential': {
+      const maxX = Math.max(...pts.map(p => p.x));
+      return profileStart(f, pts, Array.from({ length: 121 }, (_, i) => (-30 + i * 0.25) / maxX), (k, p) => Math.exp(k * p.x), ([a, d], k) => [a, k, d]);
+    }
+    case 'powerCenter': return power && [power[0], power[1], pts[0].lambdaVal - pts[0].side * pts[0].x, power[2]];
+    case 'powerLog': return power && pts.every(p => p.x < 1) ? [power[0], power[1], 0, power[2]] : null;
+  }
+  return null;
+};
+
+// Levenberg–Marquardt：阻尼 μ 乘上 JᵀJ 的對角線（Marquardt 縮放），步長失敗時放大 μ
+const levenbergMarquardt = (f, pts, start, { maxIterations = 200, tolerance = 1e-12 } = {}) => {
+  let params = start, ss = sumSquares(f, start, pts), mu = 1e-3;
+  let iterations = 0, converged = false;
+  if (!isFinite(ss)) return null;
+  while (iterations < maxIterations && !converged) {
+    iterations++;
+    const { A, g } = normalEquations(f, params, pts);
+    let improved = false;
+    while (mu < 1e16) {
+      const step = solveLinear(A.map((row, i) => row.map((v, j) => i === j ? v * (1 + mu) : v)), g);
+      const trial = step && params.map((v, i) => v + step[i]);
+      const trialSS = trial ? sumSquares(f, trial, pts) : Infinity;
+      if (isFinite(trialSS) && trialSS <= ss) {
+        converged = ss - trialSS <= tolerance * Math.max(ss, 1e-300) || step.every((s, i) => Math.abs(s) <= 1e-10 * (Math.abs(params[i]) + 1e-10));
+        params = trial; ss = trialSS; mu = Math.max(mu / 10, 1e-12);
+        improved = true;
+        break;
+      }
+      mu *= 10;
+    }
+    if (!improved) converged = true; // 任何方向都無法再降低殘差：已在極小值
+  }
+  return { params, ss, iterations, converged: converged && iterations < maxIterations };
+};
+
+const fitModel = (id, pts, start) => {
+  const fit = start && levenbergMarquardt(MODEL_FUNCTIONS[id], pts, start);
+  return fit && fit.params.every(isFinite) ? fit : null;
+};
+
+// 參數的標準誤：s²·(JᵀJ)⁻¹ 的對角線，s² = SSR / (n − k)；回傳以參數名稱為鍵的物件
+const standardErrors = (id, names, params, ss, pts) => {
+  const dof = pts.length - params.length;
+  if (dof <= 0) return null;
+  const { A } = normalEquations(MODEL_FUNCTIONS[id], params, pts);
+  const s2 = ss / dof;
+  const diag = names.map((_, i) => solveLinear(A, names.map((_, j) => +(i === j)))?.[i]);
+  return diag.every(v => v !== undefined && v >= 0 && isFinite(v)) ? Object.fromEntries(names.map((k, i) => [k, Math.sqrt(s2 * diag[i])])) : null;
+};
+
+// 成對重抽樣的 bootstrap：每次以原擬合為起點重新擬合，取 2.5%、97.5% 分位數為 95% 信賴區間
+const bootstrapIntervals = (pts, params, samples, seed) => {
+  if (samples <= 0) return null;
+  const rng = createRng(seed);
+  const draws = { a: [], b: [], d: [] };
+  let failed = 0;
+  for (let k = 0; k < samples; k++) {
+    const sample = pts.map(() => pts[Math.floor(rng() * pts.length)]);
+    const fit = new Set(sample.map(p => p.x)).size >= 3 && levenbergMarquardt(MODEL_FUNCTIONS.power, sample, params, { maxIterations: 50 });
+    if (!fit || !fit.params.every(isFinite)) { failed++; continue; }
+    ['a', 'b', 'd'].forEach((key, i) => draws[key].push(fit.params[i]));
+  }
+  if (draws.b.length < 2) return null;
+  const interval = (values) => {
+    const sorted = values.sort((x, y) => x - y);
+    return [Statistics.quantile(sorted, 0.025), Statistics.quantile(sorted, 0.975)];
+  };
+  return { samples, failed, a: interval(draws.a), b: interval(draws.b), d: interval(draws.d) };
+};
+
+// K 折交叉驗證（依 λ 排序後第 i 點歸入第 i mod K 折）：以其餘各折重新擬合，回傳留出點的預測 RMSE；
+// 任一折無法擬合或預測時回傳 Infinity
+const crossValidate = (id, pts, params, folds) => {
+  const f = MODEL_FUNCTIONS[id];
+  let sse = 0;
+  for (let k = 0; k < folds; k++) {
+    const train = pts.filter((_, i) => i % folds !== k), test = pts.filter((_, i) => i % folds === k);
+    const fit = train.length > params.length && levenbergMarquardt(f, train, params, { maxIterations: 100 });
+    if (!fit) return Infinity;
+    for (const p of test) sse += (p.y - f.value(fit.params, p)) ** 2;
+  }
+  return isFinite(sse) ? Math.sqrt(sse / pts.length) : Infinity;
+};
+
+// 擬合的數據點：x = |λ − λ*|，依 λ 排序
+const fitData = (data, winner, side, refPoint) => data
+  .filter(d => d.winner === winner && side * (d.lambdaVal - refPoint) > 0)
+  .map(d => ({ lambdaVal: d.lambdaVal, x: Math.abs(d.lambdaVal - refPoint), side, y: d.totalRounds }))
+  .filter(p => p.x > 1e-8)
+  .sort((p, q) => p.lambdaVal - q.lambdaVal);
+
+const distinctX = (pts) => new Set(pts.map(p => p.x)).size;
+
+// ============================================
+// 擬合工具
+// ============================================
+export const FittingEngine = {
+  // 掃描結果的擬合中心：對局記錄的冪次族理論臨界值，沒有解析解（或結果未記錄）時為 1/√2
+  scanCenter(results) {
+    return results.find(r => r.theoreticalCritical != null)?.theoreticalCritical ?? CRITICAL_VALUE;
+  },
+
+  // 掃描結果的冪次擬合與候選模型比較，以 scanCenter 為中心；區間算術無法判定勝負的點不參與擬合
+  fitScan(results, { bootstrap = 200 } = {}) {
+    const data = results.filter(r => !r.precisionFlags?.some(f => f.kind === 'ambiguous'));
+    const center = FittingEngine.scanCenter(results);
+    const fit = FittingEngine.fitPowerLaw(data, center, { bootstrap });
+    return fit && { ...fit, models: FittingEngine.compareModels(data, center) };
+  },
+
+  // 冪次函數擬合：n = a·|λ − λ*|^b + d，兩側分別以 Levenberg–Marquardt 做非線性最小平方
+  // 回傳每側的估計值、標準誤（se）、bootstrap 95% 信賴區間（ci）與殘差
+  fitPowerLaw(data, refPoint = CRITICAL_VALUE, { bootstrap = 200, seed = 1 } = {}) {
+    if (data.length < 3) return null;
+
+    const fitSide = (pts, sign) => {
+      // 三個參數至少需要三個不同的 x
+      if (distinctX(pts) < 3) return null;
+      const fit = fitModel('power', pts, modelStart('power', pts));
+      if (!fit) return null;
+      const [a, b, d] = fit.params;
+      const yMean = pts.reduce((s, p) => s + p.y, 0) / pts.length;
+      const ssTot = pts.reduce((s, p) => s + (p.y - yMean) ** 2, 0);
+      const residuals = pts.map(p => {
+        const fitted = MODEL_FUNCTIONS.power.value(fit.params, p);
+        return { lambdaVal: p.lambdaVal, totalRounds: p.y, fitted, residual: p.y - fitted };
+      });
+      return {
+        a, b, d, sign,
+        error: Math.sqrt(fit.ss / pts.length),
+        r2: Math.max(0, 1 - fit.ss / (ssTot + EPS)),
+        n: pts.length,
+        iterations: fit.iterations,
+        converged: fit.converged,
+        se: standardErrors('power', FitModel.POWER.params, fit.params, fit.ss, pts),
+        ci: bootstrapIntervals(pts, fit.params, bootstrap, deriveSeed(seed, sign > 0 ? 1 : 2)),
+        residuals
+      };
+    };
+
+    // Alice 勝的點在 λ* 右側，Bazza 勝的點在左側
+    const aliceFit = fitSide(fitData(data, 'Alice', 1, refPoint), 1);
+    const bazzaFit = fitSide(fitData(data, 'Bazza', -1, refPoint), -1);
+
+    return { alice: aliceFit, bazza: bazzaFit, refPoint };
+  },
+
+  // 以所有候選模型擬合兩側，依 AIC 排序（最佳者在前），並附 BIC 與 K 折交叉驗證的預測 RMSE。
+  // AIC = n·ln(RSS/n) + 2(k + 1)、BIC = n·ln(RSS/n) + (k + 1)·ln n，k + 1 計入誤差變異數；
+  // 參數數量不少於點數的模型不列入
+  compareModels(data, refPoint = CRITICAL_VALUE, { folds = 5 } = {}) {
+    const compareSide = (pts) => {
+      if (distinctX(pts) < 3) return null;
+      const n = pts.length;
+      const power = fitModel('power', pts, modelStart('power', pts));
+      const entries = Object.values(FitModel).filter(m => n > m.params.length + 1).map(model => {
+        const fit = model.id === 'power' ? power : fitModel(model.id, pts, modelStart(model.id, pts, power?.params));
+        if (!fit) return null;
+        const k = model.params.length;
+        const logLik = n * Math.log(Math.max(fit.ss, 1e-300) / n);
+        return {
+          model: model.id, name: model.name, formula: model.formula, k,
+          params: Object.fromEntries(model.params.map((key, i) => [key, fit.params[i]])),
+          se: standardErrors(model.id, model.params, fit.params, fit.ss, pts),
+          rss: fit.ss, rmse: Math.sqrt(fit.ss / n),
+          aic: logLik + 2 * (k + 1), bic: logLik + (k + 1) * Math.log(n),
+          cv: crossValidate(model.id, pts, fit.params, Math.min(folds, n)),
+          converged: fit.converged
+        };
+      }).filter(Boolean).sort((x, y) => x.aic - y.aic);
+      if (entries.length === 0) return null;
+      // ΔAIC 與 Akaike 權重；BIC、交叉驗證各自的名次
+      const total = entries.reduce((s, e) => s + Math.exp(-(e.aic - entries[0].aic) / 2), 0);
+      const rank = (key) => {
+        const order = [...entries].sort((x, y) => x[key] - y[key]);
+        return (e) => order.indexOf(e) + 1;
+      };
+      const bicRank = rank('bic'), cvRank = rank('cv');
+      return entries.map((e, i) => ({ ...e, deltaAIC: e.aic - entries[0].aic, weight: Math.exp(-(e.aic - entries[0].aic) / 2) / total, aicRank: i + 1, bicRank: bicRank(e), cvRank: cvRank(e) }));
+    };
+
+    return { alice: compareSide(fitData(data, 'Alice', 1, refPoint)), bazza: compareSide(fitData(data, 'Bazza', -1, refPoint)), refPoint, folds };
+  },
+
+  // compareModels 中單一模型的曲線；side 為 +1（Alice 側）或 −1
+  generateModelCurve(entry, side, start, end, refPoint = CRITICAL_VALUE, steps = 80) {
+    const f = MODEL_FUNCTIONS[entry.model];
+    const params = FitModel[Object.keys(FitModel).find(key => FitModel[key].id === entry.model)].params.map(key => entry.params[key]);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+      const lambdaVal = start + (end - start) * i / steps;
+      const x = side * (lambdaVal - refPoint);
+      if (x <= 1e-8) continue;
+      const fitted = f.value(params, { lambdaVal, x, side });
+      if (isFinite(fitted) && fitted > 0) points.push({ lambdaVal, fitted });
+    }
+    return points;
+  },
+  
+  // 格式化擬合結果為公式字符串
+  formatFormula(fit, side) {
+    if (!fit) return '無法擬合';
+    const bStr = fit.b.toFixed(6);
+    const aStr = fit.a.toFixed(6);
+    const dStr = fit.d.toFixed(4);
+    return `n ≈ ${aStr} × |λ − λ*|^(${bStr}) + ${dStr}`;
+  },
+
+  // 單一參數的估計值、標準誤與 bootstrap 95% 信賴區間，例如 b = -2.001234 ± 0.012345  [-2.0301, -1.9772]
+  formatParameter(fit, key, digits = 6) {
+    const se = fit.se ? ` ± ${fit.se[key].toPrecision(3)}` : '';
+    const ci = fit.ci ? `  [${fit.ci[key].map(v => v.toPrecision(5)).join(', ')}]` : '';
+    return `${key} = ${fit[key].toFixed(digits)}${se}${ci}`;
+  },
+
+  // 候選模型的參數，例如 a = 0.500000 ± 0.0012, b = -2.00000 ± 0.0031
+  formatModelParams(entry) {
+    return Object.entries(entry.params).map(([k, v]) => `${k} = ${v.toPrecision(6)}${entry.se ? ` ± ${entry.se[k].toPrecision(2)}` : ''}`).join(', ');
+  },
+
+  // 自由中心模型的 c 與 λ* 的差距（以標準誤為單位）；|z| ≤ 1.96 視為與 λ* 一致
+  centerTest(entries, refPoint = CRITICAL_VALUE) {
+    const e = entries?.find(x => x.model === FitModel.POWER_CENTER.id);
+    if (!e) return null;
+    const delta = e.params.c - refPoint;
+    const z = e.se && e.se.c > 0 ? delta / e.se.c : null;
+    return { c: e.params.c, se: e.se?.c ?? null, delta, z, consistent: z === null ? null : Math.abs(z) <= 1.96 };
+  },
+
+  // 同一公式的 LaTeX 形式（數學模式內容，需要 amsmath 的 \lvert、\rvert）
+  formatLatex(fit) {
+    if (!fit) return null;
+    const d = fit.d < 0 ? `- ${(-fit.d).toFixed(4)}` : `+ ${fit.d.toFixed(4)}`;
+    return `n \\approx ${fit.a.toFixed(6)}\\,\\lvert\\lambda - \\lambda^*\\rvert^{${fit.b.toFixed(6)}} ${d}`;
+  }
+};
+
+// ============================================
+// 統計工具
+// ============================================
+export const Statistics = {
+  // 二項比例的 Wilson 分數區間（樣本少或比例接近 0、1 時仍落在 [0, 1] 內）
+  wilson(k, n, z = 1.96) {
+    if (n === 0) return { p: NaN, lo: 0, hi: 1 };
+    const p = k / n, z2 = z * z;
+    const denom = 1 + z2 / n;
+    const center = (p + z2 / (2 * n)) / denom;
+    const half = z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n)) / denom;
+    return { p, lo: Math.max(0, center - half), hi: Math.min(1, center + half) };
+  },
+
+  // 已排序樣本的 q 分位數（線性內插）
+  quantile(sorted, q) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * q;
+    const i = Math.floor(pos);
+    return i + 1 < sorted.length ? sorted[i] + (pos - i) * (sorted[i + 1] - sorted[i]) : sorted[i];
+  },
+
+  // 平均（常態近似信賴區間）、標準差與五個分位數
+  summarize(values, z = 1.96) {
+    const n = values.length;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1)) : 0;
+    const half = z * sd / Math.sqrt(n);
+    const q = (p) => Statistics.quantile(sorted, p);
+    return { mean, sd, meanLo: mean - half, meanHi: mean + half, min: sorted[0], p05: q(0.05), p25: q(0.25), p50: q(0.5), p75: q(0.75), p95: q(0.95), max: sorted[n - 1] };
+  }
+};
+
+// ============================================
+// 策略
+// ============================================
+// 策略介面：{ alice(state, engine), bazza(state, engine) }，回傳 { move, reason }。
+// state 為 GameEngine.snapshot 的局面快照；engine 供內建策略取用約束檢查器與 λ 配置
+const strategies = new Map();
+
+export const registerStrategy = (style, strategy) => {
+  strategies.set(style.id, { ...style, ...strategy });
+};
+
+const lastAliceMove = (moves) => moves.length > 0 && moves.length % 2 === 1 ? moves[moves.length - 1] : 0;
+
+// Bazza 補滿 xₙ₋₁² + xₙ² = 2 的回應
+const pairCompletion = (moves) => {
+  const x = lastAliceMove(moves);
+  return Math.sqrt(Math.max(0, 2 - x * x));
+};
+
+registerStrategy(PlayerStyle.CONSERVATIVE, {
+  alice: () => ({ move: 0, reason: '保守策略：選擇 0' }),
+  bazza: ({ bazzaCapacity }) => ({ move: Math.min(bazzaCapacity * 0.3, 0.5), reason: '保守策略' })
+});
+
+registerStrategy(PlayerStyle.AGGRESSIVE, {
+  alice: ({ aliceCapacity }) => ({ move: Math.min(aliceCapacity * 0.95, Math.sqrt(2) * 0.9), reason: '激進策略' }),
+  bazza: ({ bazzaCapacity, moves }) => ({ move: Math.min(bazzaCapacity * 0.9, pairCompletion(moves) * 0.9), reason: '激進策略' })
+});
+
+registerStrategy(PlayerStyle.BALANCED, {
+  alice: ({ aliceCapacity }) => ({ move: Math.min(aliceCapacity * 0.3, 0.7), reason: '平衡策略' }),
+  bazza: ({ bazzaCapacity }) => ({ move: Math.min(bazzaCapacity * 0.7, bazzaCapacity * 0.7), reason: '平衡策略' })
+});
+
+registerStrategy(PlayerStyle.OPTIMAL, {
+  alice: ({ aliceCapacity, moves, n }, { config }) => {
+    if (config.isAboveCritical) {
+      const bazzaMoves = moves.filter((_, i) => i % 2 === 1);
+      const bazzaSumSq = bazzaMoves.reduce((a, b) => a + b * b, 0);
+      if (n < 2 * config.strikeRound + 1) {
+        return { move: 0, reason: `儲備階段 (等待第 ${2 * config.strikeRound + 1} 回合)` };
+      }
+      const remainingForBazza = (n + 1) - bazzaSumSq;
+      if (remainingForBazza > 0) {
+        const targetX = Math.sqrt(remainingForBazza + 0.5);
+        const strikeValue = Math.min(targetX * config.aliceAggression, aliceCapacity * config.aliceAggression);
+        if (strikeValue > config.reserveThreshold) return { move: strikeValue, reason: '致命一擊' };
+      }
+      return { move: 0, reason: '繼續等待' };
+    } else if (config.isBelowCritical) {
+      return { move: 0, reason: 'λ < λ*，保守策略' };
+    }
+    return { move: Math.min(aliceCapacity * config.aliceAggression, CRITICAL_VALUE), reason: '平衡策略' };
+  },
+  bazza: ({ bazzaCapacity, moves }, { config }) => ({ move: Math.min(bazzaCapacity * config.bazzaAggression, pairCompletion(moves) * config.bazzaAggression), reason: '最大化策略' })
+});
+
+registerStrategy(PlayerStyle.ADAPTIVE, {
+  alice: ({ aliceCapacity, moves, n }) => {
+    if (n < 10) return { move: 0, reason: '適應策略：早期觀察' };
+    const bazzaMoves = moves.filter((_, i) => i % 2 === 1);
+    const bazzaAvg = bazzaMoves.length > 0 ? bazzaMoves.reduce((a, b) => a + b, 0) / bazzaMoves.length : 0;
+    return { move: Math.min(aliceCapacity * 0.6, bazzaAvg + 0.1), reason: '適應策略' };
+  },
+  bazza: ({ bazzaCapacity, moves }) => {
+    const theoreticalMax = pairCompletion(moves);
+    const aliceNonZero = moves.filter((m, i) => i % 2 === 0 && m > 0.1);
+    if (aliceNonZero.length > 0) return { move: Math.min(bazzaCapacity * 0.9, theoreticalMax * 0.9), reason: '適應策略：加速' };
+    return { move: Math.min(bazzaCapacity * 0.6, theoreticalMax * 0.6), reason: '適應策略' };
+  }
+});
+
+registerStrategy(PlayerStyle.PROOF, {
+  alice: ({ moves, n }, { config, checker, familyProof, theory }) => {
+    if (familyProof) {
+      if (!(config.lambdaVal > theory.value)) return { move: 0, reason: `證明策略：λ ≤ ${theory.formula}，選擇 0` };
+      const strike = checker.getAliceMaxMove(moves, n) ?? 0;
+      if (checker.getBazzaMaxMove([...moves, strike], n + 1) === null) return { move: strike, reason: '證明策略：全力出擊（Bazza 無法回應）' };
+      return { move: 0, reason: '證明策略：儲備' };
+    }
+    if (!(config.lambdaVal > CRITICAL_VALUE)) return { move: 0, reason: '證明策略：λ ≤ λ*，選擇 0' };
+    if (n < config.proofRound) return { move: 0, reason: `證明策略：儲備至第 ${config.proofRound} 回合` };
+    if (n > config.proofRound) return { move: 0, reason: '證明策略：出擊後選擇 0' };
+    return { move: checker.getAliceMaxMove(moves, n) ?? 0, reason: '證明策略：全力出擊' };
+  },
+  bazza: ({ moves }, { checker, familyProof }) => {
+    if (!familyProof) return { move: pairCompletion(moves), reason: '證明策略：√(2 − x²)' };
+    const q = checker.bazzaPower.exponent;
+    const x = lastAliceMove(moves);
+    return { move: Math.pow(Math.max(0, 2 - Math.pow(x, q)), 1 / q), reason: `證明策略：(2 − x^${q})^(1/${q})` };
+  }
+});
+
+// 動態規劃策略表見下方「動態規劃策略表」
+registerStrategy(PlayerStyle.ORACLE, {
+  alice: (state, engine) => oracleMove('Alice', state, engine),
+  bazza: (state, engine) => oracleMove('Bazza', state, engine)
+});
+
+// 調校後的最優型：沿用 OPTIMAL 的邏輯，只把 λ 配置換成以 tuning 參數計算的版本（見「參數調校」）；
+// 以名稱區分，調校結果存成具名的策略預設 { name, tuning }
+export const tunedStyle = (tuning, name = '調校最優型') => ({ id: `tuned:${name}`, name, tuning });
+
+const tunedStrategy = (style) => {
+  const optimal = strategies.get(PlayerStyle.OPTIMAL.id);
+  let view = null;
+  const tuned = (engine) => view ??= Object.create(engine, { config: { value: new LambdaConfig(engine.config.lambdaVal, style.tuning) } });
+  return { ...style, alice: (state, engine) => optimal.alice(state, tuned(engine)), bazza: (state, engine) => optimal.bazza(state, tuned(engine)) };
+};
+
+// 使用者策略：以程式碼 source 定義 move(state)，雙方共用（以 state.player 區分）
+export const customStrategy = ({ name, source }) => ({ id: `user:${name}`, name, source });
+
+// 回傳數字或 { move, reason }；state 以凍結的複本傳入，執行錯誤附上策略名稱與回合
+const compileUserStrategy = (style) => {
+  let fn;
+  try {
+    fn = compileStrategy(style.source);
+  } catch (err) {
+    throw new Error(`策略「${style.name}」${err.message}`);
+  }
+  const call = (state) => {
+    let out;
+    try {
+      out = fn(Object.freeze({ ...state, moves: Object.freeze([...state.moves]) }));
+    } catch (err) {
+      throw new Error(`策略「${style.name}」於第 ${state.n} 回合出錯：${err?.message ?? err}`);
+    }
+    const { move, reason } = out !== null && typeof out === 'object' ? out : { move: out };
+    return { move: Number(move), reason: typeof reason === 'string' && reason ? reason : style.name };
+  };
+  return { ...style, alice: call, bazza: call };
+};
+
+export const getStrategy = (style) => {
+  if (style.source !== undefined) return compileUserStrategy(style);
+  if (style.tuning) return tunedStrategy(style);
+  return strategies.get(style.id) ?? strategies.get(PlayerStyle.OPTIMAL.id);
+};
+
+// ============================================
+// 遊戲引擎
+// ============================================
+export class GameEngine {
+  constructor(config, options = {}) {
+    this.config = config;
+    this.aliceStyle = options.aliceStyle || PlayerStyle.OPTIMAL;
+    this.bazzaStyle = options.bazzaStyle || PlayerStyle.OPTIMAL;
+    this.aliceStrategy = getStrategy(this.aliceStyle);
+    this.bazzaStrategy = getStrategy(this.bazzaStyle);
+    this.aliceConstraint = options.aliceConstraint || ConstraintType.STANDARD;
+    this.bazzaConstraint = options.bazzaConstraint || ConstraintType.STANDARD;
+    this.maxRounds = options.maxRounds || 100;
+    // 嚴格規則：僅在合法區間為空時判負，策略的非法輸出會被修正並記錄
+    this.strictRules = !!options.strictRules;
+    this.checker = new ConstraintChecker(this.aliceConstraint, this.bazzaConstraint, config);
+    this.theory = MathEngine.familyCritical(this.aliceConstraint, this.bazzaConstraint);
+    // 一般冪次約束下，證明型策略改用冪次族的論證（Bazza 成對補滿 2，Alice 在出擊即勝時出擊）
+    this.familyProof = !!this.theory && (this.aliceConstraint.id === 'power' || this.bazzaConstraint.id === 'power');
+    // 高精度模式：策略仍以雙精度計算，勝負改由高精度後端判定
+    this.precision = options.precision || NumericPrecision.DOUBLE;
+    this.preciseChecker = this.precision.id === 'double' ? null : new ConstraintChecker(this.aliceConstraint, this.bazzaConstraint, config, ARITHMETIC[this.precision.id]);
+    // 擾動：策略輸出乘上 max(0, 1 + σ·Z)，Z 為標準常態；σ = 0 時與確定性策略完全相同
+    this.noise = { alice: options.noise?.alice || 0, bazza: options.noise?.bazza || 0 };
+    this.seed = options.seed ?? 0;
+    this.rng = createRng(this.seed);
+  }
+
+  // 交給策略的局面快照：回合、移動歷史、雙方容量、λ 與當前玩家的合法上界
+  snapshot(moves, n) {
+    const player = n % 2 === 1 ? 'Alice' : 'Bazza';
+    return {
+      n, player, moves, lambda: this.config.lambdaVal,
+      aliceCapacity: this.checker.getAliceCapacity(moves, n),
+      bazzaCapacity: this.checker.getBazzaCapacity(moves, n),
+      maxMove: this.checker.getLegalInterval(player, moves, n).max
+    };
+  }
+
+  chooseMove(moves, n) {
+    const state = this.snapshot(moves, n);
+    const isAlice = state.player === 'Alice';
+    if ((isAlice ? state.aliceCapacity : state.bazzaCapacity) <= EPS) return { move: 0, reason: '容量耗盡' };
+    return this.perturb(isAlice ? this.aliceStrategy.alice(state, this) : this.bazzaStrategy.bazza(state, this), state);
+  }
+
+  // 依行動者的 σ 擾動策略輸出，結果截在合法區間 [0, maxMove] 內（不會因擾動而違規）
+  perturb(choice, state) {
+    const sigma = state.player === 'Alice' ? this.noise.alice : this.noise.bazza;
+    if (!(sigma > 0) || !(choice.move > 0)) return choice;
+    const factor = Math.max(0, 1 + sigma * gaussian(this.rng));
+    return { move: Math.min(choice.move * factor, Math.max(0, state.maxMove)), reason: `${choice.reason}（擾動 ×${factor.toFixed(3)}）` };
+  }
+
+  // 每局重新播種，同一種子重播出相同的對局
+  createState() {
+    this.rng = createRng(this.seed);
+    return { moves: [], moveDetails: [], criticalRound: 0, illegalProposals: [], precisionFlags: [], result: null };
+  }
+
+  // 第 n 回合行動者的約束是否成立。啟用高精度後端時以其結果為準（區間無法判定時沿用雙精度），
+  // 兩者不一致或無法判定時附上 flag
+  verdict(isAliceTurn, moves, n) {
+    const valid = (isAliceTurn ? this.checker.checkAlice(moves, n) : this.checker.checkBazza(moves, n)).valid;
+    if (!this.preciseChecker) return { valid, flag: null };
+    const precise = (isAliceTurn ? this.preciseChecker.checkAlice(moves, n) : this.preciseChecker.checkBazza(moves, n)).valid;
+    if (precise === null) return { valid, flag: { kind: 'ambiguous', double: valid, precise } };
+    return { valid: precise, flag: precise !== valid ? { kind: 'mismatch', double: valid, precise } : null };
+  }
+
+  // 高精度下不超過 upper 的最大合法雙精度數（以二分搜尋逼近相鄰的雙精度數）
+  largestLegal(isAliceTurn, prefix, n, upper) {
+    if (this.verdict(isAliceTurn, [...prefix, upper], n).valid) return upper;
+    let lo = 0, hi = upper;
+    for (let i = 0; i < 200; i++) {
+      const mid = lo + (hi - lo) / 2;
+      if (mid <= lo || mid >= hi) break;
+      if (this.verdict(isAliceTurn, [...prefix, mid], n).valid) lo = mid;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // 推進一步：檢查約束、記錄細節，遊戲結束時附上 result
+  advance(state, move, reason) {
+    const n = state.moves.length + 1;
+    const isAliceTurn = n % 2 === 1;
+    const player = isAliceTurn ? 'Alice' : 'Bazza';
+    let illegalProposals = state.illegalProposals;
+    let precisionFlags = state.precisionFlags;
+    const note = ({ valid, flag }) => {
+      if (flag) precisionFlags = [...precisionFlags, { round: n, player, ...flag }];
+      return valid;
+    };
+    if (this.strictRules) {
+      const interval = this.checker.getLegalInterval(player, state.moves, n);
+      const empty = this.preciseChecker ? !note(this.verdict(isAliceTurn, [...state.moves, 0], n)) : interval.empty;
+      if (empty) return this.concede({ ...state, precisionFlags });
+      const legal = move >= 0 && (this.preciseChecker ? note(this.verdict(isAliceTurn, [...state.moves, move], n)) : move <= interval.max + EPS);
+      if (!legal) {
+        let applied = Number.isFinite(move) ? Math.min(Math.max(move, 0), interval.max) : 0;
+        if (this.preciseChecker) applied = this.largestLegal(isAliceTurn, state.moves, n, applied);
+        illegalProposals = [...illegalProposals, { round: n, player, proposed: move, applied }];
+        reason = `${reason}（非法提議 ${Number.isFinite(move) ? move.toFixed(4) : move} 已修正）`;
+        move = applied;
+      }
+    }
+    const moves = [...state.moves, move];
+    const valid = note(this.verdict(isAliceTurn, moves, n));
+    const diagnostics = () => ({ illegalProposals, precisionFlags });
+    if (!valid) {
+      illegalProposals = [...illegalProposals, { round: n, player, proposed: move, applied: null }];
+      const moveDetails = [...state.moveDetails, this.createDetail(n, player, move, moves, reason, true)];
+      return { ...state, moves, moveDetails, illegalProposals, precisionFlags, result: this.createResult(isAliceTurn ? 'Bazza' : 'Alice', n, moves, moveDetails, `${player} 於第 ${n} 回合違反約束`, state.criticalRound, diagnostics()) };
+    }
+    const isCritical = isAliceTurn && move > 0.5;
+    const criticalRound = isCritical && state.criticalRound === 0 ? n : state.criticalRound;
+    const moveDetails = [...state.moveDetails, this.createDetail(n, player, move, moves, reason, isCritical)];
+    const result = n >= this.maxRounds ? this.createResult('Draw', n, moves, moveDetails, '達到最大回合數', criticalRound, diagnostics()) : null;
+    return { moves, moveDetails, criticalRound, illegalProposals, precisionFlags, result };
+  }
+
+  // 當前玩家不存在合法 xₙ 時判負
+  concede(state) {
+    const n = state.moves.length + 1;
+    const player = n % 2 === 1 ? 'Alice' : 'Bazza';
+    return { ...state, result: this.createResult(player === 'Alice' ? 'Bazza' : 'Alice', n, state.moves, state.moveDetails, `${player} 於第 ${n} 回合無合法 xₙ`, state.criticalRound, { illegalProposals: state.illegalProposals, precisionFlags: state.precisionFlags }) };
+  }
+
+  // 預覽某一步：合法區間、自身剩餘容量、對手下一回合容量的變化
+  previewMove(moves, n, move) {
+    const player = n % 2 === 1 ? 'Alice' : 'Bazza';
+    const opponent = player === 'Alice' ? 'Bazza' : 'Alice';
+    const interval = this.checker.getLegalInterval(player, moves, n);
+    const next = [...moves, move];
+    const maxMove = (p, m, k) => p === 'Alice' ? this.checker.getAliceMaxMove(m, k) : this.checker.getBazzaMaxMove(m, k);
+    return {
+      player, interval,
+      valid: !interval.empty && move >= 0 && move <= interval.max + EPS,
+      selfBefore: maxMove(player, moves, n), selfAfter: maxMove(player, next, n),
+      opponentBefore: maxMove(opponent, moves, n + 1), opponentAfter: maxMove(opponent, next, n + 1)
+    };
+  }
+
+  // 以既有的移動序列重建局面（沿用原本的策略說明），供分支從任一回合接續
+  replay(moves, reasons = []) {
+    let state = this.createState();
+    for (let i = 0; i < moves.length && !state.result; i++) state = this.advance(state, moves[i], reasons[i] ?? '重播');
+    return state;
+  }
+
+  play(state = this.createState()) {
+    while (!state.result) {
+      const { move, reason } = this.chooseMove(state.moves, state.moves.length + 1);
+      state = this.advance(state, move, reason);
+    }
+    return state.result;
+  }
+
+  createDetail(n, player, move, moves, reason, isCritical) {
+    return {
+      round: n, player, move,
+      sumLinear: moves.reduce((a, b) => a + b, 0),
+      sumSquare: moves.reduce((a, b) => a + b * b, 0),
+      sumCube: moves.reduce((a, b) => a + b * b * b, 0),
+      sumQuartic: moves.reduce((a, b) => a + b * b * b * b, 0),
+      aliceCapacity: this.checker.getAliceCapacity(moves, n),
+      bazzaCapacity: this.checker.getBazzaCapacity(moves, n),
+      linearLimit: this.config.linearMultiplier * n,
+      quadLimit: n, reason, isCritical
+    };
+  }
+
+  createResult(winner, rounds, moves, details, reason, criticalRound, { illegalProposals = [], precisionFlags = [] } = {}) {
+    const prediction = this.predictWinner();
+    return {
+      winner, totalRounds: rounds, moves, moveDetails: details, winningReason: reason,
+      theoreticalPrediction: prediction, theoreticalCritical: this.theory?.value ?? null,
+      matchTheory: winner === prediction || (prediction === 'Balance' && winner === 'Draw'),
+      criticalRound, lambdaVal: this.config.lambdaVal, maxRounds: this.maxRounds,
+      aliceStyle: this.aliceStyle, bazzaStyle: this.bazzaStyle,
+      aliceConstraint: this.aliceConstraint, bazzaConstraint: this.bazzaConstraint,
+      strictRules: this.strictRules, illegalProposals,
+      precision: this.precision, precisionFlags,
+      noise: this.noise, seed: this.seed,
+      certificate: this.certify(winner, moves)
+    };
+  }
+
+  // 已知理論臨界值時以其預測勝者（與 LambdaConfig 相同的 ±0.005 平衡帶），否則沿用 1/√2
+  predictWinner() {
+    if (!this.theory) return this.config.getPredictedWinner();
+    const delta = this.config.lambdaVal - this.theory.value;
+    return delta > 0.005 ? 'Alice' : delta < -0.005 ? 'Bazza' : 'Balance';
+  }
+
+  // 證明型策略在其必勝區間內附上逐回合證明憑證（僅限標準約束）
+  certify(winner, moves) {
+    if (this.aliceConstraint.id !== 'standard' || this.bazzaConstraint.id !== 'standard') return null;
+    if (this.aliceStyle.id === 'proof' && this.config.lambdaVal > CRITICAL_VALUE) return ProofEngine.certify('Alice', moves, this.config, winner);
+    if (this.bazzaStyle.id === 'proof' && this.config.lambdaVal < CRITICAL_VALUE) return ProofEngine.certify('Bazza', moves, this.config, winner);
+    return null;
+  }
+}
+
+// ============================================
+// 實驗任務
+// ============================================
+const findById = (enumObj, id, fallback) => Object.values(enumObj).find(v => v.id === id) || fallback;
+
+// 約束可為 id，或帶參數的描述（一般冪次約束、自訂約束）
+export const resolveConstraint = (c) => {
+  if (c && typeof c === 'object') {
+    if (c.id === 'power') return powerConstraint(c.exponent, c.growth);
+    if (c.id === 'custom') return customConstraint(c);
+    return findById(ConstraintType, c.id, ConstraintType.STANDARD);
+  }
+  return findById(ConstraintType, c, ConstraintType.STANDARD);
+};
+
+// 策略可為 id，或使用者策略的描述（含程式碼）、調校參數的描述
+export const resolveStyle = (s) => {
+  if (s && typeof s === 'object') {
+    if (s.source !== undefined) return customStrategy(s);
+    if (s.tuning) return tunedStyle(s.tuning, s.name);
+    return findById(PlayerStyle, s.id, PlayerStyle.OPTIMAL);
+  }
+  return findById(PlayerStyle, s, PlayerStyle.OPTIMAL);
+};
+
+// 以純資料描述一局（策略與約束以 id 或參數描述表示），可跨 worker 傳遞
+const createEngine = (spec) => new GameEngine(new LambdaConfig(spec.lambdaVal), {
+  aliceStyle: resolveStyle(spec.aliceStyle),
+  bazzaStyle: resolveStyle(spec.bazzaStyle),
+  aliceConstraint: resolveConstraint(spec.aliceConstraint),
+  bazzaConstraint: resolveConstraint(spec.bazzaConstraint),
+  maxRounds: spec.maxRounds,
+  strictRules: spec.strictRules,
+  precision: findById(NumericPrecision, spec.precision, NumericPrecision.DOUBLE),
+  noise: spec.noise,
+  seed: spec.seed
+});
+
+export const runGame = (spec) => createEngine(spec).play();
+
+// 分支：沿用原局的前 prefix.length 步，可再指定下一步的手動移動，其後由 spec 中的策略接手。
+// 擾動的亂數自分支點重新播種，因此帶擾動的分支不會重現原局的後續
+export const runBranch = (spec) => {
+  const engine = createEngine(spec);
+  let state = engine.replay(spec.prefix, spec.reasons);
+  if (!state.result && Number.isFinite(spec.manualMove)) state = engine.advance(state, spec.manualMove, '手動輸入（分支）');
+  return engine.play(state);
+};
+
+// 重新驗證匯入的對局：以相同的 λ、約束與規則逐步重播記錄的移動，檢查每一步的合法性，
+// 並比對記錄的累計值、容量與勝負。策略不參與重播（使用者策略不會在此編譯）。
+// tolerance 為檔案數值的捨入誤差（以約束單位計、每回合累加）：CSV 只有 6 位小數，
+// 超出上限在此範圍內的移動視為捨入，截至合法上界後繼續
+export const verifyGame = (spec) => {
+  const engine = createEngine(spec);
+  const { moves, reasons = [], details = [], tolerance = 0 } = spec;
+  const issues = [];
+  const issue = (round, message) => issues.push({ round, message });
+  const bazzaExponent = (engine.checker.bazzaRule || engine.checker.bazzaPower).exponent;
+  let state = engine.createState();
+  let snapped = 0;
+  for (let i = 0; i < moves.length && !state.result; i++) {
+    const n = i + 1;
+    const player = n % 2 === 1 ? 'Alice' : 'Bazza';
+    let move = moves[i];
+    if (!(move >= 0)) issue(n, `${player} 的 xₙ = ${move} 不是非負實數`);
+    if (tolerance > 0 && move > 0) {
+      const next = [...state.moves, move];
+      const remaining = player === 'Alice' ? engine.checker.getAliceRemaining(next, n) : engine.checker.getBazzaRemaining(next, n);
+      const interval = engine.checker.getLegalInterval(player, state.moves, n);
+      if (remaining < -EPS && remaining >= -tolerance * n && !interval.empty) {
+        move = interval.max;
+        snapped++;
+      }
+    }
+    const corrected = state.illegalProposals.length;
+    state = engine.advance(state, move, reasons[i] ?? '匯入');
+    if (state.illegalProposals.length > corrected && state.illegalProposals.at(-1).applied !== null) issue(n, `${player} 的 xₙ = ${move} 超出合法區間（嚴格規則下會被修正為 ${state.illegalProposals.at(-1).applied}）`);
+    if (state.result && i < moves.length - 1) issue(n, `對局應於此結束（${state.result.winningReason}），但記錄中還有 ${moves.length - n} 步`);
+
+    const d = details[i];
+    if (!d) continue;
+    const detail = state.moveDetails[i];
+    const slack = tolerance * n + 1e-9;
+    const compare = (label, recorded, actual) => {
+      if (typeof recorded === 'number' && Math.abs(recorded - actual) > slack * (1 + Math.abs(actual))) issue(n, `${label} 記錄為 ${recorded}，重算為 ${actual}`);
+    };
+    compare('Σxᵢ', d.sumLinear, detail.sumLinear);
+    compare('Σxᵢ²', d.sumSquare, detail.sumSquare);
+    compare('Alice 容量', d.aliceCapacity, detail.aliceCapacity);
+    // 容量經過開方，接近 0 時捨入誤差會被放大，改以約束單位比較
+    if (typeof d.bazzaCapacity === 'number') compare(`Bazza 容量^${bazzaExponent}`, d.bazzaCapacity ** bazzaExponent, detail.bazzaCapacity ** bazzaExponent);
+  }
+  // 嚴格規則下因無合法 xₙ 而結束的對局，最後一回合沒有移動
+  if (!state.result && engine.strictRules) {
+    const next = engine.advance(state, 0, '');
+    if (next.result && next.moves.length === state.moves.length) state = next;
+  }
+  const { result } = state;
+  if (!result) issue(null, `重播 ${moves.length} 步後對局尚未結束（回合上限 ${engine.maxRounds}）`);
+  else if ((spec.winner !== undefined && result.winner !== spec.winner) || (spec.totalRounds !== undefined && result.totalRounds !== spec.totalRounds)) {
+    issue(null, `記錄的結果為 ${spec.winner}（${spec.totalRounds} 回合），重播為 ${result.winner}（${result.totalRounds} 回合，${result.winningReason}）`);
+  }
+  return { result, issues, snapped, checked: moves.length };
+};
+
+// 把臨界值視為未知，以二分法尋找 Alice 勝與 Bazza 勝的分界（假設勝者隨 λ 單調變化）。
+// 回合上限內未分勝負的 λ 形成和局帶，此時分別二分和局帶的上下緣。
+// bracket 為 [最大的 Bazza 勝 λ, 最小的 Alice 勝 λ]，真實分界落在其中。
+// 初始區間的下端不是 Bazza 勝時減半、上端不是 Alice 勝時加倍，最多 expansions 次
+export const estimateCritical = (spec) => {
+  const { tolerance = 1e-6, maxGames = 200, expansions = 8 } = spec;
+  let { lo, hi } = spec;
+  const steps = [];
+  const play = (lambdaVal) => {
+    const r = runGame({ ...spec, lambdaVal });
+    steps.push({ lambdaVal, winner: r.winner, totalRounds: r.totalRounds, precisionFlags: r.precisionFlags.length });
+    return r.winner;
+  };
+  let loWinner = play(lo), hiWinner = play(hi), expanded = 0;
+  while ((loWinner !== 'Bazza' || hiWinner !== 'Alice') && expanded < expansions) {
+    expanded++;
+    if (loWinner !== 'Bazza') loWinner = play(lo /= 2);
+    if (hiWinner !== 'Alice') hiWinner = play(hi *= 2);
+  }
+  const base = { maxRounds: spec.maxRounds, lo, hi, expanded, tolerance, steps };
+  if (loWinner !== 'Bazza' || hiWinner !== 'Alice') {
+    return { ...base, bracket: null, drawBand: null, estimate: null, monotone: true, error: `初始區間擴大 ${expanded} 次後兩端仍未分別為 Bazza 勝與 Alice 勝（λ = ${lo}：${loWinner}，λ = ${hi}：${hiWinner}）` };
+  }
+
+  // 在 [a, b] 內二分 isUpper 的分界：isUpper(a) 為假、isUpper(b) 為真
+  let monotone = true;
+  const bisect = (a, b, isUpper) => {
+    while (b - a > tolerance && steps.length < maxGames) {
+      const mid = a + (b - a) / 2;
+      if (mid <= a || mid >= b) break;
+      if (isUpper(play(mid))) b = mid;
+      else a = mid;
+    }
+    return [a, b];
+  };
+
+  // 第一階段：直到碰到和局為止的普通二分
+  let bazzaEdge = lo, aliceEdge = hi, draw = null;
+  while (aliceEdge - bazzaEdge > tolerance && steps.length < maxGames) {
+    const mid = bazzaEdge + (aliceEdge - bazzaEdge) / 2;
+    if (mid <= bazzaEdge || mid >= aliceEdge) break;
+    const w = play(mid);
+    if (w === 'Alice') aliceEdge = mid;
+    else if (w === 'Bazza') bazzaEdge = mid;
+    else { draw = mid; break; }
+  }
+
+  // 第二階段：分別二分和局帶的下緣（Bazza 勝 / 非 Bazza 勝）與上緣（非 Alice 勝 / Alice 勝）
+  let drawBand = null;
+  if (draw !== null) {
+    const [bazzaLast, drawLow] = bisect(bazzaEdge, draw, (w) => {
+      if (w === 'Alice') monotone = false;
+      return w !== 'Bazza';
+    });
+    const [drawHigh, aliceFirst] = bisect(draw, aliceEdge, (w) => {
+      if (w === 'Bazza') monotone = false;
+      return w === 'Alice';
+    });
+    bazzaEdge = bazzaLast;
+    aliceEdge = aliceFirst;
+    drawBand = { lo: drawLow, hi: drawHigh };
+  }
+
+  return {
+    ...base,
+    bracket: { lo: bazzaEdge, hi: aliceEdge },
+    drawBand,
+    estimate: (bazzaEdge + aliceEdge) / 2,
+    monotone,
+    // 有和局帶時，兩側邊緣各自達到容差即視為收斂
+    converged: drawBand ? drawBand.lo - bazzaEdge <= tolerance && aliceEdge - drawBand.hi <= tolerance : aliceEdge - bazzaEdge <= tolerance,
+    error: null
+  };
+};
+
+// 蒙地卡羅：同一 λ 以不同種子重複 games 局（第 g 局的種子只依 seed 與 g 而定，
+// 不同 λ 共用同一組亂數，使勝率曲線的差異來自 λ 而非抽樣），回傳勝率與回合數分布
+export const monteCarlo = (spec) => {
+  const { games, seed = 0 } = spec;
+  const wins = { Alice: 0, Bazza: 0, Draw: 0 };
+  const rounds = [];
+  let prediction = null;
+  for (let g = 0; g < games; g++) {
+    const r = runGame({ ...spec, seed: deriveSeed(seed, g) });
+    wins[r.winner]++;
+    rounds.push(r.totalRounds);
+    prediction = r.theoreticalPrediction;
+  }
+  const rates = Object.fromEntries(Object.entries(wins).map(([w, k]) => [w, Statistics.wilson(k, games)]));
+  return {
+    lambdaVal: spec.lambdaVal, games, seed, noise: { alice: spec.noise?.alice || 0, bazza: spec.noise?.bazza || 0 },
+    wins, rates, rounds: Statistics.summarize(rounds), theoreticalPrediction: prediction
+  };
+};
+
+// 以兩局短局試跑使用者策略（分別擔任 Alice 與 Bazza，對手為最優型），回傳 { error }
+export const checkStrategy = (spec) => {
+  try {
+    for (const side of ['aliceStyle', 'bazzaStyle']) runGame({ lambdaVal: 0.75, maxRounds: 20, [side]: spec });
+    return { error: null };
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+// ============================================
+// 博弈樹求解（離散化 minimax）
+// ============================================
+// 雙方的移動限制在合法區間 [0, max] 的 grid 個等分點上（含 0 與 max），在 horizon 回合內
+// 以 alpha-beta 搜尋求出必勝方。局面只取決於 (n, Alice 約束累計值, Bazza 約束累計值)，
+// 標準約束下即 (n, Σxᵢ, Σxᵢ²)，以此為置換表的鍵。
+// 分數：第 r 回合輪到的一方無合法移動時，對方得 horizon + 2 − r（越早獲勝分數越高），
+// Alice 取最大、Bazza 取最小；horizon 內無人能逼勝為 0。
+// 離散化同時限制了雙方，結論只對網格上的對局成立，並非原遊戲的證明
+const EXACT = 0, LOWER = 1, UPPER = 2;
+const BUDGET_EXCEEDED = Symbol('budget');
+
+// memo、pruning 可關閉置換表與剪枝（純 minimax），供測試比對
+export const solveGame = (spec) => {
+  const { lambdaVal, horizon, grid = 5, maxNodes = 200000, memo = true, pruning = true } = spec;
+  if (!(Number.isInteger(horizon) && horizon >= 1)) throw new Error('求解回合數必須為正整數');
+  if (!(Number.isInteger(grid) && grid >= 2)) throw new Error('網格點數必須為不小於 2 的整數');
+  const aliceConstraint = resolveConstraint(spec.aliceConstraint);
+  const bazzaConstraint = resolveConstraint(spec.bazzaConstraint);
+  const checker = new ConstraintChecker(aliceConstraint, bazzaConstraint, new LambdaConfig(lambdaVal));
+  const top = horizon + 2;
+  const table = new Map();
+  let nodes = 0, hits = 0;
+
+  const key = (moves) => `${moves.length}|${Math.round(checker.getAliceConstraintValue(moves) * 1e9)}|${Math.round(checker.getBazzaConstraintValue(moves) * 1e9)}`;
+
+  // 先試兩端（保留與出擊），再由大到小試中間點，使剪枝較早發生
+  const candidates = (max) => {
+    if (max <= EPS) return [0];
+    const xs = Array.from({ length: grid }, (_, j) => max * j / (grid - 1));
+    return [xs[grid - 1], xs[0], ...xs.slice(1, -1).reverse()];
+  };
+
+  // 回傳 { alice, max }；max 為 null 表示輪到的一方無合法移動
+  const legal = (moves) => {
+    const n = moves.length + 1;
+    const alice = n % 2 === 1;
+    return { n, alice, max: alice ? checker.getAliceMaxMove(moves, n) : checker.getBazzaMaxMove(moves, n) };
+  };
+
+  const search = (moves, alpha, beta) => {
+    const { n, alice, max } = legal(moves);
+    if (n > horizon) return 0;
+    if (++nodes > maxNodes) throw BUDGET_EXCEEDED;
+    if (max === null) return alice ? n - top : top - n;
+    const k = memo ? key(moves) : null;
+    const entry = k && table.get(k);
+    if (entry) {
+      hits++;
+      if (entry.flag === EXACT) return entry.value;
+      if (entry.flag === LOWER) alpha = Math.max(alpha, entry.value);
+      else beta = Math.min(beta, entry.value);
+      if (alpha >= beta) return entry.value;
+    }
+    const lo = alpha, hi = beta;
+    let best = alice ? -Infinity : Infinity;
+    for (const x of candidates(max)) {
+      const v = search([...moves, x], alpha, beta);
+      if (alice ? v > best : v < best) best = v;
+      if (alice) alpha = Math.max(alpha, v);
+      else beta = Math.min(beta, v);
+      if (pruning && alpha >= beta) break;
+    }
+    if (k) table.set(k, { value: best, flag: best <= lo ? UPPER : best >= hi ? LOWER : EXACT });
+    return best;
+  };
+
+  const base = { lambdaVal, horizon, grid, maxNodes, aliceConstraint, bazzaConstraint };
+  let value;
+  const line = [];
+  try {
+    value = search([], -top, top);
+    // 主要變例：每回合取第一個達到局面值的移動（以全窗口重新搜尋，多半命中置換表）
+    const moves = [];
+    let target = value;
+    for (;;) {
+      const { n, alice, max } = legal(moves);
+      if (n > horizon || max === null) break;
+      const choices = candidates(max).map(x => ({ x, v: search([...moves, x], -top, top) }));
+      const next = choices.find(c => c.v === target) ?? choices[0];
+      line.push({ round: n, player: alice ? 'Alice' : 'Bazza', move: next.x, max });
+      moves.push(next.x);
+      target = next.v;
+    }
+  } catch (err) {
+    if (err !== BUDGET_EXCEEDED) throw err;
+    return { ...base, value: null, winner: null, winRound: null, line: [], nodes: maxNodes, tableSize: table.size, hits, exceeded: true };
+  }
+  return {
+    ...base, value,
+    winner: value > 0 ? 'Alice' : value < 0 ? 'Bazza' : 'Draw',
+    winRound: value === 0 ? null : top - Math.abs(value),
+    line, nodes, tableSize: table.size, hits, exceeded: false
+  };
+};
+
+// ============================================
+// 動態規劃策略表
+// ============================================
+// 對給定的 λ 與約束組合，在 (n, Alice 約束累計值 A, Bazza 約束累計值 B) 的網格上由最後一回合往前做
+// 價值迭代（標準約束下即 (n, Σxᵢ, Σxᵢ²)）。第 n 回合的 A 只需涵蓋 [0, Alice 下一次行動時的上限]，
+// 超出者確定在該回合落敗，B 同理；網格點之間以雙線性內插。每個網格點在 [0, max] 的 candidates 個
+// 等分點中取使下一回合局面值最佳者。
+// 分數與博弈樹求解同號：第 r 回合落敗的一方，對方得 rounds + 3 − r（越早獲勝越高，至少為 1）；
+// 表的最後一回合之後以雙方已用比例之差 0.5·(B/L_B − A/L_A) 估值，介於 ±0.5，不會蓋過任何逼勝
+export const ORACLE_DEFAULTS = { rounds: 40, resolution: 31, candidates: 13 };
+
+// 回傳 player 在第 n 回合之後（含）下一次行動的回合
+const nextTurn = (player, n) => (n % 2 === 1) === (player === 'Alice') ? n : n + 1;
+
+// 網格之外的局面：已超出下一次行動時上限的一方確定落敗（兩者皆超出時先行動者落敗）；
+// 表的範圍之後以剩餘比例估值；其餘在第 n 層雙線性內插
+const oracleValue = (table, n, A, B) => {
+  const { rounds, resolution: R, ranges, layers } = table;
+  const top = rounds + 3;
+  const { alice: LA, bazza: LB } = ranges[n];
+  const aliceOut = A > LA + EPS, bazzaOut = B > LB + EPS;
+  if (aliceOut && (!bazzaOut || n % 2 === 1)) return nextTurn('Alice', n) - top;
+  if (bazzaOut) return top - nextTurn('Bazza', n);
+  if (n > rounds) return 0.5 * ((LB > 0 ? B / LB : 0) - (LA > 0 ? A / LA : 0));
+  const cell = (v, L) => {
+    const u = L > 0 ? Math.min(R - 1, Math.max(0, v / L * (R - 1))) : 0;
+    const k = Math.min(R - 2, Math.floor(u));
+    return [k, u - k];
+  };
+  const [i, s] = cell(A, LA), [j, t] = cell(B, LB);
+  const V = layers[n].values;
+  return (1 - s) * ((1 - t) * V[i * R + j] + t * V[i * R + j + 1]) + s * ((1 - t) * V[(i + 1) * R + j] + t * V[(i + 1) * R + j + 1]);
+};
+
+// 第 n 回合在 (A, B) 的最佳移動：{ value, move }；輪到的一方已無合法移動時 move 為 null。
+// limit 為輪到的一方在第 n 回合的上限
+const oracleChoice = (table, checker, n, A, B, limit) => {
+  const player = n % 2 === 1 ? 'Alice' : 'Bazza';
+  const alice = player === 'Alice';
+  const remaining = limit - (alice ? A : B);
+  if (remaining < -EPS) return { value: alice ? n - table.rounds - 3 : table.rounds + 3 - n, move: null };
+  const max = checker.getMaxMoveFrom(player, remaining, n);
+  const K = table.candidates;
+  let best = null;
+  for (let k = 0; k < K; k++) {
+    const x = max * k / (K - 1);
+    const value = oracleValue(table, n + 1, A + checker.getTerm('Alice', x, n), B + checker.getTerm('Bazza', x, n));
+    if (!best || (alice ? value > best.value : value < best.value)) best = { value, move: x };
+  }
+  return best;
+};
+
+// 建立策略表（純資料，可跨 worker 傳遞與匯出為 JSON）。layers[n] 為第 n 回合的局面值與最佳移動，
+// 依 A 的網格索引 i、B 的網格索引 j 以 i·resolution + j 排列；start 為開局 (0, 0) 的局面值與預測
+export const buildOracle = (spec) => {
+  const { lambdaVal, rounds, resolution, candidates } = { ...ORACLE_DEFAULTS, ...spec };
+  if (!(Number.isInteger(rounds) && rounds >= 1)) throw new Error('策略表回合數必須為正整數');
+  if (!(Number.isInteger(resolution) && resolution >= 2)) throw new Error('策略表網格解析度必須為不小於 2 的整數');
+  if (!(Number.isInteger(candidates) && candidates >= 2)) throw new Error('候選移動數必須為不小於 2 的整數');
+  const aliceConstraint = resolveConstraint(spec.aliceConstraint);
+  const bazzaConstraint = resolveConstraint(spec.bazzaConstraint);
+  const checker = new ConstraintChecker(aliceConstraint, bazzaConstraint, new LambdaConfig(lambdaVal));
+  const R = resolution;
+  const ranges = Array.from({ length: rounds + 2 }, (_, n) => n === 0 ? null : {
+    alice: Math.max(0, checker.getLimit('Alice', nextTurn('Alice', n))),
+    bazza: Math.max(0, checker.getLimit('Bazza', nextTurn('Bazza', n)))
+  });
+  const table = { lambdaVal, aliceConstraint, bazzaConstraint, rounds, resolution, candidates, ranges, layers: new Array(rounds + 2).fill(null) };
+  for (let n = rounds; n >= 1; n--) {
+    const limit = checker.getLimit(n % 2 === 1 ? 'Alice' : 'Bazza', n);
+    const values = new Array(R * R), moves = new Array(R * R);
+    for (let i = 0; i < R; i++) {
+      for (let j = 0; j < R; j++) {
+        const best = oracleChoice(table, checker, n, ranges[n].alice * i / (R - 1), ranges[n].bazza * j / (R - 1), limit);
+        values[i * R + j] = best.value;
+        moves[i * R + j] = best.move;
+      }
+    }
+    table.layers[n] = { values, moves };
+  }
+  const value = table.layers[1].values[0];
+  table.start = { value, winner: value >= 1 ? 'Alice' : value <= -1 ? 'Bazza' : 'Draw', round: Math.abs(value) >= 1 ? Math.round(rounds + 3 - Math.abs(value)) : null };
+  return table;
+};
+
+// 依設定快取最近用過的策略表，同一 λ 的多局（策略對比、蒙地卡羅）共用
+const oracleTables = new Map();
+const ORACLE_CACHE_SIZE = 16;
+
+export const oracleTable = (spec) => {
+  const options = { ...ORACLE_DEFAULTS, ...spec };
+  const key = JSON.stringify([options.lambdaVal, resolveConstraint(options.aliceConstraint), resolveConstraint(options.bazzaConstraint), options.rounds, options.resolution, options.candidates]);
+  if (!oracleTables.has(key)) {
+    if (oracleTables.size >= ORACLE_CACHE_SIZE) oracleTables.delete(oracleTables.keys().next().value);
+    oracleTables.set(key, buildOracle(options));
+  }
+  return oracleTables.get(key);
+};
+
+// 動態規劃型策略：以實際局面查表做一步前瞻（與建表的規則相同，只是不限於網格點）。
+// 策略表涵蓋 min(回合上限, ORACLE_DEFAULTS.rounds) 回合，之後改用證明型
+const oracleMove = (player, state, engine) => {
+  const rounds = Math.min(engine.maxRounds, ORACLE_DEFAULTS.rounds);
+  if (state.n > rounds) {
+    const { move, reason } = getStrategy(PlayerStyle.PROOF)[player.toLowerCase()](state, engine);
+    return { move, reason: `超出策略表範圍（${rounds} 回合），改用${reason}` };
+  }
+  const table = oracleTable({ lambdaVal: engine.config.lambdaVal, aliceConstraint: engine.aliceConstraint, bazzaConstraint: engine.bazzaConstraint, rounds });
+  const { checker } = engine;
+  const A = checker.arith.toNumber(checker.getAliceConstraintValue(state.moves));
+  const B = checker.arith.toNumber(checker.getBazzaConstraintValue(state.moves));
+  const { value, move } = oracleChoice(table, checker, state.n, A, B, checker.getLimit(player, state.n));
+  return { move: move ?? 0, reason: `動態規劃：局面值 ${value.toFixed(2)}` };
+};
+
+// ============================================
+// 對抗搜尋
+// ============================================
+// 理論上的必勝方（受測方）照常使用所選策略；對手的第 k 次行動改由基因 g_k ∈ [0, 1] 決定，
+// 走合法上界的 g_k 倍，因此對手不會因違規而輸。搜尋使受測方落敗或拖到回合上限的基因，
+// 找到的對局即為反例，與一般對局的結果格式相同，可直接回放與匯出
+
+// 對局結果中對手一側的策略標示（不在策略選單中）
+export const ADVERSARY_STYLE = { id: 'adversary', name: '對抗搜尋' };
+
+export const ADVERSARIAL_DEFAULTS = { method: SearchMethod.HILL.id, iterations: 300, seed: 0 };
+
+const clamp01 = (v) => Math.min(1, Math.max(0, v));
+
+// 以基因取代對手的策略對局
+const adversaryGame = (engine, target, genes) => {
+  const adversary = target === 'Alice' ? 'Bazza' : 'Alice';
+  let state = engine.createState();
+  let k = 0;
+  while (!state.result) {
+    const n = state.moves.length + 1;
+    if ((n % 2 === 1 ? 'Alice' : 'Bazza') === target) {
+      const { move, reason } = engine.chooseMove(state.moves, n);
+      state = engine.advance(state, move, reason);
+    } else {
+      const g = genes[k++] ?? 1;
+      state = engine.advance(state, g * Math.max(0, engine.checker.getLegalInterval(adversary, state.moves, n).max), `對抗搜尋：合法上界的 ${(100 * g).toFixed(1)}%`);
+    }
+  }
+  return { ...state.result, [`${adversary.toLowerCase()}Style`]: ADVERSARY_STYLE };
+};
+
+// 對手照原策略下完的一局換算成基因，作為搜尋起點；對局結束後的基因填 1
+const baselineGenes = (engine, target, size) => {
+  const { moves } = engine.play();
+  const adversary = target === 'Alice' ? 'Bazza' : 'Alice';
+  const genes = [];
+  for (let i = adversary === 'Alice' ? 0 : 1; i < moves.length; i += 2) {
+    const max = engine.checker.getLegalInterval(adversary, moves.slice(0, i), i + 1).max;
+    genes.push(max > 0 ? clamp01(moves[i] / max) : 1);
+  }
+  while (genes.length < size) genes.push(1);
+  return genes.slice(0, size);
+};
+
+// 隨機基因：兩端（不動、走滿）各占 1/5，其餘均勻
+const randomGene = (rng) => {
+  const u = rng();
+  return u < 0.2 ? 0 : u > 0.8 ? 1 : rng();
+};
+
+// 可分離 CMA-ES（對角共變異數，Ros & Hansen 2008），在 [0, 1]^d 外的取樣截回邊界後評估
+const separableCmaes = (start, budget, evaluate, rng) => {
+  const d = start.length;
+  const popSize = 4 + Math.floor(3 * Math.log(d));
+  const mu = Math.floor(popSize / 2);
+  const raw = Array.from({ length: mu }, (_, i) => Math.log(mu + 0.5) - Math.log(i + 1));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const weights = raw.map(w => w / total);
+  const muEff = 1 / weights.reduce((a, w) => a + w * w, 0);
+  const cs = (muEff + 2) / (d + muEff + 5);
+  const ds = 1 + 2 * Math.max(0, Math.sqrt((muEff - 1) / (d + 1)) - 1) + cs;
+  const cc = 4 / (d + 4);
+  const c1 = (d + 2) / 3 * 2 / ((d + 1.3) ** 2 + muEff);
+  const cmu = Math.min(1 - c1, (d + 2) / 3 * 2 * (muEff - 2 + 1 / muEff) / ((d + 2) ** 2 + muEff));
+  const chiN = Math.sqrt(d) * (1 - 1 / (4 * d) + 1 / (21 * d * d));
+  let mean = start.slice(), sigma = 0.3;
+  const C = new Array(d).fill(1), ps = new Array(d).fill(0), pc = new Array(d).fill(0);
+  for (let generation = 0; budget() >= popSize; generation++) {
+    const samples = [];
+    for (let k = 0; k < popSize; k++) {
+      const z = Array.from({ length: d }, () => gaussian(rng));
+      const y = z.map((v, i) => Math.sqrt(C[i]) * v);
+      const x = mean.map((m, i) => m + sigma * y[i]);
+      const outcome = evaluate(x.map(clamp01));
+      if (outcome.done) return;
+      samples.push({ z, y, score: outcome.score });
+    }
+    samples.sort((a, b) => b.score - a.score);
+    const best = samples.slice(0, mu);
+    const yw = mean.map((_, i) => best.reduce((a, s, j) => a + weights[j] * s.y[i], 0));
+    const zw = mean.map((_, i) => best.reduce((a, s, j) => a + weights[j] * s.z[i], 0));
+    mean = mean.map((m, i) => m + sigma * yw[i]);
+    for (let i = 0; i < d; i++) ps[i] = (1 - cs) * ps[i] + Math.sqrt(cs * (2 - cs) * muEff) * zw[i];
+    const psNorm = Math.sqrt(ps.reduce((a, v) => a + v * v, 0));
+    const hs = psNorm / Math.sqrt(1 - (1 - cs) ** (2 * (generation + 1))) < (1.4 + 2 / (d + 1)) * chiN ? 1 : 0;
+    for (let i = 0; i < d; i++) {
+      pc[i] = (1 - cc) * pc[i] + hs * Math.sqrt(cc * (2 - cc) * muEff) * yw[i];
+      const rankMu = best.reduce((a, s, j) => a + weights[j] * s.y[i] * s.y[i], 0);
+      C[i] = (1 - c1 - cmu) * C[i] + c1 * (pc[i] * pc[i] + (1 - hs) * cc * (2 - cc) * C[i]) + cmu * rankMu;
+    }
+    sigma *= Math.exp(cs / ds * (psNorm / chiN - 1));
+  }
+};
+
+// 搜尋一個 λ 的反例。受測方預設為理論預測的勝者，λ 落在平衡帶內時回傳 error。
+// 分數：對手獲勝（越早越高）> 拖到回合上限 > 受測方獲勝（越晚越高）；對手獲勝即停止。
+// 標準約束下決勝回合（Bazza 為證明回合，Alice 於證明回合出擊、下一回合 Bazza 才無合法移動）超過回合上限時，
+// 和局是理論允許的結果，不算反例；
+// 其他約束沒有已知的證明回合，和局無法判定，counterexample 為 null
+export const adversarialSearch = (spec) => {
+  const { method, iterations, seed } = { ...ADVERSARIAL_DEFAULTS, ...spec };
+  if (!Object.values(SearchMethod).some(m => m.id === method)) throw new Error(`未知的搜尋方法：${method}`);
+  if (!(Number.isInteger(iterations) && iterations >= 1)) throw new Error('評估次數必須為正整數');
+  const engine = createEngine({ ...spec, noise: undefined });
+  const target = spec.target ?? engine.predictWinner();
+  const standard = engine.aliceConstraint.id === 'standard' && engine.bazzaConstraint.id === 'standard';
+  const base = { lambdaVal: engine.config.lambdaVal, method, iterations, seed, maxRounds: engine.maxRounds, proofRound: standard ? engine.config.proofRound : null, target };
+  if (target !== 'Alice' && target !== 'Bazza') return { ...base, target: null, error: `λ = ${base.lambdaVal} 接近臨界值，理論上沒有必勝方` };
+  const adversary = target === 'Alice' ? 'Bazza' : 'Alice';
+  const M = engine.maxRounds;
+  const size = Math.ceil(M / 2);
+  const score = (r) => r.winner === adversary ? 2 * M + 2 - r.totalRounds : r.winner === 'Draw' ? M + 1 : r.totalRounds;
+  const adversaryMoves = (r) => adversary === 'Alice' ? Math.ceil(r.totalRounds / 2) : Math.floor(r.totalRounds / 2);
+
+  let evaluations = 0, best = null;
+  const improvements = [];
+  const evaluate = (genes) => {
+    const game = adversaryGame(engine, target, genes);
+    const outcome = { genes, game, score: score(game), done: false };
+    evaluations++;
+    if (!best || outcome.score > best.score) {
+      best = outcome;
+      improvements.push({ evaluation: evaluations, score: outcome.score, winner: game.winner, totalRounds: game.totalRounds });
+    }
+    outcome.done = game.winner === adversary || evaluations >= iterations;
+    return outcome;
+  };
+  const rng = createRng(seed);
+  const start = evaluate(baselineGenes(engine, target, size));
+  const baseline = { winner: start.game.winner, totalRounds: start.game.totalRounds };
+
+  if (!start.done) {
+    if (method === SearchMethod.RANDOM.id) {
+      while (!evaluate(Array.from({ length: size }, () => randomGene(rng))).done);
+    } else if (method === SearchMethod.HILL.id) {
+      // 每次改動對局中用到的基因（或其後一個）中的 1–3 個，分數不降即接受，使搜尋能走過平台
+      let current = start;
+      for (;;) {
+        const genes = current.genes.slice();
+        const used = Math.min(size, adversaryMoves(current.game) + 1);
+        for (let m = 1 + Math.floor(3 * rng()); m > 0; m--) {
+          const j = Math.floor(rng() * used);
+          genes[j] = rng() < 0.2 ? randomGene(rng) : clamp01(genes[j] + 0.25 * gaussian(rng));
+        }
+        const next = evaluate(genes);
+        if (next.score >= current.score) current = next;
+        if (next.done) break;
+      }
+    } else {
+      separableCmaes(start.genes, () => iterations - evaluations, evaluate, rng);
+    }
+  }
+
+  const game = best.game;
+  return {
+    ...base, evaluations, baseline, improvements,
+    targetStyle: target === 'Alice' ? engine.aliceStyle : engine.bazzaStyle,
+    winner: game.winner, totalRounds: game.totalRounds, score: best.score,
+    counterexample: game.winner === adversary ? true : game.winner !== 'Draw' ? false : Number.isFinite(base.proofRound) ? base.proofRound + (target === 'Alice' ? 1 : 0) <= M : null,
+    genes: best.genes.slice(0, adversaryMoves(game)),
+    game, error: null
+  };
+};
+
+// ============================================
+// 參數調校
+// ============================================
+// 以遺傳演算法搜尋 TUNING_PARAMS。λ 網格中平衡帶外的每個 λ，由理論必勝方使用調校最優型，
+// 與對手池中的每個策略各下一局。目標為最少獲勝回合（未勝的對局計為 2·maxRounds），
+// 或最高勝率（勝率相同時以平均回合區分）。錦標賽選擇、BLX-α 交叉與高斯突變，每代保留最佳的兩個個體
+
+export const TUNING_DEFAULTS = { objective: TuningObjective.ROUNDS.id, population: 16, generations: 20, runs: 4, seed: 0, start: 0.6, end: 0.85, step: 0.05, maxRounds: 100 };
+
+const TUNING_ELITE = 2;
+const TUNING_MUTATION = 0.2;
+
+const clampParam = (p, v) => {
+  const c = Math.min(p.max, Math.max(p.min, v));
+  return p.integer ? Math.round(c) : c;
+};
+
+// 一組參數在 λ 網格 × 對手池上的成績；cost 越小越好
+export const evaluateTuning = (tuning, { lambdas, opponents, maxRounds = 100, strictRules, objective = TuningObjective.ROUNDS.id }) => {
+  const style = tunedStyle(tuning);
+  let games = 0, wins = 0, winRounds = 0;
+  for (const lambdaVal of lambdas) {
+    const target = new LambdaConfig(lambdaVal).getPredictedWinner();
+    if (target === 'Balance') continue;
+    const [own, other] = target === 'Alice' ? ['aliceStyle', 'bazzaStyle'] : ['bazzaStyle', 'aliceStyle'];
+    for (const opponent of opponents) {
+      const r = runGame({ lambdaVal, maxRounds, strictRules, [own]: style, [other]: opponent });
+      games++;
+      if (r.winner === target) {
+        wins++;
+        winRounds += r.totalRounds;
+      }
+    }
+  }
+  if (games === 0) throw new Error('沒有可評估的對局（λ 皆在平衡帶內或對手池為空）');
+  const losses = games - wins;
+  const winRate = wins / games;
+  const cost = objective === TuningObjective.WIN_RATE.id
+    ? 1 - winRate + (winRounds + maxRounds * losses) / (1000 * maxRounds * games)
+    : (winRounds + 2 * maxRounds * losses) / games;
+  return { cost, winRate, meanRounds: wins > 0 ? winRounds / wins : null, games, wins };
+};
+
+// 一次獨立的演化：第一代包含預設參數，其餘隨機；history 為每代的最佳與平均 cost
+export const optimizeTuning = (spec) => {
+  const { objective, population, generations, seed, start, end, step, maxRounds, strictRules } = { ...TUNING_DEFAULTS, ...spec };
+  const opponents = spec.opponents ?? Object.values(PlayerStyle).map(s => s.id);
+  if (!Object.values(TuningObjective).some(o => o.id === objective)) throw new Error(`未知的調校目標：${objective}`);
+  if (!(Number.isInteger(population) && population >= 4)) throw new Error('族群大小必須為不小於 4 的整數');
+  if (!(Number.isInteger(generations) && generations >= 1)) throw new Error('世代數必須為正整數');
+  if (opponents.length === 0) throw new Error('對手池不可為空');
+  const lambdas = Experiments.batchTasks({ start, end, step }).map(t => t.lambdaVal).filter(l => new LambdaConfig(l).getPredictedWinner() !== 'Balance');
+  const base = { run: spec.run ?? 1, seed, objective, population, generations, maxRounds, lambdas, opponents: opponents.map(o => resolveStyle(o).name) };
+  if (lambdas.length === 0) return { ...base, error: 'λ 範圍全部落在平衡帶內，沒有理論必勝方' };
+
+  const context = { lambdas, opponents, maxRounds, strictRules, objective };
+  const cache = new Map();
+  const evaluate = (tuning) => {
+    const key = JSON.stringify(tuning);
+    if (!cache.has(key)) cache.set(key, { tuning, ...evaluateTuning(tuning, context) });
+    return cache.get(key);
+  };
+
+  const rng = createRng(seed);
+  const randomTuning = () => Object.fromEntries(TUNING_PARAMS.map(p => [p.key, clampParam(p, p.min + rng() * (p.max - p.min))]));
+  let pop = [{ ...DEFAULT_TUNING }, ...Array.from({ length: population - 1 }, randomTuning)];
+  const history = [];
+  let scored;
+  for (let g = 1; ; g++) {
+    scored = pop.map(evaluate).sort((a, b) => a.cost - b.cost);
+    history.push({ generation: g, best: scored[0].cost, mean: scored.reduce((s, x) => s + x.cost, 0) / scored.length, winRate: scored[0].winRate, meanRounds: scored[0].meanRounds });
+    if (g >= generations) break;
+    const pick = () => {
+      let w = scored[Math.floor(rng() * scored.length)];
+      for (let k = 0; k < 2; k++) {
+        const c = scored[Math.floor(rng() * scored.length)];
+        if (c.cost < w.cost) w = c;
+      }
+      return w.tuning;
+    };
+    pop = scored.slice(0, TUNING_ELITE).map(s => s.tuning);
+    while (pop.length < population) {
+      const a = pick(), b = pick();
+      pop.push(Object.fromEntries(TUNING_PARAMS.map(p => {
+        let v = a[p.key] + (1.5 * rng() - 0.25) * (b[p.key] - a[p.key]);
+        if (rng() < TUNING_MUTATION) v += 0.1 * (p.max - p.min) * gaussian(rng);
+        return [p.key, clampParam(p, v)];
+      })));
+    }
+  }
+
+  return { ...base, evaluations: cache.size, history, best: scored[0], baseline: evaluate({ ...DEFAULT_TUNING }), error: null };
+};
+
+// ============================================
+// 多 λ 錦標賽
+// ============================================
+// 每個 (λ, 約束) 讓所有策略兩兩對局（含同策略），雙方使用同一種約束；結果只保留勝者與回合數。
+// 評分對象為「策略 × 側」：同一策略當 Alice 與當 Bazza 分開計分，和局各得半場
+
+export const TOURNAMENT_DEFAULTS = { start: 0.6, end: 0.8, step: 0.02, constraints: [ConstraintType.STANDARD.id], maxRounds: 100 };
+
+const ELO_START = 1500;
+const ELO_K = 16;
+// Bradley–Terry 的先驗：每個對象與強度 1 的虛擬對手各有一場和局，全勝或全敗時評分仍有限
+const BT_PRIOR = 1;
+
+export const playTournament = ({ lambdaVal, constraint, styles = Object.values(PlayerStyle), maxRounds, strictRules }) => {
+  const spec = (s) => s.source !== undefined || s.tuning ? s : s.id;
+  const list = styles.map(s => resolveStyle(typeof s === 'string' ? s : spec(s)));
+  const rule = resolveConstraint(constraint);
+  const games = [];
+  for (const a of list) {
+    for (const b of list) {
+      const r = runGame({ lambdaVal, aliceStyle: spec(a), bazzaStyle: spec(b), aliceConstraint: rule, bazzaConstraint: rule, maxRounds, strictRules });
+      games.push({ alice: a.id, bazza: b.id, winner: r.winner, totalRounds: r.totalRounds, illegal: r.illegalProposals.length });
+    }
+  }
+  const prediction = createEngine({ lambdaVal, aliceConstraint: rule, bazzaConstraint: rule }).predictWinner();
+  return { lambdaVal, constraint: rule.id, constraintName: rule.name, maxRounds: maxRounds ?? 100, prediction, styles: list.map(s => ({ id: s.id, name: s.name })), games };
+};
+
+// Elo 依結果與對局的順序逐局更新；Bradley–Terry 以 MM 演算法求最大後驗強度，換算為 Elo 尺度（1500 + 400·log₁₀ p）
+export const tournamentRatings = (results) => {
+  const entities = new Map();
+  const entity = (side, style) => {
+    const key = `${side}:${style.id}`;
+    if (!entities.has(key)) entities.set(key, { key, side, id: style.id, name: style.name, games: 0, wins: 0, draws: 0, losses: 0, elo: ELO_START, opponents: new Map() });
+    return entities.get(key);
+  };
+  for (const r of results) {
+    const names = new Map(r.styles.map(s => [s.id, s]));
+    for (const g of r.games) {
+      const a = entity('Alice', names.get(g.alice)), b = entity('Bazza', names.get(g.bazza));
+      const score = g.winner === 'Alice' ? 1 : g.winner === 'Draw' ? 0.5 : 0;
+      const expected = 1 / (1 + Math.pow(10, (b.elo - a.elo) / 400));
+      a.elo += ELO_K * (score - expected);
+      b.elo -= ELO_K * (score - expected);
+      for (const [x, y, s] of [[a, b, score], [b, a, 1 - score]]) {
+        x.games++;
+        if (s === 1) x.wins++; else if (s === 0) x.losses++; else x.draws++;
+        const o = x.opponents.get(y.key) ?? { games: 0, score: 0 };
+        x.opponents.set(y.key, { games: o.games + 1, score: o.score + s });
+      }
+    }
+  }
+  const list = [...entities.values()];
+  const strength = new Map(list.map(e => [e.key, 1]));
+  for (let iter = 0; iter < 1000; iter++) {
+    let change = 0;
+    const next = new Map();
+    for (const e of list) {
+      const p = strength.get(e.key);
+      let score = BT_PRIOR / 2, denom = BT_PRIOR / (p + 1);
+      for (const [key, o] of e.opponents) {
+        score += o.score;
+        denom += o.games / (p + strength.get(key));
+      }
+      next.set(e.key, score / denom);
+    }
+    for (const e of list) {
+      change = Math.max(change, Math.abs(Math.log(next.get(e.key) / strength.get(e.key))));
+      strength.set(e.key, next.get(e.key));
+    }
+    if (change < 1e-10) break;
+  }
+  return list
+    .map(({ opponents, ...e }) => ({ ...e, bt: ELO_START + 400 * Math.log10(strength.get(e.key)), score: e.games ? (e.wins + e.draws / 2) / e.games : NaN }))
+    .sort((x, y) => y.bt - x.bt);
+};
+
+// worker 與命令列共用的任務入口
+export const runTask = (spec) => {
+  switch (spec.kind) {
+    case 'tournament': return playTournament(spec);
+    case 'tune': return optimizeTuning(spec);
+    case 'adversarial': return adversarialSearch(spec);
+    case 'oracle': return buildOracle(spec);
+    case 'solve': return solveGame(spec);
+    case 'estimate': return estimateCritical(spec);
+    case 'checkStrategy': return checkStrategy(spec.strategy);
+    case 'monteCarlo': return monteCarlo(spec);
+    case 'branch': return runBranch(spec);
+    case 'verify': return verifyGame(spec);
+    case 'fit': return FittingEngine.fitScan(spec.results, spec);
+    default: return runGame(spec);
+  }
+};
+
+export const Experiments = {
+  // 臨界值掃描的中心：約束組合的理論臨界值，沒有解析解時為 1/√2
+  criticalCenter(aliceConstraint, bazzaConstraint) {
+    return MathEngine.familyCritical(resolveConstraint(aliceConstraint), resolveConstraint(bazzaConstraint))?.value ?? CRITICAL_VALUE;
+  },
+
+  batchTasks({ start, end, step, maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint }) {
+    const tasks = [];
+    for (let l = start; l <= end + 0.0001; l += step) {
+      tasks.push({ lambdaVal: parseFloat(l.toFixed(4)), maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint });
+    }
+    return tasks;
+  },
+
+  // 掃描結果的擬合為單一任務（bootstrap 與模型比較在大型掃描上需要近一秒），只傳送擬合用到的欄位
+  fitTasks(results) {
+    return [{ kind: 'fit', results: results.map(({ lambdaVal, winner, totalRounds, theoreticalCritical, precisionFlags }) => ({ lambdaVal, winner, totalRounds, theoreticalCritical, precisionFlags })) }];
+  },
+
+  // 預設以 criticalCenter 為中心；步長小於 1e-4 時保留足夠的小數位，避免相鄰的 λ 被捨入成同一點
+  criticalTasks({ range, step, maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint, center = Experiments.criticalCenter(aliceConstraint, bazzaConstraint) }) {
+    const tasks = [];
+    const digits = Math.min(15, Math.max(6, Math.ceil(-Math.log10(step)) + 2));
+    for (let l = center - range; l <= center + range + step / 10; l += step) {
+      tasks.push({ lambdaVal: parseFloat(l.toFixed(digits)), maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint });
+    }
+    return tasks;
+  },
+
+  // styles 可加入使用者策略與調校策略（以描述傳遞，內建策略以 id 傳遞）
+  comparisonTasks({ lambdaVal, maxRounds, strictRules, styles = Object.values(PlayerStyle) }) {
+    const spec = (s) => s.source !== undefined || s.tuning ? s : s.id;
+    return styles.flatMap(a => styles.map(b => ({ lambdaVal, aliceStyle: spec(a), bazzaStyle: spec(b), maxRounds, strictRules })));
+  },
+
+  // 蒙地卡羅沿用批次掃描的 λ 網格，每個 λ 為一個任務
+  monteCarloTasks({ games, seed, noise, aliceStyle, bazzaStyle, ...scan }) {
+    return Experiments.batchTasks(scan).map(t => ({ ...t, kind: 'monteCarlo', games, seed, noise, aliceStyle, bazzaStyle }));
+  },
+
+  // 每個回合上限各自獨立二分，觀察分界區間隨 maxRounds 收斂
+  estimateTasks({ rounds, ...spec }) {
+    return [...rounds].sort((a, b) => a - b).map(maxRounds => ({ ...spec, kind: 'estimate', maxRounds }));
+  },
+
+  // 博弈樹求解沿用批次掃描的 λ 網格，每個 λ 為一個任務
+  solverTasks({ horizon, grid, maxNodes, ...scan }) {
+    return Experiments.batchTasks(scan).map(({ lambdaVal, aliceConstraint, bazzaConstraint }) => ({ kind: 'solve', lambdaVal, horizon, grid, maxNodes, aliceConstraint, bazzaConstraint }));
+  },
+
+  // 對抗搜尋沿用批次掃描的 λ 網格，每個 λ 為一個任務；雙方的策略中只有受測方的會被使用
+  adversarialTasks({ method, iterations, seed, aliceStyle, bazzaStyle, ...scan }) {
+    return Experiments.batchTasks(scan).map(t => ({ ...t, kind: 'adversarial', method, iterations, seed, aliceStyle, bazzaStyle }));
+  },
+
+  // 錦標賽：λ 網格 × 約束，每個 (λ, 約束) 為一個任務
+  tournamentTasks({ constraints, styles, maxRounds, strictRules, ...scan }) {
+    return constraints.flatMap(constraint => Experiments.batchTasks(scan).map(({ lambdaVal }) => ({ kind: 'tournament', lambdaVal, constraint, styles, maxRounds, strictRules })));
+  },
+
+  // 參數調校：runs 次獨立的演化，各自以導出的種子開始，可平行執行
+  tuningTasks({ runs, seed, ...spec }) {
+    return Array.from({ length: runs }, (_, i) => ({ ...spec, kind: 'tune', run: i + 1, seed: deriveSeed(seed, i) }));
+  }
+};
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { EPS, PlayerStyle, ConstraintType, LambdaConfig, ConstraintChecker, GameEngine } from './engine.js';
+
+const lambdaArb = fc.double({ min: 0.3, max: 1.2, noNaN: true });
+const constraintArb = fc.constantFrom(...Object.values(ConstraintType));
+const styleArb = fc.constantFrom(...Object.values(PlayerStyle));
+const movesArb = fc.array(fc.double({ min: 0, max: 3, noNaN: true }), { minLength: 1, maxLength: 60 });
+
+// 獨立於引擎，直接以定義檢查第 n 回合行動者的約束
+const moverSatisfied = (checker, moves, n) => n % 2 === 1
+  ? checker.getAliceConstraintValue(moves.slice(0, n)) <= checker.getAliceConstraintLimit(n) + EPS
+  : checker.getBazzaConstraintValue(moves.slice(0, n)) <= checker.getBazzaConstraintLimit(n) + EPS;
+
+const feed = (engine, moves) => {
+  let state = engine.createState();
+  for (const move of moves) {
+    if (state.result) break;
+    state = engine.advance(state, move, '隨機');
+  }
+  return state;
+};
+
+describe('隨機移動序列', () => {
+  it('違反約束後遊戲不會繼續', () => {
+    fc.assert(fc.property(lambdaArb, constraintArb, constraintArb, movesArb, (l, ac, bc, moves) => {
+      const engine = new GameEngine(new LambdaConfig(l), { aliceConstraint: ac, bazzaConstraint: bc, maxRounds: 1000 });
+      const state = feed(engine, moves);
+      const checker = new ConstraintChecker(ac, bc, engine.config);
+      const played = state.moves.length;
+      // 除最後一步外，每一步都必須合法
+      for (let n = 1; n < played; n++) expect(moverSatisfied(checker, state.moves, n)).toBe(true);
+      if (played > 0 && !moverSatisfied(checker, state.moves, played)) {
+        expect(state.result).not.toBeNull();
+        expect(state.result.winner).toBe(played % 2 === 1 ? 'Bazza' : 'Alice');
+      }
+      if (!state.result) expect(played).toBe(moves.length);
+    }));
+  });
+
+  it('嚴格規則下每一步都合法，且僅在區間為空時判負', () => {
+    fc.assert(fc.property(lambdaArb, constraintArb, constraintArb, movesArb, (l, ac, bc, moves) => {
+      const engine = new GameEngine(new LambdaConfig(l), { aliceConstraint: ac, bazzaConstraint: bc, maxRounds: 1000, strictRules: true });
+      const state = feed(engine, moves);
+      for (let n = 1; n <= state.moves.length; n++) expect(moverSatisfied(engine.checker, state.moves, n)).toBe(true);
+      if (state.result && state.result.winner !== 'Draw') {
+        const n = state.moves.length + 1;
+        expect(engine.checker.getLegalInterval(n % 2 === 1 ? 'Alice' : 'Bazza', state.moves, n).empty).toBe(true);
+      }
+    }));
+  });
+});
+
+describe('策略對局', () => {
+  it('任何策略組合的結果都與約束一致', () => {
+    fc.assert(fc.property(lambdaArb, styleArb, styleArb, constraintArb, constraintArb, fc.boolean(), (l, as, bs, ac, bc, strictRules) => {
+      const r = new GameEngine(new LambdaConfig(l), { aliceStyle: as, bazzaStyle: bs, aliceConstraint: ac, bazzaConstraint: bc, maxRounds: 80, strictRules }).play();
+      const checker = new ConstraintChecker(ac, bc, new LambdaConfig(l));
+      const last = r.moves.length;
+      for (let n = 1; n < last; n++) expect(moverSatisfied(checker, r.moves, n)).toBe(true);
+      if (r.winner === 'Draw') {
+        expect(r.totalRounds).toBe(80);
+        expect(moverSatisfied(checker, r.moves, last)).toBe(true);
+      }
+    }), { numRuns: 200 });
+  });
+});
@@ -0,0 +1,847 @@
+import { describe, it, expect } from 'vitest';
+import { CRITICAL_VALUE, PlayerStyle, ConstraintType, LambdaConfig, ConstraintChecker, MathEngine, FittingEngine, GameEngine, Experiments, runTask, powerConstraint, customConstraint, validateConstraintRule, resolveConstraint, customStrategy, registerStrategy, getStrategy, checkStrategy, runGame, runBranch, solveGame, buildOracle, oracleTable, adversarialSearch, verifyGame, SearchMethod, ADVERSARY_STYLE, Statistics, DEFAULT_TUNING, TUNING_PARAMS, tunedStyle, resolveStyle, evaluateTuning, optimizeTuning, playTournament, tournamentRatings } from './engine.js';
+import { createRng, gaussian } from './random.js';
+
+const checker = (lambdaVal, aliceType = ConstraintType.STANDARD, bazzaType = ConstraintType.STANDARD) =>
+  new ConstraintChecker(aliceType, bazzaType, new LambdaConfig(lambdaVal));
+
+const play = (lambdaVal, options = {}) => new GameEngine(new LambdaConfig(lambdaVal), { maxRounds: 200, ...options }).play();
+
+describe('ConstraintChecker', () => {
+  const moves = [0.5, 1, 0.2];
+
+  describe('Alice 約束', () => {
+    it.each([
+      [ConstraintType.STANDARD, 0.5 + 1 + 0.2, 0.8 * 3],
+      [ConstraintType.CUBIC, 0.125 + 1 + 0.008, 0.8 * 3],
+      [ConstraintType.QUARTIC, 0.5 + 1 + 0.2, 0.8 * 3],
+      [ConstraintType.WEIGHTED, 0.5 + 1.1 * 1 + 1.2 * 0.2, 1.5 * 0.8 * 3]
+    ])('%o 的值、上限與容量', (type, value, limit) => {
+      const c = checker(0.8, type);
+      expect(c.getAliceConstraintValue(moves)).toBeCloseTo(value, 12);
+      expect(c.getAliceConstraintLimit(3)).toBeCloseTo(limit, 12);
+      expect(c.getAliceCapacity(moves, 3)).toBeCloseTo(Math.max(0, limit - value), 12);
+    });
+
+    it('空序列的值為 0', () => {
+      for (const type of Object.values(ConstraintType)) expect(checker(0.8, type).getAliceConstraintValue([])).toBe(0);
+    });
+
+    it('容量不為負', () => {
+      expect(checker(0.5).getAliceCapacity([3], 1)).toBe(0);
+    });
+  });
+
+  describe('Bazza 約束', () => {
+    it.each([
+      [ConstraintType.STANDARD, 0.25 + 1 + 0.04, 3, (r) => Math.sqrt(r)],
+      [ConstraintType.CUBIC, 0.25 + 1 + 0.04, 3, (r) => Math.sqrt(r)],
+      [ConstraintType.QUARTIC, 0.0625 + 1 + 0.0016, 9, (r) => Math.pow(r, 0.25)],
+      [ConstraintType.WEIGHTED, 0.25 + 1.05 * 1 + 1.1 * 0.04, 3.6, (r) => Math.sqrt(r)]
+    ])('%o 的值、上限與容量', (type, value, limit, capacity) => {
+      const c = checker(0.8, ConstraintType.STANDARD, type);
+      expect(c.getBazzaConstraintValue(moves)).toBeCloseTo(value, 12);
+      expect(c.getBazzaConstraintLimit(3)).toBeCloseTo(limit, 12);
+      expect(c.getBazzaCapacity(moves, 3)).toBeCloseTo(capacity(limit - value), 12);
+    });
+
+    it('超出上限時容量為 0', () => {
+      for (const type of Object.values(ConstraintType)) expect(checker(0.8, ConstraintType.STANDARD, type).getBazzaCapacity([5], 1)).toBe(0);
+    });
+  });
+
+  describe('合法區間', () => {
+    it('標準約束的上界等於剩餘容量', () => {
+      const c = checker(0.8);
+      expect(c.getLegalInterval('Alice', [0, 1], 3)).toEqual({ min: 0, max: expect.closeTo(1.4, 12), empty: false });
+      expect(c.getLegalInterval('Bazza', [1], 2)).toEqual({ min: 0, max: expect.closeTo(1, 12), empty: false });
+    });
+
+    it('之前的移動已超出限制時區間為空', () => {
+      const c = checker(0.6);
+      expect(c.getLegalInterval('Alice', [0, 2], 3).empty).toBe(true);
+      expect(c.getLegalInterval('Bazza', [2], 2).empty).toBe(true);
+    });
+
+    it('非標準約束換算為 xₙ 的上界', () => {
+      expect(checker(0.8, ConstraintType.CUBIC).getAliceMaxMove([], 1)).toBeCloseTo(Math.cbrt(0.8), 12);
+      expect(checker(0.8, ConstraintType.WEIGHTED).getAliceMaxMove([0, 0], 3)).toBeCloseTo(1.5 * 0.8 * 3 / 1.2, 12);
+      expect(checker(0.8, ConstraintType.STANDARD, ConstraintType.QUARTIC).getBazzaMaxMove([1], 2)).toBeCloseTo(Math.pow(3, 0.25), 12);
+    });
+  });
+
+  it('checkAlice / checkBazza 回報餘量', () => {
+    const c = checker(0.8);
+    expect(c.checkAlice([0.8], 1)).toEqual({ valid: true, margin: expect.closeTo(0, 12) });
+    expect(c.checkAlice([0.9], 1).valid).toBe(false);
+    expect(c.checkBazza([0, Math.SQRT2], 2).valid).toBe(true);
+    expect(c.checkBazza([0, 1.5], 2)).toEqual({ valid: false, margin: expect.closeTo(-0.25, 12) });
+  });
+});
+
+describe('一般冪次約束', () => {
+  const moves = [0.5, 1, 0.2, 1.3];
+
+  it('p = 1、q = 2 與標準約束一致，q = 4、b = 2 與四次方約束一致', () => {
+    const power = checker(0.8, powerConstraint(1), powerConstraint(2));
+    const standard = checker(0.8);
+    expect(power.getAliceConstraintValue(moves)).toBe(standard.getAliceConstraintValue(moves));
+    expect(power.getBazzaConstraintValue(moves)).toBe(standard.getBazzaConstraintValue(moves));
+    expect(power.getAliceConstraintLimit(5)).toBe(standard.getAliceConstraintLimit(5));
+    const quartic = checker(0.8, ConstraintType.STANDARD, ConstraintType.QUARTIC);
+    const generic = checker(0.8, ConstraintType.STANDARD, powerConstraint(4, 2));
+    expect(generic.getBazzaConstraintValue(moves)).toBe(quartic.getBazzaConstraintValue(moves));
+    expect(generic.getBazzaCapacity(moves, 5)).toBe(quartic.getBazzaCapacity(moves, 5));
+  });
+
+  it('非整數指數與增長的值、上限與容量', () => {
+    const c = checker(0.8, powerConstraint(1.5, 1.2), powerConstraint(2.5, 0.5));
+    expect(c.getAliceConstraintValue(moves)).toBeCloseTo(moves.reduce((a, x) => a + x ** 1.5, 0), 12);
+    expect(c.getAliceConstraintLimit(5)).toBeCloseTo(0.8 * 5 ** 1.2, 12);
+    expect(c.getBazzaConstraintLimit(9)).toBeCloseTo(3, 12);
+    expect(c.getAliceMaxMove([0, 0], 3)).toBeCloseTo((0.8 * 3 ** 1.2) ** (1 / 1.5), 12);
+    expect(c.getBazzaCapacity([1], 4)).toBeCloseTo(1, 12);
+  });
+
+  it('理論臨界值 2^(p/q) / 2', () => {
+    expect(MathEngine.familyCritical(ConstraintType.STANDARD, ConstraintType.STANDARD).value).toBe(CRITICAL_VALUE);
+    expect(MathEngine.familyCritical(powerConstraint(1), powerConstraint(4)).value).toBeCloseTo(2 ** -0.75, 12);
+    expect(MathEngine.familyCritical(powerConstraint(2), powerConstraint(2)).value).toBe(1);
+    expect(MathEngine.familyCritical(ConstraintType.CUBIC, ConstraintType.STANDARD)).toBeNull();
+    expect(MathEngine.familyCritical(ConstraintType.STANDARD, ConstraintType.QUARTIC)).toBeNull();
+    expect(MathEngine.familyCritical(ConstraintType.WEIGHTED, ConstraintType.STANDARD)).toBeNull();
+  });
+
+  it.each([[1, 3], [0.5, 2], [2, 3]])('p = %d、q = %d 時證明型策略在理論臨界值兩側各自獲勝', (p, q) => {
+    const options = { aliceConstraint: powerConstraint(p), bazzaConstraint: powerConstraint(q), aliceStyle: PlayerStyle.PROOF, bazzaStyle: PlayerStyle.PROOF, maxRounds: 500, strictRules: true };
+    const critical = MathEngine.familyCritical(options.aliceConstraint, options.bazzaConstraint).value;
+    const above = play(critical + 0.03, options);
+    const below = play(critical - 0.03, options);
+    expect(above).toMatchObject({ winner: 'Alice', matchTheory: true, theoreticalCritical: critical });
+    expect(below).toMatchObject({ winner: 'Bazza', matchTheory: true });
+  });
+
+  it('臨界值掃描與擬合以冪次族的理論臨界值為中心', () => {
+    const spec = { range: 0.02, step: 0.002, maxRounds: 300, strictRules: true, aliceConstraint: powerConstraint(1), bazzaConstraint: powerConstraint(3) };
+    const center = 2 ** (1 / 3) / 2;
+    expect(Experiments.criticalCenter(spec.aliceConstraint, spec.bazzaConstraint)).toBeCloseTo(center, 12);
+    expect(Experiments.criticalCenter('cubic', 'standard')).toBe(CRITICAL_VALUE);
+    const results = Experiments.criticalTasks(spec).map(task => runTask({ ...task, aliceStyle: 'proof', bazzaStyle: 'proof' }));
+    expect(results[0].lambdaVal).toBeCloseTo(center - 0.02, 6);
+    expect(results.at(-1).lambdaVal).toBeCloseTo(center + 0.02, 6);
+    expect(results.filter(r => r.lambdaVal < center - 0.005).every(r => r.winner === 'Bazza')).toBe(true);
+    expect(results.filter(r => r.lambdaVal > center + 0.005).every(r => r.winner === 'Alice')).toBe(true);
+    expect(FittingEngine.scanCenter(results)).toBe(results[0].theoreticalCritical);
+    expect(FittingEngine.scanCenter([{ theoreticalCritical: null }])).toBe(CRITICAL_VALUE);
+    expect(FittingEngine.fitPowerLaw(results, FittingEngine.scanCenter(results), { bootstrap: 0 }).refPoint).toBeCloseTo(center, 12);
+  });
+});
+
+describe('自訂約束', () => {
+  const moves = [0.5, 1, 0.2, 1.3];
+  const rule = (weight, exponent, limit) => customConstraint({ name: '測試', weight, exponent, limit });
+
+  it('以表達式重現加權約束，結果逐位一致', () => {
+    const weighted = checker(0.8, ConstraintType.WEIGHTED, ConstraintType.WEIGHTED);
+    const custom = checker(0.8, rule('1 + 0.1*(i - 1)', 1, 'λ*n*1.5'), rule('1 + 0.05*(i - 1)', 2, 'n*1.2'));
+    expect(custom.getAliceConstraintValue(moves)).toBe(weighted.getAliceConstraintValue(moves));
+    expect(custom.getBazzaConstraintValue(moves)).toBe(weighted.getBazzaConstraintValue(moves));
+    expect(custom.getAliceConstraintLimit(7)).toBe(weighted.getAliceConstraintLimit(7));
+    expect(custom.getBazzaMaxMove(moves, 6)).toBe(weighted.getBazzaMaxMove(moves, 6));
+  });
+
+  it('權重、指數與上限依定義計算', () => {
+    const c = checker(0.8, rule('i', 1.5, 'λ*sqrt(n)'), rule('1/i', 3, 'n^2'));
+    expect(c.getAliceConstraintValue(moves)).toBeCloseTo(moves.reduce((a, x, k) => a + (k + 1) * x ** 1.5, 0), 12);
+    expect(c.getAliceConstraintLimit(4)).toBeCloseTo(1.6, 12);
+    expect(c.getBazzaConstraintValue(moves)).toBeCloseTo(moves.reduce((a, x, k) => a + x ** 3 / (k + 1), 0), 12);
+    // 前兩步消耗 1 + 1/2，第 3 步的權重為 1/3：x³/3 ≤ 2² − 3/2
+    expect(c.getBazzaMaxMove([1, 1], 2)).toBeCloseTo(Math.cbrt(3 * 2.5), 12);
+  });
+
+  it('可跨 worker 以純資料描述對局', () => {
+    const spec = { name: '測試', id: 'custom', weight: '1', exponent: 2, limit: 'n' };
+    expect(resolveConstraint(spec)).toEqual(spec);
+    const r = runTask({ lambdaVal: 0.8, maxRounds: 100, aliceConstraint: 'standard', bazzaConstraint: spec });
+    expect(r).toMatchObject({ winner: play(0.8, { maxRounds: 100 }).winner, theoreticalCritical: null });
+  });
+
+  it.each([
+    [{ weight: '1', exponent: 1, limit: 'λ*n' }, null],
+    [{ weight: '1 - i', exponent: 1, limit: 'n' }, '權重在 i = 1 時為 0'],
+    [{ weight: 'i', exponent: 0, limit: 'n' }, '指數必須為正數'],
+    [{ weight: 'i', exponent: 1, limit: 'log(n - 1)' }, '上限在 n = 1 時為 -Infinity'],
+    [{ weight: 'n', exponent: 1, limit: 'n' }, '權重：未知的名稱「n」'],
+    [{ weight: '1', exponent: 1, limit: 'process.exit()' }, '上限：']
+  ])('validateConstraintRule(%o)', (candidate, message) => {
+    const error = validateConstraintRule(candidate);
+    if (message === null) expect(error).toBeNull();
+    else expect(error).toContain(message);
+  });
+});
+
+describe('MathEngine.cauchySchwarz', () => {
+  it('空序列視為成立', () => {
+    expect(MathEngine.cauchySchwarz([])).toMatchObject({ lhs: 0, rhs: 0, satisfied: true });
+  });
+
+  it('計算 (Σx)² 與 n·Σx²', () => {
+    const cs = MathEngine.cauchySchwarz([1, 2, 3]);
+    expect(cs).toMatchObject({ sumX: 6, sumX2: 14, lhs: 36, rhs: 42, satisfied: true });
+    expect(cs.ratio).toBeCloseTo(36 / 42, 9);
+  });
+
+  it('常數序列取等號', () => {
+    const cs = MathEngine.cauchySchwarz([0.7, 0.7, 0.7, 0.7]);
+    expect(cs.satisfied).toBe(true);
+    expect(cs.ratio).toBeCloseTo(1, 9);
+  });
+});
+
+describe('FittingEngine.fitPowerLaw', () => {
+  const synthetic = (a, b, d) => {
+    const data = [];
+    for (let l = 0.6; l <= 0.82; l += 0.005) {
+      const x = Math.abs(l - CRITICAL_VALUE);
+      if (x < 0.004) continue;
+      data.push({ lambdaVal: l, winner: l > CRITICAL_VALUE ? 'Alice' : 'Bazza', totalRounds: a * Math.pow(x, b) + d });
+    }
+    return data;
+  };
+
+  it('從合成數據還原 a、b、d', () => {
+    const fit = FittingEngine.fitPowerLaw(synthetic(0.5, -2, 3));
+    for (const side of [fit.alice, fit.bazza]) {
+      expect(side.b).toBeCloseTo(-2, 2);
+      expect(side.a).toBeCloseTo(0.5, 1);
+      expect(Math.abs(side.d - 3)).toBeLessThan(1);
+      expect(side.r2).toBeGreaterThan(0.9999);
+    }
+  });
+
+  it('還原非 −2 的冪次', () => {
+    const fit = FittingEngine.fitPowerLaw(synthetic(2, -1, 5));
+    expect(fit.alice.b).toBeCloseTo(-1, 1);
+    expect(fit.bazza.b).toBeCloseTo(-1, 1);
+  });
+
+  it('Levenberg–Marquardt 收斂到精確解，殘差為零', () => {
+    const fit = FittingEngine.fitPowerLaw(synthetic(0.5, -2, 3), CRITICAL_VALUE, { bootstrap: 0 });
+    expect(fit.alice.converged).toBe(true);
+    expect(fit.alice.b).toBeCloseTo(-2, 6);
+    expect(fit.alice.a).toBeCloseTo(0.5, 6);
+    expect(fit.alice.d).toBeCloseTo(3, 4);
+    expect(Math.max(...fit.alice.residuals.map(r => Math.abs(r.residual)))).toBeLessThan(1e-6);
+    expect(fit.alice.ci).toBeNull();
+  });
+
+  it('還原網格範圍以外的冪次', () => {
+    const fit = FittingEngine.fitPowerLaw(synthetic(0.001, -3.5, 2), CRITICAL_VALUE, { bootstrap: 0 });
+    expect(fit.bazza.b).toBeCloseTo(-3.5, 4);
+  });
+
+  it('含雜訊時的標準誤與 bootstrap 信賴區間涵蓋真值，且可由種子重現', () => {
+    const rng = createRng(3);
+    const noisy = synthetic(0.5, -2, 3).map(d => ({ ...d, totalRounds: d.totalRounds * (1 + 0.02 * gaussian(rng)) }));
+    const fit = FittingEngine.fitPowerLaw(noisy, CRITICAL_VALUE, { bootstrap: 300, seed: 5 });
+    for (const side of [fit.alice, fit.bazza]) {
+      expect(side.se.b).toBeGreaterThan(0);
+      expect(Math.abs(side.b + 2)).toBeLessThan(4 * side.se.b);
+      expect(side.ci.samples).toBe(300);
+      expect(side.ci.b[0]).toBeLessThan(-2);
+      expect(side.ci.b[1]).toBeGreaterThan(-2);
+      expect(side.ci.b[0]).toBeLessThan(side.b);
+      expect(side.ci.b[1]).toBeGreaterThan(side.b);
+    }
+    expect(FittingEngine.fitPowerLaw(noisy, CRITICAL_VALUE, { bootstrap: 300, seed: 5 }).alice.ci).toEqual(fit.alice.ci);
+  });
+
+  it('數據不足時回傳 null', () => {
+    expect(FittingEngine.fitPowerLaw([{ lambdaVal: 0.8, winner: 'Alice', totalRounds: 10 }])).toBeNull();
+    const fit = FittingEngine.fitPowerLaw(synthetic(0.5, -2, 3).filter(d => d.winner === 'Alice'));
+    expect(fit.bazza).toBeNull();
+  });
+});
+
+describe('FittingEngine.compareModels', () => {
+  // 以固定種子加上 σ = 0.5 回合的雜訊，避免精確數據的殘差只剩捨入誤差
+  const synthetic = (f, seed = 4) => {
+    const rng = createRng(seed);
+    const data = [];
+    for (let l = 0.6; l <= 0.82; l += 0.005) {
+      const x = Math.abs(l - CRITICAL_VALUE);
+      if (x < 0.004) continue;
+      data.push({ lambdaVal: l, winner: l > CRITICAL_VALUE ? 'Alice' : 'Bazza', totalRounds: f(x, l) + 0.5 * gaussian(rng) });
+    }
+    return data;
+  };
+
+  it('依 AIC 排序並附上 Akaike 權重與各準則的名次', () => {
+    const { alice } = FittingEngine.compareModels(synthetic(x => -20 * Math.log(x) + 3));
+    expect(alice.map(e => e.model).sort()).toEqual(['exponential', 'log', 'power', 'powerCenter', 'powerLog']);
+    expect(alice.map(e => e.aicRank)).toEqual([1, 2, 3, 4, 5]);
+    expect(alice.every((e, i) => i === 0 || e.aic >= alice[i - 1].aic)).toBe(true);
+    expect(alice.reduce((s, e) => s + e.weight, 0)).toBeCloseTo(1, 12);
+    expect(alice[0].deltaAIC).toBe(0);
+    expect(new Set(alice.map(e => e.bicRank)).size).toBe(5);
+  });
+
+  it('對數數據以對數模型勝出（AIC、BIC 與交叉驗證一致）', () => {
+    const { alice, bazza } = FittingEngine.compareModels(synthetic(x => -20 * Math.log(x) + 3));
+    for (const side of [alice, bazza]) {
+      const log = side.find(e => e.model === 'log');
+      expect(log.aicRank).toBe(1);
+      expect(log.bicRank).toBe(1);
+      expect(log.params.a).toBeCloseTo(-20, 0);
+    }
+  });
+
+  it('自由中心還原偏離 λ* 的相變位置，並判定與 1/√2 不一致', () => {
+    const models = FittingEngine.compareModels(synthetic((x, l) => 0.5 * Math.abs(l - 0.705) ** -2 + 3));
+    const center = FittingEngine.centerTest(models.alice);
+    expect(center.c).toBeCloseTo(0.705, 4);
+    expect(center.consistent).toBe(false);
+    expect(models.alice[0].model).toBe('powerCenter');
+  });
+
+  it('中心確實在 λ* 時 c 與 1/√2 一致', () => {
+    const models = FittingEngine.compareModels(synthetic(x => 0.5 * x ** -2 + 3));
+    for (const side of [models.alice, models.bazza]) {
+      const center = FittingEngine.centerTest(side);
+      expect(Math.abs(center.delta)).toBeLessThan(1e-4);
+      expect(center.consistent).toBe(true);
+    }
+  });
+
+  it('點數不足以估計的模型不列入', () => {
+    const data = [0.72, 0.74, 0.76, 0.78].map(l => ({ lambdaVal: l, winner: 'Alice', totalRounds: 100 - 200 * (l - 0.7) }));
+    expect(FittingEngine.compareModels(data).alice.map(e => e.model)).toEqual(['log']);
+    expect(FittingEngine.compareModels(data).bazza).toBeNull();
+  });
+
+  it('掃描擬合作為 worker 任務：只傳送擬合用到的欄位並排除無法判定的點', () => {
+    const results = Experiments.batchTasks({ start: 0.6, end: 0.82, step: 0.01, maxRounds: 200 }).map(runTask);
+    results[0].precisionFlags = [{ round: 1, kind: 'ambiguous' }];
+    const [task] = Experiments.fitTasks(results);
+    expect(task.kind).toBe('fit');
+    expect(Object.keys(task.results[0]).sort()).toEqual(['lambdaVal', 'precisionFlags', 'theoreticalCritical', 'totalRounds', 'winner']);
+    const fit = runTask(JSON.parse(JSON.stringify(task)));
+    expect(fit).toEqual(FittingEngine.fitScan(results));
+    expect(fit.refPoint).toBe(CRITICAL_VALUE);
+    expect(fit.bazza.n).toBe(FittingEngine.fitPowerLaw(results.slice(1)).bazza.n);
+    expect(fit.models.folds).toBe(5);
+  });
+
+  it('模型曲線與擬合參數一致', () => {
+    const entry = { model: 'powerCenter', params: { a: 0.5, b: -2, c: 0.7, d: 3 } };
+    const curve = FittingEngine.generateModelCurve(entry, 1, 0.65, 0.8, CRITICAL_VALUE, 30);
+    expect(curve.every(p => p.lambdaVal > CRITICAL_VALUE)).toBe(true);
+    for (const p of curve) expect(p.fitted).toBeCloseTo(0.5 * (p.lambdaVal - 0.7) ** -2 + 3, 9);
+  });
+});
+
+describe('GameEngine.play() 與臨界值定理', () => {
+  it.each([0.75, 0.8, 0.85, 0.9])('λ = %f 時最優型 Alice 獲勝', (l) => {
+    const r = play(l);
+    expect(r.winner).toBe('Alice');
+    expect(r.matchTheory).toBe(true);
+  });
+
+  it.each([0.5, 0.55, 0.6])('λ = %f 時最優型 Bazza 獲勝', (l) => {
+    const r = play(l);
+    expect(r.winner).toBe('Bazza');
+    expect(r.matchTheory).toBe(true);
+  });
+
+  const styles = Object.values(PlayerStyle);
+
+  it.each([0.72, 0.75, 0.8, 0.9])('λ = %f 時證明型 Alice 擊敗所有 Bazza 策略', (l) => {
+    for (const bazzaStyle of styles) {
+      const r = play(l, { aliceStyle: PlayerStyle.PROOF, bazzaStyle, maxRounds: 500, strictRules: true });
+      expect(r.winner).toBe('Alice');
+      expect(r.certificate.valid).toBe(true);
+    }
+  });
+
+  it.each([0.6, 0.65, 0.7])('λ = %f 時證明型 Bazza 擊敗所有 Alice 策略', (l) => {
+    for (const aliceStyle of styles) {
+      const r = play(l, { aliceStyle, bazzaStyle: PlayerStyle.PROOF, maxRounds: 500, strictRules: true });
+      expect(r.winner).toBe('Bazza');
+      expect(r.certificate.valid).toBe(true);
+    }
+  });
+
+  it('達到最大回合數時為和局', () => {
+    const r = play(0.8, { aliceStyle: PlayerStyle.CONSERVATIVE, bazzaStyle: PlayerStyle.CONSERVATIVE, maxRounds: 30 });
+    expect(r).toMatchObject({ winner: 'Draw', totalRounds: 30 });
+    expect(r.moves).toHaveLength(30);
+  });
+
+  it('嚴格規則修正非法提議而非判負', () => {
+    const engine = new GameEngine(new LambdaConfig(0.6), { strictRules: true });
+    const state = engine.advance(engine.createState(), 5, '測試');
+    expect(state.result).toBeNull();
+    expect(state.moves[0]).toBeCloseTo(0.6, 12);
+    expect(state.illegalProposals).toEqual([{ round: 1, player: 'Alice', proposed: 5, applied: expect.closeTo(0.6, 12) }]);
+  });
+});
+
+describe('策略介面', () => {
+  const source = (body) => `function move(state) { ${body} }`;
+
+  it('內建策略皆已註冊', () => {
+    for (const style of Object.values(PlayerStyle)) {
+      const strategy = getStrategy(style);
+      expect(strategy.id).toBe(style.id);
+      expect(typeof strategy.alice).toBe('function');
+      expect(typeof strategy.bazza).toBe('function');
+    }
+  });
+
+  it('策略收到回合、歷史、雙方容量、λ 與合法上界', () => {
+    const seen = [];
+    registerStrategy({ id: 'test-recorder', name: '記錄' }, {
+      alice: (state) => { seen.push(state); return { move: 0, reason: '記錄' }; },
+      bazza: (state) => { seen.push(state); return { move: 1, reason: '記錄' }; }
+    });
+    play(0.8, { aliceStyle: { id: 'test-recorder' }, bazzaStyle: { id: 'test-recorder' }, maxRounds: 4 });
+    expect(seen.map(s => s.n)).toEqual([1, 2, 3, 4]);
+    expect(seen[2]).toMatchObject({ player: 'Alice', moves: [0, 1], lambda: 0.8 });
+    expect(seen[2].aliceCapacity).toBeCloseTo(2.4 - 1, 12);
+    expect(seen[2].bazzaCapacity).toBeCloseTo(Math.sqrt(2), 12);
+    expect(seen[3].maxMove).toBeCloseTo(Math.sqrt(3), 12);
+  });
+
+  it('使用者策略可回傳數字或 { move, reason }，結果與等價的內建策略一致', () => {
+    const zero = customStrategy({ name: '零', source: source('return state.player === "Alice" ? 0 : { move: Math.min(state.bazzaCapacity * 0.3, 0.5), reason: "保守" };') });
+    const r = runGame({ lambdaVal: 0.8, maxRounds: 60, aliceStyle: zero, bazzaStyle: zero });
+    const builtin = play(0.8, { aliceStyle: PlayerStyle.CONSERVATIVE, bazzaStyle: PlayerStyle.CONSERVATIVE, maxRounds: 60 });
+    expect(r.moves).toEqual(builtin.moves);
+    expect(r.aliceStyle).toMatchObject({ id: 'user:零', name: '零' });
+    expect(r.moveDetails[1].reason).toBe('保守');
+    expect(r.moveDetails[0].reason).toBe('零');
+  });
+
+  it('非數字的輸出在嚴格規則下修正為 0', () => {
+    const junk = customStrategy({ name: '亂數', source: source('return "abc";') });
+    const r = runGame({ lambdaVal: 0.8, maxRounds: 6, aliceStyle: junk, strictRules: true });
+    expect(r.illegalProposals[0]).toMatchObject({ round: 1, applied: 0 });
+  });
+
+  it('試跑回報語法與執行錯誤', () => {
+    expect(checkStrategy(customStrategy({ name: 'ok', source: source('return 0;') }))).toEqual({ error: null });
+    expect(checkStrategy(customStrategy({ name: '壞', source: 'function move( {' })).error).toMatch(/^策略「壞」語法錯誤/);
+    expect(checkStrategy(customStrategy({ name: '錯', source: source('if (state.n > 3) throw new Error("boom"); return 0;') })).error).toBe('策略「錯」於第 5 回合出錯：boom');
+  });
+
+  it('策略對比納入使用者策略', () => {
+    const mine = customStrategy({ name: '我的', source: source('return 0;') });
+    const tasks = Experiments.comparisonTasks({ lambdaVal: 0.75, maxRounds: 20, styles: [PlayerStyle.OPTIMAL, mine] });
+    expect(tasks.map(t => [t.aliceStyle, t.bazzaStyle])).toEqual([['optimal', 'optimal'], ['optimal', mine], [mine, 'optimal'], [mine, mine]]);
+    expect(tasks.map(runTask).map(r => r.bazzaStyle.name)).toEqual(['最優型', '我的', '最優型', '我的']);
+  });
+});
+
+describe('estimateCritical', () => {
+  const estimate = (spec) => Experiments.estimateTasks({ lo: 0.3, hi: 1.5, tolerance: 1e-6, ...spec }).map(runTask);
+
+  it('證明型對局的分界區間包含 1/√2 並隨回合上限收窄', () => {
+    const results = estimate({ rounds: [100, 400], aliceStyle: 'proof', bazzaStyle: 'proof', strictRules: true });
+    for (const r of results) {
+      expect(r.error).toBeNull();
+      expect(r.bracket.lo).toBeLessThan(CRITICAL_VALUE);
+      expect(r.bracket.hi).toBeGreaterThan(CRITICAL_VALUE);
+      expect(r.monotone).toBe(true);
+      expect(r.converged).toBe(true);
+    }
+    expect(results[1].bracket.hi - results[1].bracket.lo).toBeLessThan(results[0].bracket.hi - results[0].bracket.lo);
+  });
+
+  it('沒有和局時區間寬度達到容差', () => {
+    const [r] = estimate({ rounds: [100], aliceConstraint: 'weighted', bazzaConstraint: 'weighted' });
+    expect(r.drawBand).toBeNull();
+    expect(r.bracket.hi - r.bracket.lo).toBeLessThanOrEqual(1e-6);
+    expect(r.steps.find(s => s.lambdaVal === r.bracket.lo).winner).toBe('Bazza');
+    expect(r.steps.find(s => s.lambdaVal === r.bracket.hi).winner).toBe('Alice');
+  });
+
+  it('分界落在初始區間外時自動擴大區間', () => {
+    const [r] = estimate({ rounds: [100], aliceConstraint: 'cubic', bazzaConstraint: 'quartic' });
+    expect(r).toMatchObject({ error: null, lo: 0.3, hi: 12, expanded: 3 });
+    expect(r.bracket.lo).toBeGreaterThan(1.5);
+    expect(r.bracket.hi - r.bracket.lo).toBeLessThanOrEqual(1e-6);
+    expect(r.steps.find(s => s.lambdaVal === r.bracket.lo).winner).toBe('Bazza');
+    expect(r.steps.find(s => s.lambdaVal === r.bracket.hi).winner).toBe('Alice');
+    const [below] = estimate({ rounds: [100], lo: 0.9, hi: 4, aliceStyle: 'proof', bazzaStyle: 'proof' });
+    expect(below.lo).toBeLessThan(CRITICAL_VALUE);
+    expect(below.bracket.lo).toBeLessThan(CRITICAL_VALUE);
+  });
+
+  it('擴大次數用盡仍未分出勝負時回報錯誤', () => {
+    const [r] = estimate({ rounds: [10], lo: 0.9, expansions: 0 });
+    expect(r).toMatchObject({ bracket: null, lo: 0.9, hi: 1.5, expanded: 0 });
+    expect(r.error).toMatch(/初始區間擴大 0 次後/);
+    const [capped] = estimate({ rounds: [100], aliceConstraint: 'cubic', expansions: 2 });
+    expect(capped).toMatchObject({ bracket: null, hi: 6, expanded: 2 });
+  });
+});
+
+describe('隨機擾動', () => {
+  const strip = ({ noise, seed, ...rest }) => rest;
+
+  it('σ = 0 時與確定性對局完全相同', () => {
+    for (const l of [0.6, 0.75]) {
+      expect(strip(runGame({ lambdaVal: l, maxRounds: 150, noise: { alice: 0, bazza: 0 }, seed: 9 }))).toEqual(strip(runGame({ lambdaVal: l, maxRounds: 150 })));
+    }
+  });
+
+  it('同一種子重播出相同的對局，不同種子產生不同的移動', () => {
+    const spec = { lambdaVal: 0.65, maxRounds: 60, noise: { alice: 0.3, bazza: 0.3 } };
+    expect(runGame({ ...spec, seed: 4 }).moves).toEqual(runGame({ ...spec, seed: 4 }).moves);
+    expect(runGame({ ...spec, seed: 4 }).moves).not.toEqual(runGame({ ...spec, seed: 5 }).moves);
+  });
+
+  it('擾動後的移動仍在合法區間內', () => {
+    const c = checker(0.72);
+    for (let seed = 0; seed < 20; seed++) {
+      const r = runGame({ lambdaVal: 0.72, maxRounds: 150, aliceStyle: 'aggressive', bazzaStyle: 'balanced', noise: { alice: 0.8, bazza: 0.8 }, seed });
+      const perturbed = r.moveDetails.filter(d => d.reason.includes('擾動'));
+      expect(perturbed.length).toBeGreaterThan(0);
+      for (const d of perturbed) {
+        const interval = c.getLegalInterval(d.player, r.moves.slice(0, d.round - 1), d.round);
+        expect(d.move).toBeGreaterThanOrEqual(0);
+        expect(d.move).toBeLessThanOrEqual(interval.max);
+      }
+    }
+  });
+});
+
+describe('蒙地卡羅', () => {
+  it('Wilson 區間包含點估計並落在 [0, 1] 內', () => {
+    const { p, lo, hi } = Statistics.wilson(3, 10);
+    expect(p).toBe(0.3);
+    expect(lo).toBeCloseTo(0.1078, 4);
+    expect(hi).toBeCloseTo(0.6032, 4);
+    expect(Statistics.wilson(0, 20).lo).toBe(0);
+    expect(Statistics.wilson(20, 20).hi).toBe(1);
+  });
+
+  it('分位數以線性內插計算', () => {
+    expect(Statistics.quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    const s = Statistics.summarize([5, 1, 3]);
+    expect([s.min, s.p50, s.max, s.mean]).toEqual([1, 3, 5, 3]);
+  });
+
+  it('結果可重現，勝局數合計為 N', () => {
+    const tasks = Experiments.monteCarloTasks({ start: 0.6, end: 0.65, step: 0.05, maxRounds: 60, games: 25, seed: 11, noise: { alice: 0.2, bazza: 0.2 } });
+    expect(tasks.map(t => t.lambdaVal)).toEqual([0.6, 0.65]);
+    const results = tasks.map(runTask);
+    expect(tasks.map(runTask)).toEqual(results);
+    for (const r of results) {
+      expect(r.wins.Alice + r.wins.Bazza + r.wins.Draw).toBe(25);
+      expect(r.rates.Bazza.lo).toBeLessThanOrEqual(r.rates.Bazza.p);
+      expect(r.rounds.p05).toBeLessThanOrEqual(r.rounds.p95);
+    }
+  });
+
+  it('無擾動時每局結果相同', () => {
+    const r = runTask({ kind: 'monteCarlo', lambdaVal: 0.6, maxRounds: 60, games: 10, seed: 1 });
+    expect(r.wins.Bazza).toBe(10);
+    expect(r.rounds.sd).toBe(0);
+  });
+});
+
+describe('回放與分支', () => {
+  const spec = { lambdaVal: 0.68, maxRounds: 100, aliceStyle: 'balanced', bazzaStyle: 'optimal' };
+  const original = runGame(spec);
+  const fork = (k, extra = {}) => runBranch({ ...spec, prefix: original.moves.slice(0, k), reasons: original.moveDetails.slice(0, k).map(d => d.reason), ...extra });
+
+  it('replay 重建的局面與原局的逐回合細節相同', () => {
+    const engine = new GameEngine(new LambdaConfig(0.68), { aliceStyle: PlayerStyle.BALANCED });
+    const k = 5;
+    const state = engine.replay(original.moves.slice(0, k), original.moveDetails.map(d => d.reason));
+    expect(state.moveDetails).toEqual(original.moveDetails.slice(0, k));
+    expect(state.result).toBeNull();
+  });
+
+  it('不改設定的分支重現原局', () => {
+    for (const k of [0, 3, original.moves.length - 1]) expect(fork(k)).toEqual(original);
+  });
+
+  it('分支保留前綴，之後改用新策略與手動移動', () => {
+    const k = 2;
+    const r = fork(k, { bazzaStyle: 'conservative', manualMove: 0.1 });
+    expect(r.moves.slice(0, k)).toEqual(original.moves.slice(0, k));
+    expect(r.moveDetails[k]).toMatchObject({ round: k + 1, move: 0.1, reason: '手動輸入（分支）' });
+    expect(r.bazzaStyle.id).toBe('conservative');
+    expect(r.maxRounds).toBe(100);
+  });
+
+  it('可作為 worker 任務執行', () => {
+    expect(runTask({ kind: 'branch', ...spec, prefix: [], reasons: [] })).toEqual(original);
+  });
+});
+
+describe('博弈樹求解', () => {
+  const solve = (lambdaVal, horizon, options = {}) => solveGame({ lambdaVal, horizon, grid: 5, ...options });
+
+  it('遠離臨界值時求出證明中的必勝方與決勝回合', () => {
+    // λ = 1：Alice 先取 0，第 3 回合補滿 3 − x₂，Bazza 第 4 回合無合法移動
+    expect(solve(1, 4)).toMatchObject({ winner: 'Alice', winRound: 4, exceeded: false });
+    // λ = 0.6：證明中 Alice 於第 2i+1 = 7 回合無合法移動
+    const bazza = solve(0.6, 8);
+    expect(bazza).toMatchObject({ winner: 'Bazza', winRound: new LambdaConfig(0.6).proofRound });
+    expect(bazza.line).toHaveLength(bazza.winRound - 1);
+    expect(bazza.line.filter(m => m.player === 'Bazza').every(m => m.move === m.max)).toBe(true);
+  });
+
+  it('回合數不足以分出勝負時為無法逼勝', () => {
+    expect(solve(1, 3)).toMatchObject({ winner: 'Draw', value: 0, winRound: null });
+    expect(solve(0.5, 4).winner).toBe('Draw');
+    expect(solve(0.5, 5).winner).toBe('Bazza');
+  });
+
+  it('剪枝與置換表不改變局面值，且搜尋的節點較少', () => {
+    for (const [l, h] of [[0.5, 5], [0.6, 7], [0.8, 8], [0.72, 6]]) {
+      const plain = solve(l, h, { memo: false, pruning: false, maxNodes: 1e6 });
+      const fast = solve(l, h);
+      expect(fast.value).toBe(plain.value);
+      expect(fast.nodes).toBeLessThan(plain.nodes);
+    }
+  });
+
+  it('超出節點上限時勝者為未知；可作為 worker 任務沿 λ 網格執行', () => {
+    expect(solve(0.75, 12, { maxNodes: 500 })).toMatchObject({ exceeded: true, winner: null, value: null, nodes: 500 });
+    expect(() => solve(0.75, 0)).toThrow('求解回合數必須為正整數');
+    const tasks = Experiments.solverTasks({ start: 0.5, end: 1, step: 0.25, horizon: 6, grid: 3, maxNodes: 10000, aliceConstraint: 'standard', bazzaConstraint: 'standard', maxRounds: 100 });
+    expect(tasks.map(t => t.lambdaVal)).toEqual([0.5, 0.75, 1]);
+    expect(tasks.map(runTask).map(r => r.winner)).toEqual(['Bazza', 'Draw', 'Alice']);
+  });
+});
+
+describe('動態規劃策略', () => {
+  const play = (lambdaVal, aliceStyle, bazzaStyle) => runGame({ lambdaVal, aliceStyle, bazzaStyle, maxRounds: 100 });
+
+  it('雙方皆用策略表時重現證明中的勝者與回合', () => {
+    expect(play(0.6, 'oracle', 'oracle')).toMatchObject({ winner: 'Bazza', totalRounds: 7 });
+    expect(play(0.75, 'oracle', 'oracle')).toMatchObject({ winner: 'Alice', totalRounds: 18 });
+    expect(play(1, 'oracle', 'oracle')).toMatchObject({ winner: 'Alice', totalRounds: 4 });
+  });
+
+  it('必勝一方使用策略表時擊敗所有內建策略', () => {
+    for (const style of Object.values(PlayerStyle)) {
+      expect(play(0.6, style.id, 'oracle').winner).toBe('Bazza');
+      if (style !== PlayerStyle.ORACLE) expect(play(0.8, 'oracle', style.id).winner).toBe('Alice');
+    }
+  });
+
+  it('策略表依參數快取，並可作為 worker 任務傳遞', () => {
+    const spec = { lambdaVal: 0.7, rounds: 6, resolution: 5, candidates: 4 };
+    const table = oracleTable(spec);
+    expect(oracleTable({ ...spec })).toBe(table);
+    expect(oracleTable({ ...spec, rounds: 7 })).not.toBe(table);
+    expect(table.layers.filter(Boolean)).toHaveLength(6);
+    expect(table.layers[1].values).toHaveLength(25);
+    expect(JSON.parse(JSON.stringify(runTask({ kind: 'oracle', ...spec })))).toEqual(JSON.parse(JSON.stringify(table)));
+  });
+
+  it('拒絕不合法的參數', () => {
+    expect(() => buildOracle({ lambdaVal: 0.7, rounds: 0 })).toThrow('策略表回合數必須為正整數');
+    expect(() => buildOracle({ lambdaVal: 0.7, resolution: 1 })).toThrow('策略表網格解析度');
+    expect(() => buildOracle({ lambdaVal: 0.7, candidates: 2.5 })).toThrow('候選移動數');
+  });
+});
+
+describe('對抗搜尋', () => {
+  const search = (lambdaVal, options = {}) => adversarialSearch({ lambdaVal, maxRounds: 100, iterations: 150, ...options });
+
+  it('最優型 Alice 的出擊回合上限為 50，回合上限 100 時會被拖成和局', () => {
+    const r = search(0.75);
+    expect(r).toMatchObject({ target: 'Alice', winner: 'Draw', counterexample: true, error: null });
+    expect(r.game.bazzaStyle).toEqual(ADVERSARY_STYLE);
+    // 反例是一般的對局結果，可逐步重播驗證
+    const { issues, result } = verifyGame({ lambdaVal: 0.75, maxRounds: 100, moves: r.game.moves, winner: r.winner, totalRounds: r.totalRounds });
+    expect(issues).toEqual([]);
+    expect(result.winner).toBe('Draw');
+  });
+
+  it('找到讓受測方落敗的移動序列即停止', () => {
+    const r = search(0.8, { aliceStyle: 'aggressive', method: 'random' });
+    expect(r).toMatchObject({ target: 'Alice', winner: 'Bazza', counterexample: true });
+    expect(r.evaluations).toBeLessThan(150);
+    expect(r.genes).toHaveLength(Math.floor(r.totalRounds / 2));
+    expect(search(0.7).target).toBe('Bazza');
+  });
+
+  it('沒有已知證明回合的約束，拖到回合上限的和局無法判定', () => {
+    // 與標準約束同形的冪次族：出擊回合為 50，回合上限 20 時受測方來不及出擊
+    const power = { aliceConstraint: { id: 'power', exponent: 1, growth: 1 }, bazzaConstraint: { id: 'power', exponent: 2, growth: 1 } };
+    const r = search(0.75, { ...power, maxRounds: 20, iterations: 30 });
+    expect(r).toMatchObject({ target: 'Alice', winner: 'Draw', proofRound: null, counterexample: null, error: null });
+    expect(search(0.8, { ...power, aliceStyle: 'aggressive', method: 'random' })).toMatchObject({ winner: 'Bazza', counterexample: true });
+  });
+
+  it('證明型策略在三種搜尋下都守住證明中的決勝回合', () => {
+    for (const method of Object.values(SearchMethod).map(m => m.id)) {
+      for (const [l, side] of [[0.6, 'bazzaStyle'], [0.8, 'aliceStyle']]) {
+        const r = search(l, { method, [side]: 'proof' });
+        expect(r.counterexample).toBe(false);
+        // Alice 於第 2k+1 回合出擊，Bazza 於下一回合無合法移動
+        expect(r.totalRounds).toBeLessThanOrEqual(new LambdaConfig(l).proofRound + (side === 'aliceStyle' ? 1 : 0));
+      }
+    }
+  });
+
+  it('回合上限恰為決勝回合：Alice 在證明回合的下一回合獲勝，Bazza 在證明回合獲勝', () => {
+    const alice = new LambdaConfig(0.8).proofRound, bazza = new LambdaConfig(0.6).proofRound;
+    expect(search(0.8, { aliceStyle: 'proof', maxRounds: alice })).toMatchObject({ target: 'Alice', winner: 'Draw', totalRounds: alice, counterexample: false });
+    expect(search(0.8, { aliceStyle: 'proof', maxRounds: alice + 1 })).toMatchObject({ winner: 'Alice', totalRounds: alice + 1, counterexample: false });
+    expect(search(0.6, { bazzaStyle: 'proof', maxRounds: bazza })).toMatchObject({ target: 'Bazza', winner: 'Bazza', totalRounds: bazza, counterexample: false });
+    expect(search(0.6, { bazzaStyle: 'conservative', maxRounds: bazza })).toMatchObject({ winner: 'Draw', totalRounds: bazza, counterexample: true });
+    expect(search(0.6, { bazzaStyle: 'proof', maxRounds: bazza + 1 })).toMatchObject({ winner: 'Bazza', totalRounds: bazza, counterexample: false });
+  });
+
+  it('搜尋結果不差於起點，且由種子決定', () => {
+    const spec = { maxRounds: 200, iterations: 300 };
+    const r = search(0.75, spec);
+    expect(r.baseline).toEqual({ winner: 'Alice', totalRounds: 106 });
+    expect(r.totalRounds).toBeGreaterThan(r.baseline.totalRounds);
+    expect(r.improvements.map(i => i.score)).toEqual([...r.improvements.map(i => i.score)].sort((a, b) => a - b));
+    expect(search(0.75, spec)).toEqual(r);
+    expect(search(0.75, { ...spec, method: 'cmaes' }).score).toBeGreaterThanOrEqual(r.improvements[0].score);
+  });
+
+  it('平衡帶內回報錯誤；可作為 worker 任務沿 λ 網格執行', () => {
+    expect(search(0.707)).toMatchObject({ target: null, error: expect.stringContaining('接近臨界值') });
+    expect(() => search(0.75, { method: 'annealing' })).toThrow('未知的搜尋方法');
+    expect(() => search(0.75, { iterations: 0 })).toThrow('評估次數必須為正整數');
+    const tasks = Experiments.adversarialTasks({ start: 0.6, end: 0.8, step: 0.1, maxRounds: 60, method: 'hill', iterations: 20, seed: 3, aliceStyle: 'proof', bazzaStyle: 'proof' });
+    expect(tasks.map(t => [t.kind, t.lambdaVal])).toEqual([['adversarial', 0.6], ['adversarial', 0.7], ['adversarial', 0.8]]);
+    const results = JSON.parse(JSON.stringify(tasks.map(runTask)));
+    // λ = 0.7 的證明回合為 101，60 回合內的和局不算反例
+    expect(results.map(r => [r.winner, r.counterexample])).toEqual([['Bazza', false], ['Draw', false], ['Alice', false]]);
+  });
+});
+
+describe('參數調校', () => {
+  const tune = (options = {}) => optimizeTuning({ start: 0.65, end: 0.8, step: 0.05, population: 6, generations: 4, opponents: ['conservative', 'aggressive', 'optimal'], ...options });
+
+  it('預設參數重現原本寫死的公式', () => {
+    for (const l of [0.6, 0.7, 0.707, 0.72, 0.75, 0.9, 1.2]) {
+      const c = new LambdaConfig(l), d = l - CRITICAL_VALUE;
+      const strike = d < -0.005 ? -1 : d <= 0.005 ? 50 : Math.max(10, Math.min(Math.ceil(1 / (2 * d * d)), 50));
+      expect(c.strikeRound).toBe(strike);
+      expect(c.reserveThreshold).toBe(Math.max(0.1, 0.5 - Math.abs(d)));
+      if (d > 0.005) expect([c.aliceAggression, c.bazzaAggression]).toEqual([Math.min(0.95, 0.5 + d * 2), Math.max(0.3, 0.8 - d * 2)]);
+      if (d < -0.005) expect([c.aliceAggression, c.bazzaAggression]).toEqual([Math.max(0.2, 0.5 + d * 2), Math.min(0.99, 0.8 - d * 2)]);
+      expect(runGame({ lambdaVal: l, aliceStyle: tunedStyle(DEFAULT_TUNING), bazzaStyle: tunedStyle(DEFAULT_TUNING) }).moves).toEqual(runGame({ lambdaVal: l }).moves);
+    }
+    expect(new LambdaConfig(0.9, { strikeScale: 0.1, strikeMin: 3 }).strikeRound).toBe(3);
+    expect(TUNING_PARAMS.every(p => DEFAULT_TUNING[p.key] >= p.min && DEFAULT_TUNING[p.key] <= p.max)).toBe(true);
+  });
+
+  it('具名的調校預設以名稱區分，描述可跨 worker 傳遞', () => {
+    const tuning = { ...DEFAULT_TUNING, strikeMin: 4, strikeMax: 20, aliceBase: 0.8 };
+    const [a, b] = [tunedStyle(tuning, '預設甲'), tunedStyle(DEFAULT_TUNING, '預設乙')];
+    expect(a.id).not.toBe(b.id);
+    const spec = JSON.parse(JSON.stringify({ name: a.name, tuning: a.tuning }));
+    expect(resolveStyle(spec)).toEqual(a);
+    expect(checkStrategy(spec)).toEqual({ error: null });
+    for (const l of [0.62, 0.75, 0.95]) {
+      expect(runGame({ lambdaVal: l, aliceStyle: spec, bazzaStyle: 'adaptive' }).moves).toEqual(runGame({ lambdaVal: l, aliceStyle: a, bazzaStyle: 'adaptive' }).moves);
+    }
+    expect(runGame({ lambdaVal: 0.75, aliceStyle: spec }).moves).not.toEqual(runGame({ lambdaVal: 0.75 }).moves);
+  });
+
+  it('由理論必勝方對每個對手各下一局，兩種目標的成本', () => {
+    const context = { lambdas: [0.6, 0.707, 0.8], opponents: ['conservative', 'optimal'], maxRounds: 100 };
+    const rounds = evaluateTuning(DEFAULT_TUNING, context);
+    expect(rounds.games).toBe(4);
+    const games = [[0.6, 'bazzaStyle', 'aliceStyle', 'Bazza'], [0.8, 'aliceStyle', 'bazzaStyle', 'Alice']].flatMap(([lambdaVal, own, other, target]) => context.opponents.map(o => ({ target, ...runGame({ lambdaVal, maxRounds: 100, [own]: 'optimal', [other]: o }) })));
+    const won = games.filter(g => g.winner === g.target);
+    expect(rounds.wins).toBe(won.length);
+    expect(rounds.cost).toBeCloseTo((won.reduce((a, g) => a + g.totalRounds, 0) + 200 * (4 - won.length)) / 4, 10);
+    const rate = evaluateTuning(DEFAULT_TUNING, { ...context, objective: 'winrate' });
+    expect(rate.cost).toBeGreaterThan(1 - rate.winRate);
+    expect(rate.cost).toBeLessThan(1 - rate.winRate + 0.001);
+  });
+
+  it('演化由種子決定，逐代不變差且不差於預設參數', () => {
+    const r = tune({ seed: 11 });
+    expect(r.history).toHaveLength(4);
+    expect(r.history.map(h => h.best)).toEqual([...r.history.map(h => h.best)].sort((a, b) => b - a));
+    expect(r.best.cost).toBeLessThanOrEqual(r.baseline.cost);
+    expect(r.evaluations).toBeLessThanOrEqual(6 * 4);
+    expect(r.lambdas).toEqual([0.65, 0.7, 0.75, 0.8]);
+    expect(r.opponents).toEqual(['保守型', '激進型', '最優型']);
+    for (const p of TUNING_PARAMS) {
+      const v = r.best.tuning[p.key];
+      expect(v >= p.min && v <= p.max && (!p.integer || Number.isInteger(v))).toBe(true);
+    }
+    expect(tune({ seed: 11 })).toEqual(r);
+  });
+
+  it('拒絕不合法的設定；λ 全在平衡帶內時回報錯誤；可拆成多次獨立演化', () => {
+    expect(() => tune({ objective: 'speed' })).toThrow('未知的調校目標');
+    expect(() => tune({ population: 3 })).toThrow('族群大小');
+    expect(() => tune({ generations: 0 })).toThrow('世代數');
+    expect(() => tune({ opponents: [] })).toThrow('對手池不可為空');
+    expect(tune({ start: 0.705, end: 0.71, step: 0.005 }).error).toContain('平衡帶');
+    const tasks = Experiments.tuningTasks({ runs: 3, seed: 5, generations: 2, population: 4, start: 0.6, end: 0.8, step: 0.2, opponents: ['optimal'] });
+    expect(tasks.map(t => [t.kind, t.run])).toEqual([['tune', 1], ['tune', 2], ['tune', 3]]);
+    expect(new Set(tasks.map(t => t.seed)).size).toBe(3);
+    const results = JSON.parse(JSON.stringify(tasks.map(runTask)));
+    expect(results.every(r => r.error === null && r.history.length === 2)).toBe(true);
+  });
+});
+
+describe('多 λ 錦標賽', () => {
+  const result = (games, styles = ['a', 'b']) => ({ lambdaVal: 0.7, styles: styles.map(id => ({ id, name: id })), games });
+  const game = (alice, bazza, winner) => ({ alice, bazza, winner, totalRounds: 10 });
+
+  it('每個 (λ, 約束) 所有策略兩兩對局，結果與單局相同', () => {
+    const code = customStrategy({ name: '半量', source: 'function move(state) { return state.maxMove / 2; }' });
+    const r = playTournament({ lambdaVal: 0.75, constraint: 'cubic', styles: [...Object.values(PlayerStyle), code], maxRounds: 60 });
+    expect(r).toMatchObject({ lambdaVal: 0.75, constraint: 'cubic', constraintName: '立方約束', maxRounds: 60 });
+    expect(r.games).toHaveLength(64);
+    expect(r.styles.at(-1)).toEqual({ id: 'user:半量', name: '半量' });
+    const g = r.games.find(x => x.alice === 'proof' && x.bazza === 'user:半量');
+    const single = runGame({ lambdaVal: 0.75, aliceStyle: 'proof', bazzaStyle: code, aliceConstraint: 'cubic', bazzaConstraint: 'cubic', maxRounds: 60 });
+    expect([g.winner, g.totalRounds]).toEqual([single.winner, single.totalRounds]);
+    expect(r.prediction).toBe(runGame({ lambdaVal: 0.75, aliceConstraint: 'cubic', bazzaConstraint: 'cubic', maxRounds: 1 }).theoreticalPrediction);
+  });
+
+  it('全為和局時評分相同；Elo 總和守恆', () => {
+    const ratings = tournamentRatings([result([game('a', 'a', 'Draw'), game('a', 'b', 'Draw'), game('b', 'a', 'Draw'), game('b', 'b', 'Draw')])]);
+    expect(ratings).toHaveLength(4);
+    for (const e of ratings) {
+      expect(e.bt).toBeCloseTo(1500, 6);
+      expect(e.elo).toBeCloseTo(1500, 6);
+      expect([e.games, e.draws, e.score]).toEqual([2, 2, 0.5]);
+    }
+    const mixed = tournamentRatings([result([game('a', 'a', 'Alice'), game('a', 'b', 'Bazza'), game('b', 'a', 'Draw'), game('b', 'b', 'Alice')])]);
+    expect(mixed.reduce((s, e) => s + e.elo, 0)).toBeCloseTo(1500 * 4, 6);
+  });
+
+  it('全勝的一方排名第一但評分有限，與共同對手的戰績決定同側的先後', () => {
+    // Alice a 全勝；Alice b 只贏 Bazza b；Bazza a 贏 Alice b，Bazza b 全敗
+    const ratings = tournamentRatings([result([game('a', 'a', 'Alice'), game('a', 'b', 'Alice'), game('b', 'a', 'Bazza'), game('b', 'b', 'Alice')])]);
+    expect(ratings[0]).toMatchObject({ side: 'Alice', id: 'a', wins: 2, losses: 0 });
+    expect(Number.isFinite(ratings[0].bt)).toBe(true);
+    const bt = Object.fromEntries(ratings.map(e => [e.key, e.bt]));
+    expect(bt['Alice:a']).toBeGreaterThan(bt['Alice:b']);
+    expect(bt['Bazza:a']).toBeGreaterThan(bt['Bazza:b']);
+  });
+
+  it('沿 λ 網格與約束拆成任務；證明型在標準約束下是兩側的最佳策略之一', () => {
+    const tasks = Experiments.tournamentTasks({ start: 0.6, end: 0.8, step: 0.1, constraints: ['standard', 'weighted'], styles: ['optimal', 'proof', 'conservative'], maxRounds: 120 });
+    expect(tasks.map(t => [t.kind, t.constraint, t.lambdaVal])).toEqual([['tournament', 'standard', 0.6], ['tournament', 'standard', 0.7], ['tournament', 'standard', 0.8], ['tournament', 'weighted', 0.6], ['tournament', 'weighted', 0.7], ['tournament', 'weighted', 0.8]]);
+    const results = JSON.parse(JSON.stringify(tasks.map(runTask)));
+    expect(results.every(r => r.games.length === 9)).toBe(true);
+    const ratings = tournamentRatings(results.filter(r => r.constraint === 'standard' && r.lambdaVal !== 0.7));
+    for (const side of ['Alice', 'Bazza']) {
+      const best = Math.max(...ratings.filter(e => e.side === side).map(e => e.bt));
+      expect(ratings.find(e => e.side === side && e.id === 'proof').bt).toBe(best);
+    }
+  });
+});
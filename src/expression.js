@@ -0,0 +1,151 @@
+// ============================================
+// 約束表達式：安全的算術表達式解析器
+// ============================================
+// 只接受數字、白名單中的變數與函式、+ − × ÷ ^ 與括號；不經過 eval / Function，
+// 解析結果為語法樹，求值時透過數值後端（見 precision.js）計算。
+
+const FUNCTIONS = {
+  sqrt: 1, exp: 1, log: 1, abs: 1, min: 2, max: 2
+};
+
+const CONSTANTS = { pi: String(Math.PI), e: String(Math.E) };
+
+const ALIASES = { '×': '*', '·': '*', '÷': '/', '−': '-' };
+
+const fail = (message, pos) => {
+  throw new Error(`${message}（位置 ${pos + 1}）`);
+};
+
+const tokenize = (src) => {
+  const tokens = [];
+  let pos = 0;
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (/\s/.test(ch)) { pos++; continue; }
+    const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(pos));
+    if (number) {
+      tokens.push({ type: 'num', value: number[0], pos });
+      pos += number[0].length;
+      continue;
+    }
+    const name = /^[a-zA-Zλ_][a-zA-Z0-9_]*/.exec(src.slice(pos));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0], pos });
+      pos += name[0].length;
+      continue;
+    }
+    if (src.startsWith('**', pos)) {
+      tokens.push({ type: 'op', value: '^', pos });
+      pos += 2;
+      continue;
+    }
+    const op = ALIASES[ch] ?? ch;
+    if (!'+-*/^(),'.includes(op)) fail(`無法辨識的字元「${ch}」`, pos);
+    tokens.push({ type: 'op', value: op, pos });
+    pos++;
+  }
+  tokens.push({ type: 'end', value: '', pos });
+  return tokens;
+};
+
+// 遞迴下降：expr = term (('+'|'-') term)*；term = unary (('*'|'/') unary)*；
+// unary = '-' unary | power；power = atom ('^' unary)?
+const parse = (src, variables) => {
+  const tokens = tokenize(src);
+  let k = 0;
+  const peek = () => tokens[k];
+  const take = () => tokens[k++];
+  const expect = (value) => {
+    const t = take();
+    if (t.value !== value) fail(t.type === 'end' ? `缺少「${value}」` : `預期「${value}」，得到「${t.value}」`, t.pos);
+  };
+
+  const expr = () => {
+    let node = term();
+    while (peek().value === '+' || peek().value === '-') node = { type: take().value, left: node, right: term() };
+    return node;
+  };
+  const term = () => {
+    let node = unary();
+    while (peek().value === '*' || peek().value === '/') node = { type: take().value, left: node, right: unary() };
+    return node;
+  };
+  const unary = () => {
+    if (peek().value === '-') { take(); return { type: 'neg', arg: unary() }; }
+    if (peek().value === '+') { take(); return unary(); }
+    return power();
+  };
+  const power = () => {
+    const base = atom();
+    if (peek().value !== '^') return base;
+    const t = take();
+    const exponent = unary();
+    if (usesVariables(exponent)) fail('指數必須為常數', t.pos);
+    return { type: '^', left: base, right: exponent };
+  };
+  const atom = () => {
+    const t = take();
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.value === '(') {
+      const node = expr();
+      expect(')');
+      return node;
+    }
+    if (t.type === 'name') {
+      const name = t.value === 'lambda' ? 'λ' : t.value;
+      if (Object.hasOwn(FUNCTIONS, name)) {
+        expect('(');
+        const args = [expr()];
+        while (peek().value === ',') { take(); args.push(expr()); }
+        expect(')');
+        if (args.length !== FUNCTIONS[name]) fail(`${name} 需要 ${FUNCTIONS[name]} 個參數`, t.pos);
+        return { type: 'call', name, args };
+      }
+      if (variables.includes(name)) return { type: 'var', name };
+      if (Object.hasOwn(CONSTANTS, name)) return { type: 'num', value: CONSTANTS[name] };
+      fail(`未知的名稱「${t.value}」（可用變數：${variables.join('、')}）`, t.pos);
+    }
+    fail(t.type === 'end' ? '表達式不完整' : `非預期的「${t.value}」`, t.pos);
+  };
+
+  const node = expr();
+  if (peek().type !== 'end') fail(`非預期的「${peek().value}」`, peek().pos);
+  return node;
+};
+
+const usesVariables = (node) => {
+  switch (node.type) {
+    case 'var': return true;
+    case 'num': return false;
+    case 'neg': return usesVariables(node.arg);
+    case 'call': return node.args.some(usesVariables);
+    default: return usesVariables(node.left) || usesVariables(node.right);
+  }
+};
+
+// 以數值後端 A 求值；vars 為 { 名稱: A 中的值 }
+const evaluate = (node, A, vars) => {
+  switch (node.type) {
+    case 'num': return A.constant(node.value);
+    case 'var': return vars[node.name];
+    case 'neg': return A.sub(A.from(0), evaluate(node.arg, A, vars));
+    case '+': return A.add(evaluate(node.left, A, vars), evaluate(node.right, A, vars));
+    case '-': return A.sub(evaluate(node.left, A, vars), evaluate(node.right, A, vars));
+    case '*': return A.mul(evaluate(node.left, A, vars), evaluate(node.right, A, vars));
+    case '/': return A.div(evaluate(node.left, A, vars), evaluate(node.right, A, vars));
+    case '^': {
+      // 指數為常數，取其雙精度值；負指數改寫為倒數
+      const k = A.toNumber(evaluate(node.right, A, vars));
+      const base = evaluate(node.left, A, vars);
+      return k < 0 ? A.div(A.from(1), A.pow(base, -k)) : A.pow(base, k);
+    }
+    case 'call': return A.apply(node.name, ...node.args.map(arg => evaluate(arg, A, vars)));
+  }
+};
+
+// 解析表達式；語法錯誤時拋出帶位置的 Error
+export const compileExpression = (src, variables) => {
+  if (typeof src !== 'string' || src.trim() === '') throw new Error('表達式不可為空');
+  const ast = parse(src, variables);
+  return { source: src, evaluate: (A, vars) => evaluate(ast, A, vars) };
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { compileExpression } from './expression.js';
+import { DoubleArithmetic } from './engine.js';
+import { DecimalArithmetic, IntervalArithmetic } from './precision.js';
+
+const value = (src, vars = {}, variables = Object.keys(vars)) => compileExpression(src, variables).evaluate(DoubleArithmetic, vars);
+
+describe('compileExpression', () => {
+  it.each([
+    ['1 + 2*3', 7],
+    ['(1 + 2)*3', 9],
+    ['2^3^2', 512],
+    ['-2^2', -4],
+    ['2**-1', 0.5],
+    ['8 ÷ 4 × 3 − 1', 5],
+    ['1.5e2 + .5', 150.5],
+    ['sqrt(16) + abs(-2) + min(3, 4) + max(3, 4)', 13],
+    ['log(e) + exp(0) + pi - pi', 2]
+  ])('%s = %d', (src, expected) => {
+    expect(value(src)).toBeCloseTo(expected, 12);
+  });
+
+  it('變數與 λ 的別名', () => {
+    expect(value('1 + 0.1*(i - 1)', { i: 11 })).toBeCloseTo(2, 12);
+    expect(compileExpression('lambda*n', ['n', 'λ']).evaluate(DoubleArithmetic, { n: 3, λ: 0.5 })).toBe(1.5);
+  });
+
+  it.each([
+    ['', '不可為空'],
+    ['1 +', '表達式不完整'],
+    ['(1 + 2', '缺少「)」'],
+    ['1 2', '非預期的「2」（位置 3）'],
+    ['x + 1', '未知的名稱「x」'],
+    ['2^i', '指數必須為常數'],
+    ['min(1)', 'min 需要 2 個參數'],
+    ['constructor', '未知的名稱「constructor」'],
+    ['alert(1)', '未知的名稱「alert」'],
+    ['Math.sqrt(2)', '無法辨識的字元「.」'],
+    ['i; process.exit()', '無法辨識的字元「;」'],
+    ['`${i}`', '無法辨識的字元「`」']
+  ])('拒絕 %s', (src, message) => {
+    expect(() => compileExpression(src, ['i'])).toThrow(message);
+  });
+
+  it('各數值後端的結果一致，區間包含雙精度值', () => {
+    const expr = compileExpression('sqrt(n)/(1 + 0.1*i)^1.5 - log(n)', ['i', 'n']);
+    const expected = expr.evaluate(DoubleArithmetic, { i: 3, n: 7 });
+    const vars = (A) => ({ i: A.from(3), n: A.from(7) });
+    expect(DecimalArithmetic.toNumber(expr.evaluate(DecimalArithmetic, vars(DecimalArithmetic)))).toBeCloseTo(expected, 12);
+    const [lo, hi] = expr.evaluate(IntervalArithmetic, vars(IntervalArithmetic));
+    expect(lo).toBeLessThanOrEqual(expected);
+    expect(hi).toBeGreaterThanOrEqual(expected);
+    expect(hi - lo).toBeLessThan(1e-12);
+  });
+});
@@ -0,0 +1,229 @@
+// ============================================
+// 資料格式（介面匯出與命令列共用）
+// ============================================
+import { CRITICAL_VALUE, FittingEngine, FitModel } from './engine.js';
+
+const csvCell = (v) => {
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+export const toCSV = (headers, rows) => [headers, ...rows].map(r => r.map(csvCell).join(',')).join('\n');
+
+// toCSV 的反向：去除 BOM，支援引號內的逗號、換行與 ""，忽略空行
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = text.replace(/^\ufeff/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') cell += ch;
+      else if (src[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else cell += ch;
+  }
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+};
+
+export const GAME_CSV_HEADERS = ['回合', '玩家', 'xₙ', 'Σxᵢ', 'Σxᵢ²', 'Alice容量', 'Bazza容量', '策略'];
+export const SCAN_CSV_HEADERS = ['λ', '勝者', '回合', '預測', '符合', '非法提議', '精度', '精度標記', '原因'];
+
+// 去除逐回合細節，只保留摘要欄位（大型掃描用）
+export const summarizeResult = ({ moves, moveDetails, ...rest }) => rest;
+
+// LaTeX 特殊字元跳脫（策略名稱等文字欄位）
+const LATEX_ESCAPES = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+export const latexEscape = (text) => String(text).replace(/[\\{}$&#%_^~]/g, ch => LATEX_ESCAPES[ch] ?? `\\${ch}`);
+
+const tabular = (columns, headers, rows) => [
+  `\\begin{tabular}{${columns}}`, '\\toprule', `${headers.join(' & ')} \\\\`, '\\midrule',
+  ...rows.map(r => `${r.join(' & ')} \\\\`), '\\bottomrule', '\\end{tabular}'
+].join('\n');
+
+// pgfplots 的行內資料表
+const pgfTable = (style, legend, points) => points.length === 0 ? [] : [
+  `\\addplot[${style}] table {`, 'lambda rounds', ...points.map(r => `${r.lambdaVal} ${r.totalRounds}`), '};', `\\addlegendentry{${legend}}`
+];
+
+const SCAN_COLORS = { Alice: 'red!55!black', Bazza: 'blue!55!black', Draw: 'gray' };
+
+export const Formats = {
+  gameCSV(result) {
+    const rows = result.moveDetails.map(d => [d.round, d.player, d.move.toFixed(6), d.sumLinear.toFixed(6), d.sumSquare.toFixed(6), d.aliceCapacity.toFixed(6), d.bazzaCapacity.toFixed(6), d.reason]);
+    return toCSV(GAME_CSV_HEADERS, rows);
+  },
+
+  scanCSV(results) {
+    const rows = results.map(r => [r.lambdaVal, r.winner, r.totalRounds, r.theoreticalPrediction, r.matchTheory ? 1 : 0, r.illegalProposals.length, r.precision.id, r.precisionFlags.map(f => `${f.round}:${f.kind}`).join(' '), r.winningReason]);
+    return toCSV(SCAN_CSV_HEADERS, rows);
+  },
+
+  estimateCSV(results) {
+    const headers = ['回合上限', 'Bazza勝上界', 'Alice勝下界', '寬度', '和局帶下緣', '和局帶上緣', '估計λ', '對局數', '單調', '收斂', '錯誤'];
+    const rows = results.map(r => [r.maxRounds, r.bracket?.lo ?? '', r.bracket?.hi ?? '', r.bracket ? r.bracket.hi - r.bracket.lo : '', r.drawBand?.lo ?? '', r.drawBand?.hi ?? '', r.estimate ?? '', r.steps.length, r.monotone ? 1 : 0, r.converged ? 1 : 0, r.error ?? '']);
+    return toCSV(headers, rows);
+  },
+
+  // 超出節點預算的 λ 勝者與局面值留空
+  solverCSV(results) {
+    const headers = ['λ', '求解回合', '網格點數', '勝者', '逼勝回合', '局面值', '節點數', '置換表', '超出預算', '主要變例'];
+    const rows = results.map(r => [r.lambdaVal, r.horizon, r.grid, r.winner ?? '', r.winRound ?? '', r.value ?? '', r.nodes, r.tableSize, r.exceeded ? 1 : 0, r.line.map(m => m.move.toFixed(6)).join(' ')]);
+    return toCSV(headers, rows);
+  },
+
+  // 動態規劃策略表：每個回合與網格點一列（A、B 為雙方的約束累計值，標準約束下即 Σxᵢ、Σxᵢ²）
+  oracleCSV(table) {
+    const R = table.resolution;
+    const rows = [];
+    for (let n = 1; n <= table.rounds; n++) {
+      const { values, moves } = table.layers[n];
+      const { alice, bazza } = table.ranges[n];
+      for (let i = 0; i < R; i++) {
+        for (let j = 0; j < R; j++) rows.push([n, n % 2 === 1 ? 'Alice' : 'Bazza', alice * i / (R - 1), bazza * j / (R - 1), values[i * R + j], moves[i * R + j] ?? '']);
+      }
+    }
+    return toCSV(['回合', '玩家', 'A', 'B', '局面值', '最佳移動'], rows);
+  },
+
+  // 對抗搜尋：每個 λ 一列；平衡帶內略過的 λ 只填錯誤欄
+  adversarialCSV(results) {
+    const headers = ['λ', '受測方', '受測策略', '方法', '評估次數', '種子', '起點勝者', '起點回合', '勝者', '回合', '證明回合', '反例', '對手移動比例', '錯誤'];
+    const rows = results.map(r => r.error
+      ? [r.lambdaVal, '', '', r.method, '', r.seed, '', '', '', '', '', '', '', r.error]
+      : [r.lambdaVal, r.target, r.targetStyle.name, r.method, r.evaluations, r.seed, r.baseline.winner, r.baseline.totalRounds, r.winner, r.totalRounds, Number.isFinite(r.proofRound) ? r.proofRound : '', r.counterexample === null ? '' : r.counterexample ? 1 : 0, r.genes.map(g => g.toFixed(4)).join(' '), '']);
+    return toCSV(headers, rows);
+  },
+
+  // 錦標賽：每局一列（策略以名稱表示）
+  tournamentCSV(results) {
+    const headers = ['λ', '約束', '理論預測', 'Alice 策略', 'Bazza 策略', '勝者', '回合', '非法提議'];
+    const rows = results.flatMap(r => {
+      const names = new Map(r.styles.map(s => [s.id, s.name]));
+      return r.games.map(g => [r.lambdaVal, r.constraintName, r.prediction, names.get(g.alice), names.get(g.bazza), g.winner, g.totalRounds, g.illegal]);
+    });
+    return toCSV(headers, rows);
+  },
+
+  // tournamentRatings 的結果，依 Bradley–Terry 評分排序
+  ratingsCSV(ratings) {
+    const headers = ['側', '策略', 'BT 評分', 'Elo', '局數', '勝', '和', '負', '得分率'];
+    return toCSV(headers, ratings.map(e => [e.side, e.name, e.bt.toFixed(1), e.elo.toFixed(1), e.games, e.wins, e.draws, e.losses, e.score.toFixed(4)]));
+  },
+
+  // 參數調校的收斂曲線：每次演化每代一列；最佳參數見 JSON
+  tuningCSV(results) {
+    const headers = ['演化', '種子', '目標', '世代', '最佳目標值', '平均目標值', '最佳勝率', '最佳平均回合', '錯誤'];
+    const rows = results.flatMap(r => r.error
+      ? [[r.run, r.seed, r.objective, '', '', '', '', '', r.error]]
+      : r.history.map(h => [r.run, r.seed, r.objective, h.generation, h.best, h.mean, h.winRate, h.meanRounds ?? '', '']));
+    return toCSV(headers, rows);
+  },
+
+  monteCarloCSV(results) {
+    const pct = (r) => [r.p, r.lo, r.hi].map(v => v.toFixed(4));
+    const headers = ['λ', '局數', '種子', 'Alice σ', 'Bazza σ', 'Alice勝率', '下界', '上界', 'Bazza勝率', '下界', '上界', '和局率', '下界', '上界', '平均回合', 'P5', 'P25', '中位數', 'P75', 'P95'];
+    const rows = results.map(r => [r.lambdaVal, r.games, r.seed, r.noise.alice, r.noise.bazza, ...pct(r.rates.Alice), ...pct(r.rates.Bazza), ...pct(r.rates.Draw), r.rounds.mean.toFixed(2), ...['p05', 'p25', 'p50', 'p75', 'p95'].map(k => r.rounds[k].toFixed(1))]);
+    return toCSV(headers, rows);
+  },
+
+  // 與命令列 batch／critical 的 JSON 輸出相同，可再匯入
+  scanJSON(type, params, results, fit, details = false) {
+    return { type, params, results: details ? results : results.map(summarizeResult), fit };
+  },
+
+  // 論文用表格
+  scanLaTeX(results) {
+    const rows = results.map(r => [r.lambdaVal, r.winner, r.totalRounds, r.theoreticalPrediction, r.matchTheory ? '$\\checkmark$' : '$\\times$']);
+    return `% 需要 booktabs、amssymb；中文欄位需以 XeLaTeX + ctex 編譯\n${tabular('rlrlc', ['$\\lambda$', '勝者', '回合', '預測', '符合'], rows)}\n`;
+  },
+
+  // λ–回合數散點圖，附冪次擬合曲線與 λ* 參考線（需要 pgfplots）
+  scanPgfplots(results, fit) {
+    const ref = fit?.refPoint ?? CRITICAL_VALUE;
+    const ymax = Math.max(...results.map(r => r.totalRounds));
+    const curve = (side, winner) => {
+      const f = fit?.[side];
+      const xs = results.filter(r => r.winner === winner && (side === 'alice' ? r.lambdaVal > ref : r.lambdaVal < ref)).map(r => r.lambdaVal);
+      if (!f || xs.length === 0) return [];
+      return [`\\addplot[dashed, thick, ${SCAN_COLORS[winner]}, domain=${Math.min(...xs)}:${Math.max(...xs)}, samples=200] {${f.a}*abs(x - ${ref})^(${f.b}) + ${f.d}};`, `\\addlegendentry{${winner} 擬合}`];
+    };
+    return [
+      '% 需要 pgfplots（\\pgfplotsset{compat=1.18}）；中文標籤需以 XeLaTeX + ctex 編譯',
+      '\\begin{tikzpicture}',
+      '\\begin{axis}[width=12cm, height=7cm, xlabel={$\\lambda$}, ylabel={回合數}, legend pos=north east, legend cell align=left]',
+      ...['Alice', 'Bazza', 'Draw'].flatMap(w => pgfTable(`only marks, mark=*, mark size=1.5pt, ${SCAN_COLORS[w]}`, w === 'Draw' ? '和局' : w, results.filter(r => r.winner === w))),
+      ...curve('alice', 'Alice'),
+      ...curve('bazza', 'Bazza'),
+      `\\addplot[green!50!black, dashed, forget plot] coordinates {(${ref}, 0) (${ref}, ${ymax})};`,
+      `\\node[anchor=south, green!50!black] at (axis cs:${ref}, ${ymax}) {$\\lambda^*$};`,
+      '\\end{axis}',
+      '\\end{tikzpicture}',
+      ''
+    ].join('\n');
+  },
+
+  // 標準誤與信賴區間缺少時（自由度不足、未做 bootstrap）留空
+  fitCSV(fit) {
+    const params = ['a', 'b', 'd'];
+    const headers = ['側', ...params, 'R²', 'RMSE', '點數', '參考點', ...params.map(k => `SE(${k})`), ...params.flatMap(k => [`${k} 2.5%`, `${k} 97.5%`])];
+    const rows = [['Alice', fit.alice], ['Bazza', fit.bazza]].filter(([, f]) => f).map(([side, f]) => [side, f.a, f.b, f.d, f.r2, f.error, f.n, fit.refPoint, ...params.map(k => f.se?.[k] ?? ''), ...params.flatMap(k => f.ci?.[k] ?? ['', ''])]);
+    return toCSV(headers, rows);
+  },
+
+  // 擬合殘差（殘差圖的數據）
+  residualCSV(fit) {
+    const rows = [['Alice', fit.alice], ['Bazza', fit.bazza]].filter(([, f]) => f).flatMap(([side, f]) => f.residuals.map(r => [side, r.lambdaVal, r.totalRounds, r.fitted, r.residual]));
+    return toCSV(['側', 'λ', '回合數', '擬合值', '殘差'], rows);
+  },
+
+  // 候選模型比較：每側依 AIC 排序，參數欄為所有模型參數的聯集（該模型沒有的參數留空）
+  modelCSV(fit) {
+    const keys = [...new Set(Object.values(FitModel).flatMap(m => m.params))];
+    const headers = ['側', 'AIC 名次', '模型', '公式', '參數數', ...keys, ...keys.map(k => `SE(${k})`), 'RSS', 'RMSE', 'AIC', 'ΔAIC', 'Akaike 權重', 'BIC', 'BIC 名次', 'CV RMSE', 'CV 名次'];
+    const rows = [['Alice', fit.models?.alice], ['Bazza', fit.models?.bazza]].filter(([, list]) => list).flatMap(([side, list]) => list.map(e => [
+      side, e.aicRank, e.name, e.formula, e.k, ...keys.map(k => e.params[k] ?? ''), ...keys.map(k => e.se?.[k] ?? ''), e.rss, e.rmse, e.aic, e.deltaAIC, e.weight, e.bic, e.bicRank, isFinite(e.cv) ? e.cv : '', e.cvRank
+    ]));
+    return toCSV(headers, rows);
+  },
+
+  // 擬合公式（需要 amsmath）
+  fitLaTeX(fit) {
+    const interval = (f) => f.se ? `,\\ b = ${f.b.toFixed(4)} \\pm ${f.se.b.toPrecision(3)}${f.ci ? `,\\ 95\\%\\ \\mathrm{CI}\\ [${f.ci.b.map(v => v.toFixed(4)).join(', ')}]` : ''}` : '';
+    const line = (side, f) => f ? `n_{\\mathrm{${side}}} &\\approx ${FittingEngine.formatLatex(f).replace(/^n \\approx /, '')} && (R^2 = ${f.r2.toFixed(6)},\\ N = ${f.n}${interval(f)})` : null;
+    const lines = [line('Alice', fit.alice), line('Bazza', fit.bazza)].filter(Boolean);
+    return `% 需要 amsmath；λ* = ${fit.refPoint}\n\\begin{align*}\n${lines.join(' \\\\\n')}\n\\end{align*}\n`;
+  },
+
+  comparisonJSON(params, results, details = false) {
+    return { type: 'comparison', params, results: details ? results : results.map(summarizeResult) };
+  },
+
+  // 策略勝負矩陣：列為 Alice 策略、欄為 Bazza 策略，格內為勝者與回合數
+  comparisonLaTeX(results) {
+    const styles = [...new Map(results.flatMap(r => [r.aliceStyle, r.bazzaStyle]).map(s => [s.id, s])).values()];
+    const cell = (a, b) => {
+      const r = results.find(x => x.aliceStyle.id === a.id && x.bazzaStyle.id === b.id);
+      if (!r) return '';
+      return `${r.winner === 'Draw' ? '--' : r.winner[0]} (${r.totalRounds})${r.illegalProposals.length > 0 ? '$^*$' : ''}`;
+    };
+    const rows = styles.map(a => [latexEscape(a.name), ...styles.map(b => cell(a, b))]);
+    const lambda = results[0]?.lambdaVal;
+    return `% 需要 booktabs；中文名稱需以 XeLaTeX + ctex 編譯；λ = ${lambda}，A／B = Alice／Bazza 勝，-- = 和局，括號內為回合數，* = 策略曾提出非法移動\n${tabular(`l${'c'.repeat(styles.length)}`, ['Alice \\textbackslash{} Bazza', ...styles.map(s => latexEscape(s.name))], rows)}\n`;
+  },
+
+  comparisonCSV(results) {
+    const headers = ['λ', 'Alice策略', 'Bazza策略', '勝者', '回合', '非法提議'];
+    const rows = results.map(r => [r.lambdaVal, r.aliceStyle.id, r.bazzaStyle.id, r.winner, r.totalRounds, r.illegalProposals.length]);
+    return toCSV(headers, rows);
+  }
+};
@@ -0,0 +1,139 @@
+import { describe, it, expect } from 'vitest';
+import { Formats, latexEscape, parseCSV } from './formats.js';
+import { CRITICAL_VALUE, FittingEngine, Experiments, runGame, solveGame, buildOracle, adversarialSearch, optimizeTuning, playTournament, tournamentRatings } from './engine.js';
+
+const point = (lambdaVal, winner, totalRounds) => ({ lambdaVal, winner, totalRounds, theoreticalPrediction: winner, matchTheory: winner !== 'Draw', illegalProposals: [], precisionFlags: [], precision: { id: 'double' }, winningReason: '' });
+const results = [point(0.6, 'Bazza', 5), point(0.65, 'Bazza', 9), point(0.7, 'Draw', 50), point(0.75, 'Alice', 12), point(0.8, 'Alice', 7)];
+const fit = { alice: { a: 1.5, b: -1, d: -0.25, r2: 0.98, error: 0.4, n: 2 }, bazza: null, refPoint: CRITICAL_VALUE };
+
+describe('LaTeX', () => {
+  it('跳脫特殊字元', () => {
+    expect(latexEscape('a_b & 50% #1 {x} \\ ~^$')).toBe('a\\_b \\& 50\\% \\#1 \\{x\\} \\textbackslash{} \\textasciitilde{}\\textasciicircum{}\\$');
+  });
+
+  it('掃描表格每個 λ 一列', () => {
+    const tex = Formats.scanLaTeX(results);
+    expect(tex).toContain('\\begin{tabular}{rlrlc}');
+    expect(tex).toContain('0.75 & Alice & 12 & Alice & $\\checkmark$ \\\\');
+    expect(tex).toContain('0.7 & Draw & 50 & Draw & $\\times$ \\\\');
+    expect(tex.match(/\\\\$/gm)).toHaveLength(results.length + 1);
+  });
+
+  it('擬合公式的符號與缺少的一側', () => {
+    expect(FittingEngine.formatLatex(fit.alice)).toBe('n \\approx 1.500000\\,\\lvert\\lambda - \\lambda^*\\rvert^{-1.000000} - 0.2500');
+    expect(FittingEngine.formatLatex(null)).toBeNull();
+    const tex = Formats.fitLaTeX(fit);
+    expect(tex).toContain('n_{\\mathrm{Alice}} &\\approx 1.500000');
+    expect(tex).not.toContain('Bazza');
+  });
+
+  it('策略矩陣的列為 Alice 策略、欄為 Bazza 策略', () => {
+    const matrix = Experiments.comparisonTasks({ lambdaVal: 0.6, maxRounds: 40 }).map(runGame);
+    const tex = Formats.comparisonLaTeX(matrix);
+    const rows = tex.split('\n').filter(line => line.endsWith('\\\\'));
+    expect(rows).toHaveLength(8);
+    expect(rows[0].split(' & ')).toHaveLength(8);
+    const optimal = matrix.find(r => r.aliceStyle.id === 'optimal' && r.bazzaStyle.id === 'optimal');
+    expect(rows[4].split(' & ')[4]).toContain(`${optimal.winner === 'Draw' ? '--' : optimal.winner[0]} (${optimal.totalRounds})`);
+  });
+});
+
+describe('pgfplots', () => {
+  it('每種勝者一組資料點，附擬合曲線與 λ* 參考線', () => {
+    const tex = Formats.scanPgfplots(results, fit);
+    expect(tex.match(/\\addplot\[only marks/g)).toHaveLength(3);
+    expect(tex).toContain('0.75 12\n0.8 7\n};');
+    expect(tex).toContain(`domain=0.75:0.8, samples=200] {1.5*abs(x - ${CRITICAL_VALUE})^(-1) + -0.25};`);
+    expect(tex).not.toContain('Bazza 擬合');
+    expect(tex).toContain(`coordinates {(${CRITICAL_VALUE}, 0) (${CRITICAL_VALUE}, 50)}`);
+  });
+
+  it('沒有和局點時省略該組', () => {
+    expect(Formats.scanPgfplots(results.filter(r => r.winner !== 'Draw'), null)).not.toContain('和局');
+  });
+});
+
+describe('擬合 CSV', () => {
+  it('只列出有擬合結果的一側', () => {
+    const [headers, row] = parseCSV(Formats.fitCSV(fit));
+    expect(headers.slice(0, 8)).toEqual(['側', 'a', 'b', 'd', 'R²', 'RMSE', '點數', '參考點']);
+    expect(row.slice(0, 8)).toEqual(['Alice', '1.5', '-1', '-0.25', '0.98', '0.4', '2', String(CRITICAL_VALUE)]);
+    expect(parseCSV(Formats.fitCSV(fit))).toHaveLength(2);
+  });
+
+  it('附上標準誤與信賴區間；缺少時留空', () => {
+    const withErrors = { ...fit, alice: { ...fit.alice, se: { a: 0.1, b: 0.02, d: 0.3 }, ci: { samples: 200, failed: 0, a: [1.3, 1.7], b: [-1.04, -0.96], d: [-0.8, 0.3] } } };
+    const [headers, row] = parseCSV(Formats.fitCSV(withErrors));
+    expect(Object.fromEntries(headers.map((h, i) => [h, row[i]]))).toMatchObject({ 'SE(b)': '0.02', 'b 2.5%': '-1.04', 'b 97.5%': '-0.96' });
+    expect(parseCSV(Formats.fitCSV(fit))[1].slice(8).every(v => v === '')).toBe(true);
+    expect(Formats.fitLaTeX(withErrors)).toContain('b = -1.0000 \\pm 0.0200,\\ 95\\%\\ \\mathrm{CI}\\ [-1.0400, -0.9600]');
+  });
+
+  it('模型比較每側每個模型一列，沒有的參數留空', () => {
+    const data = [];
+    for (let l = 0.6; l <= 0.82; l += 0.01) if (Math.abs(l - CRITICAL_VALUE) > 0.004) data.push({ lambdaVal: l, winner: l > CRITICAL_VALUE ? 'Alice' : 'Bazza', totalRounds: Math.round(0.5 * Math.abs(l - CRITICAL_VALUE) ** -2 + 3) });
+    const [headers, ...rows] = parseCSV(Formats.modelCSV({ ...fit, models: FittingEngine.compareModels(data) }));
+    expect(headers.slice(0, 5)).toEqual(['側', 'AIC 名次', '模型', '公式', '參數數']);
+    expect(rows).toHaveLength(10);
+    const log = Object.fromEntries(headers.map((h, i) => [h, rows.find(r => r[0] === 'Alice' && r[2] === '對數')[i]]));
+    expect(log.b).toBe('');
+    expect(Number(log.a)).toBeLessThan(0);
+  });
+});
+
+describe('博弈樹求解 CSV', () => {
+  it('主要變例以空白分隔，超出預算的勝者留空', () => {
+    const results = [solveGame({ lambdaVal: 1, horizon: 4 }), solveGame({ lambdaVal: 0.75, horizon: 12, maxNodes: 100 })];
+    const [headers, solved, exceeded] = parseCSV(Formats.solverCSV(results));
+    expect(headers.slice(0, 5)).toEqual(['λ', '求解回合', '網格點數', '勝者', '逼勝回合']);
+    expect(solved.slice(3, 5)).toEqual(['Alice', '4']);
+    expect(solved.at(-1).split(' ')).toHaveLength(3);
+    expect(exceeded.slice(3, 6)).toEqual(['', '', '']);
+    expect(exceeded[8]).toBe('1');
+  });
+});
+
+describe('策略表 CSV', () => {
+  it('每回合每個網格點一列，輪到的玩家交替', () => {
+    const [headers, ...rows] = parseCSV(Formats.oracleCSV(buildOracle({ lambdaVal: 0.75, rounds: 4, resolution: 3, candidates: 4 })));
+    expect(headers).toEqual(['回合', '玩家', 'A', 'B', '局面值', '最佳移動']);
+    expect(rows).toHaveLength(4 * 3 * 3);
+    expect(rows.map(r => r[1]).filter((p, i) => i % 9 === 0)).toEqual(['Alice', 'Bazza', 'Alice', 'Bazza']);
+  });
+});
+
+describe('對抗搜尋 CSV', () => {
+  it('平衡帶內的 λ 只填錯誤欄，其餘列出起點與搜尋後的結果', () => {
+    const results = [0.6, 0.707].map(lambdaVal => adversarialSearch({ lambdaVal, bazzaStyle: 'proof', iterations: 10 }));
+    const [headers, found, skipped] = parseCSV(Formats.adversarialCSV(results));
+    const row = Object.fromEntries(headers.map((h, i) => [h, found[i]]));
+    expect(row).toMatchObject({ 受測方: 'Bazza', 受測策略: '證明型', 勝者: 'Bazza', 回合: '7', 證明回合: '7', 反例: '0' });
+    expect(row.對手移動比例.split(' ')).toHaveLength(4);
+    expect(skipped.at(-1)).toContain('接近臨界值');
+    expect(skipped[1]).toBe('');
+  });
+});
+
+describe('參數調校 CSV', () => {
+  it('每次演化每代一列，錯誤的演化只填錯誤欄', () => {
+    const results = [optimizeTuning({ run: 1, start: 0.6, end: 0.8, step: 0.2, population: 4, generations: 3, opponents: ['optimal'] }), optimizeTuning({ run: 2, start: 0.707, end: 0.707, step: 0.01 })];
+    const [headers, ...rows] = parseCSV(Formats.tuningCSV(results));
+    expect(headers).toEqual(['演化', '種子', '目標', '世代', '最佳目標值', '平均目標值', '最佳勝率', '最佳平均回合', '錯誤']);
+    expect(rows.map(r => r[3])).toEqual(['1', '2', '3', '']);
+    expect(Number(rows[2][4])).toBe(results[0].best.cost);
+    expect(rows[3].at(-1)).toContain('平衡帶');
+  });
+});
+
+describe('錦標賽 CSV', () => {
+  it('每局一列並以策略名稱表示；評分依 BT 排序', () => {
+    const results = [0.6, 0.8].map(lambdaVal => playTournament({ lambdaVal, constraint: 'standard', styles: ['proof', 'conservative'], maxRounds: 60 }));
+    const [headers, ...rows] = parseCSV(Formats.tournamentCSV(results));
+    expect(headers).toEqual(['λ', '約束', '理論預測', 'Alice 策略', 'Bazza 策略', '勝者', '回合', '非法提議']);
+    expect(rows).toHaveLength(8);
+    expect(rows[1].slice(0, 5)).toEqual(['0.6', '標準約束', 'Bazza', '證明型', '保守型']);
+    const [ratingHeaders, ...ratingRows] = parseCSV(Formats.ratingsCSV(tournamentRatings(results)));
+    expect(ratingHeaders.slice(0, 4)).toEqual(['側', '策略', 'BT 評分', 'Elo']);
+    expect(ratingRows.map(r => Number(r[2]))).toEqual(ratingRows.map(r => Number(r[2])).sort((a, b) => b - a));
+  });
+});
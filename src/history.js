@@ -0,0 +1,172 @@
+// ============================================
+// 實驗紀錄（IndexedDB）
+// ============================================
+// 模擬與掃描完成後自動存入瀏覽器。runs 只存摘要（名稱、備註、標籤、設定、結果摘要），
+// 完整結果另存於 results，列出紀錄時不必載入。設定與分享連結的格式相同，重新開啟時沿用同一套還原邏輯。
+import { summarizeResult } from './formats.js';
+import { tournamentRatings } from './engine.js';
+
+const DB_NAME = 'imo2025';
+const DB_VERSION = 1;
+const RUNS = 'runs';
+const RESULTS = 'results';
+
+export const RunKind = {
+  SIMULATION: { id: 'simulation', name: '模擬分析' },
+  BATCH: { id: 'batch', name: '批次掃描' },
+  MONTE_CARLO: { id: 'montecarlo', name: '蒙地卡羅' },
+  CRITICAL: { id: 'critical', name: '臨界值掃描' },
+  ESTIMATE: { id: 'estimate', name: '估計 λ*' },
+  SOLVER: { id: 'solver', name: '博弈樹求解' },
+  ADVERSARIAL: { id: 'adversarial', name: '對抗搜尋' },
+  TUNING: { id: 'tuning', name: '參數調校' },
+  TOURNAMENT: { id: 'tournament', name: '多 λ 錦標賽' }
+};
+
+export const runKindName = (id) => Object.values(RunKind).find(k => k.id === id)?.name ?? id;
+
+// λ 對回合數的掃描，可在同一張圖上疊加比較
+export const isScan = (run) => run.kind === RunKind.BATCH.id || run.kind === RunKind.CRITICAL.id;
+
+// 相變位置：最大的 Bazza 勝 λ、最小的 Alice 勝 λ 與和局的 λ 範圍；前者大於後者表示勝者隨 λ 非單調
+export const phaseTransition = (results) => {
+  const lambdas = (winner) => results.filter(r => r.winner === winner).map(r => r.lambdaVal);
+  const bazza = lambdas('Bazza'), alice = lambdas('Alice'), draw = lambdas('Draw');
+  const bazzaMax = bazza.length ? Math.max(...bazza) : null;
+  const aliceMin = alice.length ? Math.min(...alice) : null;
+  return {
+    bazzaMax, aliceMin,
+    drawBand: draw.length ? { lo: Math.min(...draw), hi: Math.max(...draw) } : null,
+    monotone: bazzaMax === null || aliceMin === null || bazzaMax < aliceMin
+  };
+};
+
+const summarize = (kind, results) => {
+  switch (kind) {
+    case RunKind.SIMULATION.id: {
+      const [r] = results;
+      return { lambdaVal: r.lambdaVal, winner: r.winner, totalRounds: r.totalRounds };
+    }
+    case RunKind.BATCH.id:
+    case RunKind.CRITICAL.id: {
+      const count = (w) => results.filter(r => r.winner === w).length;
+      return { points: results.length, Alice: count('Alice'), Bazza: count('Bazza'), Draw: count('Draw'), transition: phaseTransition(results) };
+    }
+    case RunKind.MONTE_CARLO.id:
+      return { points: results.length, games: results.reduce((a, r) => a + r.games, 0) };
+    case RunKind.ESTIMATE.id: {
+      const last = results.filter(r => r.bracket).pop();
+      return { points: results.length, estimate: last?.estimate ?? null, maxRounds: last?.maxRounds ?? null };
+    }
+    case RunKind.SOLVER.id: {
+      const count = (w) => results.filter(r => r.winner === w).length;
+      return { points: results.length, Alice: count('Alice'), Bazza: count('Bazza'), Draw: count('Draw'), exceeded: results.filter(r => r.exceeded).length, horizon: results[0]?.horizon ?? null };
+    }
+    case RunKind.ADVERSARIAL.id:
+      return { points: results.length, counterexamples: results.filter(r => r.counterexample).length, inconclusive: results.filter(r => r.counterexample === null).length, skipped: results.filter(r => r.error).length, method: results[0]?.method ?? null };
+    case RunKind.TOURNAMENT.id: {
+      const ratings = tournamentRatings(results);
+      const leader = (side) => ratings.find(e => e.side === side)?.name ?? null;
+      return { points: new Set(results.map(r => r.lambdaVal)).size, constraints: [...new Set(results.map(r => r.constraintName))], games: results.reduce((a, r) => a + r.games.length, 0), leaders: { Alice: leader('Alice'), Bazza: leader('Bazza') } };
+    }
+    case RunKind.TUNING.id: {
+      const done = results.filter(r => r.best);
+      const best = done.reduce((a, r) => !a || r.best.cost < a.best.cost ? r : a, null);
+      return { runs: results.length, objective: results[0]?.objective ?? null, baselineCost: best?.baseline.cost ?? null, bestCost: best?.best.cost ?? null, bestWinRate: best?.best.winRate ?? null };
+    }
+    default:
+      return { points: results.length };
+  }
+};
+
+const lambdaRange = (results) => {
+  const ls = results.map(r => r.lambdaVal);
+  return `λ ${Math.min(...ls).toFixed(4)}–${Math.max(...ls).toFixed(4)}`;
+};
+
+const defaultName = (kind, results) => {
+  switch (kind) {
+    case RunKind.SIMULATION.id: return `模擬 λ = ${results[0].lambdaVal}`;
+    case RunKind.ESTIMATE.id: return `估計 λ*（回合上限 ${results.map(r => r.maxRounds).join('、')}）`;
+    case RunKind.TUNING.id: return `參數調校（${results.length} 次演化 × ${results[0].generations} 代）`;
+    default: return `${runKindName(kind)} ${lambdaRange(results)}`;
+  }
+};
+
+// 新紀錄的摘要；掃描結果去除逐回合細節以節省空間
+export const createRun = ({ kind, config, results, engine, cancelled = false, createdAt = Date.now() }) => ({
+  run: { kind, name: defaultName(kind, results), notes: '', tags: [], createdAt, engine, config, cancelled, summary: summarize(kind, results) },
+  results: isScan({ kind }) ? results.map(summarizeResult) : results
+});
+
+// 以逗號、頓號或空白分隔的標籤，去除空白與重複
+export const parseTags = (text) => [...new Set(text.split(/[,，、\s]+/).map(t => t.trim()).filter(Boolean))];
+
+// 名稱、備註或標籤包含查詢字串（不分大小寫）
+export const matchesQuery = (run, query) => {
+  const q = query.trim().toLowerCase();
+  return !q || [run.name, run.notes, ...run.tags].some(text => text.toLowerCase().includes(q));
+};
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const committed = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error ?? new Error('交易已中止'));
+});
+
+export class RunHistory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  static open(factory = globalThis.indexedDB) {
+    if (!factory) return Promise.reject(new Error('此瀏覽器不支援 IndexedDB，實驗紀錄不會保存'));
+    const req = factory.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(RUNS, { keyPath: 'id', autoIncrement: true });
+      req.result.createObjectStore(RESULTS, { keyPath: 'id' });
+    };
+    return request(req).then(db => new RunHistory(db));
+  }
+
+  // 所有紀錄的摘要（新到舊）
+  list() {
+    return request(this.db.transaction(RUNS).objectStore(RUNS).getAll()).then(runs => runs.reverse());
+  }
+
+  results(id) {
+    return request(this.db.transaction(RESULTS).objectStore(RESULTS).get(id)).then(entry => entry?.results ?? []);
+  }
+
+  // 儲存一次實驗，回傳含 id 的摘要
+  record(spec) {
+    const { run, results } = createRun(spec);
+    const tx = this.db.transaction([RUNS, RESULTS], 'readwrite');
+    const req = tx.objectStore(RUNS).add(run);
+    req.onsuccess = () => tx.objectStore(RESULTS).put({ id: req.result, results });
+    return committed(tx).then(() => ({ ...run, id: req.result }));
+  }
+
+  // 更新名稱、備註與標籤
+  update(run) {
+    const tx = this.db.transaction(RUNS, 'readwrite');
+    tx.objectStore(RUNS).put(run);
+    return committed(tx).then(() => run);
+  }
+
+  remove(id) {
+    const tx = this.db.transaction([RUNS, RESULTS], 'readwrite');
+    tx.objectStore(RUNS).delete(id);
+    tx.objectStore(RESULTS).delete(id);
+    return committed(tx);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
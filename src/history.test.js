@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { RunHistory, RunKind, createRun, phaseTransition, parseTags, matchesQuery, isScan } from './history.js';
+import { Experiments, runTask } from './engine.js';
+
+const point = (lambdaVal, winner) => ({ lambdaVal, winner, totalRounds: 10 });
+
+describe('phaseTransition', () => {
+  it('找出 Bazza 勝的最大 λ、Alice 勝的最小 λ 與和局範圍', () => {
+    const t = phaseTransition([point(0.70, 'Bazza'), point(0.705, 'Bazza'), point(0.707, 'Draw'), point(0.709, 'Draw'), point(0.71, 'Alice'), point(0.72, 'Alice')]);
+    expect(t).toEqual({ bazzaMax: 0.705, aliceMin: 0.71, drawBand: { lo: 0.707, hi: 0.709 }, monotone: true });
+  });
+
+  it('勝者隨 λ 來回交錯時標記為非單調', () => {
+    expect(phaseTransition([point(0.70, 'Alice'), point(0.71, 'Bazza')]).monotone).toBe(false);
+  });
+
+  it('只有一方獲勝時沒有另一側的界限', () => {
+    expect(phaseTransition([point(0.8, 'Alice')])).toEqual({ bazzaMax: null, aliceMin: 0.8, drawBand: null, monotone: true });
+  });
+});
+
+describe('createRun', () => {
+  it('掃描紀錄去除逐回合細節並附上相變摘要', () => {
+    const results = Experiments.batchTasks({ start: 0.5, end: 0.9, step: 0.1, maxRounds: 100 }).map(runTask);
+    const { run, results: stored } = createRun({ kind: RunKind.BATCH.id, config: { tab: 'batch' }, results, engine: 'abc', createdAt: 1 });
+    expect(run).toMatchObject({ kind: 'batch', name: '批次掃描 λ 0.5000–0.9000', notes: '', tags: [], createdAt: 1, engine: 'abc', cancelled: false });
+    expect(run.summary.points).toBe(5);
+    expect(run.summary.transition.bazzaMax).toBeLessThan(run.summary.transition.aliceMin);
+    expect(stored.every(r => r.moves === undefined && r.moveDetails === undefined)).toBe(true);
+    expect(stored.map(r => r.totalRounds)).toEqual(results.map(r => r.totalRounds));
+  });
+
+  it('單局模擬保留完整結果以便回放', () => {
+    const [result] = Experiments.batchTasks({ start: 0.75, end: 0.75, step: 0.01, maxRounds: 20 }).map(runTask);
+    const { run, results } = createRun({ kind: RunKind.SIMULATION.id, config: {}, results: [result], engine: 'abc' });
+    expect(run.name).toBe('模擬 λ = 0.75');
+    expect(run.summary).toEqual({ lambdaVal: 0.75, winner: result.winner, totalRounds: result.totalRounds });
+    expect(results[0].moves).toEqual(result.moves);
+  });
+
+  it('博弈樹求解記錄必勝方的分布與求解回合', () => {
+    const results = Experiments.solverTasks({ start: 0.5, end: 1, step: 0.25, horizon: 6, grid: 3 }).map(runTask);
+    const { run } = createRun({ kind: RunKind.SOLVER.id, config: {}, results, engine: 'abc' });
+    expect(run.name).toBe('博弈樹求解 λ 0.5000–1.0000');
+    expect(run.summary).toEqual({ points: 3, Alice: 1, Bazza: 1, Draw: 1, exceeded: 0, horizon: 6 });
+  });
+
+  it('對抗搜尋記錄反例與略過的 λ 數，並保留最佳對局以便回放', () => {
+    const results = Experiments.adversarialTasks({ start: 0.7, end: 0.8, step: 0.05, maxRounds: 100, method: 'hill', iterations: 5, seed: 0 }).map(runTask);
+    const { run, results: stored } = createRun({ kind: RunKind.ADVERSARIAL.id, config: {}, results, engine: 'abc' });
+    expect(run.name).toBe('對抗搜尋 λ 0.7000–0.8000');
+    expect(run.summary).toMatchObject({ points: 3, skipped: 0, method: 'hill' });
+    expect(run.summary.counterexamples).toBe(results.filter(r => r.counterexample).length);
+    expect(stored[2].game.moves).toEqual(results[2].game.moves);
+  });
+
+  it('參數調校記錄最佳與預設參數的目標值', () => {
+    const results = Experiments.tuningTasks({ runs: 2, seed: 0, start: 0.6, end: 0.8, step: 0.2, population: 4, generations: 2, opponents: ['optimal'] }).map(runTask);
+    const { run } = createRun({ kind: RunKind.TUNING.id, config: {}, results, engine: 'abc' });
+    expect(run.name).toBe('參數調校（2 次演化 × 2 代）');
+    expect(run.summary).toMatchObject({ runs: 2, objective: 'rounds', baselineCost: results[0].baseline.cost });
+    expect(run.summary.bestCost).toBe(Math.min(...results.map(r => r.best.cost)));
+  });
+
+  it('錦標賽記錄 λ 數、約束、對局數與兩側的最佳策略', () => {
+    const results = Experiments.tournamentTasks({ start: 0.6, end: 0.8, step: 0.2, constraints: ['standard', 'cubic'], styles: ['proof', 'conservative'], maxRounds: 60 }).map(runTask);
+    const { run, results: stored } = createRun({ kind: RunKind.TOURNAMENT.id, config: {}, results, engine: 'abc' });
+    expect(run.name).toBe('多 λ 錦標賽 λ 0.6000–0.8000');
+    expect(run.summary).toEqual({ points: 2, constraints: ['標準約束', '立方約束'], games: 16, leaders: { Alice: '證明型', Bazza: '證明型' } });
+    expect(stored).toEqual(results);
+  });
+
+  it('只有批次與臨界值掃描可以疊加', () => {
+    expect(isScan({ kind: 'batch' })).toBe(true);
+    expect(isScan({ kind: 'critical' })).toBe(true);
+    expect(isScan({ kind: 'montecarlo' })).toBe(false);
+  });
+});
+
+describe('parseTags / matchesQuery', () => {
+  it('標籤可用逗號、頓號或空白分隔並去除重複', () => {
+    expect(parseTags(' 臨界值, 高精度、臨界值  草稿 ')).toEqual(['臨界值', '高精度', '草稿']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  it('在名稱、備註與標籤中不分大小寫搜尋', () => {
+    const run = { name: 'Batch A', notes: '嚴格規則', tags: ['long-run'] };
+    expect(matchesQuery(run, '')).toBe(true);
+    expect(matchesQuery(run, 'batch a')).toBe(true);
+    expect(matchesQuery(run, '嚴格')).toBe(true);
+    expect(matchesQuery(run, 'LONG')).toBe(true);
+    expect(matchesQuery(run, '蒙地卡羅')).toBe(false);
+  });
+});
+
+describe('RunHistory', () => {
+  it('環境不支援 IndexedDB 時回報錯誤', async () => {
+    await expect(RunHistory.open(null)).rejects.toThrow('不支援 IndexedDB');
+  });
+});
@@ -0,0 +1,242 @@
+// ============================================
+// 匯入先前匯出的結果
+// ============================================
+// 支援介面與命令列匯出的單局 JSON／CSV，以及批次與臨界值掃描的 JSON／CSV。
+// 此處只解析並檢查結構，產生重新驗證用的任務：含逐回合移動的對局以 verifyGame 重播，
+// 只有摘要的掃描點則以相同設定重新對局，再由 importIssues 比對。任務交給 worker 執行。
+import { PlayerStyle, ADVERSARY_STYLE, ConstraintType, NumericPrecision, Experiments, powerConstraint, customConstraint, customStrategy, tunedStyle, validateConstraintRule } from './engine.js';
+import { parseCSV, GAME_CSV_HEADERS, SCAN_CSV_HEADERS } from './formats.js';
+
+// CSV 的數值取 6 位小數；平方等運算會放大捨入誤差，故容許到 2e-6（每回合累加）
+const CSV_TOLERANCE = 2e-6;
+
+const WINNERS = ['Alice', 'Bazza', 'Draw'];
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isCount = (v) => Number.isInteger(v) && v > 0;
+
+// 約束：id，或帶參數的描述（一般冪次約束、自訂約束）；回傳可交給 worker 的描述
+export const constraintSpec = (c, label) => {
+  if (c === undefined || c === null) return ConstraintType.STANDARD.id;
+  const id = typeof c === 'string' ? c : c.id;
+  if (id === 'power') {
+    if (!(isNumber(c.exponent) && c.exponent > 0 && isNumber(c.growth) && c.growth > 0)) fail(`${label}：一般冪次約束的指數與增長必須為正數`);
+    return powerConstraint(c.exponent, c.growth);
+  }
+  if (id === 'custom') {
+    const error = typeof c.name !== 'string' ? '缺少名稱' : typeof c.weight !== 'string' || typeof c.limit !== 'string' ? '缺少權重或上限表達式' : validateConstraintRule(c);
+    if (error) fail(`${label}：自訂約束無效（${error}）`);
+    return customConstraint({ ...c, exponent: Number(c.exponent) });
+  }
+  if (!Object.values(ConstraintType).some(t => t.id === id)) fail(`${label}：未知的約束 ${id}`);
+  return id;
+};
+
+const precisionId = (p) => {
+  const id = typeof p === 'string' ? p : p?.id ?? NumericPrecision.DOUBLE.id;
+  if (!Object.values(NumericPrecision).some(x => x.id === id)) fail(`未知的數值精度：${id}`);
+  return id;
+};
+
+// 顯示用的策略：內建策略的 id、對抗搜尋的對手、使用者策略或調校預設（只顯示名稱，程式碼不在主執行緒執行）
+const displayStyle = (s) => {
+  if (s && typeof s === 'object' && typeof s.source === 'string' && typeof s.name === 'string') return customStrategy(s);
+  if (s && typeof s === 'object' && s.tuning && typeof s.tuning === 'object' && typeof s.name === 'string') return tunedStyle(s.tuning, s.name);
+  const id = typeof s === 'string' ? s : s?.id;
+  return [...Object.values(PlayerStyle), ADVERSARY_STYLE].find(x => x.id === id) ?? null;
+};
+
+// 分享連結格式的約束欄位（見 App.jsx 的 linkConfig）
+const linkSide = (constraint) => ({
+  constraint: typeof constraint === 'string' ? constraint : constraint.id === 'custom' ? constraint : constraint.id,
+  ...(constraint.id === 'power' ? { power: { exponent: constraint.exponent, growth: constraint.growth } } : {})
+});
+
+// ============================================
+// 單局
+// ============================================
+const gameImport = ({ name, lambdaVal, maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint, aliceStyle, bazzaStyle, noise, seed, moves, reasons, details, winner, totalRounds, tolerance, notes }) => {
+  const alice = displayStyle(aliceStyle), bazza = displayStyle(bazzaStyle);
+  const strategies = [alice, bazza].filter(s => s?.source !== undefined || s?.tuning !== undefined);
+  return {
+    kind: 'game', name, notes,
+    // 策略不參與重播；內建策略照常傳入以附上證明憑證
+    tasks: [{ kind: 'verify', lambdaVal, maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint, aliceStyle: strategies.includes(alice) ? undefined : alice?.id, bazzaStyle: strategies.includes(bazza) ? undefined : bazza?.id, moves, reasons, details, winner, totalRounds, tolerance }],
+    meta: { ...(alice ? { aliceStyle: alice } : {}), ...(bazza ? { bazzaStyle: bazza } : {}), ...(noise ? { noise, seed } : {}) },
+    config: {
+      tab: 'simulation', lambda: lambdaVal, maxRounds, strictRules, precision, noise, seed,
+      alice: { style: alice?.id, ...linkSide(aliceConstraint) }, bazza: { style: bazza?.id, ...linkSide(bazzaConstraint) },
+      strategies: strategies.map(({ name, source, tuning }) => source !== undefined ? { name, source } : { name, tuning })
+    }
+  };
+};
+
+const gameFromJSON = (name, data) => {
+  const { lambdaVal, moves, moveDetails, winner, totalRounds } = data;
+  if (!(isNumber(lambdaVal) && lambdaVal > 0)) fail('lambdaVal 必須為正數');
+  if (!moves.every(isNumber)) fail('moves 必須全為有限數值');
+  if (moveDetails !== undefined && !(Array.isArray(moveDetails) && moveDetails.length === moves.length)) fail('moveDetails 的長度與 moves 不符');
+  if (!WINNERS.includes(winner)) fail(`未知的勝者：${winner}`);
+  if (!isCount(totalRounds)) fail('totalRounds 必須為正整數');
+  const maxRounds = data.maxRounds ?? Math.max(totalRounds, moves.length);
+  if (!isCount(maxRounds)) fail('maxRounds 必須為正整數');
+  const noise = data.noise && isNumber(data.noise.alice) && isNumber(data.noise.bazza) ? { alice: data.noise.alice, bazza: data.noise.bazza } : undefined;
+  return gameImport({
+    name, lambdaVal, maxRounds, winner, totalRounds, moves, noise,
+    seed: Number.isInteger(data.seed) ? data.seed : 0,
+    strictRules: !!data.strictRules,
+    precision: precisionId(data.precision),
+    aliceConstraint: constraintSpec(data.aliceConstraint, 'Alice 約束'),
+    bazzaConstraint: constraintSpec(data.bazzaConstraint, 'Bazza 約束'),
+    aliceStyle: data.aliceStyle, bazzaStyle: data.bazzaStyle,
+    reasons: moveDetails?.map(d => String(d?.reason ?? '')),
+    details: moveDetails,
+    tolerance: 0, notes: []
+  });
+};
+
+// 單局 CSV 不含 λ 與規則：λ 取自匯出的檔名（imo2025_lambda0.7500.csv），其餘沿用目前的設定；
+// 勝負不在檔案中，改為檢查重播後是否恰好在最後一步結束
+const gameFromCSV = (name, rows, defaults) => {
+  const num = (v, label, k) => {
+    const x = Number(v);
+    if (v === '' || !Number.isFinite(x)) fail(`第 ${k} 回合的 ${label} 不是數值：${v}`);
+    return x;
+  };
+  const details = rows.map((r, i) => {
+    const k = i + 1;
+    if (r.length < GAME_CSV_HEADERS.length) fail(`第 ${k} 回合的欄位不足`);
+    if (Number(r[0]) !== k) fail(`第 ${k} 列的回合為 ${r[0]}，回合必須從 1 起連續`);
+    if (r[1] !== (k % 2 === 1 ? 'Alice' : 'Bazza')) fail(`第 ${k} 回合的玩家應為 ${k % 2 === 1 ? 'Alice' : 'Bazza'}`);
+    return { move: num(r[2], 'xₙ', k), sumLinear: num(r[3], 'Σxᵢ', k), sumSquare: num(r[4], 'Σxᵢ²', k), aliceCapacity: num(r[5], 'Alice 容量', k), bazzaCapacity: num(r[6], 'Bazza 容量', k), reason: r[7] ?? '' };
+  });
+  if (details.length === 0) fail('檔案中沒有任何回合');
+  const fromName = name.match(/lambda(\d+(?:\.\d+)?)/);
+  const notes = ['CSV 只有 6 位小數，超出上限在捨入誤差內的移動視為合法', '約束、精度與規則沿用目前的設定，回合上限視為檔案中的回合數'];
+  if (!fromName) notes.push(`檔名中沒有 λ，沿用目前的 λ = ${defaults.lambdaVal}`);
+  return gameImport({
+    name, notes,
+    lambdaVal: fromName ? Number(fromName[1]) : defaults.lambdaVal,
+    maxRounds: details.length,
+    strictRules: defaults.strictRules, precision: defaults.precision,
+    aliceConstraint: constraintSpec(defaults.aliceConstraint, 'Alice 約束'),
+    bazzaConstraint: constraintSpec(defaults.bazzaConstraint, 'Bazza 約束'),
+    moves: details.map(d => d.move), reasons: details.map(d => d.reason), details,
+    tolerance: CSV_TOLERANCE
+  });
+};
+
+// ============================================
+// 掃描
+// ============================================
+const checkScanResult = (r, k) => {
+  if (!r || typeof r !== 'object') fail(`第 ${k} 筆結果不是物件`);
+  if (!isNumber(r.lambdaVal)) fail(`第 ${k} 筆結果的 lambdaVal 必須為數值`);
+  if (!WINNERS.includes(r.winner)) fail(`第 ${k} 筆結果的勝者未知：${r.winner}`);
+  if (!isCount(r.totalRounds)) fail(`第 ${k} 筆結果的 totalRounds 必須為正整數`);
+  if (!Array.isArray(r.illegalProposals) || !Array.isArray(r.precisionFlags)) fail(`第 ${k} 筆結果缺少 illegalProposals 或 precisionFlags`);
+  if (r.moves !== undefined && !(Array.isArray(r.moves) && r.moves.every(isNumber))) fail(`第 ${k} 筆結果的 moves 必須全為有限數值`);
+  return r;
+};
+
+// 含移動的點逐步重播，其餘以相同設定重新對局（最佳策略對最佳策略，與掃描相同）
+const scanTask = (r, settings) => r.moves
+  ? { kind: 'verify', ...settings, lambdaVal: r.lambdaVal, moves: r.moves, reasons: r.moveDetails?.map(d => String(d?.reason ?? '')), details: r.moveDetails, winner: r.winner, totalRounds: r.totalRounds }
+  : { ...settings, lambdaVal: r.lambdaVal };
+
+const scanImport = (kind, name, results, settings, notes) => {
+  const lambdas = results.map(r => r.lambdaVal).sort((a, b) => a - b);
+  const [lo, hi] = [lambdas[0], lambdas.at(-1)];
+  const gaps = lambdas.slice(1).map((l, i) => l - lambdas[i]).filter(g => g > 0);
+  const step = gaps.length ? Number(Math.min(...gaps).toPrecision(6)) : 0.01;
+  const center = Experiments.criticalCenter(settings.aliceConstraint, settings.bazzaConstraint);
+  const side = kind === 'batch' ? { batch: { mode: 'scan', start: lo, end: hi, step, rounds: settings.maxRounds } } : { critical: { mode: 'scan', range: Number((Math.round(Math.max(center - lo, hi - center) / step) * step).toPrecision(6)), step, rounds: settings.maxRounds } };
+  return {
+    kind, name, notes, results,
+    tasks: results.map(r => scanTask(r, settings)),
+    config: { tab: kind, strictRules: settings.strictRules, precision: settings.precision, alice: linkSide(settings.aliceConstraint), bazza: linkSide(settings.bazzaConstraint), ...side }
+  };
+};
+
+// 結果直接交給圖表與匯出，各筆的 precision 統一為 NumericPrecision 項目；未記錄時沿用整次掃描的精度
+const scanFromJSON = (name, { type, params, results }) => {
+  if (!Array.isArray(results) || results.length === 0) fail('results 必須為非空陣列');
+  results.forEach((r, i) => checkScanResult(r, i + 1));
+  if (!params || !isCount(params.maxRounds)) fail('params.maxRounds 必須為正整數');
+  const settings = { maxRounds: params.maxRounds, strictRules: !!params.strictRules, precision: precisionId(params.precision), aliceConstraint: constraintSpec(params.aliceConstraint, 'Alice 約束'), bazzaConstraint: constraintSpec(params.bazzaConstraint, 'Bazza 約束') };
+  const precisionOf = (p) => Object.values(NumericPrecision).find(x => x.id === precisionId(p ?? settings.precision));
+  const notes = results.some(r => !r.moves) ? ['檔案不含逐回合移動（匯出時未加 --details），改以相同設定重新對局比對勝負與回合數'] : [];
+  return scanImport(type, name, results.map(r => ({ ...r, precision: precisionOf(r.precision) })), settings, notes);
+};
+
+// 掃描 CSV 只有每個 λ 的摘要；約束沿用目前的設定，和局點的回合數即為回合上限。
+// 檔案不記錄是哪一種掃描：λ 全在 λ* ± 0.05 內且步長小於 0.01 時視為臨界值掃描
+const scanFromCSV = (name, rows, defaults) => {
+  const results = rows.map((r, i) => {
+    const k = i + 1;
+    if (r.length < SCAN_CSV_HEADERS.length) fail(`第 ${k} 筆結果的欄位不足`);
+    const flags = r[7].split(' ').filter(Boolean).map(f => {
+      const [round, kind] = f.split(':');
+      return { round: Number(round), kind };
+    });
+    return checkScanResult({
+      lambdaVal: Number(r[0]), winner: r[1], totalRounds: Number(r[2]), theoreticalPrediction: r[3], matchTheory: r[4] === '1',
+      // CSV 只記錄非法提議的次數
+      illegalProposals: Array.from({ length: Number(r[5]) || 0 }, () => ({ round: null })),
+      precision: Object.values(NumericPrecision).find(p => p.id === r[6]) ?? NumericPrecision.DOUBLE,
+      precisionFlags: flags, winningReason: r[8]
+    }, k);
+  });
+  if (results.length === 0) fail('檔案中沒有任何結果');
+  const draws = results.filter(r => r.winner === 'Draw').map(r => r.totalRounds);
+  const settings = {
+    maxRounds: draws.length ? Math.max(...draws) : defaults.maxRounds,
+    strictRules: defaults.strictRules,
+    precision: precisionId(results[0].precision.id),
+    aliceConstraint: constraintSpec(defaults.aliceConstraint, 'Alice 約束'),
+    bazzaConstraint: constraintSpec(defaults.bazzaConstraint, 'Bazza 約束')
+  };
+  const steps = results.slice(1).map((r, i) => Math.abs(r.lambdaVal - results[i].lambdaVal));
+  const center = Experiments.criticalCenter(settings.aliceConstraint, settings.bazzaConstraint);
+  const critical = /critical/i.test(name) || (results.every(r => Math.abs(r.lambdaVal - center) <= 0.05) && steps.every(s => s < 0.01));
+  const notes = ['CSV 不含約束與規則設定：以目前的設定重新對局比對勝負與回合數', draws.length ? `回合上限取和局點的回合數 ${settings.maxRounds}` : `沒有和局點，回合上限沿用目前的 ${settings.maxRounds}`];
+  return scanImport(critical ? 'critical' : 'batch', name, results, settings, notes);
+};
+
+// ============================================
+// 入口
+// ============================================
+// defaults：CSV 缺少的設定沿用的目前值 { lambdaVal, maxRounds, strictRules, precision, aliceConstraint, bazzaConstraint }
+export const parseImport = (name, text, defaults) => {
+  const body = text.replace(/^\ufeff/, '');
+  if (/^\s*[{[]/.test(body)) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      fail('JSON 格式錯誤，無法解析');
+    }
+    if (Array.isArray(data?.moves)) return gameFromJSON(name, data);
+    if (data?.type === 'batch' || data?.type === 'critical') return scanFromJSON(name, data);
+    if (typeof data?.type === 'string') fail(`不支援匯入「${data.type}」結果；目前支援單局、批次掃描與臨界值掃描`);
+    fail('無法辨識的 JSON：需為單局結果或掃描結果');
+  }
+  const [headers, ...rows] = parseCSV(body);
+  const matches = (expected) => headers?.length >= expected.length && expected.every((h, i) => headers[i] === h);
+  if (matches(GAME_CSV_HEADERS)) return gameFromCSV(name, rows, defaults);
+  if (matches(SCAN_CSV_HEADERS)) return scanFromCSV(name, rows, defaults);
+  fail('無法辨識的 CSV：欄位需與單局或掃描匯出的格式相同');
+};
+
+// 彙整重新驗證的結果：重播的問題附上 λ，重新對局則比對勝負與回合數
+export const importIssues = (imported, outputs) => outputs.flatMap((out, i) => {
+  const task = imported.tasks[i];
+  if (!out) return [];
+  if (task.kind === 'verify') return out.issues.map(issue => ({ lambdaVal: task.lambdaVal, ...issue }));
+  const r = imported.results[i];
+  return r.winner === out.winner && r.totalRounds === out.totalRounds ? [] : [{ lambdaVal: r.lambdaVal, round: null, message: `記錄為 ${r.winner}（${r.totalRounds} 回合），重新對局為 ${out.winner}（${out.totalRounds} 回合）` }];
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { parseImport, importIssues } from './importer.js';
+import { Formats, toCSV, parseCSV, summarizeResult } from './formats.js';
+import { runGame, runTask, Experiments, adversarialSearch, ADVERSARY_STYLE, NumericPrecision } from './engine.js';
+
+const defaults = { lambdaVal: 0.75, maxRounds: 100, strictRules: false, precision: 'double', aliceConstraint: 'standard', bazzaConstraint: 'standard' };
+
+// 解析後在本執行緒執行驗證任務（介面中交給 worker）
+const verify = (name, text, options = defaults) => {
+  const imported = parseImport(name, text, options);
+  const outputs = imported.tasks.map(runTask);
+  return { imported, outputs, issues: importIssues(imported, outputs) };
+};
+
+describe('parseCSV', () => {
+  it('還原 toCSV 的輸出（含引號、逗號與換行）', () => {
+    const rows = [['a', 'b,c'], ['say "hi"', 'line\nbreak'], ['1', '']];
+    expect(parseCSV('\ufeff' + toCSV(rows[0], rows.slice(1)))).toEqual(rows);
+    expect(parseCSV('x,y\r\n1,2\r\n\r\n')).toEqual([['x', 'y'], ['1', '2']]);
+  });
+});
+
+describe('匯入單局', () => {
+  const game = runGame({ lambdaVal: 0.75, aliceStyle: 'proof', bazzaStyle: 'optimal', maxRounds: 100 });
+  const draw = runGame({ lambdaVal: 0.7, maxRounds: 60 });
+
+  it('JSON 逐步重播後與原局一致', () => {
+    const { imported, outputs, issues } = verify('imo2025_lambda0.7500.json', JSON.stringify(game));
+    expect(imported.kind).toBe('game');
+    expect(issues).toEqual([]);
+    expect(outputs[0].result.moves).toEqual(game.moves);
+    expect(outputs[0].result.winner).toBe(game.winner);
+    expect(outputs[0].result.certificate).toEqual(game.certificate);
+  });
+
+  it('對抗搜尋找到的反例可匯入驗證，並保留對手的標示', () => {
+    const { game } = adversarialSearch({ lambdaVal: 0.8, aliceStyle: 'aggressive', method: 'random', iterations: 20 });
+    const { imported, outputs, issues } = verify('imo2025_lambda0.8000.json', JSON.stringify(game));
+    expect(issues).toEqual([]);
+    expect(outputs[0].result.winner).toBe('Bazza');
+    expect(imported.meta.bazzaStyle).toEqual(ADVERSARY_STYLE);
+  });
+
+  it('CSV 的 6 位小數捨入不被誤報，λ 取自檔名', () => {
+    for (const r of [game, draw]) {
+      const { imported, outputs, issues } = verify(`imo2025_lambda${r.lambdaVal.toFixed(4)}.csv`, '\ufeff' + Formats.gameCSV(r));
+      expect(issues).toEqual([]);
+      expect(imported.tasks[0].lambdaVal).toBe(r.lambdaVal);
+      expect(outputs[0].result.winner).toBe(r.winner);
+      expect(outputs[0].result.totalRounds).toBe(r.totalRounds);
+    }
+  });
+
+  it('竄改的移動、累計值或勝負會被指出', () => {
+    const moved = { ...game, moves: game.moves.map((x, i) => i === 1 ? x + 0.5 : x) };
+    const { issues } = verify('a.json', JSON.stringify(moved));
+    expect(issues[0]).toMatchObject({ round: 2 });
+    expect(issues[0].message).toContain('對局應於此結束');
+
+    const csv = Formats.gameCSV(draw).split('\n');
+    csv[5] = csv[5].replace(/^(5,Alice,[^,]+,)([^,]+)/, (_, head, sum) => `${head}${(Number(sum) + 0.01).toFixed(6)}`);
+    expect(verify('imo2025_lambda0.7000.csv', csv.join('\n')).issues).toEqual([expect.objectContaining({ round: 5, message: expect.stringContaining('Σxᵢ 記錄為') })]);
+
+    const { issues: winner } = verify('a.json', JSON.stringify({ ...game, winner: 'Bazza' }));
+    expect(winner).toEqual([expect.objectContaining({ round: null, message: expect.stringContaining('記錄的結果為 Bazza') })]);
+  });
+
+  it('使用者策略只顯示名稱，不在重播中執行', () => {
+    const strategy = { id: 'user:半步', name: '半步', source: 'function move(s) { return s.maxMove / 2; }' };
+    const { imported, issues } = verify('a.json', JSON.stringify({ ...game, aliceStyle: strategy }));
+    expect(issues).toEqual([]);
+    expect(imported.tasks[0].aliceStyle).toBeUndefined();
+    expect(imported.meta.aliceStyle).toEqual(strategy);
+    expect(imported.config.strategies).toEqual([{ name: '半步', source: strategy.source }]);
+  });
+});
+
+describe('匯入掃描', () => {
+  const params = { start: 0.6, end: 0.8, step: 0.05, maxRounds: 60, strictRules: false, precision: 'double', aliceConstraint: 'standard', bazzaConstraint: 'standard' };
+  const results = Experiments.batchTasks(params).map(runGame);
+
+  it('命令列輸出的 JSON 以相同設定重新對局比對', () => {
+    const { imported, issues } = verify('batch.json', JSON.stringify({ type: 'batch', params, results: results.map(summarizeResult) }));
+    expect(imported.kind).toBe('batch');
+    expect(imported.results).toHaveLength(5);
+    expect(imported.config.batch).toEqual({ mode: 'scan', start: 0.6, end: 0.8, step: 0.05, rounds: 60 });
+    expect(issues).toEqual([]);
+
+    const tampered = results.map((r, i) => summarizeResult(i === 0 ? { ...r, totalRounds: r.totalRounds + 1 } : r));
+    expect(verify('batch.json', JSON.stringify({ type: 'batch', params, results: tampered })).issues).toEqual([expect.objectContaining({ lambdaVal: 0.6 })]);
+  });
+
+  it('含逐回合細節的掃描逐步重播', () => {
+    const { imported, issues } = verify('batch.json', JSON.stringify({ type: 'batch', params, results }));
+    expect(imported.tasks.every(t => t.kind === 'verify')).toBe(true);
+    expect(issues).toEqual([]);
+  });
+
+  it('CSV 依 λ 的範圍判斷掃描類型', () => {
+    expect(verify('scan.csv', Formats.scanCSV(results)).imported.kind).toBe('batch');
+    const critical = Experiments.criticalTasks({ range: 0.005, step: 0.001, maxRounds: 40 }).map(runGame);
+    const { imported, issues } = verify('scan.csv', Formats.scanCSV(critical));
+    expect(imported.kind).toBe('critical');
+    expect(imported.config.critical).toMatchObject({ range: 0.005, step: 0.001, rounds: 40 });
+    expect(issues).toEqual([]);
+  });
+
+  it('各筆結果的精度統一為 NumericPrecision 項目，可再匯出', () => {
+    const critical = Experiments.criticalTasks({ range: 0.002, step: 0.001, maxRounds: 40 }).map(runGame).map(summarizeResult);
+    const stripped = critical.map(({ precision, ...r }, i) => i === 1 ? { ...r, precision: 'interval' } : r);
+    const { imported } = verify('scan.json', JSON.stringify({ type: 'critical', params: { maxRounds: 40 }, results: stripped }));
+    expect(imported.results.map(r => r.precision)).toEqual([NumericPrecision.DOUBLE, NumericPrecision.INTERVAL, NumericPrecision.DOUBLE, NumericPrecision.DOUBLE, NumericPrecision.DOUBLE]);
+    expect(parseCSV(Formats.scanCSV(imported.results)).slice(1).map(r => r[6])).toEqual(['double', 'interval', 'double', 'double', 'double']);
+    expect(() => parseImport('scan.json', JSON.stringify({ type: 'critical', params: { maxRounds: 40 }, results: [{ ...stripped[0], precision: 'quad' }] }), defaults)).toThrow('未知的數值精度：quad');
+  });
+
+  it('冪次族的臨界值掃描以其理論臨界值還原掃描範圍', () => {
+    const params = { range: 0.004, step: 0.001, maxRounds: 40, aliceConstraint: { id: 'power', exponent: 1, growth: 1 }, bazzaConstraint: { id: 'power', exponent: 3, growth: 1 } };
+    const critical = Experiments.criticalTasks(params).map(runGame);
+    const { imported, issues } = verify('scan.json', JSON.stringify(Formats.scanJSON('critical', params, critical, null)));
+    expect(imported.config.critical).toMatchObject({ range: 0.004, step: 0.001 });
+    expect(issues).toEqual([]);
+  });
+});
+
+describe('格式錯誤', () => {
+  it('回報無法解析或不支援的檔案', () => {
+    expect(() => parseImport('a.json', '{ nope', defaults)).toThrow('JSON 格式錯誤');
+    expect(() => parseImport('a.json', JSON.stringify({ type: 'montecarlo', results: [] }), defaults)).toThrow('不支援匯入「montecarlo」');
+    expect(() => parseImport('a.csv', 'a,b\n1,2', defaults)).toThrow('無法辨識的 CSV');
+    expect(() => parseImport('a.json', JSON.stringify({ lambdaVal: 0.75, moves: [0.1, 'x'], winner: 'Alice', totalRounds: 2 }), defaults)).toThrow('moves 必須全為有限數值');
+    expect(() => parseImport('a.json', JSON.stringify({ lambdaVal: 0.75, moves: [0.1], winner: 'Alice', totalRounds: 1, aliceConstraint: { id: 'custom', name: 'x', weight: 'alert(1)', exponent: 1, limit: 'n' } }), defaults)).toThrow('自訂約束無效');
+    expect(() => parseImport('a.json', JSON.stringify({ type: 'batch', params: { maxRounds: 10 }, results: [{ lambdaVal: 0.7, winner: '?' }] }), defaults)).toThrow('第 1 筆結果的勝者未知');
+  });
+});
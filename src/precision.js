@@ -0,0 +1,112 @@
+// ============================================
+// 高精度數值後端
+// ============================================
+// 每個後端提供相同的介面：from（雙精度數的精確值）、constant（十進位常數）、
+// add / sub / mul / div / pow、apply（約束表達式中的函式）、leq（true / false，區間無法判定時為 null）、toNumber。
+import Decimal from 'decimal.js';
+
+const DECIMAL_DIGITS = 80;
+const D = Decimal.clone({ precision: DECIMAL_DIGITS, rounding: Decimal.ROUND_HALF_EVEN });
+
+const f64 = new Float64Array(1);
+const i64 = new BigInt64Array(f64.buffer);
+
+// 相鄰的雙精度數（用於向外捨入）
+export const nextUp = (x) => {
+  if (Number.isNaN(x) || x === Infinity) return x;
+  if (x === 0) return Number.MIN_VALUE;
+  f64[0] = x;
+  i64[0] += x > 0 ? 1n : -1n;
+  return f64[0];
+};
+
+export const nextDown = (x) => -nextUp(-x);
+
+// 雙精度數 x = m·2^e 的精確十進位值
+const exactDecimal = (x) => {
+  if (x === 0 || !Number.isFinite(x)) return new D(x);
+  f64[0] = Math.abs(x);
+  const bits = BigInt.asUintN(64, i64[0]);
+  const biased = Number(bits >> 52n);
+  const fraction = bits & ((1n << 52n) - 1n);
+  const m = biased === 0 ? fraction : fraction + (1n << 52n);
+  const e = biased === 0 ? -1074 : biased - 1075;
+  // m·2^e = m·5^(−e)·10^e（e < 0），整數部分以 BigInt 精確計算
+  const value = e >= 0 ? new D((m << BigInt(e)).toString()) : new D((m * 5n ** BigInt(-e)).toString()).times(`1e${e}`);
+  return x < 0 ? value.neg() : value;
+};
+
+// 常數在約束計算中反覆出現，快取以避免重複解析
+const memo = (fn) => {
+  const cache = new Map();
+  return (s) => {
+    if (!cache.has(s)) cache.set(s, fn(s));
+    return cache.get(s);
+  };
+};
+
+export const DecimalArithmetic = {
+  from: exactDecimal,
+  constant: memo((s) => new D(s)),
+  add: (a, b) => a.plus(b),
+  sub: (a, b) => a.minus(b),
+  mul: (a, b) => a.times(b),
+  div: (a, b) => a.div(b),
+  pow: (a, k) => a.pow(Number.isInteger(k) ? k : exactDecimal(k)),
+  apply: (name, a, b) => {
+    switch (name) {
+      case 'log': return a.ln();
+      case 'min': return D.min(a, b);
+      case 'max': return D.max(a, b);
+      default: return a[name]();
+    }
+  },
+  leq: (a, b) => a.lte(b),
+  toNumber: (a) => a.toNumber()
+};
+
+// 區間以 [lo, hi] 表示，每次運算後向外捨入一個 ulp，保證包含真值
+const widen = (lo, hi) => [nextDown(lo), nextUp(hi)];
+
+export const IntervalArithmetic = {
+  from: (x) => [x, x],
+  constant: memo((s) => {
+    const v = parseFloat(s);
+    return new D(s).eq(exactDecimal(v)) ? [v, v] : widen(v, v);
+  }),
+  add: (a, b) => widen(a[0] + b[0], a[1] + b[1]),
+  sub: (a, b) => widen(a[0] - b[1], a[1] - b[0]),
+  mul: (a, b) => {
+    const p = [a[0] * b[0], a[0] * b[1], a[1] * b[0], a[1] * b[1]];
+    return widen(Math.min(...p), Math.max(...p));
+  },
+  // 除數區間含 0 時商無界
+  div: (a, b) => {
+    if (b[0] <= 0 && b[1] >= 0) return [-Infinity, Infinity];
+    const q = [a[0] / b[0], a[0] / b[1], a[1] / b[0], a[1] / b[1]];
+    return widen(Math.min(...q), Math.max(...q));
+  },
+  pow: (a, k) => {
+    if (Number.isInteger(k) && k >= 0) {
+      let r = k === 0 ? [1, 1] : a;
+      for (let i = 1; i < k; i++) r = IntervalArithmetic.mul(r, a);
+      return r;
+    }
+    // 非整數指數（底數 ≥ 0，k > 0 時遞增）：Math.pow 不保證正確捨入，兩側各多放寬一個 ulp
+    const [lo, hi] = widen(Math.pow(Math.max(0, a[0]), k), Math.pow(Math.max(0, a[1]), k));
+    return [Math.max(0, nextDown(lo)), nextUp(hi)];
+  },
+  apply: (name, a, b) => {
+    switch (name) {
+      case 'sqrt': return widen(Math.sqrt(Math.max(0, a[0])), Math.sqrt(a[1]));
+      // exp、log 同樣不保證正確捨入，多放寬一個 ulp
+      case 'exp': return widen(nextDown(Math.exp(a[0])), nextUp(Math.exp(a[1])));
+      case 'log': return widen(nextDown(Math.log(Math.max(0, a[0]))), nextUp(Math.log(a[1])));
+      case 'abs': return a[0] >= 0 ? a : a[1] <= 0 ? [-a[1], -a[0]] : [0, Math.max(-a[0], a[1])];
+      case 'min': return [Math.min(a[0], b[0]), Math.min(a[1], b[1])];
+      case 'max': return [Math.max(a[0], b[0]), Math.max(a[1], b[1])];
+    }
+  },
+  leq: (a, b) => a[1] <= b[0] ? true : a[0] > b[1] ? false : null,
+  toNumber: (a) => (a[0] + a[1]) / 2
+};
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { nextUp, nextDown, DecimalArithmetic, IntervalArithmetic } from './precision.js';
+import { NumericPrecision, LambdaConfig, ConstraintChecker, ConstraintType, GameEngine } from './engine.js';
+
+describe('nextUp / nextDown', () => {
+  it('回傳相鄰的雙精度數', () => {
+    expect(nextUp(1)).toBe(1 + Number.EPSILON);
+    expect(nextDown(1)).toBe(1 - Number.EPSILON / 2);
+    expect(nextUp(0)).toBe(Number.MIN_VALUE);
+    expect(nextDown(0)).toBe(-Number.MIN_VALUE);
+    expect(nextUp(-Number.MIN_VALUE)).toBe(-0);
+  });
+
+  it('嚴格單調且中間沒有其他雙精度數', () => {
+    fc.assert(fc.property(fc.double({ noNaN: true, noDefaultInfinity: true, min: -1e300, max: 1e300 }), (x) => {
+      const up = nextUp(x);
+      expect(up).toBeGreaterThan(x);
+      expect(nextDown(up) === x).toBe(true);
+    }));
+  });
+});
+
+describe('DecimalArithmetic', () => {
+  it('雙精度數轉換為精確的十進位值', () => {
+    expect(DecimalArithmetic.from(0.1).toFixed(55)).toBe('0.1000000000000000055511151231257827021181583404541015625');
+    expect(DecimalArithmetic.from(-2.5).toString()).toBe('-2.5');
+  });
+
+  it('0.1 + 0.2 ≤ 0.3 依十進位常數計算成立', () => {
+    const A = DecimalArithmetic;
+    expect(A.leq(A.add(A.constant('0.1'), A.constant('0.2')), A.constant('0.3'))).toBe(true);
+    expect(A.leq(A.add(A.from(0.1), A.from(0.2)), A.from(0.3))).toBe(false);
+  });
+});
+
+describe('IntervalArithmetic', () => {
+  const A = IntervalArithmetic;
+  const contains = (iv, exact) => DecimalArithmetic.leq(DecimalArithmetic.from(iv[0]), exact) && DecimalArithmetic.leq(exact, DecimalArithmetic.from(iv[1]));
+
+  it('和與平方和的區間包含精確值', () => {
+    fc.assert(fc.property(fc.array(fc.double({ min: 0, max: 10, noNaN: true }), { minLength: 1, maxLength: 50 }), (xs) => {
+      const D = DecimalArithmetic;
+      const sum = xs.reduce((s, x) => A.add(s, A.mul(A.from(x), A.from(x))), A.from(0));
+      const exact = xs.reduce((s, x) => D.add(s, D.mul(D.from(x), D.from(x))), D.from(0));
+      expect(contains(sum, exact)).toBe(true);
+    }));
+  });
+
+  it('非整數冪次的區間包含精確值', () => {
+    fc.assert(fc.property(fc.double({ min: 0, max: 100, noNaN: true }), fc.constantFrom(0.5, 1.5, 2.5, 1 / 3), (x, k) => {
+      const [lo, hi] = A.pow(A.from(x), k);
+      const exact = DecimalArithmetic.pow(DecimalArithmetic.from(x), k);
+      expect(contains([lo, hi], exact)).toBe(true);
+    }));
+  });
+
+  it('不能表示為雙精度數的常數會被向外捨入', () => {
+    const c = A.constant('0.1');
+    expect(c[0]).toBeLessThan(c[1]);
+    expect(A.constant('1.5')).toEqual([1.5, 1.5]);
+  });
+
+  it('重疊的區間無法判定', () => {
+    expect(A.leq([0, 1], [2, 3])).toBe(true);
+    expect(A.leq([2, 3], [0, 1])).toBe(false);
+    expect(A.leq([0, 2], [1, 3])).toBeNull();
+  });
+});
+
+describe('高精度約束判定', () => {
+  it('各後端的約束值一致', () => {
+    const moves = [0.3, 1.1, 0.25, 0.9, 0.05];
+    for (const type of Object.values(ConstraintType)) {
+      const expected = new ConstraintChecker(type, type, new LambdaConfig(0.8)).getBazzaConstraintValue(moves);
+      for (const arith of [DecimalArithmetic, IntervalArithmetic]) {
+        const checker = new ConstraintChecker(type, type, new LambdaConfig(0.8), arith);
+        expect(arith.toNumber(checker.getBazzaConstraintValue(moves))).toBeCloseTo(expected, 12);
+      }
+    }
+  });
+
+  it('雙精度的容差放行而高精度判定違規時標記 mismatch', () => {
+    for (const precision of [NumericPrecision.DECIMAL, NumericPrecision.INTERVAL]) {
+      const engine = new GameEngine(new LambdaConfig(0.1), { precision });
+      const state = engine.advance(engine.createState(), 0.1 + 1e-11, '測試');
+      expect(state.result.winner).toBe('Bazza');
+      expect(state.precisionFlags).toEqual([{ round: 1, player: 'Alice', kind: 'mismatch', double: true, precise: false }]);
+    }
+  });
+
+  it('嚴格規則下修正為高精度判定合法的最大雙精度數', () => {
+    const engine = new GameEngine(new LambdaConfig(0.1), { precision: NumericPrecision.DECIMAL, strictRules: true });
+    const state = engine.advance(engine.createState(), 0.1 + 1e-11, '測試');
+    expect(state.result).toBeNull();
+    expect(state.moves[0]).toBe(0.1);
+    expect(state.illegalProposals[0].applied).toBe(0.1);
+  });
+
+  it('雙精度模式不產生標記', () => {
+    const r = new GameEngine(new LambdaConfig(0.75), { maxRounds: 100 }).play();
+    expect(r.precision).toBe(NumericPrecision.DOUBLE);
+    expect(r.precisionFlags).toEqual([]);
+  });
+});
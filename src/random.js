@@ -0,0 +1,34 @@
+// ============================================
+// 可設定種子的亂數產生器
+// ============================================
+// 隨機策略與蒙地卡羅實驗共用；同一種子在瀏覽器、worker 與命令列中產生相同的序列。
+
+// mulberry32：32 位元狀態，回傳 [0, 1) 的均勻亂數
+export const createRng = (seed = 0) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 由基礎種子與索引導出子種子（第 g 局、第 k 個 λ…），使各局的亂數序列互不相關
+export const deriveSeed = (seed, ...indices) => {
+  let h = (seed >>> 0) ^ 0x9E3779B9;
+  for (const i of indices) {
+    h = Math.imul(h ^ (i >>> 0), 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+  }
+  return h >>> 0;
+};
+
+// 標準常態分布（Box–Muller）
+export const gaussian = (rng) => {
+  const u = 1 - rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+};
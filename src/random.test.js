@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { createRng, deriveSeed, gaussian } from './random.js';
+
+describe('createRng', () => {
+  it('同一種子產生相同序列，不同種子不同', () => {
+    const draw = (seed) => { const rng = createRng(seed); return Array.from({ length: 5 }, rng); };
+    expect(draw(42)).toEqual(draw(42));
+    expect(draw(42)).not.toEqual(draw(43));
+  });
+
+  it('輸出落在 [0, 1) 且大致均勻', () => {
+    const rng = createRng(7);
+    const xs = Array.from({ length: 10000 }, rng);
+    expect(xs.every(x => x >= 0 && x < 1)).toBe(true);
+    expect(xs.reduce((a, b) => a + b, 0) / xs.length).toBeCloseTo(0.5, 1);
+  });
+});
+
+describe('deriveSeed', () => {
+  it('由種子與索引決定，且相鄰索引互不相同', () => {
+    expect(deriveSeed(1, 5)).toBe(deriveSeed(1, 5));
+    const seeds = new Set(Array.from({ length: 1000 }, (_, g) => deriveSeed(1, g)));
+    expect(seeds.size).toBe(1000);
+    expect(deriveSeed(1, 0)).not.toBe(deriveSeed(2, 0));
+  });
+});
+
+describe('gaussian', () => {
+  it('平均約為 0、變異數約為 1', () => {
+    const rng = createRng(3);
+    const zs = Array.from({ length: 20000 }, () => gaussian(rng));
+    const mean = zs.reduce((a, b) => a + b, 0) / zs.length;
+    const variance = zs.reduce((s, z) => s + (z - mean) ** 2, 0) / zs.length;
+    expect(Math.abs(mean)).toBeLessThan(0.03);
+    expect(variance).toBeCloseTo(1, 1);
+  });
+});
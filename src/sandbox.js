@@ -0,0 +1,86 @@
+// ============================================
+// 使用者策略沙箱
+// ============================================
+// 使用者程式碼只在 worker 中編譯與執行，無法存取頁面。worker 啟動時移除網路、儲存與訊息 API，並呼叫
+// lockdown() 封鎖 eval 與各種函式的 constructor（見 worker.js），使程式碼無法取回真正的全域物件，
+// 並凍結標準內建物件，使策略無法改動 Math、Array.prototype 等而影響同一 worker 之後的任務；
+// 動態 import() 是語法而無法在執行期封鎖，因此編譯前直接拒絕。程式碼以嚴格模式編譯，
+// 並以同名參數遮蔽常見的全域名稱。無窮迴圈由 WorkerPool 的逾時終止。
+
+const SHADOWED = [
+  'self', 'globalThis', 'window', 'document', 'postMessage', 'onmessage', 'close',
+  'fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'indexedDB', 'caches', 'localStorage',
+  'Worker', 'SharedWorker', 'BroadcastChannel', 'Function', 'setTimeout', 'setInterval', 'queueMicrotask',
+  'require', 'process', 'module', 'global'
+];
+
+const compiled = new Map();
+
+const IMPORT = /(?<![\w$])import(?![\w$])/;
+
+const blocked = function () {
+  throw new Error('沙箱中不可動態產生程式碼');
+};
+
+// 使用者程式碼與引擎共用同一個 realm：以下全域名稱連同其原型與屬性可達的物件一律凍結，全域名稱本身設為唯讀
+const INTRINSICS = [
+  'Object', 'Function', 'Array', 'Number', 'String', 'Boolean', 'Symbol', 'BigInt', 'Math', 'JSON', 'Reflect', 'Proxy', 'Intl',
+  'Date', 'RegExp', 'Map', 'Set', 'WeakMap', 'WeakSet', 'WeakRef', 'FinalizationRegistry', 'Promise', 'Iterator',
+  'Error', 'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'EvalError', 'URIError', 'AggregateError',
+  'ArrayBuffer', 'SharedArrayBuffer', 'DataView', 'Atomics', 'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array',
+  'isFinite', 'isNaN', 'parseFloat', 'parseInt', 'encodeURI', 'encodeURIComponent', 'decodeURI', 'decodeURIComponent'
+];
+
+const harden = (roots) => {
+  const seen = new Set();
+  const stack = [...roots];
+  while (stack.length > 0) {
+    const obj = stack.pop();
+    if (obj === null || (typeof obj !== 'object' && typeof obj !== 'function') || seen.has(obj)) continue;
+    seen.add(obj);
+    Object.freeze(obj);
+    stack.push(Object.getPrototypeOf(obj));
+    for (const key of Reflect.ownKeys(obj)) {
+      const { value, get, set } = Object.getOwnPropertyDescriptor(obj, key);
+      stack.push(value, get, set);
+    }
+  }
+};
+
+// 封鎖目前 realm 中所有能從字串產生程式碼的入口：一般、async、generator 與 async generator 函式的
+// constructor（可由任何函式取得），以及間接 eval（會在全域範圍執行）；再凍結內建物件與不經全域名稱
+// 取得的內建原型（各種函式與迭代器）。compileStrategy 直接使用全域的 Function，不受影響；
+// 只應在專門執行使用者程式碼的 worker 中呼叫
+export const lockdown = () => {
+  const functions = [function () {}, async function () {}, function* () {}, async function* () {}];
+  for (const fn of functions) {
+    Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: blocked, writable: false, configurable: false });
+  }
+  Object.defineProperty(globalThis, 'eval', { value: undefined, writable: false, configurable: false });
+  const names = INTRINSICS.filter(name => Object.hasOwn(globalThis, name));
+  const iterators = [[].values(), ''[Symbol.iterator](), new Map().entries(), new Set().values(), /./g[Symbol.matchAll]('')];
+  harden([...names.map(name => globalThis[name]), ...functions, ...iterators]);
+  for (const name of names) Object.defineProperty(globalThis, name, { writable: false, configurable: false });
+};
+
+// 編譯策略程式碼，回傳其中定義的 move(state)；語法錯誤或缺少 move 時拋出 Error
+export const compileStrategy = (source) => {
+  if (compiled.has(source)) return compiled.get(source);
+  if (IMPORT.test(source)) throw new Error('不可使用 import');
+  let factory;
+  try {
+    factory = new Function(...SHADOWED, `'use strict';\n${source}\n;return typeof move === 'function' ? move : null;`);
+  } catch (err) {
+    throw new Error(`語法錯誤：${err.message}`);
+  }
+  let move;
+  try {
+    move = factory();
+  } catch (err) {
+    throw new Error(`初始化失敗：${err?.message ?? err}`);
+  }
+  if (!move) throw new Error('必須定義 function move(state)');
+  compiled.set(source, move);
+  return move;
+};
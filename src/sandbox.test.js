@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { compileStrategy, lockdown } from './sandbox.js';
+import { customStrategy, runTask } from './engine.js';
+
+describe('compileStrategy', () => {
+  it('回傳程式碼中定義的 move', () => {
+    const move = compileStrategy('const k = 2;\nfunction move(state) { return state.n * k; }');
+    expect(move({ n: 3 })).toBe(6);
+  });
+
+  it.each([
+    ['function move( {', '語法錯誤'],
+    ['const x = 1;', '必須定義 function move(state)'],
+    ['throw new Error("boom"); function move() {}', '初始化失敗：boom']
+  ])('拒絕 %s', (source, message) => {
+    expect(() => compileStrategy(source)).toThrow(message);
+  });
+
+  it('常見的全域名稱被遮蔽', () => {
+    const move = compileStrategy('function move() { return [typeof self, typeof globalThis, typeof fetch, typeof process, typeof setTimeout]; }');
+    expect(move()).toEqual(Array(5).fill('undefined'));
+  });
+
+  it.each([
+    'function move() { return import("data:text/javascript,export default 1"); }',
+    'function move() { return import\n("https://example.com/?" + 1); }',
+    'const load = () => import/**/("./x.js"); function move() { return 0; }'
+  ])('拒絕動態 import：%s', (source) => {
+    expect(() => compileStrategy(source)).toThrow('不可使用 import');
+  });
+
+  it('名稱中含 import 的識別字不受影響', () => {
+    expect(compileStrategy('const important = 2, $import = 3; function move() { return important * $import; }')()).toBe(6);
+  });
+
+  it('以嚴格模式執行', () => {
+    expect(() => compileStrategy('function move() { leaked = 1; }')()).toThrow(ReferenceError);
+  });
+});
+
+// lockdown 會改動整個 realm；vitest 讓每個測試檔在獨立的行程中執行，不影響其他測試
+describe('lockdown', () => {
+  beforeAll(() => lockdown());
+
+  it.each([
+    ['函式', '(() => {}).constructor("return this")()'],
+    ['async 函式', '(async () => {}).constructor("return this")'],
+    ['generator', '(function* () {}).constructor("return this")'],
+    ['async generator', '(async function* () {}).constructor("return this")'],
+    ['內建函式', 'Math.max.constructor("return this")()'],
+    ['類別', '(class {}).constructor("return this")()']
+  ])('無法經由%s的 constructor 產生程式碼', (_, escape) => {
+    const move = compileStrategy(`function move() { return ${escape}; }`);
+    expect(() => move()).toThrow('沙箱中不可動態產生程式碼');
+  });
+
+  it('無法經由間接 eval 取得全域物件', () => {
+    const move = compileStrategy('function move() { return (0, eval)("this"); }');
+    expect(() => move()).toThrow(TypeError);
+  });
+
+  it.each([
+    ['Math', 'Math.sqrt = () => 0;'],
+    ['Array.prototype', 'Array.prototype.reduce = () => 0;'],
+    ['Object.prototype', 'Object.defineProperty(Object.prototype, "sumSquare", { value: 0 });'],
+    ['全域名稱', 'Math = { ...Math, sqrt: () => 0 };']
+  ])('策略改動%s不影響之後的任務', (_, mutation) => {
+    const spec = { lambdaVal: 0.75, maxRounds: 120, precision: 'decimal' };
+    const before = runTask(spec);
+    const strategy = customStrategy({ name: '竄改', source: `function move(state) { ${mutation} return 0; }` });
+    expect(() => runTask({ lambdaVal: 0.75, maxRounds: 20, aliceStyle: strategy })).toThrow('策略「竄改」於第 1 回合出錯');
+    expect(runTask(spec)).toEqual(before);
+  });
+
+  it('之後仍可編譯與執行策略', () => {
+    expect(compileStrategy('function move(state) { return state.n + 1; }')({ n: 1 })).toBe(2);
+  });
+});
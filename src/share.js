@@ -0,0 +1,57 @@
+// ============================================
+// 可分享的實驗連結
+// ============================================
+// 完整設定以 JSON 編碼（base64url）放在網址的 run 參數，並以 engine 參數附上引擎原始碼的內容雜湊；
+// 開啟連結時雜湊不同，表示引擎自建立連結後已變更，結果未必能重現。
+
+export const LINK_VERSION = 1;
+
+// 影響對局結果的引擎原始碼（相對於 src/）；任何一個檔案變更都會改變雜湊
+export const ENGINE_FILES = ['engine.js', 'precision.js', 'expression.js', 'sandbox.js', 'random.js'];
+
+// cyrb53：53 位元字串雜湊（只用來辨識引擎版本，非密碼學用途）
+export const hashText = (text, seed = 0) => {
+  let h1 = 0xdeadbeef ^ seed, h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+// 多個原始碼檔案（{ 路徑: 內容 }）的雜湊；依路徑排序並統一換行，與檢出方式無關
+export const hashSources = (sources) => hashText(Object.keys(sources).sort().map(path => `${path}\n${sources[path].replace(/\r\n/g, '\n')}`).join('\n'));
+
+const toBase64Url = (text) => {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (str) => {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+};
+
+// 設定與引擎雜湊 → 網址查詢字串（含開頭的 ?）
+export const encodeLink = (config, engineHash) => `?${new URLSearchParams({ run: toBase64Url(JSON.stringify({ v: LINK_VERSION, ...config })), engine: engineHash })}`;
+
+// 解析查詢字串：沒有 run 參數時回傳 null，無法解析時 error 為錯誤訊息
+export const decodeLink = (search, engineHash) => {
+  const params = new URLSearchParams(search);
+  const run = params.get('run');
+  if (!run) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fromBase64Url(run));
+  } catch {
+    return { config: null, engine: null, engineChanged: false, error: '連結中的設定無法解析' };
+  }
+  const { v, ...config } = parsed ?? {};
+  if (v !== LINK_VERSION) return { config: null, engine: null, engineChanged: false, error: `不支援的連結版本：${v}` };
+  const engine = params.get('engine');
+  return { config, engine, engineChanged: engine !== engineHash, error: null };
+};
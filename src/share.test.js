@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { hashText, hashSources, encodeLink, decodeLink, LINK_VERSION } from './share.js';
+
+describe('hashText / hashSources', () => {
+  it('相同內容得到相同雜湊，任何改動都會改變雜湊', () => {
+    expect(hashText('const λ = 0.75;')).toBe(hashText('const λ = 0.75;'));
+    expect(hashText('const λ = 0.75;')).not.toBe(hashText('const λ = 0.76;'));
+    expect(hashText('abc')).toMatch(/^[0-9a-f]{14}$/);
+  });
+
+  it('與檔案順序及換行格式無關，但與檔名有關', () => {
+    const a = hashSources({ 'engine.js': 'a\nb', 'random.js': 'c' });
+    expect(hashSources({ 'random.js': 'c', 'engine.js': 'a\r\nb' })).toBe(a);
+    expect(hashSources({ 'engine2.js': 'a\nb', 'random.js': 'c' })).not.toBe(a);
+  });
+});
+
+describe('encodeLink / decodeLink', () => {
+  const config = { tab: 'batch', lambda: 0.72, alice: { style: 'user:我的策略', constraint: { id: 'custom', name: '加權', weight: '1 + 0.1*i', exponent: 1, limit: 'λ*n' } }, strategies: [{ name: '我的策略', source: 'function move(s) { return s.maxMove / 2; }' }] };
+
+  it('設定（含中文與程式碼）可完整還原', () => {
+    const search = encodeLink(config, 'abc');
+    expect(search).toMatch(/^\?run=[\w-]+&engine=abc$/);
+    expect(decodeLink(search, 'abc')).toEqual({ config, engine: 'abc', engineChanged: false, error: null });
+  });
+
+  it('引擎雜湊不同時標記 engineChanged', () => {
+    const link = decodeLink(encodeLink(config, 'old'), 'new');
+    expect(link.config).toEqual(config);
+    expect(link.engineChanged).toBe(true);
+  });
+
+  it('沒有設定時回傳 null，無法解析或版本不符時回報錯誤', () => {
+    expect(decodeLink('', 'abc')).toBeNull();
+    expect(decodeLink('?tab=batch', 'abc')).toBeNull();
+    expect(decodeLink('?run=%%%', 'abc').error).toBe('連結中的設定無法解析');
+    const future = encodeLink({ tab: 'batch' }, 'abc').replace(/run=[\w-]+/, `run=${btoa(JSON.stringify({ v: LINK_VERSION + 1 })).replace(/=+$/, '')}`);
+    expect(decodeLink(future, 'abc').error).toBe(`不支援的連結版本：${LINK_VERSION + 1}`);
+  });
+});
@@ -0,0 +1,29 @@
+import { runTask } from './engine.js';
+import { lockdown } from './sandbox.js';
+
+// 使用者策略在此 worker 中執行：先保留回傳結果所需的 postMessage，
+// 再自 worker 全域物件及其原型鏈移除網路、儲存與訊息相關的 API
+const post = self.postMessage.bind(self);
+const BLOCKED = ['postMessage', 'fetch', 'importScripts', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'close'];
+for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+  for (const name of BLOCKED) {
+    if (!Object.hasOwn(scope, name)) continue;
+    try {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+    } catch {
+      // 不可重新定義的屬性維持原狀
+    }
+  }
+}
+// 封鎖 eval 與函式的 constructor，使用者程式碼無法繞過參數遮蔽取回上述全域物件
+lockdown();
+
+// 每則訊息為一個任務描述（一局、一次 λ* 估計或策略試跑），回傳完整結果
+self.addEventListener('message', (e) => {
+  const { id, spec } = e.data;
+  try {
+    post({ id, result: runTask(spec) });
+  } catch (err) {
+    post({ id, error: err.message });
+  }
+});
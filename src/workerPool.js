@@ -0,0 +1,100 @@
+// ============================================
+// Worker 池：將對局分派至多個背景執行緒
+// ============================================
+const PROGRESS_INTERVAL = 150;
+
+export class WorkerPool {
+  constructor(size = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4) {
+    this.size = size;
+    this.workers = [];
+  }
+
+  spawn() {
+    return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+  }
+
+  // 執行一組任務；onProgress(done, total, partial) 以節流方式回報已完成的結果（依任務順序）。
+  // timeout（毫秒）為單一任務的時間上限，逾時即終止所有 worker（用於可能陷入無窮迴圈的使用者策略）。
+  // 回傳 { promise, cancel }，promise 解析為 { results, cancelled }
+  run(tasks, onProgress, { timeout } = {}) {
+    const results = new Array(tasks.length);
+    const total = tasks.length;
+    let next = 0, done = 0, finished = false, lastReport = 0, timer = null;
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+
+    const partial = () => results.filter(r => r !== undefined);
+    const report = () => {
+      timer = null;
+      lastReport = Date.now();
+      onProgress?.(done, total, partial());
+    };
+    const scheduleReport = () => {
+      if (timer) return;
+      const wait = PROGRESS_INTERVAL - (Date.now() - lastReport);
+      if (wait <= 0) report();
+      else timer = setTimeout(report, wait);
+    };
+    const deadlines = new Map();
+    const finish = (cancelled) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      deadlines.forEach(clearTimeout);
+      resolve({ results: partial(), cancelled });
+    };
+    const fail = (message) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      deadlines.forEach(clearTimeout);
+      this.terminate();
+      reject(new Error(message));
+    };
+
+    const dispatch = (worker) => {
+      if (finished) return;
+      if (next >= total) {
+        if (done === total) finish(false);
+        return;
+      }
+      const id = next++;
+      worker.postMessage({ id, spec: tasks[id] });
+      if (timeout) deadlines.set(worker, setTimeout(() => fail(`第 ${id + 1} 個任務超過 ${timeout / 1000} 秒未完成，已終止`), timeout));
+    };
+
+    while (this.workers.length < Math.min(this.size, Math.max(1, total))) this.workers.push(this.spawn());
+    const active = this.workers.slice(0, Math.min(this.size, Math.max(1, total)));
+    for (const worker of active) {
+      worker.onmessage = (e) => {
+        if (finished) return;
+        clearTimeout(deadlines.get(worker));
+        const { id, result, error } = e.data;
+        if (error) {
+          fail(error);
+          return;
+        }
+        results[id] = result;
+        done++;
+        scheduleReport();
+        dispatch(worker);
+      };
+      worker.onerror = (e) => fail(e.message);
+    }
+    if (total === 0) finish(false);
+    else active.forEach(dispatch);
+
+    // 取消時直接終止 worker，以免長時間的對局繼續佔用執行緒
+    const cancel = () => {
+      if (finished) return;
+      this.terminate();
+      finish(true);
+    };
+    return { promise, cancel };
+  }
+
+  terminate() {
+    this.workers.forEach(w => w.terminate());
+    this.workers = [];
+  }
+}
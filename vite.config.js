@@ -1,7 +1,13 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync } from 'node:fs'
+import { ENGINE_FILES, hashSources } from './src/share.js'
+
+// 分享連結附上的引擎版本：建置（或啟動開發伺服器）時的引擎原始碼雜湊
+const engineHash = hashSources(Object.fromEntries(ENGINE_FILES.map(file => [file, readFileSync(new URL(`./src/${file}`, import.meta.url), 'utf8')])))
 
 export default defineConfig({
   plugins: [react()],
-  base: './'
+  base: './',
+  define: { __ENGINE_HASH__: JSON.stringify(engineHash) }
 })